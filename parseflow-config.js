@@ -0,0 +1,6 @@
+// Where ParseFlow keeps its data. null keeps everything in this browser.
+// The bundled server (server/server.js) answers this file itself with
+//   window.PARSEFLOW_SERVER = { api: '/api' };
+// so pages it serves share accounts, workspaces and data through its REST API.
+// Set it by hand to use a server from a copy of ParseFlow hosted elsewhere.
+window.PARSEFLOW_SERVER = null;
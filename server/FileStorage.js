@@ -0,0 +1,52 @@
+// localStorage for the server: each key is a file in one directory
+// The models in src/models keep their data in localStorage, so the server
+// runs them unchanged on top of this. Values are cached in memory, and each
+// write replaces its file atomically (a temporary file renamed over it), so a
+// crash never leaves half a file behind.
+
+const fs = require('fs');
+const path = require('path');
+
+class FileStorage {
+    constructor(directory) {
+        this.directory = directory;
+        this.cache = new Map();
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    fileFor(key) {
+        return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+    }
+
+    getItem(key) {
+        key = String(key);
+        if (!this.cache.has(key)) {
+            let value = null;
+            try {
+                value = fs.readFileSync(this.fileFor(key), 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            this.cache.set(key, value);
+        }
+        return this.cache.get(key);
+    }
+
+    setItem(key, value) {
+        key = String(key);
+        value = String(value);
+        const file = this.fileFor(key);
+        const temporary = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, value);
+        fs.renameSync(temporary, file);
+        this.cache.set(key, value);
+    }
+
+    removeItem(key) {
+        key = String(key);
+        fs.rmSync(this.fileFor(key), { force: true });
+        this.cache.set(key, null);
+    }
+}
+
+module.exports = FileStorage;
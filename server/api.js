@@ -0,0 +1,676 @@
+// REST API of the ParseFlow server
+// Everything under /api except signing in needs an "Authorization: Bearer
+// <token>" header from POST /api/auth/login. Workspaces, permissions and
+// datasets follow the same rules as in the browser because the same models
+// (src/models) handle them here. Errors come back as { error: message }.
+//
+//   GET    /api/status
+//   GET    /api/auth/setup                     { setupNeeded }
+//   POST   /api/auth/setup                     first admin; { token, user }
+//   POST   /api/auth/register                  pending account
+//   POST   /api/auth/login                     { login, password, remember }
+//   POST   /api/auth/logout
+//   GET    /api/auth/me                        doesn't count as activity
+//   POST   /api/auth/activity                  the page is in use; keeps the session alive
+//   GET    /api/users                          admins only, like the rest of /users
+//   POST   /api/users/:id/(approve|reject|role|suspend|reactivate|password)
+//   DELETE /api/users/:id
+//   GET    /api/workspaces                     { workspaces, activeId }
+//   PUT    /api/workspaces/active              { id }
+//   POST   /api/workspaces                     { name }
+//   PATCH  /api/workspaces/:ws                 { name, memberIds }
+//   DELETE /api/workspaces/:ws
+//   GET    /api/workspaces/:ws/datasets
+//   PATCH  /api/workspaces/:ws/datasets/:id    { name }
+//   DELETE /api/workspaces/:ws/datasets/:id
+//   GET    /api/workspaces/:ws/datasets/:id/records   ?filter&search&sort&page&pageSize
+//   GET    /api/workspaces/:ws/datasets/:id/export    the same, plus ?format&columns&...
+//   POST   /api/workspaces/:ws/uploads         raw file body; ?fileName&datasetId&...
+//                                              (replays a matching transform recipe)
+//   DELETE /api/workspaces/:ws/uploads/:id
+//
+// The dashboard's RemoteDatabase uses the storage calls below; they mirror
+// the BaseDatabase interface:
+//   GET    /api/workspaces/:ws/data            { records, metadata, revision }
+//   DELETE /api/workspaces/:ws/data
+//   GET    /api/workspaces/:ws/records         ?field&value
+//   PUT    /api/workspaces/:ws/records         [record]; ?revision, or ?rollback=uploadId
+//   DELETE /api/workspaces/:ws/records         ?field&value, or { ids }; ?revision
+//   PUT    /api/workspaces/:ws/metadata        { metadata, revision }
+//   PUT    /api/workspaces/:ws/view            { view }, the user's own view state
+// Record and metadata writes name the revision the client loaded and fail
+// with 409 once someone else has changed the workspace. View state (see
+// BaseDatabase.splitViewState) is kept per user and has no revision, so
+// switching datasets or resizing a column never gets in anyone's way.
+
+function createApi(models, options = {}) {
+    const {
+        ParserManager, BaseDatabase, LocalStorageDatabase, RecordFilter, DataExporter,
+        UserStore, AuthSession, WorkspaceStore, ParseFlowDB, DataGridView
+    } = models;
+    const users = new UserStore();
+    const sessions = new AuthSession(users);
+    const workspaces = new WorkspaceStore();
+    const parserManager = ParserManager.createDefault();
+    const maxUploadBytes = options.maxUploadBytes || 100 * 1024 * 1024;
+    // Uploads that aren't in a workspace's history yet, by "workspaceId/uploadId",
+    // and the session that wrote their first records; only that session can
+    // roll them back
+    const pendingUploads = new Map();
+
+    // A workspace's file, with a metadata revision that goes up on every
+    // change so clients holding an older copy can't overwrite a newer one.
+    // Each member's view state is kept in the same file, apart from the
+    // metadata: { records, metadata, views: { userId: view } }
+    class WorkspaceDatabase extends LocalStorageDatabase {
+        get revision() {
+            return this.data.metadata.revision || 0;
+        }
+
+        async saveMetadata(metadata) {
+            const { metadata: shared } = BaseDatabase.splitViewState(metadata);
+            await super.saveMetadata({ ...shared, revision: this.revision + 1 });
+        }
+
+        viewFor(userId) {
+            return this.data.views?.[userId] || null;
+        }
+
+        async saveView(userId, view) {
+            this.data.views = { ...this.data.views, [userId]: view };
+            this.write();
+        }
+
+        async clear() {
+            const revision = this.revision + 1;
+            this.data = BaseDatabase.emptyData();
+            this.data.metadata.revision = revision;
+            this.write();
+        }
+    }
+
+    function httpError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    const routes = [];
+    const route = (method, pattern, handler, { auth = true, raw = false, activity = true } = {}) => {
+        const names = [];
+        const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        })}$`);
+        routes.push({ method, regex, names, handler, auth, raw, activity });
+    };
+
+    // Signed-in user for the request's token. Requests count as activity
+    // unless their route is one that open pages poll in the background.
+    function authenticate(request, activity) {
+        const match = /^Bearer (\S+)$/.exec(request.headers.authorization || '');
+        const token = match ? match[1] : null;
+        const user = token ? sessions.current(token) : null;
+        if (!user) throw httpError(401, 'Please sign in');
+        if (activity) sessions.touch(token);
+        return { user, token };
+    }
+
+    function requireAdmin(context) {
+        if (context.user.role !== 'admin') throw httpError(403, 'Only admins can manage users');
+    }
+
+    function openWorkspace(context, id) {
+        const workspace = workspaces.getWorkspace(id);
+        if (!WorkspaceStore.canAccess(context.user, workspace)) throw httpError(404, 'Workspace not found');
+        return { workspace, permissions: WorkspaceStore.permissions(context.user, workspace) };
+    }
+
+    function requireRevision(backend, revision) {
+        if (revision !== backend.revision) {
+            throw httpError(409, 'Someone else changed this workspace since you opened it. Reload the page to see their changes.');
+        }
+    }
+
+    function isFinished(backend, uploadId) {
+        return backend.data.metadata.uploadHistory.some(upload => upload.id === uploadId);
+    }
+
+    function claimUploads(context, backend, records) {
+        records.forEach(record => {
+            [record._metadata.uploadId, record._metadata.updatedByUpload].forEach(uploadId => {
+                const key = `${context.params.ws}/${uploadId}`;
+                if (uploadId && !pendingUploads.has(key) && !isFinished(backend, uploadId)) {
+                    pendingUploads.set(key, context.token);
+                }
+            });
+        });
+    }
+
+    function ownsUpload(context, backend, uploadId) {
+        return !isFinished(backend, uploadId) && pendingUploads.get(`${context.params.ws}/${uploadId}`) === context.token;
+    }
+
+    function requirePermission(permissions, ...actions) {
+        if (!actions.some(action => permissions.has(action))) {
+            throw WorkspaceStore.permissionError(WorkspaceStore.ACTIONS[actions[0]]);
+        }
+    }
+
+    async function openBackend(context, id) {
+        const { workspace, permissions } = openWorkspace(context, id);
+        const backend = new WorkspaceDatabase(workspace.storage.localStorage);
+        await backend.load();
+        return { backend, permissions };
+    }
+
+    async function openDatabase(context, id) {
+        const { workspace, permissions } = openWorkspace(context, id);
+        const db = new ParseFlowDB(new WorkspaceDatabase(workspace.storage.localStorage), { permissions });
+        await db.init();
+        return db;
+    }
+
+    function openDataset(db, id) {
+        const dataset = db.getDataset(id);
+        if (!dataset) throw httpError(404, 'Dataset not found');
+        return dataset;
+    }
+
+    function publicWorkspace(workspace) {
+        const { storage, ...rest } = workspace;
+        return rest;
+    }
+
+    function startSession(user, remember) {
+        const session = sessions.createSession(user, remember);
+        return { token: session.token, expiresAt: new Date(session.expiresAt).toISOString(), user };
+    }
+
+    // Rows of a dataset after ?filter (a RecordFilter tree as JSON), ?search
+    // (a search box query, see SearchQuery) and ?sort ("column" or "column:desc",
+    // comma-separated)
+    function queryRecords(db, datasetId, query) {
+        const schema = db.getSchema(datasetId);
+        let records = db.getDatasetRecords(datasetId);
+
+        if (query.get('filter')) {
+            let root;
+            try {
+                root = JSON.parse(query.get('filter'));
+            } catch (error) {
+                throw httpError(400, `filter is not valid JSON: ${error.message}`);
+            }
+            records = records.filter(RecordFilter.compile(root, schema));
+        }
+
+        const search = (query.get('search') || '').trim();
+        if (search) {
+            const { ids } = db.search(search, datasetId);
+            records = records.filter(record => ids.has(record._metadata?.id));
+        }
+
+        const sort = (query.get('sort') || '').split(',').filter(Boolean).map(entry => {
+            const [column, direction] = entry.split(':');
+            return { column, direction: direction === 'desc' ? 'desc' : 'asc' };
+        });
+        return DataGridView.sortRecords(records, sort, schema);
+    }
+
+    // Actions a metadata save needs. View state is saved through PUT /view,
+    // so any other difference is editing; removing datasets or uploads also
+    // needs delete, and adding them import.
+    function metadataActions(previous, next) {
+        const shared = metadata => {
+            const { metadata: rest } = BaseDatabase.splitViewState(metadata);
+            delete rest.revision;
+            return rest;
+        };
+        const ids = list => new Set((Array.isArray(list) ? list : []).map(entry => entry?.id));
+        const compare = (before, after) => ({
+            added: [...after].some(id => !before.has(id)),
+            removed: [...before].some(id => !after.has(id))
+        });
+        const datasets = compare(ids(previous.datasets), ids(next.datasets));
+        const uploads = compare(ids(previous.uploadHistory), ids(next.uploadHistory));
+
+        const actions = [];
+        if (JSON.stringify(shared(previous)) !== JSON.stringify(shared(next))) actions.push('edit');
+        if (datasets.removed || uploads.removed) actions.push('delete');
+        if (datasets.added || uploads.added) actions.push('import');
+        return actions;
+    }
+
+    // Parses an uploaded file with the dashboard's parser registry
+    async function parseUpload(body, query) {
+        const file = { name: query.get('fileName') || 'upload', type: query.get('type') || '' };
+        const sample = { bytes: new Uint8Array(body.subarray(0, 64 * 1024)) };
+        sample.text = ParserManager.decodeText(sample.bytes.subarray(0, 4096));
+
+        const parserId = query.get('parser');
+        const parser = parserId ? parserManager.getParser(parserId) : await parserManager.detect(file, sample);
+        if (!parser) throw httpError(400, `Unknown parser: ${parserId}`);
+        if (parser.binary && typeof XLSX === 'undefined') {
+            throw httpError(501, 'Excel files need the xlsx package on the server (npm install xlsx)');
+        }
+
+        let overrides = {};
+        try {
+            overrides = JSON.parse(query.get('options') || '{}');
+        } catch (error) {
+            throw httpError(400, `options is not valid JSON: ${error.message}`);
+        }
+        let parseOptions = { ...parserManager.getOptions(parser.id), ...overrides };
+        if (typeof parser.resolveOptions === 'function') {
+            parseOptions = parser.resolveOptions(sample, parseOptions);
+        }
+
+        const warnings = [];
+        let records;
+        // A file the parser can't read is the uploader's problem, not a bug
+        try {
+            if (parserManager.supportsStreaming(parser)) {
+                const stream = parser.createStreamParser(parseOptions);
+                const text = new TextDecoder(parseOptions.encoding || 'utf-8').decode(body);
+                records = stream.push(text).concat(stream.flush());
+                if (typeof stream.drainWarnings === 'function') warnings.push(...stream.drainWarnings());
+            } else {
+                const content = parser.binary
+                    ? body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength)
+                    : new TextDecoder(parseOptions.encoding || 'utf-8').decode(body);
+                records = parser.parse(content, parseOptions, warning => warnings.push(warning));
+                records = Array.isArray(records) ? records : [records];
+            }
+        } catch (error) {
+            throw httpError(400, `Could not read ${file.name}: ${error.message}`);
+        }
+        return { parser, records, warnings };
+    }
+
+    // --- Status and sign-in ---
+
+    route('GET', '/status', () => ({
+        server: 'parseflow',
+        excel: typeof XLSX !== 'undefined'
+    }), { auth: false });
+
+    route('GET', '/auth/setup', () => ({ setupNeeded: !users.hasUsers() }), { auth: false });
+
+    route('POST', '/auth/setup', async ({ body }) => {
+        const admin = await users.createInitialAdmin(body);
+        return startSession(admin, false);
+    }, { auth: false });
+
+    route('POST', '/auth/register', async ({ body }) => {
+        if (!users.hasUsers()) throw httpError(409, 'Set up the first admin account first');
+        return { user: await users.register(body) };
+    }, { auth: false });
+
+    route('POST', '/auth/login', async ({ body }) => {
+        let user;
+        try {
+            user = await users.authenticate(body.login, body.password);
+        } catch (error) {
+            throw httpError(401, error.message);
+        }
+        return startSession(user, Boolean(body.remember));
+    }, { auth: false });
+
+    route('POST', '/auth/logout', context => {
+        sessions.endSession(context.token);
+        return null;
+    });
+
+    route('GET', '/auth/me', context => ({ user: context.user }), { activity: false });
+
+    route('POST', '/auth/activity', () => null);
+
+    // --- Users ---
+
+    route('GET', '/users', context => {
+        requireAdmin(context);
+        return { users: users.getUsers().map(UserStore.publicUser) };
+    });
+
+    route('POST', '/users/:id/:action', async context => {
+        requireAdmin(context);
+        const { id, action } = context.params;
+        const { body } = context;
+        let user = null;
+
+        switch (action) {
+            case 'approve':
+                user = users.approveUser(id, body.role);
+                break;
+            case 'reject':
+                users.rejectUser(id);
+                break;
+            case 'role':
+                user = users.setRole(id, body.role);
+                break;
+            case 'suspend':
+                user = users.suspendUser(id);
+                sessions.endSessionsFor(id);
+                break;
+            case 'reactivate':
+                user = users.reactivateUser(id);
+                break;
+            case 'password':
+                user = await users.setPassword(id, body.password);
+                sessions.endSessionsFor(id, context.token);
+                break;
+            default:
+                throw httpError(404, `Unknown action: ${action}`);
+        }
+        return { user };
+    });
+
+    route('DELETE', '/users/:id', async context => {
+        requireAdmin(context);
+        users.deleteUser(context.params.id);
+        sessions.endSessionsFor(context.params.id);
+        await workspaces.removeUser(context.params.id);
+        return null;
+    });
+
+    // --- Workspaces ---
+
+    route('GET', '/workspaces', ({ user }) => {
+        const active = workspaces.getActive(user);
+        return { workspaces: workspaces.forUser(user).map(publicWorkspace), activeId: active.id };
+    });
+
+    route('PUT', '/workspaces/active', context => {
+        openWorkspace(context, context.body.id);
+        workspaces.setActive(context.user, context.body.id);
+        return null;
+    });
+
+    route('POST', '/workspaces', ({ user, body }) => ({
+        workspace: publicWorkspace(workspaces.createTeam(body.name, user))
+    }));
+
+    route('PATCH', '/workspaces/:ws', context => {
+        openWorkspace(context, context.params.ws);
+        const { name, memberIds } = context.body;
+        return { workspace: publicWorkspace(workspaces.updateWorkspace(context.params.ws, { name, memberIds }, context.user)) };
+    });
+
+    route('DELETE', '/workspaces/:ws', async context => {
+        openWorkspace(context, context.params.ws);
+        await workspaces.deleteWorkspace(context.params.ws, context.user);
+        return null;
+    });
+
+    // --- Datasets, records, uploads and exports ---
+
+    route('GET', '/workspaces/:ws/datasets', async context => {
+        const db = await openDatabase(context, context.params.ws);
+        return {
+            datasets: db.getDatasets().map(dataset => ({
+                id: dataset.id,
+                name: dataset.name,
+                createdAt: dataset.createdAt,
+                updatedAt: dataset.updatedAt,
+                recordCount: db.getDatasetRecords(dataset.id).length,
+                columns: dataset.columns,
+                schema: db.getSchema(dataset.id),
+                uploads: db.getMetadata().uploadHistory.filter(upload => upload.datasetId === dataset.id)
+            }))
+        };
+    });
+
+    route('PATCH', '/workspaces/:ws/datasets/:id', async context => {
+        const db = await openDatabase(context, context.params.ws);
+        openDataset(db, context.params.id);
+        await db.renameDataset(context.params.id, String(context.body.name || ''));
+        return { dataset: db.getDataset(context.params.id) };
+    });
+
+    route('DELETE', '/workspaces/:ws/datasets/:id', async context => {
+        const db = await openDatabase(context, context.params.ws);
+        openDataset(db, context.params.id);
+        await db.deleteDataset(context.params.id);
+        return null;
+    });
+
+    route('GET', '/workspaces/:ws/datasets/:id/records', async context => {
+        const db = await openDatabase(context, context.params.ws);
+        const dataset = openDataset(db, context.params.id);
+        const { query } = context;
+        const records = queryRecords(db, dataset.id, query);
+
+        const pageSize = Math.min(Math.max(parseInt(query.get('pageSize'), 10) || 100, 1), 1000);
+        const page = Math.max(parseInt(query.get('page'), 10) || 1, 1);
+        return {
+            total: records.length,
+            page,
+            pageSize,
+            pages: Math.ceil(records.length / pageSize),
+            columns: dataset.columns,
+            records: records.slice((page - 1) * pageSize, page * pageSize)
+        };
+    });
+
+    // ?format is any DataExporter format; ?columns a comma-separated list
+    // (all columns by default); ?delimiter and ?encoding apply to CSV
+    route('GET', '/workspaces/:ws/datasets/:id/export', async context => {
+        const db = await openDatabase(context, context.params.ws);
+        const dataset = openDataset(db, context.params.id);
+        const { query } = context;
+        const format = DataExporter.getFormat(query.get('format'));
+        if (format.id === 'xlsx' && typeof XLSX === 'undefined') {
+            throw httpError(501, 'XLSX exports need the xlsx package on the server (npm install xlsx)');
+        }
+
+        const columns = query.get('columns') ? query.get('columns').split(',') : dataset.columns;
+        const result = DataExporter.export(queryRecords(db, dataset.id, query), {
+            format: format.id,
+            columns,
+            delimiter: query.get('delimiter') || ',',
+            encoding: query.get('encoding') || 'utf-8',
+            sheetName: dataset.name,
+            title: dataset.name
+        });
+        return {
+            file: {
+                content: result.content,
+                mimeType: result.mimeType,
+                name: `${dataset.name.replace(/[^\w.-]+/g, '_')}.${result.extension}`
+            }
+        };
+    });
+
+    route('POST', '/workspaces/:ws/uploads', async context => {
+        const db = await openDatabase(context, context.params.ws);
+        const { query } = context;
+        const datasetId = query.get('datasetId');
+        if (datasetId) openDataset(db, datasetId);
+        db.require('import');
+
+        const { parser, records, warnings } = await parseUpload(context.body, query);
+        const upload = db.beginUpload(query.get('fileName') || 'upload', datasetId, query.get('datasetName'));
+        upload.warnings = warnings;
+        upload.warningCount = warnings.length;
+        try {
+            for (let i = 0; i < records.length; i += 5000) {
+                await db.appendRecords(upload, db.transformIncoming(upload, records.slice(i, i + 5000)));
+            }
+            await db.finishUpload(upload);
+        } catch (error) {
+            await db.abortUpload(upload);
+            throw error;
+        }
+        return {
+            uploadId: upload.id,
+            datasetId: upload.datasetId,
+            parser: parser.id,
+            recordCount: upload.recordCount,
+            recipe: upload.recipe || null,
+            warningCount: warnings.length,
+            warnings: warnings.slice(0, 100)
+        };
+    }, { raw: true });
+
+    route('DELETE', '/workspaces/:ws/uploads/:id', async context => {
+        const db = await openDatabase(context, context.params.ws);
+        if (!db.getUpload(context.params.id)) throw httpError(404, 'Upload not found');
+        await db.deleteUpload(context.params.id);
+        return null;
+    });
+
+    // --- Storage calls for RemoteDatabase ---
+
+    route('GET', '/workspaces/:ws/data', async context => {
+        const { backend } = await openBackend(context, context.params.ws);
+        const { records, metadata } = await backend.load();
+        return { records, metadata: BaseDatabase.withViewState(metadata, backend.viewFor(context.user.id)), revision: backend.revision };
+    });
+
+    route('DELETE', '/workspaces/:ws/data', async context => {
+        const { backend, permissions } = await openBackend(context, context.params.ws);
+        requirePermission(permissions, 'clear');
+        await backend.clear();
+        return { revision: backend.revision };
+    });
+
+    route('GET', '/workspaces/:ws/records', async context => {
+        const { backend } = await openBackend(context, context.params.ws);
+        return { records: await backend.getRecordsWhere(context.query.get('field'), context.query.get('value')) };
+    });
+
+    // ?rollback puts back records an unfinished upload replaced; like
+    // deleting its records, that goes through whatever the revision, but
+    // only for the session that wrote them
+    route('PUT', '/workspaces/:ws/records', async context => {
+        const { backend, permissions } = await openBackend(context, context.params.ws);
+        requirePermission(permissions, 'import', 'edit');
+        if (!Array.isArray(context.body) || context.body.some(record => !record?._metadata?.id)) {
+            throw httpError(400, 'Expected an array of records with _metadata.id');
+        }
+        const rollback = context.query.get('rollback');
+        if (rollback) {
+            requirePermission(permissions, 'import');
+            const stored = new Map(backend.data.records.map(record => [record._metadata?.id, record]));
+            if (!ownsUpload(context, backend, rollback) || context.body.some(record => stored.get(record._metadata.id)?._metadata.updatedByUpload !== rollback)) {
+                throw httpError(400, 'Only records an unfinished upload replaced can be rolled back');
+            }
+        } else {
+            requireRevision(backend, Number(context.query.get('revision')));
+            claimUploads(context, backend, context.body);
+        }
+        await backend.putRecords(context.body);
+        return null;
+    });
+
+    // Deleting the records of an upload that isn't in the history yet rolls
+    // back an import, and deleting single records by id is editing; anything
+    // else is deleting data. Only the session that wrote an upload's records
+    // can roll it back, and as that only touches its own records, it goes
+    // through whatever the revision.
+    route('DELETE', '/workspaces/:ws/records', async context => {
+        const { backend, permissions } = await openBackend(context, context.params.ws);
+        const revision = Number(context.query.get('revision'));
+        if (Array.isArray(context.body.ids)) {
+            requirePermission(permissions, 'edit');
+            requireRevision(backend, revision);
+            await backend.deleteRecords(context.body.ids.map(String));
+            return null;
+        }
+        const field = context.query.get('field');
+        const value = context.query.get('value');
+        if (field === 'uploadId' && !isFinished(backend, value) &&
+            !backend.data.records.some(record => record._metadata?.uploadId === value)) {
+            // An upload that failed before writing anything
+            requirePermission(permissions, 'import');
+            return null;
+        }
+        const rollback = field === 'uploadId' && ownsUpload(context, backend, value);
+        requirePermission(permissions, rollback ? 'import' : 'delete');
+        if (!rollback) requireRevision(backend, revision);
+        await backend.deleteRecordsWhere(field, value);
+        return null;
+    });
+
+    route('PUT', '/workspaces/:ws/metadata', async context => {
+        const { backend, permissions } = await openBackend(context, context.params.ws);
+        const { metadata, revision } = context.body;
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata) || typeof revision !== 'number' ||
+            !Array.isArray(metadata.datasets) || !Array.isArray(metadata.uploadHistory)) {
+            throw httpError(400, 'Expected { metadata, revision }');
+        }
+        requireRevision(backend, revision);
+        metadataActions(backend.data.metadata, metadata).forEach(action => requirePermission(permissions, action));
+        await backend.saveMetadata(metadata);
+        metadata.uploadHistory.forEach(upload => pendingUploads.delete(`${context.params.ws}/${upload.id}`));
+        return { revision: backend.revision };
+    });
+
+    route('PUT', '/workspaces/:ws/view', async context => {
+        const { backend } = await openBackend(context, context.params.ws);
+        const { view } = context.body;
+        if (!view || typeof view !== 'object' || Array.isArray(view)) throw httpError(400, 'Expected { view }');
+        // Only view state fields are kept, so this can't smuggle in shared changes
+        const datasets = Object.entries(view.datasets || {}).map(([id, state]) => [id, Object.fromEntries(
+            BaseDatabase.VIEW_STATE.filter(field => state && typeof state === 'object' && field in state).map(field => [field, state[field]]))]);
+        await backend.saveView(context.user.id, {
+            activeDatasetId: typeof view.activeDatasetId === 'string' ? view.activeDatasetId : null,
+            datasets: Object.fromEntries(datasets)
+        });
+        return null;
+    });
+
+    // Handlers run one at a time: each reads and writes whole workspace
+    // files, and this keeps two of them from interleaving
+    let queue = Promise.resolve();
+    function serialize(task) {
+        const result = queue.then(task, task);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    // Finds the route for a request and runs it. Resolves with { status,
+    // body } where body is JSON-able, a { file } to download, or null.
+    // readBody(options) reads the request body, as JSON unless options.raw.
+    async function handle(request, url, readBody) {
+        const pathname = url.pathname.replace(/^\/api/, '').replace(/\/+$/, '') || '/';
+        let match = null;
+        const entry = routes.find(candidate => {
+            if (candidate.method !== request.method) return false;
+            match = candidate.regex.exec(pathname);
+            return Boolean(match);
+        });
+
+        try {
+            if (!entry) {
+                throw httpError(routes.some(candidate => candidate.regex.test(pathname)) ? 405 : 404, 'Not found');
+            }
+            const context = entry.auth ? authenticate(request, entry.activity) : {};
+            try {
+                context.params = Object.fromEntries(entry.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+            } catch (error) {
+                throw httpError(400, 'The URL is not valid');
+            }
+            context.query = url.searchParams;
+            context.body = await readBody(entry.raw ? { raw: true, limit: maxUploadBytes } : { limit: maxUploadBytes });
+            // Handlers read fields from JSON bodies, so those must be objects or arrays
+            if (!entry.raw && (context.body === null || typeof context.body !== 'object')) {
+                throw httpError(400, 'The request body must be a JSON object');
+            }
+
+            const body = await serialize(() => entry.handler(context));
+            return { status: body === null ? 204 : 200, body };
+        } catch (error) {
+            if (error.status) return { status: error.status, body: { error: error.message } };
+            if (error.name === 'PermissionError') return { status: 403, body: { error: error.message } };
+            // Plain errors from the models are messages for the user; other kinds are bugs
+            if (error.name === 'Error') return { status: 400, body: { error: error.message } };
+            console.error(error);
+            return { status: 500, body: { error: 'Something went wrong on the server' } };
+        }
+    }
+
+    return { handle };
+}
+
+module.exports = createApi;
@@ -0,0 +1,58 @@
+// Loads the dashboard's models into the server so both run the same code for
+// accounts, sessions, workspaces, ParseFlowDB, parsers, filters, sorting and
+// exports. They are classic browser scripts, so they run in this process's
+// global scope with localStorage backed by a FileStorage. XLSX comes from the
+// optional xlsx package; without it Excel files can't be imported or exported.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = [
+    'models/JsonFlattener.js',
+    'models/WorkbookReader.js',
+    'models/CsvReader.js',
+    'models/ParserManager.js',
+    'models/BaseDatabase.js',
+    'models/LocalStorageDatabase.js',
+    'models/IndexedDBDatabase.js',
+    'models/SchemaInference.js',
+    'models/Expression.js',
+    'models/TransformRecipe.js',
+    'models/RecordFilter.js',
+    'models/SearchQuery.js',
+    'models/SearchIndex.js',
+    'models/PivotTable.js',
+    'models/ChartBuilder.js',
+    'models/DataExporter.js',
+    'models/UserStore.js',
+    'models/AuthSession.js',
+    'models/WorkspaceStore.js',
+    'models/ParseFlowDB.js',
+    'views/BaseView.js',
+    'views/DataGridView.js'
+];
+
+const EXPORTS = [
+    'ParserManager', 'BaseDatabase', 'LocalStorageDatabase', 'RecordFilter', 'DataExporter',
+    'UserStore', 'AuthSession', 'WorkspaceStore', 'ParseFlowDB', 'DataGridView'
+];
+
+function loadModels(storage, sourceDirectory) {
+    Object.defineProperty(globalThis, 'localStorage', { value: storage, configurable: true, writable: true });
+    // Global in Node 19 and later
+    if (!globalThis.crypto) globalThis.crypto = require('crypto').webcrypto;
+    try {
+        globalThis.XLSX = require('xlsx');
+    } catch (error) {
+        globalThis.XLSX = undefined;
+    }
+
+    SCRIPTS.forEach(script => {
+        const file = path.join(sourceDirectory, script);
+        vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+    });
+    return vm.runInThisContext(`({ ${EXPORTS.join(', ')} })`);
+}
+
+module.exports = loadModels;
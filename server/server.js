@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// ParseFlow server: serves the app and the REST API in server/api.js, and
+// keeps accounts, workspaces and data in JSON files so a team can share them.
+//
+//   node server/server.js [--port 3000] [--host 127.0.0.1] [--data .parseflow/data]
+//
+// The same settings can come from PORT, HOST, PARSEFLOW_DATA_DIR and
+// PARSEFLOW_MAX_UPLOAD_MB (default 100). Pages it serves get a
+// parseflow-config.js pointing them at /api instead of browser storage.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const FileStorage = require('./FileStorage');
+const loadModels = require('./models');
+const createApi = require('./api');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+function readSettings(argv, env) {
+    const option = name => {
+        const index = argv.indexOf(`--${name}`);
+        return index >= 0 ? argv[index + 1] : undefined;
+    };
+    return {
+        port: Number(option('port') || env.PORT || 3000),
+        host: option('host') || env.HOST || '127.0.0.1',
+        dataDirectory: path.resolve(option('data') || env.PARSEFLOW_DATA_DIR || path.join(ROOT, '.parseflow', 'data')),
+        maxUploadBytes: Number(env.PARSEFLOW_MAX_UPLOAD_MB || 100) * 1024 * 1024
+    };
+}
+
+function send(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Cache-Control': 'no-store', ...headers });
+    response.end(body);
+}
+
+function sendJson(response, status, value, headers = {}) {
+    send(response, status, value === null ? undefined : JSON.stringify(value), value === null ? headers : {
+        ...headers,
+        'Content-Type': 'application/json; charset=utf-8'
+    });
+}
+
+// Rejects with a 413 once more than limit bytes arrive, and ignores the
+// rest rather than cutting the connection before the error is sent
+function readBody(request, { raw = false, limit }) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            if (!chunks) return;
+            size += chunk.length;
+            if (size > limit) {
+                chunks = null;
+                const error = new Error(`Uploads are limited to ${Math.round(limit / 1024 / 1024)} MB`);
+                error.status = 413;
+                reject(error);
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            if (!chunks) return;
+            const body = Buffer.concat(chunks);
+            if (raw) {
+                resolve(body);
+                return;
+            }
+            try {
+                resolve(body.length ? JSON.parse(body.toString('utf8')) : {});
+            } catch (error) {
+                const invalid = new Error('The request body is not valid JSON');
+                invalid.status = 400;
+                reject(invalid);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+// Files from the app directory; hidden files, the server and installed
+// packages are never served
+function serveFile(response, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        send(response, 400, 'Bad request');
+        return;
+    }
+    const relative = path.normalize(decoded).replace(/^([/\\])+/, '') || 'index.html';
+    const blocked = relative.split(/[/\\]/).some(part => part.startsWith('.') || part === 'node_modules' || part === 'server');
+    const file = path.join(ROOT, relative);
+
+    if (blocked || !file.startsWith(ROOT + path.sep)) {
+        send(response, 404, 'Not found');
+        return;
+    }
+    fs.stat(file, (error, stats) => {
+        if (error || !stats.isFile()) {
+            send(response, 404, 'Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size
+        });
+        fs.createReadStream(file).pipe(response);
+    });
+}
+
+function start(settings) {
+    const models = loadModels(new FileStorage(settings.dataDirectory), path.join(ROOT, 'src'));
+    const api = createApi(models, { maxUploadBytes: settings.maxUploadBytes });
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+            const { status, body } = await api.handle(request, url, options => readBody(request, options));
+            if (body && body.file) {
+                const { content, mimeType, name } = body.file;
+                send(response, status, typeof content === 'string' ? content : Buffer.from(content), {
+                    'Content-Type': mimeType,
+                    'Content-Disposition': `attachment; filename="${name}"`
+                });
+            } else if (status === 413) {
+                // Ends the connection once the error is sent rather than
+                // reading the rest of an oversized upload
+                response.on('finish', () => {
+                    if (!request.complete) request.destroy();
+                });
+                sendJson(response, status, body, { Connection: 'close' });
+            } else {
+                sendJson(response, status, body);
+            }
+            return;
+        }
+
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            send(response, 405, 'Method not allowed');
+            return;
+        }
+        if (url.pathname === '/parseflow-config.js') {
+            send(response, 200, "window.PARSEFLOW_SERVER = { api: '/api' };\n", { 'Content-Type': 'text/javascript; charset=utf-8' });
+            return;
+        }
+        serveFile(response, url.pathname);
+    });
+
+    server.listen(settings.port, settings.host, () => {
+        console.log(`ParseFlow server running on http://${settings.host}:${settings.port}`);
+        console.log(`Data directory: ${settings.dataDirectory}`);
+        if (typeof XLSX === 'undefined') {
+            console.log('The xlsx package is not installed; Excel imports and exports are unavailable');
+        }
+    });
+
+    const stop = () => {
+        server.close(() => process.exit(0));
+        server.closeAllConnections();
+    };
+    process.on('SIGTERM', stop);
+    process.on('SIGINT', stop);
+    return server;
+}
+
+if (require.main === module) {
+    start(readSettings(process.argv.slice(2), process.env));
+}
+
+module.exports = { start, readSettings };
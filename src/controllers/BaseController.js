@@ -0,0 +1,26 @@
+// Base class for controllers: a small event emitter views can subscribe to
+
+class BaseController {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(event, callback) {
+        (this.listeners[event] = this.listeners[event] || []).push(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+        this.listeners[event] = (this.listeners[event] || []).filter(cb => cb !== callback);
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(callback => {
+            try {
+                callback(payload);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        });
+    }
+}
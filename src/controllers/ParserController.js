@@ -0,0 +1,155 @@
+// Runs parse jobs for the dashboard
+// Parsing happens in src/workers/ParseWorker.js when the browser allows it and
+// falls back to chunked parsing on the main thread otherwise. Progress is
+// reported through 'start', 'progress' and 'done' events; rows the parser
+// had trouble with come back as warnings ({ line, message }) in the result.
+
+class ParserController extends BaseController {
+    constructor(parserManager, options = {}) {
+        super();
+        this.parserManager = parserManager;
+        this.workerUrl = options.workerUrl || 'src/workers/ParseWorker.js';
+        this.batchSize = options.batchSize || 5000;
+        this.maxWarnings = options.maxWarnings || 1000;
+        this.job = null;
+    }
+
+    isBusy() {
+        return this.job !== null;
+    }
+
+    // Parses one file and passes its records to onBatch in batches. onBatch may
+    // return a promise; batches are delivered one at a time, in order.
+    // overrides replace saved parser options for this file only; maxRows
+    // stops after the first rows, e.g. for a preview.
+    async parseFile(file, onBatch, overrides = {}, { maxRows = null } = {}) {
+        const parser = await this.parserManager.detect(file);
+        const options = { ...this.parserManager.getOptions(parser.id), ...overrides };
+        const job = { file, parser, maxRows, cancelled: false, abort: null, warnings: [], warningCount: 0 };
+
+        this.job = job;
+        this.emit('start', { file, parser });
+
+        try {
+            const rows = parser.worker && typeof Worker !== 'undefined'
+                ? await this.runInWorker(job, options, onBatch)
+                : await this.runInline(job, options, onBatch);
+
+            this.emit('done', { file, parser, rows, warningCount: job.warningCount });
+            return { parser, rows, warnings: job.warnings, warningCount: job.warningCount };
+        } finally {
+            this.job = null;
+        }
+    }
+
+    cancel() {
+        const job = this.job;
+        if (!job || job.cancelled) return;
+
+        job.cancelled = true;
+        if (job.abort) {
+            job.abort();
+        }
+    }
+
+    runInline(job, options, onBatch) {
+        return this.parserManager.parseInChunks(job.file, job.parser, options, {
+            batchSize: this.batchSize,
+            maxRows: job.maxRows || Infinity,
+            isCancelled: () => job.cancelled,
+            onProgress: progress => this.reportProgress(job, progress),
+            onWarnings: warnings => this.addWarnings(job, warnings),
+            onBatch
+        });
+    }
+
+    runInWorker(job, options, onBatch) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                // Pages opened from file:// cannot start workers in some browsers
+                this.runInline(job, options, onBatch).then(resolve, reject);
+                return;
+            }
+
+            let started = false;
+            let settled = false;
+            let queue = Promise.resolve();
+
+            const finish = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                worker.terminate();
+                job.abort = null;
+                callback(value);
+            };
+
+            // Stop the worker straight away, but only reject once any batch
+            // that is already being stored has finished
+            job.abort = () => {
+                worker.terminate();
+                const rejectCancelled = () => finish(reject, ParserManager.cancelledError());
+                queue.then(rejectCancelled, rejectCancelled);
+            };
+
+            worker.onmessage = e => {
+                const message = e.data;
+                started = true;
+
+                switch (message.type) {
+                    case 'progress':
+                        this.reportProgress(job, message.progress);
+                        break;
+                    case 'batch':
+                        queue = queue.then(() => job.cancelled ? null : onBatch(message.records));
+                        break;
+                    case 'warnings':
+                        this.addWarnings(job, message.warnings);
+                        break;
+                    case 'done':
+                        queue.then(() => finish(resolve, message.rows), error => finish(reject, error));
+                        break;
+                    case 'error':
+                        finish(reject, new Error(message.message));
+                        break;
+                }
+            };
+
+            worker.onerror = e => {
+                e.preventDefault();
+                if (!started && !job.cancelled) {
+                    // The worker script could not load; parse here instead
+                    settled = true;
+                    worker.terminate();
+                    job.abort = null;
+                    this.runInline(job, options, onBatch).then(resolve, reject);
+                } else {
+                    finish(reject, new Error(e.message || 'Parse worker failed'));
+                }
+            };
+
+            worker.postMessage({
+                file: job.file,
+                parserId: job.parser.id,
+                options,
+                batchSize: this.batchSize,
+                maxRows: job.maxRows
+            });
+        });
+    }
+
+    // Keeps the first maxWarnings warnings but counts them all
+    addWarnings(job, warnings) {
+        job.warningCount += warnings.length;
+        const room = this.maxWarnings - job.warnings.length;
+        if (room > 0) {
+            warnings.slice(0, room).forEach(warning => job.warnings.push(warning));
+        }
+    }
+
+    reportProgress(job, progress) {
+        this.emit('progress', { file: job.file, parser: job.parser, ...progress });
+    }
+}
@@ -0,0 +1,155 @@
+// Login sessions
+// Signing in creates a random token; the session records live in localStorage
+// so every tab sees them, keyed by token:
+//   { token, userId, createdAt, expiresAt, lastActiveAt, remember }
+// A tab finds its own token in sessionStorage, or in localStorage when
+// "Remember me" was ticked so it survives closing the browser. Normal sessions
+// end after SESSION_HOURS, or after IDLE_MINUTES without activity in any tab;
+// remembered ones last REMEMBER_DAYS. Signing out deletes the record, and
+// watch() notices that from the other tabs through the storage event.
+// The ParseFlow server keeps its sessions with this class too, passing the
+// token from each request instead of reading it from the tab.
+
+class AuthSession {
+    constructor(users = new UserStore(), key = 'parseflow_sessions') {
+        this.users = users;
+        this.key = key;
+        // When each token was last touched
+        this.touched = new Map();
+    }
+
+    loadSessions() {
+        try {
+            return JSON.parse(localStorage.getItem(this.key) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Drops expired sessions whenever the list is written
+    saveSessions(sessions, now = Date.now()) {
+        Object.keys(sessions).forEach(token => {
+            if (!AuthSession.isActive(sessions[token], now)) delete sessions[token];
+        });
+        localStorage.setItem(this.key, JSON.stringify(sessions));
+    }
+
+    static isActive(session, now = Date.now()) {
+        if (!session || now >= session.expiresAt) return false;
+        return session.remember || now - session.lastActiveAt < AuthSession.IDLE_MINUTES * 60 * 1000;
+    }
+
+    token() {
+        return sessionStorage.getItem(AuthSession.TOKEN_KEY) || localStorage.getItem(AuthSession.TOKEN_KEY);
+    }
+
+    // Records a session for user; start() also keeps its token in this tab
+    createSession(user, remember = false) {
+        const now = Date.now();
+        const session = {
+            token: UserStore.randomId() + UserStore.randomId(),
+            userId: user.id,
+            createdAt: now,
+            expiresAt: now + (remember ? AuthSession.REMEMBER_DAYS * 24 : AuthSession.SESSION_HOURS) * 60 * 60 * 1000,
+            lastActiveAt: now,
+            remember
+        };
+        const sessions = this.loadSessions();
+        sessions[session.token] = session;
+        this.saveSessions(sessions, now);
+        return session;
+    }
+
+    start(user, remember = false) {
+        const session = this.createSession(user, remember);
+        (remember ? localStorage : sessionStorage).setItem(AuthSession.TOKEN_KEY, session.token);
+        return session;
+    }
+
+    async signIn(login, password, remember = false) {
+        const user = await this.users.authenticate(login, password);
+        this.start(user, remember);
+        return user;
+    }
+
+    // First-time setup: creates the admin account and signs it in
+    async setUp(details) {
+        const admin = await this.users.createInitialAdmin(details);
+        this.start(admin, false);
+        return admin;
+    }
+
+    // The signed-in user, or null when there is no live session or the
+    // account has been suspended or removed since
+    current(token = this.token()) {
+        const session = token ? this.loadSessions()[token] : null;
+        if (!AuthSession.isActive(session)) return null;
+
+        const user = this.users.getUser(session.userId);
+        return user && user.status === 'approved' ? UserStore.publicUser(user) : null;
+    }
+
+    // current() for pages that can wait; ServerSession asks the server
+    async refresh() {
+        return this.current();
+    }
+
+    // Called on user activity; writes at most once a minute per session
+    touch(token = this.token()) {
+        const now = Date.now();
+        if (now - (this.touched.get(token) || 0) < 60 * 1000) return;
+        this.touched.set(token, now);
+
+        const sessions = this.loadSessions();
+        const session = sessions[token];
+        if (!AuthSession.isActive(session, now)) return;
+        session.lastActiveAt = now;
+        this.saveSessions(sessions, now);
+    }
+
+    end() {
+        this.endSession(this.token());
+        sessionStorage.removeItem(AuthSession.TOKEN_KEY);
+        localStorage.removeItem(AuthSession.TOKEN_KEY);
+    }
+
+    endSession(token) {
+        const sessions = this.loadSessions();
+        delete sessions[token];
+        this.saveSessions(sessions);
+    }
+
+    // Signs a user out everywhere, e.g. after their password is reset;
+    // keepToken spares the session doing the reset
+    endSessionsFor(userId, keepToken = null) {
+        const sessions = this.loadSessions();
+        Object.keys(sessions).forEach(token => {
+            if (sessions[token].userId === userId && token !== keepToken) delete sessions[token];
+        });
+        this.saveSessions(sessions);
+    }
+
+    // Keeps the session alive while the page is used and calls onEnd once it
+    // expires, goes idle or is ended in another tab
+    watch(onEnd) {
+        let ended = false;
+        const check = () => {
+            if (ended || this.current()) return;
+            ended = true;
+            onEnd();
+        };
+
+        ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(type => {
+            window.addEventListener(type, () => this.touch(), { passive: true, capture: true });
+        });
+        window.addEventListener('storage', event => {
+            if (event.key === this.key || event.key === AuthSession.TOKEN_KEY || event.key === this.users.key) check();
+        });
+        setInterval(check, 30 * 1000);
+    }
+}
+
+AuthSession.TOKEN_KEY = 'parseflow_session_token';
+AuthSession.SESSION_HOURS = 12;
+AuthSession.IDLE_MINUTES = 30;
+AuthSession.REMEMBER_DAYS = 30;
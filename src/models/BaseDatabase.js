@@ -0,0 +1,106 @@
+// Storage backend interface for ParseFlowDB
+// Backends persist records (keyed by _metadata.id) and one metadata object.
+// Every method returns a promise; writes reject on failure, including quota
+// errors, so callers can tell the user instead of losing data silently.
+
+class BaseDatabase {
+    static emptyData() {
+        return {
+            records: [],
+            metadata: {
+                totalFiles: 0,
+                lastUpdated: null,
+                uploadHistory: [],
+                datasets: [],
+                activeDatasetId: null
+            }
+        };
+    }
+
+    static generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    // Metadata without the view state each user has of their own (the open
+    // dataset, and each dataset's applied filter, grid layout, chart and
+    // pivot), and that view state: { activeDatasetId, datasets: { id: state } }.
+    // The ParseFlow server keeps the two apart so one member's view changes
+    // don't conflict with another's edits.
+    static splitViewState(metadata) {
+        const view = { activeDatasetId: metadata.activeDatasetId || null, datasets: {} };
+        const datasets = (metadata.datasets || []).map(dataset => {
+            const shared = { ...dataset };
+            const state = {};
+            BaseDatabase.VIEW_STATE.forEach(field => {
+                if (!(field in shared)) return;
+                state[field] = shared[field];
+                delete shared[field];
+            });
+            if (Object.keys(state).length > 0) view.datasets[dataset.id] = state;
+            return shared;
+        });
+        const shared = { ...metadata, datasets };
+        delete shared.activeDatasetId;
+        return { metadata: shared, view };
+    }
+
+    // Puts a user's view state back into metadata; without one, metadata is
+    // returned as it is
+    static withViewState(metadata, view) {
+        if (!view) return metadata;
+        const datasets = (metadata.datasets || []).map(dataset => ({ ...dataset, ...view.datasets?.[dataset.id] }));
+        const active = datasets.some(dataset => dataset.id === view.activeDatasetId) ? view.activeDatasetId : null;
+        return { ...metadata, datasets, activeDatasetId: active || metadata.activeDatasetId || null };
+    }
+
+    static isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+
+    get name() {
+        return this.constructor.name;
+    }
+
+    async open() {}
+
+    // Resolves with { records, metadata }
+    async load() {
+        throw new Error(`${this.name} must implement load()`);
+    }
+
+    // options.rollback is the id of an upload being rolled back, when the
+    // records are the versions it replaced
+    async putRecords(records, options = {}) {
+        throw new Error(`${this.name} must implement putRecords()`);
+    }
+
+    // field is a _metadata field such as 'datasetId', 'uploadId' or 'fileName'
+    async getRecordsWhere(field, value) {
+        throw new Error(`${this.name} must implement getRecordsWhere()`);
+    }
+
+    async deleteRecordsWhere(field, value) {
+        throw new Error(`${this.name} must implement deleteRecordsWhere()`);
+    }
+
+    // ids are _metadata.id values
+    async deleteRecords(ids) {
+        throw new Error(`${this.name} must implement deleteRecords()`);
+    }
+
+    async saveMetadata(metadata) {
+        throw new Error(`${this.name} must implement saveMetadata()`);
+    }
+
+    async clear() {
+        throw new Error(`${this.name} must implement clear()`);
+    }
+}
+
+// Dataset fields that are view state, see splitViewState()
+BaseDatabase.VIEW_STATE = ['activeFilter', 'gridLayout', 'chart', 'pivot'];
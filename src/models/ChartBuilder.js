@@ -0,0 +1,416 @@
+// Chart data built from records
+// A chart is described by a plain object so it can be saved with the dataset:
+//   { type, x, series: [{ column, aggregation }], groupBy, stacked,
+//     bucket: 'auto' | 'day' | 'week' | 'month', topN, other, size }
+// Category charts (bar, line, area, pie, doughnut, radar) group records by
+// the X field, or by day, week or month when X is a date, and aggregate each
+// series with the pivot table's accumulators. groupBy splits every series
+// into one dataset per value. Scatter and bubble charts plot one point per
+// record against a numeric or date X axis. build() returns the labels and
+// datasets; toChartJs() and ChartSvg turn them into a chart.
+
+class ChartBuilder {
+    static createConfig() {
+        return { type: 'bar', x: '', series: [], groupBy: '', stacked: false, bucket: 'auto', topN: 0, other: true, size: '' };
+    }
+
+    static getType(id) {
+        return ChartBuilder.TYPES.find(type => type.id === id) || ChartBuilder.TYPES[0];
+    }
+
+    static isPointChart(type) {
+        return type === 'scatter' || type === 'bubble';
+    }
+
+    static isRadial(type) {
+        return type === 'pie' || type === 'doughnut';
+    }
+
+    static canStack(type) {
+        return type === 'bar' || type === 'line' || type === 'area';
+    }
+
+    // Aggregations with a numeric result, so they can be plotted
+    static aggregationsFor(type) {
+        const temporal = SchemaInference.isTemporal(type);
+        return PivotTable.aggregationsFor(type).filter(aggregation => !temporal || !['min', 'max'].includes(aggregation.id));
+    }
+
+    // Series to draw; category charts count records when none are chosen
+    static seriesOf(config) {
+        if (config.series.length || ChartBuilder.isPointChart(config.type)) return config.series;
+        return [{ column: null, aggregation: 'count' }];
+    }
+
+    // Why the config can't be drawn, or null when it can
+    static validate(config, schema = {}) {
+        const typeOf = column => schema[column]?.type;
+        if (!config.x) return 'Choose a field for the X axis';
+
+        if (ChartBuilder.isPointChart(config.type)) {
+            const xType = typeOf(config.x);
+            if (!SchemaInference.isNumeric(xType) && !SchemaInference.isTemporal(xType)) {
+                return 'Scatter and bubble charts need a number or date field on the X axis';
+            }
+            if (config.series.length === 0) return 'Add a numeric field to plot';
+            const text = config.series.find(series => !SchemaInference.isNumeric(typeOf(series.column)));
+            if (text) return `${text.column} is not numeric, so it can't be plotted on a scatter chart`;
+        }
+        return null;
+    }
+
+    static build(records, config, schema = {}, formatName = name => name) {
+        return ChartBuilder.isPointChart(config.type)
+            ? ChartBuilder.buildPoints(records, config, schema, formatName)
+            : ChartBuilder.buildCategories(records, config, schema, formatName);
+    }
+
+    static seriesLabel(series, formatName) {
+        return series.column ? PivotTable.valueLabel(series, formatName) : 'Count of records';
+    }
+
+    // Returns { type, labels, datasets: [{ label, data, stack }], xTitle, yTitle, notes }
+    static buildCategories(records, config, schema, formatName) {
+        const xType = schema[config.x]?.type;
+        const temporal = SchemaInference.isTemporal(xType);
+        const series = ChartBuilder.seriesOf(config);
+        const notes = [];
+
+        let bucket = null;
+        if (temporal) {
+            bucket = config.bucket === 'auto' || !config.bucket ? ChartBuilder.chooseBucket(records, config.x) : config.bucket;
+        }
+        const keyOf = temporal
+            ? record => {
+                const date = ChartBuilder.toDate(record[config.x]);
+                return date ? ChartBuilder.bucketOf(date, bucket) : null;
+            }
+            : record => PivotTable.keyOf(record[config.x]);
+        const splitOf = config.groupBy ? record => PivotTable.keyOf(record[config.groupBy]) : () => '';
+
+        // First pass: every record's category and group, and the first
+        // series per category and per group to rank them by
+        const keys = records.map(keyOf);
+        const splits = records.map(splitOf);
+        const rankCategories = new Map();
+        const rankSplits = new Map();
+        records.forEach((record, index) => {
+            if (keys[index] === null) return;
+            ChartBuilder.accumulate(rankCategories, keys[index], record, series[0], schema);
+            if (config.groupBy) ChartBuilder.accumulate(rankSplits, splits[index], record, series[0], schema);
+        });
+
+        let categories = Array.from(rankCategories.keys());
+        const other = ChartBuilder.OTHER;
+        let categoryMap = null;
+        const topN = Number(config.topN) || 0;
+        if (!temporal && topN > 0 && categories.length > topN) {
+            const ranked = ChartBuilder.rank(rankCategories);
+            const kept = new Set(ranked.slice(0, topN));
+            categoryMap = key => kept.has(key) ? key : config.other ? other : null;
+            categories = ranked.slice(0, topN).concat(config.other ? [other] : []);
+            notes.push(`Top ${topN} of ${rankCategories.size.toLocaleString()} ${formatName(config.x)} values${config.other ? ', the rest grouped as Other' : ''}`);
+        } else {
+            categories.sort((a, b) => SchemaInference.compare(a, b, temporal ? 'text' : xType));
+        }
+
+        let groups = [''];
+        let groupMap = null;
+        if (config.groupBy) {
+            const ranked = ChartBuilder.rank(rankSplits);
+            if (ranked.length > ChartBuilder.MAX_GROUPS) {
+                const kept = new Set(ranked.slice(0, ChartBuilder.MAX_GROUPS - 1));
+                groupMap = key => kept.has(key) ? key : other;
+                groups = ranked.slice(0, ChartBuilder.MAX_GROUPS - 1).concat([other]);
+                notes.push(`${ranked.length.toLocaleString()} ${formatName(config.groupBy)} values; the smallest are grouped as Other`);
+            } else {
+                groups = ranked.slice().sort((a, b) => SchemaInference.compare(a, b, schema[config.groupBy]?.type));
+            }
+        }
+
+        // Second pass: aggregate every series per category and group
+        const cells = new Map();
+        records.forEach((record, index) => {
+            let key = keys[index];
+            if (key === null) return;
+            if (categoryMap) key = categoryMap(key);
+            if (key === null) return;
+            const split = groupMap ? groupMap(splits[index]) : splits[index];
+
+            const cellKey = `${key}\u001f${split}`;
+            let accumulators = cells.get(cellKey);
+            if (!accumulators) {
+                accumulators = series.map(value => PivotTable.accumulator(value, schema));
+                cells.set(cellKey, accumulators);
+            }
+            accumulators.forEach(accumulator => accumulator.add(record));
+        });
+
+        const results = new Map();
+        cells.forEach((accumulators, key) => results.set(key, accumulators.map(accumulator => accumulator.result())));
+
+        const datasets = [];
+        groups.forEach(group => {
+            series.forEach((value, seriesIndex) => {
+                const seriesLabel = ChartBuilder.seriesLabel(value, formatName);
+                let label = seriesLabel;
+                if (config.groupBy) {
+                    label = series.length > 1 ? `${ChartBuilder.label(group)} – ${seriesLabel}` : ChartBuilder.label(group);
+                }
+                datasets.push({
+                    label,
+                    stack: String(seriesIndex),
+                    data: categories.map(category => {
+                        const result = results.get(`${category}\u001f${group}`);
+                        return result ? result[seriesIndex] : null;
+                    })
+                });
+            });
+        });
+
+        return {
+            type: config.type,
+            labels: categories.map(category => temporal ? ChartBuilder.bucketLabel(category, bucket) : ChartBuilder.label(category)),
+            datasets,
+            stacked: Boolean(config.stacked) && ChartBuilder.canStack(config.type),
+            xTitle: temporal ? `${formatName(config.x)} (by ${bucket})` : formatName(config.x),
+            yTitle: series.length === 1 ? ChartBuilder.seriesLabel(series[0], formatName) : '',
+            notes
+        };
+    }
+
+    static label(key) {
+        return key === ChartBuilder.OTHER ? 'Other' : PivotTable.label(key);
+    }
+
+    static accumulate(map, key, record, series, schema) {
+        let accumulator = map.get(key);
+        if (!accumulator) {
+            accumulator = PivotTable.accumulator(series, schema);
+            map.set(key, accumulator);
+        }
+        accumulator.add(record);
+    }
+
+    // Keys of a map of accumulators, largest result first
+    static rank(map) {
+        return Array.from(map.entries())
+            .map(([key, accumulator]) => ({ key, value: accumulator.result() ?? -Infinity }))
+            .sort((a, b) => b.value - a.value)
+            .map(entry => entry.key);
+    }
+
+    // Returns { type, datasets: [{ label, data: [{ x, y, r }] }], xDates, ... }
+    static buildPoints(records, config, schema, formatName) {
+        const temporal = SchemaInference.isTemporal(schema[config.x]?.type);
+        const toX = temporal
+            ? value => ChartBuilder.toDate(value)?.getTime() ?? null
+            : SchemaInference.toNumber;
+        const notes = [];
+
+        let radius = () => 6;
+        if (config.type === 'bubble' && config.size) {
+            let min = Infinity;
+            let max = -Infinity;
+            records.forEach(record => {
+                const size = SchemaInference.toNumber(record[config.size]);
+                if (size === null) return;
+                min = Math.min(min, size);
+                max = Math.max(max, size);
+            });
+            const span = max - min || 1;
+            radius = record => {
+                const size = SchemaInference.toNumber(record[config.size]);
+                return size === null ? 3 : 4 + 16 * Math.sqrt((size - min) / span);
+            };
+        }
+
+        const groupKey = config.groupBy ? record => PivotTable.keyOf(record[config.groupBy]) : () => '';
+        const groups = new Map();
+        records.forEach(record => {
+            const key = groupKey(record);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(record);
+        });
+        let groupKeys = Array.from(groups.keys()).sort((a, b) => SchemaInference.compare(a, b, schema[config.groupBy]?.type));
+        if (groupKeys.length > ChartBuilder.MAX_GROUPS) {
+            notes.push(`Showing the first ${ChartBuilder.MAX_GROUPS} of ${groupKeys.length.toLocaleString()} ${formatName(config.groupBy)} values`);
+            groupKeys = groupKeys.slice(0, ChartBuilder.MAX_GROUPS);
+        }
+
+        const datasets = [];
+        let sampled = false;
+        groupKeys.forEach(group => {
+            config.series.forEach(series => {
+                let points = [];
+                groups.get(group).forEach(record => {
+                    const x = toX(record[config.x]);
+                    const y = SchemaInference.toNumber(record[series.column]);
+                    if (x === null || y === null) return;
+                    points.push(config.type === 'bubble' ? { x, y, r: radius(record) } : { x, y });
+                });
+                if (points.length > ChartBuilder.MAX_POINTS) {
+                    const step = points.length / ChartBuilder.MAX_POINTS;
+                    points = Array.from({ length: ChartBuilder.MAX_POINTS }, (_, index) => points[Math.floor(index * step)]);
+                    sampled = true;
+                }
+
+                const seriesLabel = formatName(series.column);
+                datasets.push({
+                    label: config.groupBy ? (config.series.length > 1 ? `${ChartBuilder.label(group)} – ${seriesLabel}` : ChartBuilder.label(group)) : seriesLabel,
+                    data: points
+                });
+            });
+        });
+        if (sampled) notes.push(`Series with more than ${ChartBuilder.MAX_POINTS.toLocaleString()} points are sampled evenly`);
+
+        return {
+            type: config.type,
+            datasets,
+            stacked: false,
+            xDates: temporal,
+            xTitle: formatName(config.x),
+            yTitle: config.series.length === 1 ? formatName(config.series[0].column) : '',
+            notes
+        };
+    }
+
+    static toDate(value) {
+        return SchemaInference.parseDate(value instanceof Date ? value : String(value ?? '').trim());
+    }
+
+    // Day buckets for up to three months of data, weeks up to two years,
+    // months beyond that
+    static chooseBucket(records, column) {
+        let min = Infinity;
+        let max = -Infinity;
+        records.forEach(record => {
+            const date = ChartBuilder.toDate(record[column]);
+            if (!date) return;
+            min = Math.min(min, date.getTime());
+            max = Math.max(max, date.getTime());
+        });
+        const days = (max - min) / 86400000;
+        if (!(days > 92)) return 'day';
+        return days <= 731 ? 'week' : 'month';
+    }
+
+    // Sortable bucket keys in UTC: 2024-03-15, the Monday 2024-03-11, or 2024-03
+    static bucketOf(date, bucket) {
+        if (bucket === 'month') return date.toISOString().slice(0, 7);
+        if (bucket === 'week') {
+            const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - (date.getUTCDay() + 6) % 7));
+            return SchemaInference.formatDate(monday);
+        }
+        return SchemaInference.formatDate(date);
+    }
+
+    static bucketLabel(key, bucket) {
+        return bucket === 'week' ? `Week of ${key}` : key;
+    }
+
+    static color(index, alpha = 1) {
+        return `rgba(${ChartBuilder.COLORS[index % ChartBuilder.COLORS.length]}, ${alpha})`;
+    }
+
+    // Chart.js configuration for a build() result
+    static toChartJs(chart, title) {
+        const radial = ChartBuilder.isRadial(chart.type);
+        const area = chart.type === 'area';
+        const points = ChartBuilder.isPointChart(chart.type);
+
+        const datasets = chart.datasets.map((dataset, index) => {
+            if (radial) {
+                return {
+                    label: dataset.label,
+                    data: dataset.data,
+                    backgroundColor: chart.labels.map((_, slice) => ChartBuilder.color(slice, 0.7)),
+                    borderColor: '#ffffff',
+                    borderWidth: 2
+                };
+            }
+            return {
+                label: dataset.label,
+                data: dataset.data,
+                stack: chart.stacked ? dataset.stack : undefined,
+                backgroundColor: ChartBuilder.color(index, points ? 0.5 : area ? 0.35 : 0.7),
+                borderColor: ChartBuilder.color(index),
+                borderWidth: 2,
+                fill: area ? (chart.stacked && index > 0 ? '-1' : 'origin') : false,
+                tension: chart.type === 'line' || area ? 0.3 : 0,
+                spanGaps: true
+            };
+        });
+
+        const formatDate = value => SchemaInference.formatDate(new Date(value));
+        const scales = radial || chart.type === 'radar' ? {} : {
+            x: {
+                type: points ? 'linear' : 'category',
+                stacked: chart.stacked,
+                title: { display: Boolean(chart.xTitle), text: chart.xTitle },
+                ticks: chart.xDates ? { callback: formatDate } : {}
+            },
+            y: {
+                stacked: chart.stacked,
+                beginAtZero: true,
+                title: { display: Boolean(chart.yTitle), text: chart.yTitle }
+            }
+        };
+
+        return {
+            type: area ? 'line' : chart.type,
+            data: { labels: chart.labels, datasets },
+            options: {
+                responsive: true,
+                scales,
+                plugins: {
+                    title: { display: true, text: title },
+                    legend: { display: radial || datasets.length > 1 },
+                    tooltip: chart.xDates ? {
+                        callbacks: { title: items => items.length ? formatDate(items[0].parsed.x) : '' }
+                    } : {}
+                }
+            },
+            // Paint a white background so exported images aren't transparent
+            plugins: [{
+                id: 'whiteBackground',
+                beforeDraw: instance => {
+                    const context = instance.ctx;
+                    context.save();
+                    context.globalCompositeOperation = 'destination-over';
+                    context.fillStyle = '#ffffff';
+                    context.fillRect(0, 0, instance.width, instance.height);
+                    context.restore();
+                }
+            }]
+        };
+    }
+}
+
+ChartBuilder.TYPES = [
+    { id: 'bar', label: 'Bar Chart' },
+    { id: 'line', label: 'Line Chart' },
+    { id: 'area', label: 'Area Chart' },
+    { id: 'pie', label: 'Pie Chart' },
+    { id: 'doughnut', label: 'Doughnut Chart' },
+    { id: 'radar', label: 'Radar Chart' },
+    { id: 'scatter', label: 'Scatter Plot' },
+    { id: 'bubble', label: 'Bubble Chart' }
+];
+
+ChartBuilder.BUCKETS = [
+    { id: 'auto', label: 'Automatic' },
+    { id: 'day', label: 'Day' },
+    { id: 'week', label: 'Week' },
+    { id: 'month', label: 'Month' }
+];
+
+ChartBuilder.OTHER = '\u0000other';
+ChartBuilder.MAX_GROUPS = 12;
+ChartBuilder.MAX_POINTS = 5000;
+
+ChartBuilder.COLORS = [
+    '59, 130, 246', '147, 51, 234', '6, 182, 212', '251, 146, 60', '34, 197, 94',
+    '236, 72, 153', '234, 179, 8', '99, 102, 241', '20, 184, 166', '239, 68, 68',
+    '132, 204, 22', '107, 114, 128'
+];
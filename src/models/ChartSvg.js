@@ -0,0 +1,317 @@
+// SVG export of a ChartBuilder.build() result
+// Chart.js only draws on a canvas, so vector output is drawn here from the
+// same labels and datasets: bars (grouped or stacked), lines and areas,
+// scatter and bubble points, pie and doughnut rings, and radar polygons,
+// with a title and a legend.
+
+class ChartSvg {
+    static render(chart, title = '', width = 960, height = 540) {
+        const svg = new ChartSvg(chart, title, width, height);
+        return svg.toString();
+    }
+
+    constructor(chart, title, width, height) {
+        this.chart = chart;
+        this.title = title;
+        this.width = width;
+        this.height = height;
+        this.parts = [];
+    }
+
+    toString() {
+        const { chart, width, height } = this;
+        this.add(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+        this.add(this.text(width / 2, 28, this.title, { size: 16, weight: 600, anchor: 'middle' }));
+
+        const legendBottom = this.legend();
+        const area = { left: 70, right: width - 20, top: legendBottom + 16, bottom: height - 70 };
+
+        if (ChartBuilder.isRadial(chart.type)) this.drawPie(area);
+        else if (chart.type === 'radar') this.drawRadar(area);
+        else if (ChartBuilder.isPointChart(chart.type)) this.drawPoints(area);
+        else this.drawCategories(area);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Inter, Arial, sans-serif">\n${this.parts.join('\n')}\n</svg>\n`;
+    }
+
+    add(markup) {
+        this.parts.push(markup);
+    }
+
+    static escape(value) {
+        return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    text(x, y, content, { size = 11, weight = 400, anchor = 'start', color = '#374151', rotate = 0 } = {}) {
+        const transform = rotate ? ` transform="rotate(${rotate} ${x} ${y})"` : '';
+        return `<text x="${ChartSvg.round(x)}" y="${ChartSvg.round(y)}" font-size="${size}" font-weight="${weight}" text-anchor="${anchor}" fill="${color}"${transform}>${ChartSvg.escape(content)}</text>`;
+    }
+
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // Legend entries wrap across rows under the title; returns their bottom edge
+    legend() {
+        const { chart } = this;
+        const radial = ChartBuilder.isRadial(chart.type);
+        const entries = radial ? chart.labels : chart.datasets.map(dataset => dataset.label);
+        if (!radial && entries.length < 2) return 40;
+
+        let x = 20;
+        let y = 52;
+        entries.forEach((label, index) => {
+            const text = String(label).slice(0, 40);
+            const entryWidth = 24 + text.length * 6.5;
+            if (x + entryWidth > this.width - 20) {
+                x = 20;
+                y += 18;
+            }
+            this.add(`<rect x="${x}" y="${y - 9}" width="12" height="12" rx="2" fill="${ChartBuilder.color(index, 0.7)}"/>`);
+            this.add(this.text(x + 16, y + 1, text));
+            x += entryWidth;
+        });
+        return y + 8;
+    }
+
+    // Tick values covering min..max at a round step
+    static ticks(min, max, count = 5) {
+        if (min === max) {
+            min = min > 0 ? 0 : min - 1;
+            max = max > 0 ? max : max + 1;
+        }
+        const raw = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= raw);
+        const start = Math.floor(min / step) * step;
+        const ticks = [];
+        for (let value = start; value <= max + step / 2; value += step) {
+            ticks.push(Math.round(value / step) * step);
+        }
+        return ticks;
+    }
+
+    static formatNumber(value) {
+        return Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+
+    // Horizontal grid lines and labels for the value axis; returns the scale
+    valueAxis(area, min, max, format = ChartSvg.formatNumber) {
+        const ticks = ChartSvg.ticks(Math.min(min, 0), max);
+        const low = ticks[0];
+        const high = ticks[ticks.length - 1];
+        const scale = value => area.bottom - (value - low) / (high - low || 1) * (area.bottom - area.top);
+
+        ticks.forEach(tick => {
+            const y = scale(tick);
+            this.add(`<line x1="${area.left}" y1="${ChartSvg.round(y)}" x2="${area.right}" y2="${ChartSvg.round(y)}" stroke="#e5e7eb"/>`);
+            this.add(this.text(area.left - 8, y + 4, format(tick), { anchor: 'end', color: '#6b7280' }));
+        });
+        if (this.chart.yTitle) {
+            this.add(this.text(18, (area.top + area.bottom) / 2, this.chart.yTitle, { anchor: 'middle', rotate: -90, weight: 600 }));
+        }
+        return scale;
+    }
+
+    xTitle(area) {
+        if (this.chart.xTitle) {
+            this.add(this.text((area.left + area.right) / 2, this.height - 12, this.chart.xTitle, { anchor: 'middle', weight: 600 }));
+        }
+    }
+
+    drawCategories(area) {
+        const { chart } = this;
+        const labels = chart.labels;
+        const count = Math.max(labels.length, 1);
+        const band = (area.right - area.left) / count;
+
+        // Stacks add up per category; positives and negatives separately
+        const stackOf = dataset => chart.stacked ? dataset.stack : dataset.label;
+        const stacks = Array.from(new Set(chart.datasets.map(stackOf)));
+        const totals = labels.map(() => new Map());
+        let min = 0;
+        let max = 0;
+        chart.datasets.forEach(dataset => {
+            dataset.data.forEach((value, index) => {
+                if (value === null || value === undefined) return;
+                if (!chart.stacked) {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                    return;
+                }
+                const key = `${stackOf(dataset)}${value < 0 ? '-' : '+'}`;
+                const total = (totals[index].get(key) || 0) + value;
+                totals[index].set(key, total);
+                min = Math.min(min, total);
+                max = Math.max(max, total);
+            });
+        });
+        const scale = this.valueAxis(area, min, max);
+        const baseline = scale(0);
+
+        const step = Math.ceil(count / 40);
+        labels.forEach((label, index) => {
+            if (index % step) return;
+            const x = area.left + band * (index + 0.5);
+            const rotate = count > 12 ? -40 : 0;
+            this.add(this.text(x, area.bottom + 16, String(label).slice(0, 24), { anchor: rotate ? 'end' : 'middle', rotate, color: '#6b7280' }));
+        });
+        this.xTitle(area);
+
+        const offsets = labels.map(() => new Map());
+        chart.datasets.forEach((dataset, datasetIndex) => {
+            const color = ChartBuilder.color(datasetIndex);
+            const fill = ChartBuilder.color(datasetIndex, chart.type === 'area' ? 0.35 : 0.7);
+            const stackIndex = stacks.indexOf(stackOf(dataset));
+            const points = [];
+
+            dataset.data.forEach((value, index) => {
+                if (value === null || value === undefined) {
+                    points.push(null);
+                    return;
+                }
+                const key = `${stackOf(dataset)}${value < 0 ? '-' : '+'}`;
+                const start = chart.stacked ? offsets[index].get(key) || 0 : 0;
+                const end = start + value;
+                if (chart.stacked) offsets[index].set(key, end);
+
+                if (chart.type === 'bar') {
+                    const slot = band * 0.8 / stacks.length;
+                    const x = area.left + band * index + band * 0.1 + slot * stackIndex;
+                    const top = Math.min(scale(start), scale(end));
+                    const barHeight = Math.abs(scale(start) - scale(end));
+                    this.add(`<rect x="${ChartSvg.round(x)}" y="${ChartSvg.round(top)}" width="${ChartSvg.round(Math.max(slot - 2, 1))}" height="${ChartSvg.round(barHeight)}" fill="${fill}" stroke="${color}"/>`);
+                } else {
+                    points.push({ x: area.left + band * (index + 0.5), y: scale(end), base: scale(start) });
+                }
+            });
+
+            if (chart.type === 'bar') return;
+            const drawn = points.filter(Boolean);
+            if (drawn.length === 0) return;
+            const line = drawn.map(point => `${ChartSvg.round(point.x)},${ChartSvg.round(point.y)}`).join(' ');
+            if (chart.type === 'area') {
+                const base = drawn.slice().reverse().map(point => `${ChartSvg.round(point.x)},${ChartSvg.round(chart.stacked ? point.base : baseline)}`).join(' ');
+                this.add(`<polygon points="${line} ${base}" fill="${fill}" stroke="none"/>`);
+            }
+            this.add(`<polyline points="${line}" fill="none" stroke="${color}" stroke-width="2"/>`);
+            drawn.forEach(point => this.add(`<circle cx="${ChartSvg.round(point.x)}" cy="${ChartSvg.round(point.y)}" r="3" fill="${color}"/>`));
+        });
+
+        this.add(`<line x1="${area.left}" y1="${ChartSvg.round(baseline)}" x2="${area.right}" y2="${ChartSvg.round(baseline)}" stroke="#9ca3af"/>`);
+    }
+
+    drawPoints(area) {
+        const { chart } = this;
+        const all = chart.datasets.flatMap(dataset => dataset.data);
+        if (all.length === 0) return;
+
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let minY = Infinity;
+        let maxY = -Infinity;
+        all.forEach(point => {
+            minX = Math.min(minX, point.x);
+            maxX = Math.max(maxX, point.x);
+            minY = Math.min(minY, point.y);
+            maxY = Math.max(maxY, point.y);
+        });
+        const scaleY = this.valueAxis(area, minY, maxY);
+
+        const formatX = chart.xDates ? value => SchemaInference.formatDate(new Date(value)) : ChartSvg.formatNumber;
+        const ticks = chart.xDates
+            ? Array.from({ length: 6 }, (_, index) => minX + (maxX - minX) * index / 5)
+            : ChartSvg.ticks(minX, maxX);
+        const low = Math.min(ticks[0], minX);
+        const high = Math.max(ticks[ticks.length - 1], maxX);
+        const scaleX = value => area.left + (value - low) / (high - low || 1) * (area.right - area.left);
+        ticks.forEach(tick => {
+            const x = scaleX(tick);
+            this.add(`<line x1="${ChartSvg.round(x)}" y1="${area.top}" x2="${ChartSvg.round(x)}" y2="${area.bottom}" stroke="#f3f4f6"/>`);
+            this.add(this.text(x, area.bottom + 16, formatX(tick), { anchor: 'middle', color: '#6b7280' }));
+        });
+        this.xTitle(area);
+
+        chart.datasets.forEach((dataset, index) => {
+            const fill = ChartBuilder.color(index, 0.5);
+            const stroke = ChartBuilder.color(index);
+            dataset.data.forEach(point => {
+                this.add(`<circle cx="${ChartSvg.round(scaleX(point.x))}" cy="${ChartSvg.round(scaleY(point.y))}" r="${ChartSvg.round(point.r || 3)}" fill="${fill}" stroke="${stroke}"/>`);
+            });
+        });
+    }
+
+    // One ring per dataset, slices in label order
+    drawPie(area) {
+        const { chart } = this;
+        const cx = (area.left + area.right) / 2;
+        const cy = (area.top + area.bottom) / 2;
+        const outer = Math.min(area.right - area.left, area.bottom - area.top) / 2;
+        const hole = chart.type === 'doughnut' ? outer * 0.5 : 0;
+        const ringWidth = (outer - hole) / Math.max(chart.datasets.length, 1);
+
+        chart.datasets.forEach((dataset, ring) => {
+            const values = dataset.data.map(value => Math.max(Number(value) || 0, 0));
+            const total = values.reduce((sum, value) => sum + value, 0);
+            if (total === 0) return;
+
+            const r1 = outer - ring * ringWidth;
+            const r0 = Math.max(r1 - ringWidth, hole);
+            let angle = -Math.PI / 2;
+            values.forEach((value, index) => {
+                if (value === 0) return;
+                const sweep = value / total * Math.PI * 2;
+                this.add(`<path d="${ChartSvg.arc(cx, cy, r0, r1, angle, angle + sweep)}" fill="${ChartBuilder.color(index, 0.7)}" stroke="#ffffff" stroke-width="2"/>`);
+                angle += sweep;
+            });
+        });
+    }
+
+    static arc(cx, cy, r0, r1, start, end) {
+        // A full circle can't be one arc, so split it in two
+        if (end - start >= Math.PI * 2 - 1e-9) {
+            return ChartSvg.arc(cx, cy, r0, r1, start, start + Math.PI) + ' ' + ChartSvg.arc(cx, cy, r0, r1, start + Math.PI, end);
+        }
+        const point = (r, angle) => `${ChartSvg.round(cx + r * Math.cos(angle))} ${ChartSvg.round(cy + r * Math.sin(angle))}`;
+        const large = end - start > Math.PI ? 1 : 0;
+        if (r0 === 0) {
+            return `M ${ChartSvg.round(cx)} ${ChartSvg.round(cy)} L ${point(r1, start)} A ${ChartSvg.round(r1)} ${ChartSvg.round(r1)} 0 ${large} 1 ${point(r1, end)} Z`;
+        }
+        return `M ${point(r1, start)} A ${ChartSvg.round(r1)} ${ChartSvg.round(r1)} 0 ${large} 1 ${point(r1, end)} L ${point(r0, end)} A ${ChartSvg.round(r0)} ${ChartSvg.round(r0)} 0 ${large} 0 ${point(r0, start)} Z`;
+    }
+
+    drawRadar(area) {
+        const { chart } = this;
+        const cx = (area.left + area.right) / 2;
+        const cy = (area.top + area.bottom) / 2;
+        const radius = Math.min(area.right - area.left, area.bottom - area.top) / 2 - 20;
+        const count = chart.labels.length;
+        if (count === 0) return;
+
+        const max = Math.max(0, ...chart.datasets.flatMap(dataset => dataset.data.map(value => Number(value) || 0)));
+        const ticks = ChartSvg.ticks(0, max || 1);
+        const top = ticks[ticks.length - 1];
+        const at = (index, value) => {
+            const angle = -Math.PI / 2 + index / count * Math.PI * 2;
+            const r = radius * value / top;
+            return { x: cx + r * Math.cos(angle), y: cy + r * Math.sin(angle) };
+        };
+
+        ticks.slice(1).forEach(tick => {
+            const ring = chart.labels.map((_, index) => at(index, tick)).map(point => `${ChartSvg.round(point.x)},${ChartSvg.round(point.y)}`).join(' ');
+            this.add(`<polygon points="${ring}" fill="none" stroke="#e5e7eb"/>`);
+        });
+        chart.labels.forEach((label, index) => {
+            const end = at(index, top);
+            this.add(`<line x1="${ChartSvg.round(cx)}" y1="${ChartSvg.round(cy)}" x2="${ChartSvg.round(end.x)}" y2="${ChartSvg.round(end.y)}" stroke="#e5e7eb"/>`);
+            const text = at(index, top * 1.08);
+            this.add(this.text(text.x, text.y + 4, String(label).slice(0, 20), { anchor: 'middle', color: '#6b7280' }));
+        });
+
+        chart.datasets.forEach((dataset, datasetIndex) => {
+            const shape = dataset.data.map((value, index) => at(index, Math.max(Number(value) || 0, 0)))
+                .map(point => `${ChartSvg.round(point.x)},${ChartSvg.round(point.y)}`).join(' ');
+            this.add(`<polygon points="${shape}" fill="${ChartBuilder.color(datasetIndex, 0.25)}" stroke="${ChartBuilder.color(datasetIndex)}" stroke-width="2"/>`);
+        });
+    }
+}
@@ -0,0 +1,207 @@
+// RFC 4180 CSV reader
+// A character-level state machine, so quoted fields may contain delimiters,
+// quotes ("" escapes) and line breaks, and rows may end in LF, CRLF or CR.
+// Text is pushed in chunks of any size; a row is only returned once it is
+// complete. Problems (stray quotes, unclosed quotes) are collected as warnings
+// rather than thrown, so one bad row doesn't lose the rest of the file.
+
+class CsvReader {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.quote = options.quote === undefined ? '"' : options.quote;
+        this.warnings = [];
+
+        this.field = '';
+        this.fields = [];
+        this.state = CsvReader.FIELD_START;
+        this.line = 1;
+        this.rowLine = 1;
+        this.skipLF = false;
+        this.started = false;
+    }
+
+    // Returns complete rows as { fields, line } where line is the row's first line
+    push(text) {
+        if (!this.started) {
+            text = text.replace(/^\uFEFF/, '');
+            this.started = true;
+        }
+
+        const rows = [];
+        const { delimiter, quote } = this;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+
+            if (this.skipLF) {
+                this.skipLF = false;
+                if (c === '\n') continue;
+            }
+
+            switch (this.state) {
+                case CsvReader.QUOTED:
+                    if (c === quote) {
+                        this.state = CsvReader.QUOTE_IN_QUOTED;
+                    } else {
+                        if (c === '\n') this.line++;
+                        this.field += c;
+                    }
+                    continue;
+
+                case CsvReader.QUOTE_IN_QUOTED:
+                    if (c === quote) {
+                        // Escaped quote ("")
+                        this.field += c;
+                        this.state = CsvReader.QUOTED;
+                        continue;
+                    }
+                    this.state = CsvReader.AFTER_QUOTED;
+                    break;
+            }
+
+            if (c === delimiter) {
+                this.endField();
+            } else if (c === '\n' || c === '\r') {
+                this.endField();
+                this.endRow(rows);
+                this.line++;
+                this.skipLF = c === '\r';
+            } else if (c === quote && quote && this.state === CsvReader.FIELD_START) {
+                this.state = CsvReader.QUOTED;
+            } else if (this.state === CsvReader.AFTER_QUOTED) {
+                if (c !== ' ' && c !== '\t') {
+                    this.warn(this.line, `Unexpected text after a closing quote in field ${this.fields.length + 1}`);
+                    this.state = CsvReader.UNQUOTED;
+                    this.field += c;
+                }
+            } else {
+                if (c === quote && quote) {
+                    this.warn(this.line, `Stray quote inside unquoted field ${this.fields.length + 1}`);
+                }
+                this.field += c;
+                this.state = CsvReader.UNQUOTED;
+            }
+        }
+        return rows;
+    }
+
+    flush() {
+        const rows = [];
+        if (this.state === CsvReader.QUOTED) {
+            this.warn(this.rowLine, 'Quoted field is never closed; the rest of the file was read into it');
+        }
+        if (this.state !== CsvReader.FIELD_START || this.fields.length > 0 || this.field) {
+            this.endField();
+            this.endRow(rows);
+        }
+        return rows;
+    }
+
+    endField() {
+        this.fields.push(this.field);
+        this.field = '';
+        this.state = CsvReader.FIELD_START;
+    }
+
+    endRow(rows) {
+        const fields = this.fields;
+        this.fields = [];
+        // A blank line is a single empty field
+        if (!(fields.length === 1 && fields[0] === '')) {
+            rows.push({ fields, line: this.rowLine });
+        }
+        this.rowLine = this.line + 1;
+    }
+
+    warn(line, message) {
+        this.warnings.push({ line, message });
+    }
+
+    // Returns and clears the warnings collected so far
+    drainWarnings() {
+        const warnings = this.warnings;
+        this.warnings = [];
+        return warnings;
+    }
+
+    // Reads a whole string
+    static parse(text, options = {}) {
+        const reader = new CsvReader(options);
+        const rows = reader.push(text).concat(reader.flush());
+        return { rows, warnings: reader.drainWarnings() };
+    }
+
+    // Picks the delimiter and quote character that split the sample into the
+    // most consistent number of fields per row. The last line of a sample may
+    // be cut off, so it is ignored when there are others.
+    static detectDialect(text, options = {}) {
+        const delimiters = options.delimiter && options.delimiter !== 'auto' ? [options.delimiter] : CsvReader.DELIMITERS;
+        const quotes = options.quote && options.quote !== 'auto'
+            ? [options.quote === 'none' ? '' : options.quote]
+            : CsvReader.QUOTES;
+        const sample = text.replace(/^\uFEFF/, '').slice(0, 64 * 1024);
+        let best = { delimiter: delimiters[0], quote: quotes[0], score: 0 };
+
+        delimiters.forEach(delimiter => {
+            quotes.forEach(quote => {
+                const reader = new CsvReader({ delimiter, quote });
+                let rows = reader.push(sample);
+                if (rows.length < 2) rows = rows.concat(reader.flush());
+                rows = rows.slice(0, 50);
+                if (rows.length === 0) return;
+
+                const counts = rows.map(row => row.fields.length);
+                const frequency = new Map();
+                counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+                const [mode, modeCount] = Array.from(frequency.entries()).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+                if (mode < 2) return;
+
+                // Consistency matters most; more fields and fewer warnings break ties
+                const score = modeCount / rows.length + Math.min(mode, 20) / 100 - reader.warnings.length / 100;
+                if (score > best.score) {
+                    best = { delimiter, quote, score };
+                }
+            });
+        });
+        return best;
+    }
+
+    // Character encoding from a byte-order mark, else UTF-8 if the bytes are
+    // valid UTF-8, else Windows-1252 (what Excel writes on Western Windows)
+    static detectEncoding(bytes) {
+        if (ParserManager.startsWithBytes(bytes, [0xEF, 0xBB, 0xBF])) return 'utf-8';
+        if (ParserManager.startsWithBytes(bytes, [0xFF, 0xFE])) return 'utf-16le';
+        if (ParserManager.startsWithBytes(bytes, [0xFE, 0xFF])) return 'utf-16be';
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1252';
+        }
+    }
+
+    // Unique, non-empty column names. Names in the header keep their place;
+    // a repeated one gets the first _2, _3... suffix that no column uses.
+    static headerNames(fields) {
+        const written = new Set(fields.map(field => field.trim()).filter(Boolean));
+        const used = new Set();
+        return fields.map((field, index) => {
+            const name = field.trim() || `Column ${index + 1}`;
+            let unique = name;
+            for (let n = 2; used.has(unique) || (unique !== field.trim() && written.has(unique)); n++) {
+                unique = `${name}_${n}`;
+            }
+            used.add(unique);
+            return unique;
+        });
+    }
+}
+
+CsvReader.FIELD_START = 0;
+CsvReader.UNQUOTED = 1;
+CsvReader.QUOTED = 2;
+CsvReader.QUOTE_IN_QUOTED = 3;
+CsvReader.AFTER_QUOTED = 4;
+
+CsvReader.DELIMITERS = [',', ';', '\t', '|'];
+CsvReader.QUOTES = ['"', "'"];
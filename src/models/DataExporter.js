@@ -0,0 +1,215 @@
+// Writes records out as CSV, XLSX, JSON, JSON Lines, Markdown or HTML
+// Every format takes the same options:
+//   { format, columns: [column], headers: { column: heading },
+//     delimiter: ',', encoding: 'utf-8' }
+// columns picks and orders the fields; headers renames them in the output.
+// Values keep their type where the format has one (JSON, XLSX); text formats
+// write 0 and false as they are and leave only null and undefined empty.
+
+class DataExporter {
+    static getFormat(id) {
+        return DataExporter.FORMATS.find(format => format.id === id) || DataExporter.FORMATS[0];
+    }
+
+    // Returns { content, mimeType, extension }; content is a string, or a
+    // Uint8Array for XLSX and for text encodings other than UTF-8
+    static export(records, options) {
+        const format = DataExporter.getFormat(options.format);
+        const columns = options.columns;
+        const headers = columns.map(column => options.headers?.[column] ?? column);
+        let content;
+
+        switch (format.id) {
+            case 'xlsx':
+                content = DataExporter.toXlsx(records, columns, headers, options.sheetName);
+                break;
+            case 'json':
+                content = JSON.stringify(records.map(record => DataExporter.toObject(record, columns, headers)), null, 2);
+                break;
+            case 'jsonl':
+                content = records.map(record => JSON.stringify(DataExporter.toObject(record, columns, headers))).join('\n');
+                break;
+            case 'markdown':
+                content = DataExporter.toMarkdown(records, columns, headers);
+                break;
+            case 'html':
+                content = DataExporter.toHtml(records, columns, headers, options.title);
+                break;
+            default:
+                content = DataExporter.encode(
+                    DataExporter.toCsv(records, columns, headers, options.delimiter),
+                    options.encoding
+                );
+        }
+
+        const mimeType = format.id === 'csv' && options.encoding && options.encoding !== 'utf-8'
+            ? `text/csv;charset=${options.encoding.replace('-bom', '')}`
+            : format.mime;
+        return { content, mimeType, extension: format.extension };
+    }
+
+    // Text for one cell: dates as ISO strings, objects and arrays as JSON
+    static cellText(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    // The chosen fields under their output names, leaving out _metadata
+    static toObject(record, columns, headers) {
+        const object = {};
+        columns.forEach((column, index) => {
+            const value = record[column];
+            object[headers[index]] = value === undefined ? null : value instanceof Date ? value.toISOString() : value;
+        });
+        return object;
+    }
+
+    // RFC 4180: fields holding the delimiter, a quote or a line break are
+    // quoted, with quotes doubled
+    static toCsv(records, columns, headers, delimiter = ',') {
+        const quote = value => {
+            const text = DataExporter.cellText(value);
+            return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [headers.map(quote).join(delimiter)];
+        records.forEach(record => {
+            lines.push(columns.map(column => quote(record[column])).join(delimiter));
+        });
+        return lines.join('\r\n');
+    }
+
+    // utf-8-bom and utf-16le start with a byte order mark so Excel picks the
+    // encoding up; windows-1252 replaces characters it can't hold with '?'
+    static encode(text, encoding = 'utf-8') {
+        switch (encoding) {
+            case 'utf-8-bom':
+                return '\uFEFF' + text;
+            case 'utf-16le': {
+                const bytes = new Uint8Array(2 + text.length * 2);
+                bytes[0] = 0xff;
+                bytes[1] = 0xfe;
+                for (let i = 0; i < text.length; i++) {
+                    const code = text.charCodeAt(i);
+                    bytes[2 + i * 2] = code & 0xff;
+                    bytes[3 + i * 2] = code >> 8;
+                }
+                return bytes;
+            }
+            case 'windows-1252': {
+                const bytes = new Uint8Array(text.length);
+                let length = 0;
+                for (const character of text) {
+                    const code = character.codePointAt(0);
+                    if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) {
+                        bytes[length++] = code;
+                    } else {
+                        bytes[length++] = DataExporter.WINDOWS_1252[code] || 0x3f;
+                    }
+                }
+                return bytes.slice(0, length);
+            }
+            default:
+                return text;
+        }
+    }
+
+    static toXlsx(records, columns, headers, sheetName = 'Data') {
+        const rows = [headers].concat(records.map(record => columns.map(column => {
+            const value = record[column];
+            if (value === null || value === undefined) return null;
+            return typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value;
+        })));
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), DataExporter.sheetName(sheetName));
+        return new Uint8Array(XLSX.write(workbook, { bookType: 'xlsx', type: 'array' }));
+    }
+
+    // Excel sheet names: at most 31 characters and none of \ / ? * [ ] :
+    static sheetName(name) {
+        return String(name || 'Data').replace(/[\\/?*\[\]:]+/g, '_').slice(0, 31) || 'Data';
+    }
+
+    static toMarkdown(records, columns, headers) {
+        const cell = value => DataExporter.cellText(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/\|/g, '\\|')
+            .replace(/\r?\n/g, '<br>');
+        const lines = [
+            `| ${headers.map(cell).join(' | ')} |`,
+            `| ${headers.map(() => '---').join(' | ')} |`
+        ];
+        records.forEach(record => {
+            lines.push(`| ${columns.map(column => cell(record[column])).join(' | ')} |`);
+        });
+        return lines.join('\n');
+    }
+
+    // A standalone page with the table, so it opens straight in a browser
+    static toHtml(records, columns, headers, title = 'Export') {
+        const esc = BaseView.escapeHtml;
+        const rows = records.map(record => `
+      <tr>${columns.map(column => `<td>${esc(DataExporter.cellText(record[column]))}</td>`).join('')}</tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${esc(title)}</title>
+  <style>
+    body { font-family: sans-serif; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+    th { background: #f0f0f0; }
+  </style>
+</head>
+<body>
+  <table>
+    <thead>
+      <tr>${headers.map(header => `<th>${esc(header)}</th>`).join('')}</tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+    }
+
+    static fileName(datasetName, format) {
+        const base = String(datasetName || 'export').replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|\[\]]+/g, '_');
+        return `${base}.${DataExporter.getFormat(format).extension}`;
+    }
+}
+
+DataExporter.FORMATS = [
+    { id: 'csv', label: 'CSV', extension: 'csv', mime: 'text/csv;charset=utf-8' },
+    { id: 'xlsx', label: 'Excel (XLSX)', extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    { id: 'json', label: 'JSON', extension: 'json', mime: 'application/json' },
+    { id: 'jsonl', label: 'JSON Lines', extension: 'jsonl', mime: 'application/x-ndjson' },
+    { id: 'markdown', label: 'Markdown table', extension: 'md', mime: 'text/markdown;charset=utf-8' },
+    { id: 'html', label: 'HTML table', extension: 'html', mime: 'text/html;charset=utf-8' }
+];
+
+DataExporter.DELIMITERS = [
+    { value: ',', label: 'Comma (,)' },
+    { value: ';', label: 'Semicolon (;)' },
+    { value: '\t', label: 'Tab' },
+    { value: '|', label: 'Pipe (|)' }
+];
+
+DataExporter.ENCODINGS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'utf-8-bom', label: 'UTF-8 with BOM (Excel)' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'windows-1252', label: 'Windows-1252 (Western)' }
+];
+
+// Windows-1252 bytes 0x80-0x9f, keyed by the character they stand for
+DataExporter.WINDOWS_1252 = {
+    0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+    0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c, 0x017d: 0x8e,
+    0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97,
+    0x02dc: 0x98, 0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b, 0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f
+};
@@ -0,0 +1,261 @@
+// Data quality profile of a dataset
+// profile() reads every record once per column and describes each column:
+//   { column, type, checkedAs, filled, empty, fillRate, distinct,
+//     top: [{ value, count }], patterns: [{ pattern, count }],
+//     numbers: { min, max, mean, median, stdDev, histogram: [{ from, to, count }] },
+//     dates: { min, max, days }, lengths: { min, max }, issues: [issue] }
+// numbers, dates and lengths are null when they don't apply. An issue is
+//   { id, column, kind, label, description, ids: [record id] }
+// so the records behind it can be opened. Kinds are 'invalid' (values that
+// don't fit the column type, e.g. malformed emails), 'format' (phone numbers
+// written in more than one way), 'mixed' (numbers, dates and words in one
+// text column) and 'outlier' (numbers far outside the middle half).
+
+class DataProfiler {
+    constructor(options = {}) {
+        this.topValues = options.topValues || 5;
+        this.maxPatterns = options.maxPatterns || 3;
+        this.maxBins = options.maxBins || 20;
+        // Outliers lie further than this many interquartile ranges outside it
+        this.outlierRange = options.outlierRange || 1.5;
+        // Share of values that must look like emails, URLs or phone numbers
+        // before a text column is checked as one
+        this.lookAlike = options.lookAlike || 0.5;
+    }
+
+    // Resolves the whole dataset: { recordCount, columnCount, fillRate,
+    // columns: [column profile], issues: [issue] }
+    profile(records, columns, schema = {}) {
+        const profiles = columns.map(column => this.profileColumn(records, column, schema[column]?.type || 'text', schema[column]?.dayFirst));
+        const cells = records.length * columns.length;
+        const filled = profiles.reduce((sum, profile) => sum + profile.filled, 0);
+
+        return {
+            recordCount: records.length,
+            columnCount: columns.length,
+            fillRate: cells ? filled / cells : 1,
+            columns: profiles,
+            issues: profiles.flatMap(profile => profile.issues)
+        };
+    }
+
+    profileColumn(records, column, type, dayFirst = null) {
+        const entries = [];
+        records.forEach(record => {
+            const value = record[column];
+            if (!SchemaInference.isEmpty(value)) entries.push({ id: record._metadata?.id, value });
+        });
+
+        const counts = new Map();
+        entries.forEach(({ value }) => {
+            const key = DataProfiler.key(value);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        const top = Array.from(counts, ([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+            .slice(0, this.topValues);
+
+        const checkedAs = this.checkedType(entries, type);
+        const textual = !SchemaInference.isNumeric(type) && !SchemaInference.isTemporal(type) && type !== 'boolean';
+        const profile = {
+            column,
+            type,
+            checkedAs,
+            filled: entries.length,
+            empty: records.length - entries.length,
+            fillRate: records.length ? entries.length / records.length : 1,
+            distinct: counts.size,
+            top,
+            patterns: textual ? this.patterns(entries) : [],
+            numbers: SchemaInference.isNumeric(type) ? this.numbers(entries) : null,
+            dates: SchemaInference.isTemporal(type) ? DataProfiler.dates(entries) : null,
+            lengths: textual ? DataProfiler.lengths(entries) : null,
+            issues: []
+        };
+
+        const issue = (kind, label, description, ids) => {
+            if (ids.length) profile.issues.push({ id: `${column}:${kind}`, column, kind, label, description, ids });
+        };
+
+        const invalid = entries.filter(({ value }) => !SchemaInference.isValid(value, checkedAs, checkedAs === type ? dayFirst : null));
+        issue('invalid', DataProfiler.INVALID_LABELS[checkedAs] || 'Invalid values',
+            `${invalid.length.toLocaleString()} value${invalid.length === 1 ? '' : 's'} that ${invalid.length === 1 ? 'is' : 'are'} not ${DataProfiler.article(checkedAs)}` +
+            (checkedAs !== type ? ` (most of the column looks like ${DataProfiler.plural(checkedAs)})` : ''),
+            invalid.map(entry => entry.id));
+
+        if (checkedAs === 'phone') {
+            const valid = entries.filter(({ value }) => SchemaInference.isValid(value, 'phone'));
+            const shapes = DataProfiler.groupBy(valid, ({ value }) => DataProfiler.shape(value, false));
+            if (shapes.length > 1) {
+                const others = shapes.slice(1).flatMap(group => group.entries);
+                issue('format', 'Inconsistent phone formats',
+                    `${shapes.length} formats; ${others.length.toLocaleString()} differ from the most common, ${shapes[0].key}`,
+                    others.map(entry => entry.id));
+            }
+        }
+
+        if (textual && checkedAs === type) {
+            const kinds = DataProfiler.groupBy(entries, ({ value }) => DataProfiler.kindOf(value));
+            if (kinds.length > 1) {
+                const others = kinds.slice(1).flatMap(group => group.entries);
+                issue('mixed', 'Mixed types',
+                    `Mostly ${kinds[0].key}s, but ${kinds.slice(1).map(group => `${group.entries.length.toLocaleString()} ${group.key}${group.entries.length === 1 ? '' : 's'}`).join(', ')}`,
+                    others.map(entry => entry.id));
+            }
+        }
+
+        if (profile.numbers) {
+            const outliers = this.outliers(entries, profile.numbers);
+            issue('outlier', 'Outliers',
+                `${outliers.length.toLocaleString()} value${outliers.length === 1 ? '' : 's'} outside ${DataProfiler.format(profile.numbers.low)} to ${DataProfiler.format(profile.numbers.high)}`,
+                outliers.map(entry => entry.id));
+        }
+        return profile;
+    }
+
+    // The type values are checked against: the column's own, or for text
+    // columns the kind most values look like (emails, URLs, phone numbers)
+    checkedType(entries, type) {
+        if ((type !== 'text' && type !== 'category') || entries.length === 0) return type;
+        const counts = {};
+        entries.forEach(({ value }) => {
+            const detected = SchemaInference.detectValueType(value);
+            counts[detected] = (counts[detected] || 0) + 1;
+        });
+        return ['email', 'url', 'phone'].find(candidate => (counts[candidate] || 0) / entries.length >= this.lookAlike) || type;
+    }
+
+    numbers(entries) {
+        const numbers = entries.map(({ value }) => SchemaInference.toNumber(value)).filter(number => number !== null);
+        if (numbers.length === 0) return null;
+        const sorted = numbers.slice().sort((a, b) => a - b);
+        const mean = numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+        const variance = numbers.reduce((sum, number) => sum + (number - mean) ** 2, 0) / numbers.length;
+        const q1 = DataProfiler.quantile(sorted, 0.25);
+        const q3 = DataProfiler.quantile(sorted, 0.75);
+        const spread = (q3 - q1) * this.outlierRange;
+
+        return {
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean,
+            median: DataProfiler.quantile(sorted, 0.5),
+            stdDev: Math.sqrt(variance),
+            q1,
+            q3,
+            low: q1 - spread,
+            high: q3 + spread,
+            histogram: this.histogram(sorted)
+        };
+    }
+
+    // Equal-width bins; Sturges' rule for how many
+    histogram(sorted) {
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        if (min === max) return [{ from: min, to: max, count: sorted.length }];
+
+        const count = Math.min(this.maxBins, Math.ceil(Math.log2(sorted.length) + 1));
+        const width = (max - min) / count;
+        const bins = Array.from({ length: count }, (_, i) => ({ from: min + i * width, to: i === count - 1 ? max : min + (i + 1) * width, count: 0 }));
+        sorted.forEach(number => {
+            bins[Math.min(count - 1, Math.floor((number - min) / width))].count++;
+        });
+        return bins;
+    }
+
+    // Tukey's fences; skipped when the middle half is a single value
+    outliers(entries, numbers) {
+        if (entries.length < 4 || numbers.q3 === numbers.q1) return [];
+        return entries.filter(({ value }) => {
+            const number = SchemaInference.toNumber(value);
+            return number !== null && (number < numbers.low || number > numbers.high);
+        });
+    }
+
+    // Most common shapes of the values, e.g. "(999) 999-9999" or "a@a.a"
+    patterns(entries) {
+        return DataProfiler.groupBy(entries, ({ value }) => DataProfiler.shape(value, true))
+            .slice(0, this.maxPatterns)
+            .map(group => ({ pattern: group.key, count: group.entries.length }));
+    }
+
+    static dates(entries) {
+        const times = entries.map(({ value }) => SchemaInference.parseDate(value)).filter(Boolean).map(date => date.getTime());
+        if (times.length === 0) return null;
+        // Reduced rather than spread, which overflows the stack on large datasets
+        const min = times.reduce((a, b) => Math.min(a, b));
+        const max = times.reduce((a, b) => Math.max(a, b));
+        return { min: new Date(min), max: new Date(max), days: Math.round((max - min) / 86400000) };
+    }
+
+    static lengths(entries) {
+        if (entries.length === 0) return null;
+        const lengths = entries.map(({ value }) => DataProfiler.key(value).length);
+        return { min: lengths.reduce((a, b) => Math.min(a, b)), max: lengths.reduce((a, b) => Math.max(a, b)) };
+    }
+
+    // Linear interpolation between the closest ranks
+    static quantile(sorted, q) {
+        const position = (sorted.length - 1) * q;
+        const below = Math.floor(position);
+        const above = Math.ceil(position);
+        return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+    }
+
+    // Digits become 9 and, unless letters are kept apart, each run of
+    // letters becomes a single "a"
+    static shape(value, collapseLetters) {
+        const text = DataProfiler.key(value).trim();
+        const shaped = text.replace(/\d/g, '9');
+        return (collapseLetters ? shaped.replace(/[^\W\d_]+/gu, 'a') : shaped.replace(/[^\W\d_]/gu, 'a')).slice(0, 40);
+    }
+
+    // 'number', 'date', 'true/false value' or 'text value', for mixed types
+    static kindOf(value) {
+        const type = SchemaInference.detectValueType(value);
+        if (SchemaInference.isNumeric(type)) return 'number';
+        if (SchemaInference.isTemporal(type)) return 'date';
+        if (type === 'boolean') return 'true/false value';
+        return 'text value';
+    }
+
+    // [{ key, entries }], largest group first
+    static groupBy(entries, keyOf) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            const key = keyOf(entry);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        });
+        return Array.from(groups, ([key, list]) => ({ key, entries: list })).sort((a, b) => b.entries.length - a.entries.length);
+    }
+
+    static key(value) {
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    static format(number) {
+        return Number(number).toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+
+    static article(type) {
+        return { integer: 'a whole number', decimal: 'a number', boolean: 'true or false', date: 'a date', datetime: 'a date and time',
+            email: 'an email address', url: 'a URL', phone: 'a phone number' }[type] || 'valid';
+    }
+
+    static plural(type) {
+        return { email: 'email addresses', url: 'URLs', phone: 'phone numbers' }[type] || type;
+    }
+}
+
+DataProfiler.INVALID_LABELS = {
+    integer: 'Not whole numbers',
+    decimal: 'Not numbers',
+    boolean: 'Not true or false',
+    date: 'Invalid dates',
+    datetime: 'Invalid dates',
+    email: 'Malformed emails',
+    url: 'Malformed URLs',
+    phone: 'Invalid phone numbers'
+};
@@ -0,0 +1,139 @@
+// Joins the records of two datasets on one or more key columns, like a
+// spreadsheet lookup or a SQL join. keys pairs a left column with a right
+// one: [{ left, right }]. Keys are compared as text, optionally ignoring
+// case and surrounding spaces; an empty key never matches. A left row
+// matching several right rows appears once per match.
+// The result has the left columns, then the right columns that aren't keys
+// (none for an anti join); a right column named like a left one gets suffix
+// added. Right rows that are kept without a match (full join) fill the left
+// key columns from their own keys.
+
+class DatasetJoin {
+    static getType(id) {
+        return DatasetJoin.TYPES.find(type => type.id === id) || DatasetJoin.TYPES[0];
+    }
+
+    // { records, columns, renamed: { rightColumn: resultColumn } }
+    static join(left, right, options) {
+        const { keys } = options;
+        const type = DatasetJoin.getType(options.type).id;
+        const leftColumns = options.leftColumns || SchemaInference.columnsOf(left);
+        const rightKeys = keys.map(key => key.right);
+        const renamed = {};
+        // An anti join keeps only left rows, so it takes no right columns
+        (type === 'anti' ? [] : options.rightColumns || SchemaInference.columnsOf(right))
+            .filter(column => !rightKeys.includes(column))
+            .forEach(column => {
+                let name = column;
+                for (let n = 2; leftColumns.includes(name) || Object.values(renamed).includes(name); n++) {
+                    name = `${column}${options.suffix || ' (right)'}${n > 2 ? ` ${n}` : ''}`;
+                }
+                renamed[column] = name;
+            });
+        const columns = leftColumns.concat(Object.values(renamed));
+
+        const index = DatasetJoin.index(right, rightKeys, options);
+        const usedRight = new Set();
+        const records = [];
+        const combine = (leftRecord, rightRecord) => {
+            const record = {};
+            leftColumns.forEach(column => { record[column] = leftRecord ? DatasetJoin.value(leftRecord[column]) : null; });
+            Object.keys(renamed).forEach(column => { record[renamed[column]] = rightRecord ? DatasetJoin.value(rightRecord[column]) : null; });
+            if (!leftRecord) keys.forEach(key => { record[key.left] = DatasetJoin.value(rightRecord[key.right]); });
+            return record;
+        };
+
+        left.forEach(leftRecord => {
+            const key = DatasetJoin.keyOf(leftRecord, keys.map(pair => pair.left), options);
+            const matches = key === null ? [] : index.get(key) || [];
+            if (type === 'anti') {
+                if (matches.length === 0) records.push(combine(leftRecord, null));
+                return;
+            }
+            matches.forEach(position => {
+                usedRight.add(position);
+                records.push(combine(leftRecord, right[position]));
+            });
+            if (matches.length === 0 && type !== 'inner') records.push(combine(leftRecord, null));
+        });
+        if (type === 'full') {
+            right.forEach((rightRecord, position) => {
+                if (!usedRight.has(position)) records.push(combine(null, rightRecord));
+            });
+        }
+        return { records, columns, renamed };
+    }
+
+    // How well the keys line up, for choosing them before joining:
+    // { left: { total, matched }, right: { total, matched }, repeated, rows }
+    // where repeated counts left rows matching more than one right row and
+    // rows is the size of the result for each join type
+    static preview(left, right, options) {
+        const { keys } = options;
+        const index = DatasetJoin.index(right, keys.map(key => key.right), options);
+        const usedRight = new Set();
+        let matched = 0;
+        let repeated = 0;
+        let pairs = 0;
+
+        left.forEach(record => {
+            const key = DatasetJoin.keyOf(record, keys.map(pair => pair.left), options);
+            const matches = key === null ? [] : index.get(key) || [];
+            if (matches.length > 0) matched++;
+            if (matches.length > 1) repeated++;
+            pairs += matches.length;
+            matches.forEach(position => usedRight.add(position));
+        });
+
+        const unmatched = left.length - matched;
+        return {
+            left: { total: left.length, matched },
+            right: { total: right.length, matched: usedRight.size },
+            repeated,
+            rows: {
+                inner: pairs,
+                left: pairs + unmatched,
+                full: pairs + unmatched + right.length - usedRight.size,
+                anti: unmatched
+            }
+        };
+    }
+
+    // Key text -> positions of the records having it
+    static index(records, columns, options) {
+        const index = new Map();
+        records.forEach((record, position) => {
+            const key = DatasetJoin.keyOf(record, columns, options);
+            if (key === null) return;
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(position);
+        });
+        return index;
+    }
+
+    // The record's key as one string, or null when a part of it is empty
+    static keyOf(record, columns, { ignoreCase = false, trim = false } = {}) {
+        const parts = [];
+        for (const column of columns) {
+            const value = record[column];
+            if (value === null || value === undefined) return null;
+            let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            if (trim) text = text.trim();
+            if (ignoreCase) text = text.toLocaleLowerCase();
+            if (text === '') return null;
+            parts.push(text);
+        }
+        return parts.join('\u0000');
+    }
+
+    static value(value) {
+        return value === undefined ? null : value;
+    }
+}
+
+DatasetJoin.TYPES = [
+    { id: 'left', label: 'Left join', description: 'Every left row, with the right columns filled in where a match is found (a lookup)' },
+    { id: 'inner', label: 'Inner join', description: 'Only rows that match on both sides' },
+    { id: 'full', label: 'Full join', description: 'Every row from both sides, matched where possible' },
+    { id: 'anti', label: 'Anti join', description: 'Left rows with no match on the right' }
+];
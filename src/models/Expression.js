@@ -0,0 +1,364 @@
+// Expressions for computed columns, for example:
+//   price * quantity
+//   first_name & " " & last_name
+//   if([Order Total] > 100, "large", "small")
+// Columns are referenced by name, or in square brackets when the name has
+// spaces or symbols. The text is parsed once, into a tree that evaluate()
+// walks for each record; it is never run as JavaScript. columns lists the
+// column names it refers to.
+// Operators, loosest first: or, and, not, comparisons (= != <> < <= > >=),
+// + - & (& joins text), * / %, and unary minus. Empty cells, and columns a
+// record doesn't have, are null; arithmetic on null or on text that isn't a
+// number gives null.
+
+class Expression {
+    // Throws an Error saying what is wrong and where when the text doesn't parse
+    constructor(text) {
+        this.text = String(text || '');
+        this.tokens = Expression.tokenize(this.text);
+        this.index = 0;
+        this.columns = [];
+        this.tree = this.parse();
+        this.tokens = null;
+    }
+
+    evaluate(record) {
+        return Expression.evaluate(this.tree, record);
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const rest = text.slice(i);
+            const space = rest.match(/^\s+/);
+            if (space) {
+                i += space[0].length;
+                continue;
+            }
+
+            const number = rest.match(/^\d+(\.\d+)?([eE][-+]?\d+)?/) || rest.match(/^\.\d+/);
+            const name = rest.match(/^[A-Za-z_\u00C0-\uFFFF][\w.\u00C0-\uFFFF]*/);
+            const operator = rest.match(/^(<=|>=|<>|!=|==|[-+*/%&=<>(),])/);
+
+            if (number) {
+                tokens.push({ type: 'number', value: Number(number[0]), position: i });
+                i += number[0].length;
+            } else if (rest[0] === '"' || rest[0] === "'") {
+                const quote = rest[0];
+                let value = '';
+                let j = 1;
+                // A doubled quote inside the string stands for the quote itself
+                while (j < rest.length && (rest[j] !== quote || rest[j + 1] === quote)) {
+                    value += rest[j];
+                    j += rest[j] === quote ? 2 : 1;
+                }
+                if (j >= rest.length) throw Expression.error('Text is missing its closing quote', i);
+                tokens.push({ type: 'string', value, position: i });
+                i += j + 1;
+            } else if (rest[0] === '[') {
+                const end = rest.indexOf(']');
+                if (end < 0) throw Expression.error('Column name is missing its closing ]', i);
+                tokens.push({ type: 'column', value: rest.slice(1, end), position: i });
+                i += end + 1;
+            } else if (name) {
+                tokens.push({ type: 'name', value: name[0], position: i });
+                i += name[0].length;
+            } else if (operator) {
+                tokens.push({ type: 'operator', value: operator[0] === '==' ? '=' : operator[0], position: i });
+                i += operator[0].length;
+            } else {
+                throw Expression.error(`Unexpected "${rest[0]}"`, i);
+            }
+        }
+        tokens.push({ type: 'end', value: null, position: text.length });
+        return tokens;
+    }
+
+    static evaluate(node, record) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'column': {
+                // Only the record's own fields; names like constructor or
+                // __proto__ would otherwise reach Object.prototype
+                const value = Object.prototype.hasOwnProperty.call(record, node.name) ? record[node.name] : null;
+                return Expression.empty(value) ? null : value;
+            }
+            case 'unary': {
+                const value = Expression.evaluate(node.operand, record);
+                if (node.operator === 'not') return !Expression.truthy(value);
+                const number = SchemaInference.toNumber(value);
+                return number === null ? null : -number;
+            }
+            case 'logical': {
+                const left = Expression.truthy(Expression.evaluate(node.left, record));
+                if (node.operator === 'and' ? !left : left) return left;
+                return Expression.truthy(Expression.evaluate(node.right, record));
+            }
+            case 'binary':
+                return Expression.binary(node.operator, Expression.evaluate(node.left, record), Expression.evaluate(node.right, record));
+            case 'call': {
+                // if() only evaluates the branch it returns
+                if (node.name === 'if') {
+                    const [condition, then, otherwise] = node.args;
+                    if (Expression.truthy(Expression.evaluate(condition, record))) return Expression.evaluate(then, record);
+                    return otherwise ? Expression.evaluate(otherwise, record) : null;
+                }
+                const result = Expression.FUNCTIONS[node.name].apply(...node.args.map(arg => Expression.evaluate(arg, record)));
+                return result === undefined || (typeof result === 'number' && !Number.isFinite(result)) ? null : result;
+            }
+        }
+        return null;
+    }
+
+    static binary(operator, left, right) {
+        if (operator === '&') return Expression.text(left) + Expression.text(right);
+        if (['=', '!=', '<>', '<', '<=', '>', '>='].includes(operator)) {
+            const order = Expression.compare(left, right);
+            switch (operator) {
+                case '=': return order === 0;
+                case '!=':
+                case '<>': return order !== 0;
+                case '<': return order < 0;
+                case '<=': return order <= 0;
+                case '>': return order > 0;
+                default: return order >= 0;
+            }
+        }
+
+        const a = SchemaInference.toNumber(left);
+        const b = SchemaInference.toNumber(right);
+        if (a === null || b === null) return null;
+        switch (operator) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return b === 0 ? null : a / b;
+            case '%': return b === 0 ? null : a % b;
+        }
+        return null;
+    }
+
+    // Numbers compare as numbers, dates as dates, anything else as text
+    // ignoring case; null equals only null and sorts first
+    static compare(a, b) {
+        if (a === null || b === null) return a === b ? 0 : a === null ? -1 : 1;
+        const numberA = SchemaInference.toNumber(a);
+        const numberB = SchemaInference.toNumber(b);
+        if (numberA !== null && numberB !== null) return numberA - numberB;
+        if (typeof a === 'boolean' || typeof b === 'boolean') return Number(Expression.truthy(a)) - Number(Expression.truthy(b));
+        const dateA = SchemaInference.parseDate(a);
+        const dateB = SchemaInference.parseDate(b);
+        if (dateA && dateB) return dateA - dateB;
+        return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+    }
+
+    static empty(value) {
+        return value === null || value === undefined || value === '';
+    }
+
+    static truthy(value) {
+        if (typeof value === 'string') {
+            const text = value.trim().toLowerCase();
+            return text !== '' && !SchemaInference.FALSE_VALUES.includes(text) && text !== '0';
+        }
+        return Boolean(value);
+    }
+
+    static text(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    static date(value) {
+        return SchemaInference.parseDate(value instanceof Date ? value : Expression.text(value));
+    }
+
+    static error(message, position) {
+        return new Error(`${message} (at character ${position + 1})`);
+    }
+
+    // Recursive descent over the tokens, one method per precedence level
+    parse() {
+        if (this.peek().type === 'end') throw new Error('Enter an expression');
+        const tree = this.or();
+        if (this.peek().type !== 'end') throw Expression.error(`Unexpected "${this.peek().value}"`, this.peek().position);
+        return tree;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    // Consumes the token if it is the operator or keyword given
+    accept(value) {
+        const token = this.peek();
+        const matches = token.type === 'operator' ? token.value === value : token.type === 'name' && token.value.toLowerCase() === value;
+        if (matches) this.index++;
+        return matches;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) {
+            const token = this.peek();
+            throw Expression.error(token.type === 'end' ? `Expected "${value}" at the end` : `Expected "${value}"`, token.position);
+        }
+    }
+
+    or() {
+        let node = this.and();
+        while (this.accept('or')) node = { type: 'logical', operator: 'or', left: node, right: this.and() };
+        return node;
+    }
+
+    and() {
+        let node = this.not();
+        while (this.accept('and')) node = { type: 'logical', operator: 'and', left: node, right: this.not() };
+        return node;
+    }
+
+    not() {
+        if (this.accept('not')) return { type: 'unary', operator: 'not', operand: this.not() };
+        return this.comparison();
+    }
+
+    comparison() {
+        let node = this.additive();
+        for (;;) {
+            const operator = ['<=', '>=', '<>', '!=', '=', '<', '>'].find(op => this.accept(op));
+            if (!operator) return node;
+            node = { type: 'binary', operator, left: node, right: this.additive() };
+        }
+    }
+
+    additive() {
+        let node = this.multiplicative();
+        for (;;) {
+            const operator = ['+', '-', '&'].find(op => this.accept(op));
+            if (!operator) return node;
+            node = { type: 'binary', operator, left: node, right: this.multiplicative() };
+        }
+    }
+
+    multiplicative() {
+        let node = this.unary();
+        for (;;) {
+            const operator = ['*', '/', '%'].find(op => this.accept(op));
+            if (!operator) return node;
+            node = { type: 'binary', operator, left: node, right: this.unary() };
+        }
+    }
+
+    unary() {
+        if (this.accept('-')) return { type: 'unary', operator: '-', operand: this.unary() };
+        if (this.accept('+')) return this.unary();
+        return this.primary();
+    }
+
+    primary() {
+        const token = this.next();
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                return { type: 'literal', value: token.value };
+            case 'column':
+                if (!this.columns.includes(token.value)) this.columns.push(token.value);
+                return { type: 'column', name: token.value };
+            case 'name': {
+                const keyword = token.value.toLowerCase();
+                if (this.accept('(')) return this.call(keyword, token);
+                if (keyword === 'true' || keyword === 'false') return { type: 'literal', value: keyword === 'true' };
+                if (keyword === 'null') return { type: 'literal', value: null };
+                if (!this.columns.includes(token.value)) this.columns.push(token.value);
+                return { type: 'column', name: token.value };
+            }
+            case 'operator':
+                if (token.value === '(') {
+                    const node = this.or();
+                    this.expect(')');
+                    return node;
+                }
+                throw Expression.error(`Unexpected "${token.value}"`, token.position);
+            default:
+                throw Expression.error('The expression ends too early', token.position);
+        }
+    }
+
+    call(name, token) {
+        const definition = Expression.FUNCTIONS[name];
+        if (!definition) throw Expression.error(`Unknown function ${token.value}()`, token.position);
+
+        const args = [];
+        if (!this.accept(')')) {
+            do {
+                args.push(this.or());
+            } while (this.accept(','));
+            this.expect(')');
+        }
+        if (args.length < definition.min || args.length > definition.max) {
+            const expected = definition.min === definition.max ? definition.min : `${definition.min} to ${definition.max === Infinity ? 'any number of' : definition.max}`;
+            throw Expression.error(`${name}() takes ${expected} argument${definition.max === 1 ? '' : 's'}`, token.position);
+        }
+        return { type: 'call', name, args };
+    }
+}
+
+// Functions by lower-case name; apply() gets evaluated arguments (null for empty)
+Expression.FUNCTIONS = {
+    if: { min: 2, max: 3, usage: 'if(condition, then, else)' },
+    coalesce: { min: 1, max: Infinity, usage: 'coalesce(a, b, ...)', apply: (...values) => values.find(value => !Expression.empty(value)) ?? null },
+    concat: { min: 1, max: Infinity, usage: 'concat(a, b, ...)', apply: (...values) => values.map(Expression.text).join('') },
+    upper: { min: 1, max: 1, usage: 'upper(text)', apply: value => value === null ? null : Expression.text(value).toUpperCase() },
+    lower: { min: 1, max: 1, usage: 'lower(text)', apply: value => value === null ? null : Expression.text(value).toLowerCase() },
+    trim: { min: 1, max: 1, usage: 'trim(text)', apply: value => value === null ? null : Expression.text(value).trim() },
+    len: { min: 1, max: 1, usage: 'len(text)', apply: value => Expression.text(value).length },
+    left: { min: 2, max: 2, usage: 'left(text, count)', apply: (value, count) => Expression.text(value).slice(0, Math.max(0, SchemaInference.toNumber(count) || 0)) },
+    right: { min: 2, max: 2, usage: 'right(text, count)', apply: (value, count) => {
+        const n = Math.max(0, SchemaInference.toNumber(count) || 0);
+        return n ? Expression.text(value).slice(-n) : '';
+    } },
+    mid: { min: 2, max: 3, usage: 'mid(text, start, count)', apply: (value, start, count = null) => {
+        const from = Math.max(1, SchemaInference.toNumber(start) || 1) - 1;
+        const text = Expression.text(value);
+        return count === null ? text.slice(from) : text.substr(from, Math.max(0, SchemaInference.toNumber(count) || 0));
+    } },
+    replace: { min: 3, max: 3, usage: 'replace(text, find, with)', apply: (value, find, replacement) =>
+        Expression.text(value).split(Expression.text(find)).join(Expression.text(replacement)) },
+    contains: { min: 2, max: 2, usage: 'contains(text, part)', apply: (value, part) =>
+        Expression.text(value).toLowerCase().includes(Expression.text(part).toLowerCase()) },
+    number: { min: 1, max: 1, usage: 'number(text)', apply: value => SchemaInference.toNumber(value) },
+    text: { min: 1, max: 1, usage: 'text(value)', apply: value => Expression.text(value) },
+    round: { min: 1, max: 2, usage: 'round(number, digits)', apply: (value, digits = 0) => {
+        const number = SchemaInference.toNumber(value);
+        const factor = 10 ** (SchemaInference.toNumber(digits) || 0);
+        return number === null ? null : Math.round(number * factor) / factor;
+    } },
+    floor: { min: 1, max: 1, usage: 'floor(number)', apply: value => SchemaInference.toNumber(value) === null ? null : Math.floor(SchemaInference.toNumber(value)) },
+    ceil: { min: 1, max: 1, usage: 'ceil(number)', apply: value => SchemaInference.toNumber(value) === null ? null : Math.ceil(SchemaInference.toNumber(value)) },
+    abs: { min: 1, max: 1, usage: 'abs(number)', apply: value => SchemaInference.toNumber(value) === null ? null : Math.abs(SchemaInference.toNumber(value)) },
+    min: { min: 1, max: Infinity, usage: 'min(a, b, ...)', apply: (...values) => {
+        const numbers = values.map(value => SchemaInference.toNumber(value)).filter(number => number !== null);
+        return numbers.length ? Math.min(...numbers) : null;
+    } },
+    max: { min: 1, max: Infinity, usage: 'max(a, b, ...)', apply: (...values) => {
+        const numbers = values.map(value => SchemaInference.toNumber(value)).filter(number => number !== null);
+        return numbers.length ? Math.max(...numbers) : null;
+    } },
+    year: { min: 1, max: 1, usage: 'year(date)', apply: value => Expression.date(value)?.getUTCFullYear() ?? null },
+    month: { min: 1, max: 1, usage: 'month(date)', apply: value => {
+        const date = Expression.date(value);
+        return date ? date.getUTCMonth() + 1 : null;
+    } },
+    day: { min: 1, max: 1, usage: 'day(date)', apply: value => Expression.date(value)?.getUTCDate() ?? null },
+    days: { min: 2, max: 2, usage: 'days(from, to)', apply: (from, to) => {
+        const start = Expression.date(from);
+        const end = Expression.date(to);
+        return start && end ? Math.round((end - start) / 86400000) : null;
+    } },
+    today: { min: 0, max: 0, usage: 'today()', apply: () => SchemaInference.formatDate(new Date()) }
+};
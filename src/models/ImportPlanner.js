@@ -0,0 +1,188 @@
+// Works out what an import will do before anything is written
+// Incoming rows are matched against the target dataset (and against earlier
+// rows of the same file) by key columns or by the whole row, then sorted into
+// new, identical, updated, conflicting and skipped rows.
+//
+// Modes:
+//   append - every row is new
+//   skip   - rows matching an existing row are skipped
+//   upsert - matching rows update the existing row; where both sides hold
+//            different non-empty values the field is a conflict to resolve
+
+class ImportPlanner {
+    constructor(options = {}) {
+        this.mode = options.mode || 'append';
+        this.keyColumns = (options.keyColumns || []).filter(Boolean);
+        this.fullRow = !!options.fullRow || this.keyColumns.length === 0;
+        this.ignoreCase = options.ignoreCase !== false;
+    }
+
+    static isEmpty(value) {
+        return value === null || value === undefined || String(value).trim() === '';
+    }
+
+    static normalize(value, ignoreCase = false) {
+        if (value === null || value === undefined) return '';
+        const text = (typeof value === 'object' ? JSON.stringify(value) : String(value)).trim();
+        return ignoreCase ? text.toLowerCase() : text;
+    }
+
+    static columnsOf(record) {
+        return Object.keys(record).filter(key => !key.startsWith('_'));
+    }
+
+    // Match key for a record, or null when it has no key values at all.
+    // Full-row keys leave out empty fields so a missing column matches a blank one.
+    keyOf(record) {
+        if (this.fullRow) {
+            const pairs = ImportPlanner.columnsOf(record).sort()
+                .map(column => [column, ImportPlanner.normalize(record[column], this.ignoreCase)])
+                .filter(([, value]) => value !== '');
+            return pairs.length ? JSON.stringify(pairs) : null;
+        }
+
+        const parts = this.keyColumns.map(column => ImportPlanner.normalize(record[column], this.ignoreCase));
+        return parts.every(part => part === '') ? null : JSON.stringify(parts);
+    }
+
+    // Fields where the incoming row has a value different from the existing
+    // row. Key columns already matched, so case differences there are ignored.
+    diff(existing, incoming) {
+        return ImportPlanner.columnsOf(incoming)
+            .filter(field => !this.keyColumns.includes(field) || this.fullRow)
+            .filter(field => !ImportPlanner.isEmpty(incoming[field]))
+            .filter(field => ImportPlanner.normalize(existing[field]) !== ImportPlanner.normalize(incoming[field]))
+            .map(field => ({
+                field,
+                existingValue: existing[field],
+                incomingValue: incoming[field]
+            }));
+    }
+
+    plan(existingRecords, incomingRecords) {
+        const plan = {
+            mode: this.mode,
+            keyColumns: this.fullRow ? [] : this.keyColumns,
+            newRows: [],
+            identical: [],
+            updated: [],
+            conflicts: [],
+            skipped: []
+        };
+
+        if (this.mode === 'append') {
+            plan.newRows = incomingRecords;
+            return plan;
+        }
+
+        const index = new Map();
+        existingRecords.forEach(record => {
+            const key = this.keyOf(record);
+            if (key !== null && !index.has(key)) index.set(key, record);
+        });
+
+        incomingRecords.forEach(record => {
+            const key = this.keyOf(record);
+            const match = key === null ? null : index.get(key);
+
+            if (!match) {
+                plan.newRows.push(record);
+                if (key !== null) index.set(key, record);
+                return;
+            }
+
+            const changes = this.diff(match, record);
+            if (changes.length === 0) {
+                plan.identical.push({ existing: match, incoming: record });
+            } else if (this.mode === 'skip') {
+                plan.skipped.push({ existing: match, incoming: record, changes });
+            } else {
+                const conflicting = changes.filter(change => !ImportPlanner.isEmpty(change.existingValue));
+                if (conflicting.length === 0) {
+                    plan.updated.push({ existing: match, incoming: record, changes });
+                } else {
+                    plan.conflicts.push({
+                        existing: match,
+                        incoming: record,
+                        changes,
+                        fields: conflicting.map(change => ({ ...change, choice: 'incoming' }))
+                    });
+                }
+            }
+        });
+
+        return plan;
+    }
+
+    static summarize(plan) {
+        return {
+            new: plan.newRows.length,
+            updated: plan.updated.length,
+            identical: plan.identical.length,
+            conflicting: plan.conflicts.length,
+            skipped: plan.skipped.length
+        };
+    }
+
+    // Sets every conflicting field to 'incoming' or 'existing'
+    static resolveAll(plan, choice) {
+        plan.conflicts.forEach(conflict => {
+            conflict.fields.forEach(field => {
+                field.choice = choice;
+            });
+        });
+    }
+
+    // Applies the plan with the chosen conflict resolutions. Rows matched
+    // within the same file are merged into the pending new row; stored rows are
+    // returned as updated copies so nothing changes until they are saved.
+    static apply(plan) {
+        const copies = new Map();
+        const target = existing => {
+            if (!existing._metadata?.id) return existing;
+            if (!copies.has(existing)) {
+                copies.set(existing, {
+                    ...existing,
+                    _metadata: { ...existing._metadata, raw: { ...existing._metadata.raw } }
+                });
+            }
+            return copies.get(existing);
+        };
+
+        plan.updated.forEach(({ existing, incoming, changes }) => {
+            const record = target(existing);
+            changes.forEach(change => ImportPlanner.setField(record, incoming, change.field));
+        });
+
+        plan.conflicts.forEach(({ existing, incoming, changes, fields }) => {
+            const record = target(existing);
+            changes.forEach(change => {
+                const field = fields.find(f => f.field === change.field);
+                if (!field || field.choice === 'incoming') {
+                    ImportPlanner.setField(record, incoming, change.field);
+                }
+            });
+        });
+
+        copies.forEach(record => {
+            if (Object.keys(record._metadata.raw).length === 0) delete record._metadata.raw;
+        });
+
+        return {
+            inserts: plan.newRows,
+            updates: Array.from(copies.values())
+        };
+    }
+
+    // Takes the incoming value along with its original text, so a later
+    // type change starts from what this file held rather than the old value
+    static setField(record, incoming, field) {
+        record[field] = incoming[field];
+        const raw = incoming._metadata?.raw;
+        if (raw && field in raw) {
+            record._metadata = { ...record._metadata, raw: { ...record._metadata?.raw, [field]: raw[field] } };
+        } else if (record._metadata?.raw) {
+            delete record._metadata.raw[field];
+        }
+    }
+}
@@ -0,0 +1,62 @@
+// Row-level problems found while importing a file
+// Parsers report warnings as { line, message } for text formats and
+// { cell, column, message } for workbooks. Values that won't convert to their
+// column's type are added as { row, column, message }, where row is the
+// 1-based data row. A report lists them all as CSV so it can be sent back to
+// whoever produced the file.
+
+class ImportReport {
+    // "Line 12", "Cell Sheet1!C5" or "Row 3"
+    static location(warning) {
+        if (warning.cell) return `Cell ${warning.cell}`;
+        if (warning.line) return `Line ${warning.line}`;
+        if (warning.row) return `Row ${warning.row}`;
+        return '';
+    }
+
+    // Values that don't fit their column's type, first limit of them plus a
+    // count. firstRow is the row number of records[0], for files checked
+    // batch by batch.
+    static typeWarnings(records, schema, limit = 1000, firstRow = 1) {
+        const warnings = [];
+        let count = 0;
+
+        records.forEach((record, index) => {
+            Object.keys(schema).forEach(column => {
+                const { type, dayFirst } = schema[column];
+                if (!(column in record) || SchemaInference.isValid(record[column], type, dayFirst)) return;
+
+                count++;
+                if (warnings.length < limit) {
+                    warnings.push({
+                        row: firstRow + index,
+                        column,
+                        message: `"${String(record[column]).slice(0, 80)}" is not a valid ${type}; it is imported unchanged`
+                    });
+                }
+            });
+        });
+        return { warnings, count };
+    }
+
+    // CSV with one line per problem; error is a parse failure, if any
+    static toCsv(fileName, warnings, error = null) {
+        const quote = value => {
+            const text = String(value === null || value === undefined ? '' : value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [['File', 'Location', 'Column', 'Problem']];
+
+        if (error) {
+            lines.push([fileName, '', '', error.message || String(error)]);
+        }
+        warnings.forEach(warning => {
+            lines.push([fileName, ImportReport.location(warning), warning.column || '', warning.message]);
+        });
+        return lines.map(line => line.map(quote).join(',')).join('\r\n');
+    }
+
+    static fileName(sourceName) {
+        return `${sourceName.replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|\[\]]+/g, '_')}-import-report.csv`;
+    }
+}
@@ -0,0 +1,172 @@
+// IndexedDB backend
+// Records live in their own object store keyed by _metadata.id, with indexes on
+// the metadata fields we query by, so imports write only the new batch instead
+// of the whole database. Data left in the old localStorage key is migrated on
+// first open.
+
+class IndexedDBDatabase extends BaseDatabase {
+    constructor(name = 'parseflow', legacyKey = 'parseflow_database') {
+        super();
+        this.dbName = name;
+        this.legacyKey = legacyKey;
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // Deletes a whole database, e.g. when its workspace is removed. Open
+    // connections close themselves through onversionchange.
+    static drop(name) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(name);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async open() {
+        if (this.db) return;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, IndexedDBDatabase.VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const records = db.objectStoreNames.contains('records')
+                    ? request.transaction.objectStore('records')
+                    : db.createObjectStore('records', { keyPath: '_metadata.id' });
+
+                IndexedDBDatabase.INDEXES.forEach(field => {
+                    if (!records.indexNames.contains(field)) {
+                        records.createIndex(field, `_metadata.${field}`);
+                    }
+                });
+
+                if (!db.objectStoreNames.contains('metadata')) {
+                    db.createObjectStore('metadata');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('ParseFlow is open in another tab with an older version'));
+        });
+
+        // Another tab upgraded the schema; let it proceed
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+
+        await this.migrateFromLocalStorage();
+    }
+
+    // Runs work(tx) in a transaction and resolves with the result of the
+    // request it returns once the transaction has committed
+    transaction(storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            const request = work(tx);
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    async load() {
+        const records = await this.transaction('records', 'readonly', tx => tx.objectStore('records').getAll());
+        const metadata = await this.transaction('metadata', 'readonly', tx => tx.objectStore('metadata').get('metadata'));
+
+        return {
+            records: records || [],
+            metadata: metadata || BaseDatabase.emptyData().metadata
+        };
+    }
+
+    putRecords(records) {
+        return this.transaction('records', 'readwrite', tx => {
+            const store = tx.objectStore('records');
+            records.forEach(record => store.put(record));
+        });
+    }
+
+    getRecordsWhere(field, value) {
+        return this.transaction('records', 'readonly', tx => tx.objectStore('records').index(field).getAll(value));
+    }
+
+    deleteRecordsWhere(field, value) {
+        return this.transaction('records', 'readwrite', tx => {
+            const store = tx.objectStore('records');
+            const cursorRequest = store.index(field).openKeyCursor(IDBKeyRange.only(value));
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    deleteRecords(ids) {
+        return this.transaction('records', 'readwrite', tx => {
+            const store = tx.objectStore('records');
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    saveMetadata(metadata) {
+        return this.transaction('metadata', 'readwrite', tx => {
+            tx.objectStore('metadata').put(metadata, 'metadata');
+        });
+    }
+
+    clear() {
+        return this.transaction(['records', 'metadata'], 'readwrite', tx => {
+            tx.objectStore('records').clear();
+            tx.objectStore('metadata').clear();
+        });
+    }
+
+    async migrateFromLocalStorage() {
+        if (typeof localStorage === 'undefined') return;
+
+        const saved = localStorage.getItem(this.legacyKey);
+        if (!saved) return;
+
+        let legacy;
+        try {
+            legacy = JSON.parse(saved);
+        } catch (error) {
+            console.error('Could not read legacy localStorage data, leaving it in place:', error);
+            return;
+        }
+
+        const records = (legacy.records || []).map(record => {
+            if (!record._metadata || !record._metadata.id) {
+                record._metadata = { ...record._metadata, id: BaseDatabase.generateId() };
+            }
+            return record;
+        });
+
+        const { metadata: existing } = await this.load();
+        const legacyMetadata = { ...BaseDatabase.emptyData().metadata, ...legacy.metadata };
+        const metadata = {
+            ...existing,
+            totalFiles: existing.totalFiles + legacyMetadata.totalFiles,
+            lastUpdated: existing.lastUpdated || legacyMetadata.lastUpdated,
+            uploadHistory: legacyMetadata.uploadHistory.concat(existing.uploadHistory)
+        };
+
+        await this.putRecords(records);
+        await this.saveMetadata(metadata);
+        localStorage.removeItem(this.legacyKey);
+    }
+}
+
+IndexedDBDatabase.VERSION = 2;
+IndexedDBDatabase.INDEXES = ['datasetId', 'uploadId', 'fileName', 'uploadedAt'];
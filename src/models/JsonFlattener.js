@@ -0,0 +1,238 @@
+// Record selection and flattening for nested JSON
+// A JSONPath-style expression picks the records out of a document, then each
+// record is flattened into dotted columns (address.city). Nested arrays are
+// joined into a string or kept as JSON, or one of them (explodePath, named
+// like its column) is exploded into one row per element while the others
+// are joined, so sibling arrays are never multiplied together.
+//
+// Supported path syntax: $ (root), .key, ['key'], [0], [-1], [*], .* and ..key
+// (recursive descent). A path that selects a single array uses its elements.
+
+class JsonFlattener {
+    constructor(options = {}) {
+        this.arrays = options.arrays || 'join';
+        // Without one, the first array found in the records is exploded
+        this.explodePath = options.explodePath || null;
+        this.joinWith = options.joinWith !== undefined ? options.joinWith : ', ';
+        this.maxRowsPerRecord = options.maxRowsPerRecord || 10000;
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static parsePath(path) {
+        const text = String(path || '').trim().replace(/^\$/, '');
+        const tokens = [];
+        const pattern = /^(\.\.|\.)?(?:([A-Za-z_$][\w$-]*)|\*|\[\s*(?:(-?\d+)|\*|'([^']*)'|"([^"]*)")\s*\])/;
+        let rest = text;
+
+        while (rest.length > 0) {
+            const match = rest.match(pattern);
+            // Keys need a leading dot except at the start ("data.items" works like "$.data.items")
+            const bareKey = !match || (!match[1] && !match[0].startsWith('['));
+            if (!match || (bareKey && tokens.length > 0)) {
+                throw new Error(`Invalid path near "${rest}"`);
+            }
+
+            let token;
+            if (match[2] !== undefined) {
+                token = { type: 'child', key: match[2] };
+            } else if (match[3] !== undefined) {
+                token = { type: 'index', index: Number(match[3]) };
+            } else if (match[4] !== undefined || match[5] !== undefined) {
+                token = { type: 'child', key: match[4] !== undefined ? match[4] : match[5] };
+            } else {
+                token = { type: 'wildcard' };
+            }
+
+            tokens.push(match[1] === '..' ? { type: 'recursive', token } : token);
+            rest = rest.slice(match[0].length);
+        }
+        return tokens;
+    }
+
+    // Every value the path matches, in document order
+    static evaluate(data, path) {
+        let nodes = [data];
+
+        JsonFlattener.parsePath(path).forEach(token => {
+            if (token.type === 'recursive') {
+                nodes = JsonFlattener.descendants(nodes).flatMap(node => JsonFlattener.step(node, token.token));
+            } else {
+                nodes = nodes.flatMap(node => JsonFlattener.step(node, token));
+            }
+        });
+        return nodes;
+    }
+
+    static step(node, token) {
+        if (node === null || typeof node !== 'object') return [];
+
+        switch (token.type) {
+            case 'child':
+                return !Array.isArray(node) && Object.prototype.hasOwnProperty.call(node, token.key) ? [node[token.key]] : [];
+            case 'index': {
+                if (!Array.isArray(node)) return [];
+                const index = token.index < 0 ? node.length + token.index : token.index;
+                return index >= 0 && index < node.length ? [node[index]] : [];
+            }
+            case 'wildcard':
+                return Array.isArray(node) ? node.slice() : Object.values(node);
+            default:
+                return [];
+        }
+    }
+
+    static descendants(nodes) {
+        const result = [];
+        const visit = node => {
+            result.push(node);
+            if (node !== null && typeof node === 'object') {
+                (Array.isArray(node) ? node : Object.values(node)).forEach(visit);
+            }
+        };
+        nodes.forEach(visit);
+        return result;
+    }
+
+    // Path string for a child of parentPath, e.g. $.data['first name'][0]
+    static childPath(parentPath, key) {
+        if (typeof key === 'number') return `${parentPath}[${key}]`;
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${parentPath}.${key}` : `${parentPath}['${key.replace(/'/g, "\\'")}']`;
+    }
+
+    // The records a document holds. Without a path: the root array, else the
+    // first array-valued key (when unwrapArrays is set), else the document.
+    static selectRecords(data, path = '', unwrapArrays = true) {
+        if (!String(path || '').trim()) {
+            if (Array.isArray(data)) return data;
+            if (unwrapArrays && JsonFlattener.isPlainObject(data)) {
+                const arrayKey = Object.keys(data).find(key => Array.isArray(data[key]));
+                if (arrayKey) return data[arrayKey];
+            }
+            return [data];
+        }
+
+        const matches = JsonFlattener.evaluate(data, path);
+        if (matches.length === 1 && Array.isArray(matches[0])) return matches[0];
+        return matches.flatMap(match => Array.isArray(match) ? match : [match]);
+    }
+
+    // Arrays of objects anywhere in the document, largest first, as record candidates
+    static findRecordArrays(data, maxDepth = 6) {
+        const found = [];
+        const visit = (node, path, depth) => {
+            if (depth > maxDepth || node === null || typeof node !== 'object') return;
+
+            if (Array.isArray(node)) {
+                if (node.some(JsonFlattener.isPlainObject)) {
+                    found.push({ path, count: node.length });
+                }
+                const first = node.find(JsonFlattener.isPlainObject);
+                if (first) visit(first, `${path}[*]`, depth + 1);
+                return;
+            }
+            Object.keys(node).forEach(key => visit(node[key], JsonFlattener.childPath(path, key), depth + 1));
+        };
+        visit(data, '$', 0);
+        return found.sort((a, b) => b.count - a.count);
+    }
+
+    // Whether records hold nested objects or arrays worth reviewing before import
+    static hasNesting(records, sampleSize = 100) {
+        return records.slice(0, sampleSize).some(record =>
+            record !== null && typeof record === 'object' &&
+            Object.values(record).some(value => value !== null && typeof value === 'object')
+        );
+    }
+
+    // Arrays found in the records, named like the columns they flatten to:
+    // [{ path, count, objects }] with arrays of objects first, then the
+    // arrays most records have. Arrays inside arrays aren't listed.
+    static arrayPaths(records, sampleSize = 100) {
+        const found = new Map();
+        const visit = (value, name) => {
+            if (Array.isArray(value)) {
+                const entry = found.get(name) || { path: name, count: 0, objects: false };
+                entry.count++;
+                entry.objects = entry.objects || value.some(JsonFlattener.isPlainObject);
+                found.set(name, entry);
+            } else if (JsonFlattener.isPlainObject(value)) {
+                Object.keys(value).forEach(key => visit(value[key], name ? `${name}.${key}` : key));
+            }
+        };
+        records.slice(0, sampleSize).forEach(record => visit(record, JsonFlattener.isPlainObject(record) ? '' : 'value'));
+        return Array.from(found.values()).sort((a, b) => Number(b.objects) - Number(a.objects) || b.count - a.count);
+    }
+
+    flattenRecords(records) {
+        this.chooseExplodePath(records);
+        return records.flatMap((record, index) => this.flatten(record, index));
+    }
+
+    // Picks the array to explode from the first records that have one, so
+    // records flattened batch by batch all explode the same array
+    chooseExplodePath(records) {
+        if (this.arrays === 'explode' && !this.explodePath) {
+            this.explodePath = JsonFlattener.arrayPaths(records)[0]?.path || null;
+        }
+    }
+
+    // One record in, one or more flat rows out
+    flatten(record, index = 0) {
+        this.chooseExplodePath([record]);
+        const rows = JsonFlattener.isPlainObject(record)
+            ? this.flattenObject(record, '')
+            : this.flattenValue(record, 'value');
+
+        if (rows.length > this.maxRowsPerRecord) {
+            throw new Error(`Record ${index + 1} would explode into ${rows.length.toLocaleString()} rows; join its arrays or keep them as JSON instead`);
+        }
+        return rows;
+    }
+
+    flattenObject(object, prefix) {
+        let rows = [{}];
+        Object.keys(object).forEach(key => {
+            const childRows = this.flattenValue(object[key], prefix + key);
+            rows = rows.length === 1 && childRows.length === 1
+                ? [Object.assign(rows[0], childRows[0])]
+                : rows.flatMap(row => childRows.map(child => ({ ...row, ...child })));
+
+            if (rows.length > this.maxRowsPerRecord) {
+                throw new Error(`A record would explode into more than ${this.maxRowsPerRecord.toLocaleString()} rows; join its arrays or keep them as JSON instead`);
+            }
+        });
+        return rows;
+    }
+
+    flattenValue(value, name) {
+        if (JsonFlattener.isPlainObject(value)) {
+            return Object.keys(value).length > 0 ? this.flattenObject(value, `${name}.`) : [{ [name]: '' }];
+        }
+
+        if (Array.isArray(value)) {
+            switch (this.arrays === 'explode' && name !== this.explodePath ? 'join' : this.arrays) {
+                case 'explode':
+                    return value.length > 0 ? value.flatMap(item => this.flattenValue(item, name)) : [{ [name]: '' }];
+                case 'json':
+                    return [{ [name]: JSON.stringify(value) }];
+                default:
+                    return [{
+                        [name]: value
+                            .map(item => item !== null && typeof item === 'object' ? JSON.stringify(item) : item)
+                            .join(this.joinWith)
+                    }];
+            }
+        }
+
+        return [{ [name]: value }];
+    }
+}
+
+JsonFlattener.ARRAY_MODES = [
+    { value: 'join', label: 'Join into one value' },
+    { value: 'explode', label: 'Explode one into rows' },
+    { value: 'json', label: 'Keep as JSON' }
+];
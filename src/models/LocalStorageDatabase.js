@@ -0,0 +1,70 @@
+// localStorage backend: everything in a single JSON string
+// Kept as the fallback for browsers without IndexedDB. It rewrites the whole
+// key on every change and is limited to the ~5 MB localStorage quota.
+
+class LocalStorageDatabase extends BaseDatabase {
+    constructor(key = 'parseflow_database') {
+        super();
+        this.key = key;
+        this.data = null;
+    }
+
+    async open() {
+        if (typeof localStorage === 'undefined') {
+            throw new Error('localStorage is not available');
+        }
+    }
+
+    async load() {
+        try {
+            const saved = localStorage.getItem(this.key);
+            this.data = saved ? JSON.parse(saved) : BaseDatabase.emptyData();
+        } catch (error) {
+            console.error('Error loading data:', error);
+            this.data = BaseDatabase.emptyData();
+        }
+        return { records: this.data.records.slice(), metadata: this.data.metadata };
+    }
+
+    write() {
+        localStorage.setItem(this.key, JSON.stringify(this.data));
+    }
+
+    async putRecords(records) {
+        const byId = new Map(this.data.records.map((record, index) => [record._metadata?.id, index]));
+        records.forEach(record => {
+            const index = byId.get(record._metadata?.id);
+            if (index === undefined) {
+                this.data.records.push(record);
+            } else {
+                this.data.records[index] = record;
+            }
+        });
+        this.write();
+    }
+
+    async getRecordsWhere(field, value) {
+        return this.data.records.filter(record => record._metadata?.[field] === value);
+    }
+
+    async deleteRecordsWhere(field, value) {
+        this.data.records = this.data.records.filter(record => record._metadata?.[field] !== value);
+        this.write();
+    }
+
+    async deleteRecords(ids) {
+        const remove = new Set(ids);
+        this.data.records = this.data.records.filter(record => !remove.has(record._metadata?.id));
+        this.write();
+    }
+
+    async saveMetadata(metadata) {
+        this.data.metadata = metadata;
+        this.write();
+    }
+
+    async clear() {
+        this.data = BaseDatabase.emptyData();
+        this.write();
+    }
+}
@@ -0,0 +1,988 @@
+// ParseFlowDB: datasets, uploads, schemas and saved view state on top of a
+// storage backend (IndexedDB, localStorage, or the ParseFlow server through
+// RemoteDatabase). Every write checks the signed-in user's permissions for
+// the workspace first. The dashboard and server/server.js both use it.
+
+class ParseFlowDB {
+    // storage: where the workspace keeps its data ({ indexedDB,
+    // localStorage }); permissions: the actions the signed-in user may
+    // take in it, see WorkspaceStore.permissions(); user: the name change
+    // histories record edits under
+    constructor(backend = null, options = {}) {
+        this.backend = backend;
+        this.storage = options.storage || WorkspaceStore.LEGACY_STORAGE;
+        this.permissions = options.permissions || new Set(Object.keys(WorkspaceStore.ACTIONS));
+        this.user = options.user || null;
+        this.data = BaseDatabase.emptyData();
+        this.datasetRecords = new Map();
+        // SearchIndex per dataset id, built on first use and kept up to date
+        this.searchIndexes = new Map();
+    }
+
+    async init() {
+        const { indexedDB: dbName, localStorage: key } = this.storage;
+        // A backend passed in is the only choice, so its errors are the caller's
+        const given = this.backend;
+        this.backend = null;
+        const backends = given
+            ? [given]
+            : [IndexedDBDatabase.isSupported() && new IndexedDBDatabase(dbName, key), new LocalStorageDatabase(key)].filter(Boolean);
+
+        for (const backend of backends) {
+            try {
+                await backend.open();
+                this.data = await backend.load();
+                this.backend = backend;
+                break;
+            } catch (error) {
+                if (given) throw error;
+                console.error(`Error opening ${backend.name}:`, error);
+            }
+        }
+        if (!this.backend) {
+            throw new Error('No storage backend is available; data will not be saved');
+        }
+        await this.migrateToDatasets();
+    }
+
+    // Data saved before datasets existed: one dataset per upload
+    async migrateToDatasets() {
+        const metadata = this.data.metadata;
+        const needsMigration = !metadata.datasets;
+        metadata.datasets = metadata.datasets || [];
+        metadata.activeDatasetId = metadata.activeDatasetId || null;
+
+        const orphans = this.data.records.filter(record => !record._metadata?.datasetId);
+        if (orphans.length === 0) {
+            if (needsMigration) {
+                await this.persist(backend => backend.saveMetadata(metadata));
+            }
+            return;
+        }
+
+        const groups = new Map();
+        orphans.forEach(record => {
+            record._metadata = record._metadata || { id: this.generateId() };
+            const key = record._metadata.uploadId || `file:${record._metadata.fileName || 'unknown'}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(record);
+        });
+
+        groups.forEach(records => {
+            const first = records[0]._metadata;
+            const uploadId = first.uploadId || this.generateId();
+            const fileName = first.fileName || 'unknown';
+            const dataset = this.createDatasetEntry(fileName.replace(/\.[^.]+$/, ''), first.uploadedAt);
+
+            records.forEach(record => {
+                record._metadata.uploadId = uploadId;
+                record._metadata.datasetId = dataset.id;
+            });
+            dataset.uploadIds.push(uploadId);
+            dataset.columns = this.collectColumns(records);
+
+            const entry = metadata.uploadHistory.find(upload => upload.id === uploadId) ||
+                metadata.uploadHistory.find(upload => !upload.id && upload.fileName === fileName);
+            if (entry) {
+                entry.id = uploadId;
+                entry.datasetId = dataset.id;
+            } else {
+                metadata.uploadHistory.push({
+                    id: uploadId,
+                    datasetId: dataset.id,
+                    fileName: fileName,
+                    recordCount: records.length,
+                    uploadedAt: first.uploadedAt
+                });
+            }
+        });
+
+        metadata.activeDatasetId = metadata.activeDatasetId || metadata.datasets[metadata.datasets.length - 1].id;
+        this.datasetRecords.clear();
+        this.searchIndexes.clear();
+        await this.persist(backend => backend.putRecords(orphans));
+        await this.persist(backend => backend.saveMetadata(metadata));
+    }
+
+    can(action) {
+        return this.permissions.has(action);
+    }
+
+    // Every write checks the user's role here, whatever the UI shows
+    require(action) {
+        if (!this.can(action)) {
+            throw WorkspaceStore.permissionError(WorkspaceStore.ACTIONS[action]);
+        }
+    }
+
+    // Runs a backend write and turns storage failures into readable errors
+    async persist(write) {
+        if (!this.backend) {
+            throw new Error('Storage is not available');
+        }
+        try {
+            await write(this.backend);
+        } catch (error) {
+            if (BaseDatabase.isQuotaError(error)) {
+                const quotaError = new Error('Browser storage is full. Delete some uploads or clear data, then try again.');
+                quotaError.name = 'QuotaExceededError';
+                throw quotaError;
+            }
+            throw error;
+        }
+    }
+
+    async addRecords(newRecords, fileName = 'unknown') {
+        const upload = this.beginUpload(fileName);
+        try {
+            await this.appendRecords(upload, newRecords);
+            return await this.finishUpload(upload);
+        } catch (error) {
+            await this.abortUpload(upload);
+            throw error;
+        }
+    }
+
+    // Saves records built from other datasets, such as a join, as a new
+    // dataset whose columns keep the types given in schema. Resolves with
+    // the dataset.
+    async createDatasetFromRecords(name, records, schema = {}) {
+        const upload = this.beginUpload(name, null, name);
+        Object.assign(upload.schema, JSON.parse(JSON.stringify(schema)));
+        try {
+            await this.appendRecords(upload, records);
+            await this.finishUpload(upload);
+        } catch (error) {
+            await this.abortUpload(upload);
+            throw error;
+        }
+        return this.getDataset(upload.datasetId);
+    }
+
+    // Batched imports: beginUpload(), appendRecords() per batch, then
+    // finishUpload() to record it, or abortUpload() to roll it back.
+    // Without a datasetId the upload gets a new dataset of its own, named
+    // datasetName or after the file.
+    beginUpload(fileName = 'unknown', datasetId = null, datasetName = null) {
+        this.require('import');
+        const uploadedAt = new Date().toISOString();
+        let dataset = datasetId ? this.getDataset(datasetId) : null;
+        const createdDataset = !dataset;
+
+        if (!dataset) {
+            dataset = this.createDatasetEntry(datasetName || fileName.replace(/\.[^.]+$/, ''), uploadedAt);
+        }
+
+        return {
+            id: this.generateId(),
+            datasetId: dataset.id,
+            createdDataset: createdDataset,
+            fileName: fileName,
+            uploadedAt: uploadedAt,
+            recordCount: 0,
+            columns: new Set(),
+            schema: createdDataset ? {} : { ...this.getSchema(dataset.id) }
+        };
+    }
+
+    // Coerces records to the upload's schema. Columns the schema doesn't
+    // know yet are inferred from the records they first appear in.
+    applySchema(upload, records) {
+        const unknown = SchemaInference.columnsOf(records).filter(column => !upload.schema[column]);
+        if (unknown.length > 0) {
+            Object.assign(upload.schema, new SchemaInference().infer(records, unknown));
+        }
+        records.forEach(record => this.coerceRecord(record, upload.schema));
+    }
+
+    // Converts values in place. Originals that can't be recovered from the
+    // converted value (e.g. "yes" -> true) are kept in _metadata.raw so a
+    // later type change starts from the original text.
+    coerceRecord(record, schema, columns = Object.keys(schema)) {
+        const raw = { ...record._metadata?.raw };
+        let changed = false;
+
+        columns.forEach(column => {
+            if (!(column in record) || !schema[column]) return;
+            const original = column in raw ? raw[column] : record[column];
+            const value = SchemaInference.coerce(original, schema[column].type, schema[column].dayFirst);
+
+            if (value !== record[column]) {
+                record[column] = value;
+                changed = true;
+            }
+            if (String(value) !== String(original)) {
+                raw[column] = original;
+            } else {
+                delete raw[column];
+            }
+        });
+
+        if (Object.keys(raw).length > 0) {
+            changed = changed || JSON.stringify(raw) !== JSON.stringify(record._metadata?.raw);
+            record._metadata = { ...record._metadata, raw };
+        } else if (record._metadata?.raw) {
+            delete record._metadata.raw;
+            changed = true;
+        }
+        return changed;
+    }
+
+    async appendRecords(upload, newRecords) {
+        this.require('import');
+        this.applySchema(upload, newRecords);
+        newRecords.forEach(record => {
+            record._metadata = {
+                ...record._metadata,
+                fileName: upload.fileName,
+                uploadedAt: upload.uploadedAt,
+                uploadId: upload.id,
+                datasetId: upload.datasetId,
+                id: this.generateId()
+            };
+            Object.keys(record).forEach(key => {
+                if (!key.startsWith('_')) upload.columns.add(key);
+            });
+        });
+
+        await this.persist(backend => backend.putRecords(newRecords));
+        newRecords.forEach(record => this.data.records.push(record));
+        this.datasetRecords.delete(upload.datasetId);
+        this.indexRecords(newRecords);
+        upload.recordCount += newRecords.length;
+    }
+
+    async finishUpload(upload) {
+        this.require('import');
+        const metadata = this.data.metadata;
+        const dataset = this.getDataset(upload.datasetId);
+
+        dataset.uploadIds.push(upload.id);
+        upload.columns.forEach(column => {
+            if (!dataset.columns.includes(column)) dataset.columns.push(column);
+        });
+        dataset.updatedAt = upload.uploadedAt;
+        dataset.schema = { ...dataset.schema, ...upload.schema };
+
+        metadata.totalFiles++;
+        metadata.lastUpdated = upload.uploadedAt;
+        metadata.activeDatasetId = dataset.id;
+        metadata.uploadHistory.push({
+            id: upload.id,
+            datasetId: upload.datasetId,
+            fileName: upload.fileName,
+            recordCount: upload.recordCount,
+            uploadedAt: upload.uploadedAt,
+            importSummary: upload.importSummary || null,
+            warningCount: upload.warningCount || 0,
+            warnings: (upload.warnings || []).slice(0, 1000),
+            recipe: upload.recipe || null
+        });
+
+        await this.persist(backend => backend.saveMetadata(metadata));
+        this.getSearchIndex(upload.datasetId);
+        return upload.recordCount;
+    }
+
+    // Saves changed copies of stored records and swaps them in. An upload
+    // keeps the versions it replaced so abortUpload() can put them back.
+    // Rows remember their values as each upload that wrote them left them,
+    // in _metadata.imported: { uploadId: { column: value } }. The values of
+    // the upload that wrote a row last are copied there the first time the
+    // row changes after it; until then the row itself holds them.
+    // updatedByUpload names the last upload that updated the row.
+    async updateRecords(records, upload = null) {
+        this.require(upload ? 'import' : 'edit');
+        if (records.length === 0) return;
+
+        const byId = new Map(this.data.records.map(record => [record._metadata?.id, record]));
+        if (upload) {
+            upload.replaced = upload.replaced || new Map();
+            records.forEach(record => {
+                const original = byId.get(record._metadata?.id);
+                if (original && !upload.replaced.has(original._metadata.id)) {
+                    upload.replaced.set(original._metadata.id, JSON.parse(JSON.stringify(original)));
+                }
+            });
+        }
+        records.forEach(record => {
+            const original = byId.get(record._metadata?.id);
+            const imported = { ...record._metadata?.imported, ...original?._metadata.imported };
+            const writer = original && (original._metadata.updatedByUpload || original._metadata.uploadId);
+            if (writer && !imported[writer]) imported[writer] = this.valuesOf(original);
+
+            record._metadata = {
+                ...record._metadata,
+                updatedAt: new Date().toISOString(),
+                updatedByUpload: upload ? upload.id : original?._metadata.updatedByUpload || null
+            };
+            if (Object.keys(imported).length > 0) record._metadata.imported = imported;
+        });
+
+        await this.persist(backend => backend.putRecords(records));
+        this.datasetRecords.clear();
+
+        records.forEach(record => {
+            const original = byId.get(record._metadata.id);
+            if (original) {
+                Object.keys(original).forEach(key => delete original[key]);
+                Object.assign(original, record);
+                this.indexRecords([original]);
+            }
+            if (upload) {
+                Object.keys(record).forEach(key => {
+                    if (!key.startsWith('_')) upload.columns.add(key);
+                });
+            }
+        });
+    }
+
+    async abortUpload(upload) {
+        this.unindexRecords(this.data.records.filter(record => record._metadata?.uploadId === upload.id));
+        this.data.records = this.data.records.filter(record => record._metadata?.uploadId !== upload.id);
+        this.datasetRecords.delete(upload.datasetId);
+        if (upload.createdDataset) {
+            this.removeDatasetEntry(upload.datasetId);
+        }
+        try {
+            await this.persist(backend => backend.deleteRecordsWhere('uploadId', upload.id));
+            if (upload.replaced?.size) {
+                await this.persist(backend => backend.putRecords(Array.from(upload.replaced.values()), { rollback: upload.id }));
+                this.data.records.forEach(record => {
+                    const previous = upload.replaced.get(record._metadata?.id);
+                    if (!previous) return;
+                    this.unindexRecords([record]);
+                    Object.keys(record).forEach(key => delete record[key]);
+                    Object.assign(record, previous);
+                    this.indexRecords([record]);
+                });
+                this.datasetRecords.clear();
+            }
+        } catch (error) {
+            console.error('Error rolling back upload:', error);
+        }
+    }
+
+    // Removes one upload's records; a dataset left empty goes with it
+    async deleteUpload(uploadId) {
+        this.require('delete');
+        const metadata = this.data.metadata;
+        const entry = metadata.uploadHistory.find(upload => upload.id === uploadId);
+        if (!entry) return;
+
+        await this.persist(backend => backend.deleteRecordsWhere('uploadId', uploadId));
+        this.unindexRecords(this.data.records.filter(record => record._metadata?.uploadId === uploadId));
+        this.data.records = this.data.records.filter(record => record._metadata?.uploadId !== uploadId);
+        this.datasetRecords.delete(entry.datasetId);
+        metadata.uploadHistory = metadata.uploadHistory.filter(upload => upload.id !== uploadId);
+        metadata.totalFiles = Math.max(0, metadata.totalFiles - 1);
+
+        const dataset = this.getDataset(entry.datasetId);
+        if (dataset) {
+            dataset.uploadIds = dataset.uploadIds.filter(id => id !== uploadId);
+            if (dataset.uploadIds.length === 0) {
+                this.removeDatasetEntry(dataset.id);
+            } else {
+                dataset.columns = this.collectColumns(this.getDatasetRecords(dataset.id));
+            }
+        }
+
+        await this.persist(backend => backend.saveMetadata(metadata));
+    }
+
+    getUpload(uploadId) {
+        return this.data.metadata.uploadHistory.find(upload => upload.id === uploadId) || null;
+    }
+
+    // Records an upload added, or updated when it was imported into
+    // existing rows, with the values the upload left them with rather than
+    // any changed since (see updateRecords())
+    getUploadRecords(uploadId) {
+        return this.data.records
+            .filter(record => record._metadata?.uploadId === uploadId || record._metadata?.updatedByUpload === uploadId ||
+                record._metadata?.imported?.[uploadId])
+            .map(record => {
+                const values = record._metadata.imported?.[uploadId];
+                return values ? { ...values, _metadata: record._metadata } : record;
+            });
+    }
+
+    // A copy of a record's fields without _metadata and _history
+    valuesOf(record) {
+        return JSON.parse(JSON.stringify(Object.fromEntries(Object.entries(record).filter(([key]) => !key.startsWith('_')))));
+    }
+
+    getRecord(recordId) {
+        return this.data.records.find(record => record._metadata?.id === recordId) || null;
+    }
+
+    // Records edited by hand keep a change history next to _metadata:
+    // _history: [{ at, by, action, changes: [{ column, from, to }] }] where
+    // action is 'add', 'duplicate', 'edit', 'undo' or 'redo'
+    logChange(record, action, changes = []) {
+        record._history = (record._history || []).concat({
+            at: new Date().toISOString(),
+            by: this.user,
+            action,
+            changes
+        });
+    }
+
+    // Sets a value typed by the user, converted to the column's type the
+    // way imports are. Empty input clears the value; input that doesn't fit
+    // the type is refused.
+    writeValue(record, column, input, schema) {
+        const type = schema[column]?.type || 'text';
+        const dayFirst = schema[column]?.dayFirst;
+        if (!SchemaInference.isValid(input, type, dayFirst)) {
+            const label = (SchemaInference.TYPES.find(entry => entry.id === type) || {}).label || type;
+            throw new Error(`${column}: "${input}" is not a valid ${label.toLowerCase()}`);
+        }
+        const raw = record._metadata?.raw;
+        if (raw) delete raw[column];
+        record[column] = SchemaInference.isEmpty(input) ? null : input;
+        this.coerceRecord(record, { [column]: { type, dayFirst } }, [column]);
+    }
+
+    // Changes values of one record; changes is { column: value }. Typed
+    // values are checked against the column types unless validate is false,
+    // which undo uses to put values back exactly as they were. Resolves with
+    // the changes made, [{ column, from, to }].
+    async editRecord(recordId, changes, { validate = true, action = 'edit' } = {}) {
+        this.require('edit');
+        const record = this.getRecord(recordId);
+        if (!record) throw new Error('This record no longer exists');
+
+        const schema = this.getSchema(record._metadata.datasetId);
+        const copy = JSON.parse(JSON.stringify(record));
+        const made = [];
+        Object.keys(changes).forEach(column => {
+            if (validate) {
+                this.writeValue(copy, column, changes[column], schema);
+            } else {
+                copy[column] = changes[column];
+                const raw = copy._metadata.raw;
+                if (raw) {
+                    delete raw[column];
+                    if (Object.keys(raw).length === 0) delete copy._metadata.raw;
+                }
+            }
+            const from = record[column] === undefined ? null : record[column];
+            const to = copy[column] === undefined ? null : copy[column];
+            if (JSON.stringify(from) !== JSON.stringify(to)) made.push({ column, from, to });
+        });
+        if (made.length === 0) return made;
+
+        this.logChange(copy, action, made);
+        await this.updateRecords([copy]);
+        return made;
+    }
+
+    // _metadata for a record added by hand rather than imported
+    manualMetadata(datasetId, extra = {}) {
+        return {
+            ...extra,
+            id: this.generateId(),
+            datasetId,
+            uploadedAt: new Date().toISOString(),
+            createdBy: this.user
+        };
+    }
+
+    // Adds a record typed in by the user; values is { column: text } over
+    // the dataset's columns. Resolves with the stored record.
+    async createRecord(datasetId, values) {
+        this.require('edit');
+        const dataset = this.getDataset(datasetId);
+        if (!dataset) throw new Error('This dataset no longer exists');
+
+        const schema = this.getSchema(datasetId);
+        const record = {};
+        dataset.columns.forEach(column => this.writeValue(record, column, values[column], schema));
+        record._metadata = this.manualMetadata(datasetId, record._metadata);
+        this.logChange(record, 'add', dataset.columns
+            .filter(column => !SchemaInference.isEmpty(record[column]))
+            .map(column => ({ column, from: null, to: record[column] })));
+
+        await this.insertRecords([record]);
+        return record;
+    }
+
+    // Copies a record's values into a new record in the same dataset
+    async duplicateRecord(recordId) {
+        this.require('edit');
+        const source = this.getRecord(recordId);
+        if (!source) throw new Error('This record no longer exists');
+
+        const record = JSON.parse(JSON.stringify(source));
+        delete record._history;
+        record._metadata = this.manualMetadata(source._metadata.datasetId, {
+            raw: record._metadata.raw,
+            duplicateOf: recordId
+        });
+        if (!record._metadata.raw) delete record._metadata.raw;
+        this.logChange(record, 'duplicate');
+
+        await this.insertRecords([record]);
+        return record;
+    }
+
+    // Resolves with copies of the records removed, for restoreRecords()
+    async deleteRecords(recordIds) {
+        this.require('edit');
+        const ids = new Set(recordIds);
+        const removed = this.data.records.filter(record => ids.has(record._metadata?.id));
+        if (removed.length === 0) return [];
+
+        await this.persist(backend => backend.deleteRecords(removed.map(record => record._metadata.id)));
+        this.data.records = this.data.records.filter(record => !ids.has(record._metadata?.id));
+        removed.forEach(record => this.datasetRecords.delete(record._metadata.datasetId));
+        this.unindexRecords(removed);
+        return JSON.parse(JSON.stringify(removed));
+    }
+
+    // Puts deleted records back as they were, into datasets that still exist
+    async restoreRecords(records) {
+        this.require('edit');
+        const existing = new Set(this.data.records.map(record => record._metadata?.id));
+        await this.insertRecords(JSON.parse(JSON.stringify(records)).filter(record =>
+            this.getDataset(record._metadata.datasetId) && !existing.has(record._metadata.id)));
+    }
+
+    async insertRecords(records) {
+        if (records.length === 0) return;
+        await this.persist(backend => backend.putRecords(records));
+        records.forEach(record => {
+            this.data.records.push(record);
+            this.datasetRecords.delete(record._metadata.datasetId);
+        });
+        this.indexRecords(records);
+    }
+
+    // The dataset's search index, built from its records the first time
+    getSearchIndex(datasetId = this.data.metadata.activeDatasetId) {
+        if (!this.searchIndexes.has(datasetId)) {
+            this.searchIndexes.set(datasetId, new SearchIndex(this.getDatasetRecords(datasetId)));
+        }
+        return this.searchIndexes.get(datasetId);
+    }
+
+    // Updates the indexes already built; the others pick changes up when built
+    indexRecords(records) {
+        records.forEach(record => this.searchIndexes.get(record._metadata?.datasetId)?.add(record));
+    }
+
+    unindexRecords(records) {
+        records.forEach(record => this.searchIndexes.get(record._metadata?.datasetId)?.remove(record._metadata.id));
+    }
+
+    // Datasets group uploads that share a table, chart and statistics
+    createDatasetEntry(name, createdAt = new Date().toISOString()) {
+        const datasets = this.data.metadata.datasets;
+        let uniqueName = name || 'Untitled dataset';
+        for (let n = 2; datasets.some(dataset => dataset.name === uniqueName); n++) {
+            uniqueName = `${name} (${n})`;
+        }
+
+        const dataset = {
+            id: this.generateId(),
+            name: uniqueName,
+            createdAt: createdAt,
+            updatedAt: createdAt,
+            uploadIds: [],
+            columns: []
+        };
+        datasets.push(dataset);
+        return dataset;
+    }
+
+    removeDatasetEntry(datasetId) {
+        const metadata = this.data.metadata;
+        metadata.datasets = metadata.datasets.filter(dataset => dataset.id !== datasetId);
+        if (metadata.activeDatasetId === datasetId) {
+            const last = metadata.datasets[metadata.datasets.length - 1];
+            metadata.activeDatasetId = last ? last.id : null;
+        }
+    }
+
+    async createDataset(name) {
+        this.require('import');
+        const dataset = this.createDatasetEntry(name);
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+        return dataset;
+    }
+
+    async renameDataset(datasetId, name) {
+        this.require('edit');
+        const dataset = this.getDataset(datasetId);
+        if (!dataset || !name.trim()) return;
+        dataset.name = name.trim();
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+    }
+
+    async deleteDataset(datasetId) {
+        this.require('delete');
+        const metadata = this.data.metadata;
+        const removedUploads = metadata.uploadHistory.filter(upload => upload.datasetId === datasetId);
+
+        await this.persist(backend => backend.deleteRecordsWhere('datasetId', datasetId));
+        this.data.records = this.data.records.filter(record => record._metadata?.datasetId !== datasetId);
+        this.datasetRecords.delete(datasetId);
+        this.searchIndexes.delete(datasetId);
+        metadata.uploadHistory = metadata.uploadHistory.filter(upload => upload.datasetId !== datasetId);
+        metadata.totalFiles = Math.max(0, metadata.totalFiles - removedUploads.length);
+        this.removeDatasetEntry(datasetId);
+
+        await this.persist(backend => backend.saveMetadata(metadata));
+    }
+
+    getDatasets() {
+        return this.data.metadata.datasets || [];
+    }
+
+    getDataset(datasetId) {
+        return this.getDatasets().find(dataset => dataset.id === datasetId) || null;
+    }
+
+    getActiveDataset() {
+        return this.getDataset(this.data.metadata.activeDatasetId);
+    }
+
+    async setActiveDataset(datasetId) {
+        if (!this.getDataset(datasetId)) return;
+        this.data.metadata.activeDatasetId = datasetId;
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+    }
+
+    // Records of one dataset, the active one by default
+    getDatasetRecords(datasetId = this.data.metadata.activeDatasetId) {
+        if (!datasetId) return [];
+        if (!this.datasetRecords.has(datasetId)) {
+            this.datasetRecords.set(datasetId, this.data.records.filter(record => record._metadata?.datasetId === datasetId));
+        }
+        return this.datasetRecords.get(datasetId);
+    }
+
+    // Column types for a dataset. Datasets imported before schemas existed
+    // get one inferred from their records the first time it is asked for.
+    getSchema(datasetId = this.data.metadata.activeDatasetId) {
+        const dataset = this.getDataset(datasetId);
+        if (!dataset) return {};
+
+        dataset.schema = dataset.schema || {};
+        const missing = dataset.columns.filter(column => !dataset.schema[column]);
+        if (missing.length > 0) {
+            Object.assign(dataset.schema, new SchemaInference().infer(this.getDatasetRecords(datasetId), missing));
+        }
+        return dataset.schema;
+    }
+
+    getColumnType(column, datasetId = this.data.metadata.activeDatasetId) {
+        return this.getSchema(datasetId)[column]?.type || 'text';
+    }
+
+    // Saves edited column types and date orders and converts stored values
+    // to match
+    async setSchema(datasetId, schema) {
+        this.require('edit');
+        const dataset = this.getDataset(datasetId);
+        const previous = this.getSchema(datasetId);
+        const changedColumns = Object.keys(schema).filter(column => previous[column]?.type !== schema[column].type ||
+            previous[column]?.dayFirst !== schema[column].dayFirst);
+
+        const changed = this.getDatasetRecords(datasetId)
+            .filter(record => this.coerceRecord(record, schema, changedColumns));
+
+        if (changed.length > 0) {
+            await this.persist(backend => backend.putRecords(changed));
+            this.indexRecords(changed);
+        }
+        dataset.schema = Object.fromEntries(Object.entries(schema).map(([column, entry]) => [column, { ...entry }]));
+        dataset.updatedAt = new Date().toISOString();
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+        return changed.length;
+    }
+
+    // Named filters saved with a dataset, plus the filter currently applied
+    // to it ({ root, savedId } or null)
+    getFilters(datasetId = this.data.metadata.activeDatasetId) {
+        return this.getDataset(datasetId)?.filters || [];
+    }
+
+    getActiveFilter(datasetId = this.data.metadata.activeDatasetId) {
+        return this.getDataset(datasetId)?.activeFilter || null;
+    }
+
+    async setActiveFilter(datasetId, root, savedId = null) {
+        const dataset = this.getDataset(datasetId);
+        if (!dataset) return;
+        dataset.activeFilter = RecordFilter.isEmpty(root) ? null : { root, savedId };
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+    }
+
+    // Adds a named filter, or replaces the one with the same name
+    async saveFilter(datasetId, name, root) {
+        this.require('edit');
+        const dataset = this.getDataset(datasetId);
+        if (!dataset || !name.trim()) return null;
+
+        dataset.filters = dataset.filters || [];
+        let saved = dataset.filters.find(filter => filter.name === name.trim());
+        if (saved) {
+            saved.root = root;
+        } else {
+            saved = { id: this.generateId(), name: name.trim(), root };
+            dataset.filters.push(saved);
+        }
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+        return saved;
+    }
+
+    async deleteFilter(datasetId, filterId) {
+        this.require('edit');
+        const dataset = this.getDataset(datasetId);
+        if (!dataset) return;
+        dataset.filters = (dataset.filters || []).filter(filter => filter.id !== filterId);
+        if (dataset.activeFilter?.savedId === filterId) {
+            dataset.activeFilter.savedId = null;
+        }
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+    }
+
+    // Column order, widths, visibility, pinning and sort of the data grid
+    getGridLayout(datasetId = this.data.metadata.activeDatasetId) {
+        const layout = this.getDataset(datasetId)?.gridLayout;
+        return JSON.parse(JSON.stringify({ ...DataGridView.emptyLayout(), ...layout }));
+    }
+
+    async setGridLayout(datasetId, layout) {
+        const dataset = this.getDataset(datasetId);
+        if (!dataset) return;
+        dataset.gridLayout = JSON.parse(JSON.stringify(layout));
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+    }
+
+    // The chart being built, and which saved chart it was loaded from
+    getChartState(datasetId = this.data.metadata.activeDatasetId) {
+        const state = this.getDataset(datasetId)?.chart;
+        return JSON.parse(JSON.stringify({ config: ChartBuilder.createConfig(), savedId: null, ...state }));
+    }
+
+    async setChartState(datasetId, config, savedId = null) {
+        const dataset = this.getDataset(datasetId);
+        if (!dataset) return;
+        dataset.chart = JSON.parse(JSON.stringify({ config, savedId }));
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+    }
+
+    getCharts(datasetId = this.data.metadata.activeDatasetId) {
+        return this.getDataset(datasetId)?.charts || [];
+    }
+
+    // Adds a named chart, or replaces the one with the same name
+    async saveChart(datasetId, name, config) {
+        this.require('edit');
+        const dataset = this.getDataset(datasetId);
+        if (!dataset || !name.trim()) return null;
+
+        dataset.charts = dataset.charts || [];
+        const copy = JSON.parse(JSON.stringify(config));
+        let saved = dataset.charts.find(chart => chart.name === name.trim());
+        if (saved) {
+            saved.config = copy;
+        } else {
+            saved = { id: this.generateId(), name: name.trim(), config: copy };
+            dataset.charts.push(saved);
+        }
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+        return saved;
+    }
+
+    async deleteChart(datasetId, chartId) {
+        this.require('edit');
+        const dataset = this.getDataset(datasetId);
+        if (!dataset) return;
+        dataset.charts = (dataset.charts || []).filter(chart => chart.id !== chartId);
+        if (dataset.chart?.savedId === chartId) {
+            dataset.chart.savedId = null;
+        }
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+    }
+
+    getPivotConfig(datasetId = this.data.metadata.activeDatasetId) {
+        const config = this.getDataset(datasetId)?.pivot;
+        return JSON.parse(JSON.stringify({ ...PivotTable.createConfig(), ...config }));
+    }
+
+    async setPivotConfig(datasetId, config) {
+        const dataset = this.getDataset(datasetId);
+        if (!dataset) return;
+        dataset.pivot = JSON.parse(JSON.stringify(config));
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+    }
+
+    // Transform recipes saved with the workspace (see TransformRecipe)
+    getRecipes() {
+        return this.data.metadata.recipes || [];
+    }
+
+    getRecipe(recipeId) {
+        return this.getRecipes().find(recipe => recipe.id === recipeId) || null;
+    }
+
+    // The recipe replayed on an upload with these columns: the most recently
+    // saved one recorded on data of the same shape
+    findRecipe(columns) {
+        return this.getRecipes()
+            .filter(recipe => recipe.autoApply && TransformRecipe.matches(recipe, columns))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0] || null;
+    }
+
+    // Saves steps recorded on a dataset, as a new recipe or over the one
+    // with the same id or name. The dataset's current columns and types
+    // become the shape the recipe is replayed on.
+    async saveRecipe(datasetId, { id = null, name, steps, autoApply = true }) {
+        this.require('edit');
+        const dataset = this.getDataset(datasetId);
+        if (!dataset) return null;
+        if (!String(name || '').trim()) throw new Error('Recipes need a name');
+
+        const metadata = this.data.metadata;
+        const schema = this.getSchema(datasetId);
+        const now = new Date().toISOString();
+        metadata.recipes = metadata.recipes || [];
+
+        let recipe = metadata.recipes.find(entry => entry.id === id) || metadata.recipes.find(entry => entry.name === name.trim());
+        if (!recipe) {
+            recipe = { id: this.generateId(), createdAt: now };
+            metadata.recipes.push(recipe);
+        }
+        Object.assign(recipe, {
+            name: name.trim(),
+            columns: dataset.columns.slice(),
+            schema: Object.fromEntries(dataset.columns.map(column => [column, { type: schema[column]?.type || 'text' }])),
+            steps: JSON.parse(JSON.stringify(steps)),
+            autoApply: Boolean(autoApply),
+            updatedAt: now
+        });
+        await this.persist(backend => backend.saveMetadata(metadata));
+        return recipe;
+    }
+
+    async deleteRecipe(recipeId) {
+        this.require('edit');
+        const metadata = this.data.metadata;
+        metadata.recipes = this.getRecipes().filter(recipe => recipe.id !== recipeId);
+        await this.persist(backend => backend.saveMetadata(metadata));
+    }
+
+    // Runs steps over every record of a dataset and saves the result.
+    // Resolves with a snapshot that restoreDataset() puts back, noting when
+    // each record was transformed so later changes aren't undone with it.
+    async applyRecipe(datasetId, steps) {
+        this.require('edit');
+        const dataset = this.getDataset(datasetId);
+        if (!dataset) return null;
+
+        const records = this.getDatasetRecords(datasetId);
+        const snapshot = {
+            datasetId,
+            records: JSON.parse(JSON.stringify(records)),
+            columns: dataset.columns.slice(),
+            schema: JSON.parse(JSON.stringify(this.getSchema(datasetId)))
+        };
+        const result = new TransformRecipe(steps).run(records, snapshot.schema, dataset.columns);
+
+        await this.updateRecords(result.records);
+        snapshot.updatedAt = Object.fromEntries(result.records.map(record => [record._metadata.id, record._metadata.updatedAt]));
+        dataset.columns = result.columns;
+        dataset.schema = result.schema;
+        dataset.updatedAt = new Date().toISOString();
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+        return snapshot;
+    }
+
+    // Undoes applyRecipe(). Records added to the dataset since are kept, and
+    // records edited or deleted since are left as they are. Resolves with
+    // the number of records left.
+    async restoreDataset(snapshot) {
+        this.require('edit');
+        const dataset = this.getDataset(snapshot.datasetId);
+        if (!dataset) return 0;
+
+        const current = new Map(this.getDatasetRecords(dataset.id).map(record => [record._metadata.id, record]));
+        const records = snapshot.records.filter(record => {
+            const id = record._metadata.id;
+            return current.has(id) && current.get(id)._metadata.updatedAt === snapshot.updatedAt[id];
+        });
+        await this.updateRecords(JSON.parse(JSON.stringify(records)));
+        const added = this.collectColumns(this.getDatasetRecords(dataset.id)).filter(column => !snapshot.columns.includes(column));
+        dataset.columns = snapshot.columns.concat(added);
+        dataset.schema = JSON.parse(JSON.stringify(snapshot.schema));
+        dataset.updatedAt = new Date().toISOString();
+        await this.persist(backend => backend.saveMetadata(this.data.metadata));
+        return snapshot.records.length - records.length;
+    }
+
+    // Replays the recipe saved for files shaped like this upload on its
+    // records before they are stored; the recipe is chosen from the first
+    // batch. Records are typed as the recipe's own data was first, so its
+    // steps see the same values. Returns the records to store.
+    transformIncoming(upload, records) {
+        if (upload.recipe === undefined && records.length > 0) {
+            const recipe = this.findRecipe(SchemaInference.columnsOf(records));
+            upload.recipe = recipe ? { id: recipe.id, name: recipe.name } : null;
+            upload.transform = recipe ? { runner: new TransformRecipe(recipe.steps), schema: recipe.schema } : null;
+        }
+        if (!upload.transform) return records;
+
+        const { runner, schema } = upload.transform;
+        records.forEach(record => this.coerceRecord(record, schema));
+        const result = runner.run(records, schema);
+        Object.keys(result.schema).forEach(column => {
+            if (!upload.schema[column]) upload.schema[column] = result.schema[column];
+        });
+        return result.records;
+    }
+
+    getColumns(datasetId = this.data.metadata.activeDatasetId) {
+        const dataset = this.getDataset(datasetId);
+        return dataset ? dataset.columns : [];
+    }
+
+    collectColumns(records) {
+        const columns = new Set();
+        records.forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!key.startsWith('_')) columns.add(key);
+            });
+        });
+        return Array.from(columns);
+    }
+
+    getAllRecords() {
+        return this.data.records;
+    }
+
+    getMetadata() {
+        return this.data.metadata;
+    }
+
+    generateId() {
+        return BaseDatabase.generateId();
+    }
+
+    // Runs a search box query (see SearchQuery) over a dataset: { ids, terms }
+    // as SearchIndex.search() resolves it
+    search(query, datasetId = this.data.metadata.activeDatasetId) {
+        return this.getSearchIndex(datasetId).search(query, this.getColumns(datasetId));
+    }
+
+    async clearAll() {
+        this.require('clear');
+        await this.persist(backend => backend.clear());
+        this.data = BaseDatabase.emptyData();
+        this.datasetRecords.clear();
+        this.searchIndexes.clear();
+    }
+}
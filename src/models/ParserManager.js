@@ -0,0 +1,653 @@
+// ParseFlow parser registry
+// Each parser declares the extensions, MIME types and content signatures it
+// understands, plus the options it accepts. The dashboard, the upload page and
+// the parse worker all dispatch through this registry. Options marked
+// adjustable: false are only shown on the Parsers page, not in the import preview.
+
+class ParserManager {
+    constructor(storageKey = 'parseflow_parser_settings') {
+        this.storageKey = storageKey;
+        this.parsers = new Map();
+        this.settings = this.loadSettings();
+    }
+
+    loadSettings() {
+        const defaults = { activeParser: 'auto', options: {} };
+        try {
+            if (typeof localStorage === 'undefined') return defaults;
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+        } catch (error) {
+            console.error('Error loading parser settings:', error);
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+            }
+        } catch (error) {
+            console.error('Error saving parser settings:', error);
+        }
+    }
+
+    register(parser) {
+        if (!parser || !parser.id || typeof parser.parse !== 'function') {
+            throw new Error('A parser needs an id and a parse() function');
+        }
+
+        this.parsers.set(parser.id, {
+            name: parser.id,
+            description: '',
+            icon: 'fa-file',
+            extensions: [],
+            mimeTypes: [],
+            binary: false,
+            worker: false,
+            workerScripts: [],
+            options: [],
+            sniff: () => 0,
+            ...parser
+        });
+        return this;
+    }
+
+    unregister(id) {
+        this.parsers.delete(id);
+        if (this.settings.activeParser === id) {
+            this.setActiveParser('auto');
+        }
+    }
+
+    getParsers() {
+        return Array.from(this.parsers.values());
+    }
+
+    getParser(id) {
+        return this.parsers.get(id) || null;
+    }
+
+    getActiveParserId() {
+        const active = this.settings.activeParser;
+        return active === 'auto' || this.parsers.has(active) ? active : 'auto';
+    }
+
+    setActiveParser(id) {
+        if (id !== 'auto' && !this.parsers.has(id)) {
+            throw new Error(`Unknown parser: ${id}`);
+        }
+        this.settings.activeParser = id;
+        this.saveSettings();
+    }
+
+    // Stored option values merged over each option's declared default
+    getOptions(id) {
+        const parser = this.getParser(id);
+        if (!parser) return {};
+
+        const saved = this.settings.options[id] || {};
+        return parser.options.reduce((values, option) => {
+            values[option.key] = option.key in saved ? saved[option.key] : option.default;
+            return values;
+        }, {});
+    }
+
+    setOption(id, key, value) {
+        const parser = this.getParser(id);
+        if (!parser || !parser.options.some(option => option.key === key)) {
+            throw new Error(`Unknown option "${key}" for parser ${id}`);
+        }
+        this.settings.options[id] = { ...this.settings.options[id], [key]: value };
+        this.saveSettings();
+    }
+
+    resetOptions(id) {
+        delete this.settings.options[id];
+        this.saveSettings();
+    }
+
+    getAcceptedExtensions() {
+        const extensions = new Set();
+        this.parsers.forEach(parser => parser.extensions.forEach(ext => extensions.add(ext)));
+        return Array.from(extensions);
+    }
+
+    // Reads the first bytes of a file so parsers can inspect its content
+    readSample(file, size = 4096) {
+        return ParserManager.readBlob(file.slice(0, size)).then(buffer => {
+            const bytes = new Uint8Array(buffer);
+            return { bytes, text: ParserManager.decodeText(bytes) };
+        });
+    }
+
+    // Picks the parser for a file. A forced parser always wins; in auto mode
+    // content sniffing decides, with extension and MIME type as tie-breakers.
+    async detect(file, sample = null) {
+        const forced = this.getActiveParserId();
+        if (forced !== 'auto') {
+            return this.getParser(forced);
+        }
+
+        sample = sample || await this.readSample(file);
+        const name = (file.name || '').toLowerCase();
+        const type = (file.type || '').toLowerCase();
+
+        let best = null;
+        let bestScore = 0;
+
+        this.parsers.forEach(parser => {
+            let score = 0;
+            try {
+                score = Number(parser.sniff(sample)) || 0;
+            } catch (error) {
+                score = 0;
+            }
+            if (parser.extensions.some(ext => name.endsWith(ext))) score += 0.2;
+            if (type && parser.mimeTypes.includes(type)) score += 0.1;
+
+            if (score > bestScore) {
+                best = parser;
+                bestScore = score;
+            }
+        });
+
+        if (!best) {
+            throw new Error(`Unsupported file format: ${file.name}`);
+        }
+        return best;
+    }
+
+    // Parsers may settle 'auto' options (such as the text encoding) from the
+    // start of the file through resolveOptions(sample, options)
+    async resolveOptions(file, parser, options) {
+        if (typeof parser.resolveOptions !== 'function') return options;
+        return parser.resolveOptions(await this.readSample(file, 64 * 1024), options);
+    }
+
+    readFile(file, parser, options = this.getOptions(parser.id)) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Error reading file'));
+
+            if (parser.binary) {
+                reader.readAsArrayBuffer(file);
+            } else {
+                reader.readAsText(file, options.encoding || 'utf-8');
+            }
+        });
+    }
+
+    async parseFile(file, overrides = {}) {
+        const parser = await this.detect(file);
+        const options = await this.resolveOptions(file, parser, { ...this.getOptions(parser.id), ...overrides });
+        const content = await this.readFile(file, parser, options);
+        const records = parser.parse(content, options);
+
+        return { parser, options, records: Array.isArray(records) ? records : [records] };
+    }
+
+    // Text parsers that declare createStreamParser() can be fed the file in chunks
+    supportsStreaming(parser) {
+        return !parser.binary && typeof parser.createStreamParser === 'function';
+    }
+
+    // Parses a file in slices, reporting byte/row progress and handing records
+    // out in batches. Problem rows go to onWarnings: stream parsers hand them
+    // out through drainWarnings(), whole-file parsers through the warn callback
+    // passed to parse(). Used by the parse worker and as its main-thread fallback.
+    async parseInChunks(file, parser, options, handlers = {}) {
+        const {
+            onProgress = () => {},
+            onBatch = () => {},
+            onWarnings = () => {},
+            isCancelled = () => false,
+            batchSize = 5000,
+            chunkSize = 1024 * 1024,
+            // Stop reading once this many records are parsed (for previews)
+            maxRows = Infinity
+        } = handlers;
+        const totalBytes = file.size;
+        let rows = 0;
+        let batch = [];
+
+        const checkCancelled = () => {
+            if (isCancelled()) {
+                throw ParserManager.cancelledError();
+            }
+        };
+
+        const emit = async records => {
+            for (const record of records) {
+                if (rows >= maxRows) break;
+                batch.push(record);
+                rows++;
+                if (batch.length >= batchSize) {
+                    const full = batch;
+                    batch = [];
+                    await onBatch(full);
+                }
+            }
+        };
+
+        options = await this.resolveOptions(file, parser, options);
+
+        if (this.supportsStreaming(parser)) {
+            const stream = parser.createStreamParser(options);
+            const reportWarnings = () => {
+                const warnings = typeof stream.drainWarnings === 'function' ? stream.drainWarnings() : [];
+                if (warnings.length > 0) onWarnings(warnings);
+            };
+            const decoder = new TextDecoder(options.encoding || 'utf-8');
+
+            for (let offset = 0; offset < totalBytes && rows < maxRows; offset += chunkSize) {
+                checkCancelled();
+                const end = Math.min(offset + chunkSize, totalBytes);
+                const buffer = await ParserManager.readBlob(file.slice(offset, end));
+                const text = decoder.decode(new Uint8Array(buffer), { stream: end < totalBytes });
+
+                await emit(stream.push(text));
+                reportWarnings();
+                onProgress({ bytesRead: end, totalBytes, rows });
+
+                // Let the event loop breathe between chunks
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            if (rows < maxRows) await emit(stream.flush());
+            reportWarnings();
+        } else {
+            const content = await this.readFile(file, parser, options);
+            checkCancelled();
+            onProgress({ bytesRead: totalBytes, totalBytes, rows, stage: 'parsing' });
+
+            const warnings = [];
+            const records = parser.parse(content, options, warning => warnings.push(warning));
+            await emit(Array.isArray(records) ? records : [records]);
+            if (warnings.length > 0) onWarnings(warnings);
+        }
+
+        checkCancelled();
+        if (batch.length > 0) {
+            await onBatch(batch);
+        }
+        onProgress({ bytesRead: totalBytes, totalBytes, rows, done: true });
+        return rows;
+    }
+
+    static cancelledError() {
+        const error = new Error('Parsing cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    static readBlob(blob) {
+        if (typeof blob.arrayBuffer === 'function') {
+            return blob.arrayBuffer();
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Error reading file'));
+            reader.readAsArrayBuffer(blob);
+        });
+    }
+
+    static decodeText(bytes) {
+        if (typeof TextDecoder !== 'undefined') {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+        return String.fromCharCode.apply(null, bytes);
+    }
+
+    // JSON.parse with the line and column of a syntax error in the message
+    static parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            const match = /position (\d+)/.exec(error.message);
+            if (!match) throw error;
+            const before = text.slice(0, Number(match[1]));
+            const line = before.split('\n').length;
+            const column = before.length - before.lastIndexOf('\n');
+            throw new Error(`Invalid JSON at line ${line}, column ${column}: ${error.message}`);
+        }
+    }
+
+    static startsWithBytes(bytes, signature) {
+        return signature.every((byte, index) => bytes[index] === byte);
+    }
+
+    static createDefault(storageKey) {
+        const manager = new ParserManager(storageKey);
+        ParserManager.builtInParsers().forEach(parser => manager.register(parser));
+        return manager;
+    }
+
+    static builtInParsers() {
+        return [
+            {
+                id: 'json',
+                worker: true,
+                name: 'JSON Parser',
+                description: 'Arrays of objects, single objects and wrapped arrays; nested values are flattened',
+                icon: 'fa-file-code',
+                extensions: ['.json'],
+                mimeTypes: ['application/json', 'text/json'],
+                options: [
+                    { key: 'recordPath', label: 'Record path (JSONPath, blank for automatic)', type: 'text', default: '' },
+                    { key: 'unwrapArrays', label: 'Use first array found in an object', type: 'boolean', default: true },
+                    { key: 'arrays', label: 'Nested arrays', type: 'select', default: 'join', choices: JsonFlattener.ARRAY_MODES },
+                    { key: 'explodePath', label: 'Array to explode (e.g. orders, blank for the first found)', type: 'text', default: '' },
+                    {
+                        key: 'reviewStructure',
+                        adjustable: false,
+                        label: 'Show document structure before importing',
+                        type: 'select',
+                        default: 'nested',
+                        choices: [
+                            { value: 'nested', label: 'When the data is nested' },
+                            { value: 'always', label: 'Always' },
+                            { value: 'never', label: 'Never' }
+                        ]
+                    }
+                ],
+                sniff(sample) {
+                    const text = sample.text.replace(/^\uFEFF/, '').trimStart();
+                    if (text.startsWith('[')) return 0.9;
+                    if (text.startsWith('{')) {
+                        // Several top-level objects on separate lines is JSON Lines
+                        return /\}\s*\r?\n\s*\{/.test(text) ? 0.5 : 0.9;
+                    }
+                    return 0;
+                },
+                parse(content, options) {
+                    const data = ParserManager.parseJson(content.replace(/^\uFEFF/, ''));
+                    const records = JsonFlattener.selectRecords(data, options.recordPath, options.unwrapArrays);
+                    return new JsonFlattener({ arrays: options.arrays, explodePath: options.explodePath }).flattenRecords(records);
+                }
+            },
+            {
+                id: 'jsonl',
+                worker: true,
+                name: 'JSON Lines Parser',
+                description: 'One JSON object per line (.jsonl, .ndjson)',
+                icon: 'fa-stream',
+                extensions: ['.jsonl', '.ndjson'],
+                mimeTypes: ['application/x-ndjson', 'application/jsonl'],
+                options: [
+                    { key: 'skipInvalid', label: 'Skip lines that are not valid JSON', type: 'boolean', default: false },
+                    { key: 'arrays', label: 'Nested arrays', type: 'select', default: 'join', choices: JsonFlattener.ARRAY_MODES },
+                    { key: 'explodePath', label: 'Array to explode (e.g. orders, blank for the first found)', type: 'text', default: '' }
+                ],
+                sniff(sample) {
+                    const lines = sample.text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+                    // The last line of a sample may be cut off
+                    const complete = lines.slice(0, Math.max(1, lines.length - 1));
+                    if (complete.length < 2) return 0;
+                    return complete.every(line => /^\s*\{.*\}\s*$/.test(line)) ? 0.85 : 0;
+                },
+                parse(content, options) {
+                    const stream = this.createStreamParser(options);
+                    return stream.push(content).concat(stream.flush());
+                },
+                createStreamParser(options) {
+                    const flattener = new JsonFlattener({ arrays: options.arrays, explodePath: options.explodePath });
+                    const warnings = [];
+                    let buffer = '';
+                    let started = false;
+                    let lineNumber = 0;
+
+                    const parseLines = lines => {
+                        const records = [];
+                        lines.forEach(line => {
+                            lineNumber++;
+                            if (!line.trim()) return;
+                            let record;
+                            try {
+                                record = JSON.parse(line);
+                            } catch (error) {
+                                if (!options.skipInvalid) {
+                                    throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+                                }
+                                warnings.push({ line: lineNumber, message: `Not valid JSON; skipped (${error.message})` });
+                                return;
+                            }
+                            flattener.flatten(record, lineNumber - 1).forEach(row => records.push(row));
+                        });
+                        return records;
+                    };
+
+                    return {
+                        push(text) {
+                            buffer = started ? buffer + text : text.replace(/^\uFEFF/, '');
+                            started = true;
+                            const lines = buffer.split(/\r?\n/);
+                            buffer = lines.pop();
+                            return parseLines(lines);
+                        },
+                        flush() {
+                            const rest = buffer;
+                            buffer = '';
+                            return parseLines([rest]);
+                        },
+                        drainWarnings() {
+                            return warnings.splice(0);
+                        }
+                    };
+                }
+            },
+            {
+                id: 'csv',
+                worker: true,
+                name: 'CSV Parser',
+                description: 'RFC 4180 CSV/TSV with delimiter, quote and encoding detection',
+                icon: 'fa-file-csv',
+                extensions: ['.csv', '.tsv', '.txt'],
+                mimeTypes: ['text/csv', 'text/tab-separated-values', 'text/plain', 'application/vnd.ms-excel'],
+                options: [
+                    {
+                        key: 'delimiter',
+                        label: 'Delimiter',
+                        type: 'select',
+                        default: 'auto',
+                        choices: [
+                            { value: 'auto', label: 'Detect automatically' },
+                            { value: ',', label: 'Comma (,)' },
+                            { value: ';', label: 'Semicolon (;)' },
+                            { value: '\t', label: 'Tab' },
+                            { value: '|', label: 'Pipe (|)' }
+                        ]
+                    },
+                    {
+                        key: 'quote',
+                        label: 'Quote character',
+                        type: 'select',
+                        default: 'auto',
+                        choices: [
+                            { value: 'auto', label: 'Detect automatically' },
+                            { value: '"', label: 'Double quote (")' },
+                            { value: "'", label: "Single quote (')" },
+                            { value: 'none', label: 'None' }
+                        ]
+                    },
+                    {
+                        key: 'encoding',
+                        label: 'Encoding',
+                        type: 'select',
+                        default: 'auto',
+                        choices: [
+                            { value: 'auto', label: 'Detect automatically' },
+                            { value: 'utf-8', label: 'UTF-8' },
+                            { value: 'windows-1252', label: 'Windows-1252 (Western)' },
+                            { value: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)' },
+                            { value: 'utf-16le', label: 'UTF-16 LE' }
+                        ]
+                    },
+                    {
+                        key: 'malformedRows',
+                        label: 'Rows with the wrong number of fields',
+                        type: 'select',
+                        default: 'keep',
+                        choices: [
+                            { value: 'keep', label: 'Import and report them' },
+                            { value: 'skip', label: 'Skip and report them' }
+                        ]
+                    },
+                    { key: 'trimValues', label: 'Trim whitespace around values', type: 'boolean', default: true }
+                ],
+                sniff(sample) {
+                    const encoding = CsvReader.detectEncoding(sample.bytes);
+                    if (!encoding.startsWith('utf-16') && sample.bytes.includes(0)) return 0;
+                    const text = new TextDecoder(encoding).decode(sample.bytes);
+                    return CsvReader.detectDialect(text).score >= 0.9 ? 0.6 : 0.1;
+                },
+                resolveOptions(sample, options) {
+                    if (options.encoding && options.encoding !== 'auto') return options;
+                    return { ...options, encoding: CsvReader.detectEncoding(sample.bytes) };
+                },
+                parse(content, options) {
+                    const stream = this.createStreamParser(options);
+                    return stream.push(content).concat(stream.flush());
+                },
+                // The dialect is detected from the first 64 KB (or the whole
+                // text when shorter); text is held back until then
+                createStreamParser(options) {
+                    const clean = value => options.trimValues ? (value || '').trim() : (value || '');
+                    const sampleSize = 64 * 1024;
+                    const warnings = [];
+                    let reader = null;
+                    let headers = null;
+                    let pending = '';
+
+                    const toRecords = rows => {
+                        const records = [];
+                        rows.forEach(row => {
+                            if (!headers) {
+                                headers = CsvReader.headerNames(row.fields);
+                                return;
+                            }
+
+                            if (row.fields.length !== headers.length) {
+                                const skip = options.malformedRows === 'skip';
+                                warnings.push({
+                                    line: row.line,
+                                    message: `Row has ${row.fields.length} fields, expected ${headers.length}${skip ? '; skipped' : ''}`
+                                });
+                                if (skip) return;
+                            }
+
+                            const record = {};
+                            headers.forEach((header, index) => {
+                                record[header] = clean(row.fields[index]);
+                            });
+                            // Extra fields are kept in numbered columns instead of being lost
+                            row.fields.slice(headers.length).forEach((value, index) => {
+                                record[`Column ${headers.length + index + 1}`] = clean(value);
+                            });
+                            records.push(record);
+                        });
+                        return records;
+                    };
+
+                    return {
+                        push(text) {
+                            if (!reader) {
+                                pending += text;
+                                if (pending.length < sampleSize) return [];
+                                text = pending;
+                                pending = '';
+                                reader = new CsvReader(CsvReader.detectDialect(text, options));
+                            }
+                            return toRecords(reader.push(text));
+                        },
+                        flush() {
+                            if (!reader) {
+                                if (!pending) return [];
+                                reader = new CsvReader(CsvReader.detectDialect(pending, options));
+                                const records = toRecords(reader.push(pending));
+                                pending = '';
+                                return records.concat(toRecords(reader.flush()));
+                            }
+                            return toRecords(reader.flush());
+                        },
+                        getDialect() {
+                            return reader ? { delimiter: reader.delimiter, quote: reader.quote } : null;
+                        },
+                        drainWarnings() {
+                            const all = (reader ? reader.drainWarnings() : []).concat(warnings.splice(0));
+                            return all.sort((a, b) => a.line - b.line);
+                        }
+                    };
+                }
+            },
+            {
+                id: 'excel',
+                worker: true,
+                workerScripts: ['https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js'],
+                name: 'Excel Parser',
+                description: 'Excel workbooks (.xlsx, .xls) with sheet, header row and range selection',
+                icon: 'fa-file-excel',
+                extensions: ['.xlsx', '.xls'],
+                mimeTypes: [
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                    'application/vnd.ms-excel'
+                ],
+                binary: true,
+                options: [
+                    { key: 'sheet', label: 'Sheet name (blank for first sheet)', type: 'text', default: '' },
+                    { key: 'headerRow', label: 'Header row (0 for none)', type: 'number', default: 1 },
+                    { key: 'range', label: 'Data range (e.g. B3:F200, blank for whole sheet)', type: 'text', default: '' },
+                    {
+                        key: 'merged',
+                        label: 'Merged cells',
+                        type: 'select',
+                        default: 'fill',
+                        choices: [
+                            { value: 'fill', label: 'Repeat the value in every merged cell' },
+                            { value: 'first', label: 'Keep the value in the first cell only' }
+                        ]
+                    },
+                    {
+                        key: 'values',
+                        label: 'Formula cells',
+                        type: 'select',
+                        default: 'cached',
+                        choices: [
+                            { value: 'cached', label: 'Cached result' },
+                            { value: 'formulas', label: 'Formula text' }
+                        ]
+                    },
+                    { key: 'defaultValue', label: 'Value for empty cells', type: 'text', default: '' },
+                    {
+                        key: 'reviewWorkbook',
+                        adjustable: false,
+                        label: 'Show sheet preview before importing',
+                        type: 'select',
+                        default: 'always',
+                        choices: [
+                            { value: 'always', label: 'Always' },
+                            { value: 'multiple', label: 'When there are several sheets' },
+                            { value: 'never', label: 'Never' }
+                        ]
+                    }
+                ],
+                sniff(sample) {
+                    // XLSX is a zip archive, XLS an OLE compound document
+                    if (ParserManager.startsWithBytes(sample.bytes, [0x50, 0x4B, 0x03, 0x04])) return 0.8;
+                    if (ParserManager.startsWithBytes(sample.bytes, [0xD0, 0xCF, 0x11, 0xE0])) return 0.9;
+                    return 0;
+                },
+                parse(content, options, warn) {
+                    const reader = WorkbookReader.read(content);
+                    const sheetNames = reader.getSheetNames();
+                    const sheetName = options.sheet && sheetNames.includes(options.sheet)
+                        ? options.sheet
+                        : sheetNames[0];
+                    return reader.toRecords(sheetName, options, warn);
+                }
+            }
+        ];
+    }
+}
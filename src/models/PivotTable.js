@@ -0,0 +1,330 @@
+// Pivot tables: records grouped by row and column fields with aggregated values
+// A pivot is described by a plain object so it can be saved with the dataset:
+//   { rows: [column], columns: [column], values: [{ column, aggregation }],
+//     subtotals: true, totals: true }
+// compute() groups the records once, keeping an accumulator for every
+// combination of row and column path prefixes, so subtotals and grand totals
+// come from the same pass as the detail cells. A path is the list of group
+// values from the outermost field in, e.g. ['East', '2024'].
+
+class PivotTable {
+    static createConfig() {
+        return { rows: [], columns: [], values: [], subtotals: true, totals: true };
+    }
+
+    static getAggregation(id) {
+        return PivotTable.AGGREGATIONS.find(aggregation => aggregation.id === id) || PivotTable.AGGREGATIONS[0];
+    }
+
+    // Aggregations that make sense for a column of the given schema type
+    static aggregationsFor(type) {
+        const kind = SchemaInference.isNumeric(type) ? 'number' : SchemaInference.isTemporal(type) ? 'date' : 'text';
+        return PivotTable.AGGREGATIONS.filter(aggregation => aggregation.kinds.includes(kind));
+    }
+
+    static defaultAggregation(type) {
+        return SchemaInference.isNumeric(type) ? 'sum' : 'count';
+    }
+
+    // Value fields; with none the pivot counts records
+    static valuesOf(config) {
+        return config.values.length ? config.values : [{ column: null, aggregation: 'count' }];
+    }
+
+    // Group value of a record; empty values form their own "(blank)" group
+    static keyOf(value) {
+        return SchemaInference.isEmpty(value) ? '' : String(value);
+    }
+
+    static pathKey(path) {
+        return `${path.length}:${path.join('\u001f')}`;
+    }
+
+    static label(key) {
+        return key === '' ? '(blank)' : key;
+    }
+
+    static valueLabel(value, formatName = name => name) {
+        if (!value.column) return 'Count of records';
+        return `${PivotTable.getAggregation(value.aggregation).label} of ${formatName(value.column)}`;
+    }
+
+    // Returns { config, values, rows, columns, cell(rowPath, columnPath) }.
+    // rows are { path, kind } with kind 'group' (an outer row field, holding
+    // its subtotal), 'item' or 'total'; columns are { path, kind } with kind
+    // 'item', 'subtotal' or 'total'. cell() gives one result per value field,
+    // or null when no record falls in that cell.
+    static compute(records, config, schema = {}) {
+        const values = PivotTable.valuesOf(config);
+        const rowTree = new Map();
+        const columnTree = new Map();
+        const buckets = new Map();
+
+        records.forEach(record => {
+            const rowPath = config.rows.map(field => PivotTable.keyOf(record[field]));
+            const columnPath = config.columns.map(field => PivotTable.keyOf(record[field]));
+            PivotTable.addPath(rowTree, rowPath);
+            PivotTable.addPath(columnTree, columnPath);
+
+            const columnKeys = columnPath.map((_, index) => PivotTable.pathKey(columnPath.slice(0, index + 1)));
+            columnKeys.unshift(PivotTable.pathKey([]));
+
+            for (let i = 0; i <= rowPath.length; i++) {
+                const rowKey = PivotTable.pathKey(rowPath.slice(0, i));
+                columnKeys.forEach(columnKey => {
+                    const key = `${rowKey}|${columnKey}`;
+                    let accumulators = buckets.get(key);
+                    if (!accumulators) {
+                        accumulators = values.map(value => PivotTable.accumulator(value, schema));
+                        buckets.set(key, accumulators);
+                    }
+                    accumulators.forEach(accumulator => accumulator.add(record));
+                });
+            }
+        });
+
+        const rows = [];
+        if (config.rows.length === 0) {
+            rows.push({ path: [], kind: 'total' });
+        } else {
+            PivotTable.walkRows(rowTree, [], config.rows, schema, rows);
+            if (config.totals) rows.push({ path: [], kind: 'total' });
+        }
+
+        const columns = [];
+        if (config.columns.length === 0) {
+            columns.push({ path: [], kind: 'total' });
+        } else {
+            PivotTable.walkColumns(columnTree, [], config, schema, columns);
+            if (config.totals) columns.push({ path: [], kind: 'total' });
+        }
+
+        const results = new Map();
+        return {
+            config,
+            values,
+            rows,
+            columns,
+            recordCount: records.length,
+            cell(rowPath, columnPath) {
+                const key = `${PivotTable.pathKey(rowPath)}|${PivotTable.pathKey(columnPath)}`;
+                if (!results.has(key)) {
+                    const accumulators = buckets.get(key);
+                    results.set(key, accumulators ? accumulators.map(accumulator => accumulator.result()) : null);
+                }
+                return results.get(key);
+            }
+        };
+    }
+
+    static addPath(tree, path) {
+        let node = tree;
+        path.forEach(key => {
+            if (!node.has(key)) node.set(key, new Map());
+            node = node.get(key);
+        });
+    }
+
+    static sortedKeys(node, field, schema) {
+        const type = schema[field]?.type;
+        return Array.from(node.keys()).sort((a, b) => SchemaInference.compare(a, b, type));
+    }
+
+    // Outer row fields become group rows followed by their children
+    static walkRows(node, path, fields, schema, rows) {
+        const depth = path.length;
+        PivotTable.sortedKeys(node, fields[depth], schema).forEach(key => {
+            const childPath = path.concat(key);
+            if (depth < fields.length - 1) {
+                rows.push({ path: childPath, kind: 'group' });
+                PivotTable.walkRows(node.get(key), childPath, fields, schema, rows);
+            } else {
+                rows.push({ path: childPath, kind: 'item' });
+            }
+        });
+    }
+
+    // Outer column fields get a subtotal column after their children
+    static walkColumns(node, path, config, schema, columns) {
+        const depth = path.length;
+        const fields = config.columns;
+        PivotTable.sortedKeys(node, fields[depth], schema).forEach(key => {
+            const childPath = path.concat(key);
+            if (depth < fields.length - 1) {
+                PivotTable.walkColumns(node.get(key), childPath, config, schema, columns);
+                if (config.subtotals) columns.push({ path: childPath, kind: 'subtotal' });
+            } else {
+                columns.push({ path: childPath, kind: 'item' });
+            }
+        });
+    }
+
+    // Collects one value field's values and works out its aggregate
+    static accumulator(value, schema) {
+        const { column, aggregation } = value;
+        const type = schema[column]?.type;
+
+        if (!column) {
+            let count = 0;
+            return { add: () => count++, result: () => count };
+        }
+
+        const isEmpty = SchemaInference.isEmpty;
+        switch (aggregation) {
+            case 'count': {
+                let count = 0;
+                return { add: record => { if (!isEmpty(record[column])) count++; }, result: () => count };
+            }
+            case 'count_distinct': {
+                const seen = new Set();
+                return { add: record => { if (!isEmpty(record[column])) seen.add(String(record[column])); }, result: () => seen.size };
+            }
+            case 'min':
+            case 'max': {
+                // Dates compare by time and are reported as dates
+                const temporal = SchemaInference.isTemporal(type);
+                const better = aggregation === 'min' ? (a, b) => a < b : (a, b) => a > b;
+                let best = null;
+                return {
+                    add: record => {
+                        const number = temporal
+                            ? SchemaInference.parseDate(record[column] instanceof Date ? record[column] : String(record[column] ?? ''))?.getTime() ?? null
+                            : SchemaInference.toNumber(record[column]);
+                        if (number !== null && (best === null || better(number, best))) best = number;
+                    },
+                    result: () => {
+                        if (best === null || !temporal) return best;
+                        const date = new Date(best);
+                        return type === 'date' ? SchemaInference.formatDate(date) : date.toISOString().replace('T', ' ').slice(0, 19);
+                    }
+                };
+            }
+            case 'median': {
+                const numbers = [];
+                return {
+                    add: record => {
+                        const number = SchemaInference.toNumber(record[column]);
+                        if (number !== null) numbers.push(number);
+                    },
+                    result: () => PivotTable.median(numbers)
+                };
+            }
+            default: {
+                // sum and avg
+                let sum = 0;
+                let count = 0;
+                return {
+                    add: record => {
+                        const number = SchemaInference.toNumber(record[column]);
+                        if (number !== null) {
+                            sum += number;
+                            count++;
+                        }
+                    },
+                    result: () => count === 0 ? null : aggregation === 'avg' ? sum / count : sum
+                };
+            }
+        }
+    }
+
+    static median(numbers) {
+        if (numbers.length === 0) return null;
+        const sorted = numbers.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Records behind a cell: those whose row and column values start with the paths
+    static recordsFor(records, config, rowPath, columnPath) {
+        return records.filter(record =>
+            rowPath.every((key, index) => PivotTable.keyOf(record[config.rows[index]]) === key) &&
+            columnPath.every((key, index) => PivotTable.keyOf(record[config.columns[index]]) === key));
+    }
+
+    static columnLabel(column) {
+        if (column.kind === 'total') return 'Total';
+        const labels = column.path.map(PivotTable.label);
+        return column.kind === 'subtotal' ? `${labels.join(' / ')} total` : labels.join(' / ');
+    }
+
+    // Header plus one array per row, as shown but without collapsed groups:
+    // a column per row field, then one per column and value field
+    static toMatrix(table, formatName = name => name) {
+        const { config, values } = table;
+        const rowFields = config.rows.length ? config.rows.map(formatName) : [''];
+        const header = rowFields.slice();
+        table.columns.forEach(column => {
+            values.forEach(value => {
+                const parts = [];
+                if (config.columns.length) parts.push(PivotTable.columnLabel(column));
+                if (values.length > 1 || !config.columns.length) parts.push(PivotTable.valueLabel(value, formatName));
+                header.push(parts.join(' / '));
+            });
+        });
+
+        const matrix = [header];
+        table.rows.forEach(row => {
+            if (row.kind === 'group' && !config.subtotals) return;
+
+            const labels = rowFields.map((_, index) => index < row.path.length ? PivotTable.label(row.path[index]) : '');
+            if (row.kind === 'group') labels[row.path.length - 1] += ' total';
+            if (row.kind === 'total') labels[0] = config.rows.length ? 'Grand total' : 'Total';
+
+            const cells = [];
+            table.columns.forEach(column => {
+                const results = table.cell(row.path, column.path);
+                values.forEach((_, index) => cells.push(results ? results[index] : null));
+            });
+            matrix.push(labels.concat(cells));
+        });
+        return matrix;
+    }
+
+    static toCsv(matrix) {
+        const quote = value => {
+            const text = String(value === null || value === undefined ? '' : value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return matrix.map(line => line.map(quote).join(',')).join('\r\n');
+    }
+
+    // Chart labels are the innermost rows; each column and value field is a
+    // series. Numeric results only, so date min/max series are left out.
+    static toChartData(table, formatName = name => name) {
+        const { config, values } = table;
+        const rows = table.rows.filter(row => config.rows.length ? row.kind === 'item' : true);
+        const columns = table.columns.filter(column => config.columns.length ? column.kind === 'item' : true);
+
+        const series = [];
+        columns.forEach(column => {
+            values.forEach((value, index) => {
+                const data = rows.map(row => {
+                    const results = table.cell(row.path, column.path);
+                    return results ? results[index] : null;
+                });
+                if (!data.every(item => item === null || typeof item === 'number')) return;
+
+                const parts = [];
+                if (config.columns.length) parts.push(PivotTable.columnLabel(column));
+                if (values.length > 1 || !config.columns.length) parts.push(PivotTable.valueLabel(value, formatName));
+                series.push({ label: parts.join(' / '), data });
+            });
+        });
+
+        return {
+            labels: rows.map(row => row.path.length ? row.path.map(PivotTable.label).join(' / ') : 'Total'),
+            series
+        };
+    }
+}
+
+// kinds: the column types an aggregation applies to
+PivotTable.AGGREGATIONS = [
+    { id: 'sum', label: 'Sum', kinds: ['number'] },
+    { id: 'count', label: 'Count', kinds: ['number', 'date', 'text'] },
+    { id: 'count_distinct', label: 'Count distinct', kinds: ['number', 'date', 'text'] },
+    { id: 'avg', label: 'Average', kinds: ['number'] },
+    { id: 'min', label: 'Min', kinds: ['number', 'date'] },
+    { id: 'max', label: 'Max', kinds: ['number', 'date'] },
+    { id: 'median', label: 'Median', kinds: ['number'] }
+];
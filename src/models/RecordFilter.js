@@ -0,0 +1,231 @@
+// Column filters built from conditions and nested AND/OR groups
+// A filter is a tree of plain objects so it can be saved with the dataset:
+//   { type: 'group', match: 'all' | 'any', negate, children: [...] }
+//   { type: 'condition', column, operator, value, value2, negate }
+// Operators depend on the column's schema type: numbers and dates compare by
+// value, text compares case-insensitively. compile() turns a tree into a
+// predicate and throws when a condition can't be evaluated (a bad regex, a
+// value that isn't a number), so the builder can say what is wrong.
+
+class RecordFilter {
+    static createGroup(match = 'all') {
+        return { type: 'group', match, negate: false, children: [] };
+    }
+
+    static createCondition(column = '', type = 'text') {
+        return {
+            type: 'condition',
+            column,
+            operator: RecordFilter.operatorsFor(type)[0].id,
+            value: '',
+            value2: '',
+            negate: false
+        };
+    }
+
+    // Operator kinds offered for a schema type
+    static kindOf(type) {
+        if (SchemaInference.isNumeric(type)) return 'number';
+        if (SchemaInference.isTemporal(type)) return 'date';
+        if (type === 'boolean') return 'boolean';
+        return 'text';
+    }
+
+    static operatorsFor(type) {
+        const kind = RecordFilter.kindOf(type);
+        return RecordFilter.OPERATORS.filter(operator => operator.kinds.includes(kind));
+    }
+
+    static getOperator(id) {
+        return RecordFilter.OPERATORS.find(operator => operator.id === id) || null;
+    }
+
+    // True when the tree has no conditions, so every record passes
+    static isEmpty(node) {
+        if (!node) return true;
+        if (node.type === 'condition') return false;
+        return node.children.every(child => RecordFilter.isEmpty(child));
+    }
+
+    static countConditions(node) {
+        if (!node) return 0;
+        if (node.type === 'condition') return 1;
+        return node.children.reduce((sum, child) => sum + RecordFilter.countConditions(child), 0);
+    }
+
+    // Predicate for records; schema supplies column types
+    static compile(node, schema = {}) {
+        if (!node || RecordFilter.isEmpty(node)) return () => true;
+
+        const test = node.type === 'group'
+            ? RecordFilter.compileGroup(node, schema)
+            : RecordFilter.compileCondition(node, schema);
+        return node.negate ? record => !test(record) : test;
+    }
+
+    static compileGroup(group, schema) {
+        const tests = group.children
+            .filter(child => !RecordFilter.isEmpty(child))
+            .map(child => RecordFilter.compile(child, schema));
+
+        return group.match === 'any'
+            ? record => tests.some(test => test(record))
+            : record => tests.every(test => test(record));
+    }
+
+    static compileCondition(condition, schema) {
+        const { column } = condition;
+        const type = schema[column]?.type || 'text';
+        const kind = RecordFilter.kindOf(type);
+        const operator = RecordFilter.getOperator(condition.operator);
+        if (!column) {
+            throw new Error('Choose a column for every condition');
+        }
+        if (!operator || !operator.kinds.includes(kind)) {
+            throw new Error(`"${condition.operator}" can't be used on ${column}`);
+        }
+
+        const isEmpty = SchemaInference.isEmpty;
+        if (operator.id === 'is_empty') {
+            return record => isEmpty(record[column]);
+        }
+        if (operator.id === 'is_true' || operator.id === 'is_false') {
+            const wanted = operator.id === 'is_true';
+            return record => SchemaInference.coerce(record[column], 'boolean') === wanted;
+        }
+
+        const parse = RecordFilter.valueParser(kind, column);
+        const key = value => kind === 'text' ? String(value).trim().toLowerCase() : parse(value, false);
+
+        switch (operator.id) {
+            case 'equals': {
+                if (kind === 'date') {
+                    // A date-only value matches any time on that day
+                    const start = parse(condition.value, true);
+                    const end = parse(condition.value, true, 'end');
+                    return record => {
+                        const value = parse(record[column], false);
+                        return RecordFilter.compareTo(value, start) >= 0 && RecordFilter.compareTo(value, end) <= 0;
+                    };
+                }
+                const wanted = kind === 'text' ? key(condition.value) : parse(condition.value, true);
+                return record => !isEmpty(record[column]) && key(record[column]) === wanted;
+            }
+            case 'in_list': {
+                const wanted = new Set(RecordFilter.splitList(condition.value)
+                    .map(item => kind === 'text' ? key(item) : parse(item, true)));
+                return record => !isEmpty(record[column]) && wanted.has(key(record[column]));
+            }
+            case 'contains':
+            case 'starts_with':
+            case 'ends_with': {
+                const wanted = key(condition.value);
+                const method = { contains: 'includes', starts_with: 'startsWith', ends_with: 'endsWith' }[operator.id];
+                return record => !isEmpty(record[column]) && key(record[column])[method](wanted);
+            }
+            case 'regex': {
+                let pattern;
+                try {
+                    pattern = new RegExp(condition.value, 'i');
+                } catch (error) {
+                    throw new Error(`${column}: invalid regular expression (${error.message})`);
+                }
+                return record => !isEmpty(record[column]) && pattern.test(String(record[column]));
+            }
+            case 'greater':
+            case 'after': {
+                const bound = parse(condition.value, true, operator.id === 'after' ? 'end' : null);
+                return record => RecordFilter.compareTo(parse(record[column], false), bound) > 0;
+            }
+            case 'less':
+            case 'before': {
+                const bound = parse(condition.value, true);
+                return record => RecordFilter.compareTo(parse(record[column], false), bound) < 0;
+            }
+            case 'between': {
+                const low = parse(condition.value, true);
+                const high = parse(condition.value2, true, 'end');
+                return record => {
+                    const value = parse(record[column], false);
+                    return RecordFilter.compareTo(value, low) >= 0 && RecordFilter.compareTo(value, high) <= 0;
+                };
+            }
+            default:
+                throw new Error(`Unknown operator "${condition.operator}"`);
+        }
+    }
+
+    // Converts record and filter values of a number or date column to numbers
+    // (timestamps for dates). Filter values that don't parse are errors; a
+    // date-only upper bound ('end') reaches to the end of that day.
+    static valueParser(kind, column) {
+        return (value, strict, edge = null) => {
+            if (kind === 'number') {
+                const number = SchemaInference.toNumber(value);
+                if (number === null && strict) {
+                    throw new Error(`${column}: "${value}" is not a number`);
+                }
+                return number;
+            }
+
+            const date = SchemaInference.parseDate(value instanceof Date ? value : String(value ?? '').trim());
+            if (!date) {
+                if (strict) throw new Error(`${column}: "${value}" is not a date (use YYYY-MM-DD)`);
+                return null;
+            }
+            const dateOnly = typeof value === 'string' && !/\d:\d/.test(value);
+            return edge === 'end' && dateOnly ? date.getTime() + 86400000 - 1 : date.getTime();
+        };
+    }
+
+    // Records with no usable value never fall inside a range
+    static compareTo(value, bound) {
+        if (value === null || value === undefined) return NaN;
+        return value - bound;
+    }
+
+    static splitList(text) {
+        return String(text || '').split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+    }
+
+    // Readable summary such as: price between 10 and 20 AND NOT (country in US, CA)
+    static describe(node, formatName = name => name) {
+        if (!node || RecordFilter.isEmpty(node)) return 'No filter';
+
+        if (node.type === 'condition') {
+            const operator = RecordFilter.getOperator(node.operator);
+            const label = operator ? operator.label : node.operator;
+            let text = `${formatName(node.column)} ${label}`;
+            if (operator && operator.input === 'range') text += ` ${node.value} and ${node.value2}`;
+            else if (operator && operator.input === 'list') text += ` ${RecordFilter.splitList(node.value).join(', ')}`;
+            else if (operator && operator.input === 'value') text += ` "${node.value}"`;
+            return node.negate ? `NOT ${text}` : text;
+        }
+
+        const parts = node.children
+            .filter(child => !RecordFilter.isEmpty(child))
+            .map(child => child.type === 'group' && !child.negate && RecordFilter.countConditions(child) > 1
+                ? `(${RecordFilter.describe(child, formatName)})`
+                : RecordFilter.describe(child, formatName));
+        const text = parts.join(node.match === 'any' ? ' OR ' : ' AND ');
+        return node.negate ? `NOT (${text})` : text;
+    }
+}
+
+// input: 'value', 'range' (two values), 'list' (comma separated) or 'none'
+RecordFilter.OPERATORS = [
+    { id: 'contains', label: 'contains', input: 'value', kinds: ['text'] },
+    { id: 'equals', label: 'is', input: 'value', kinds: ['text', 'number', 'date'] },
+    { id: 'starts_with', label: 'starts with', input: 'value', kinds: ['text'] },
+    { id: 'ends_with', label: 'ends with', input: 'value', kinds: ['text'] },
+    { id: 'regex', label: 'matches regex', input: 'value', kinds: ['text'] },
+    { id: 'greater', label: 'is greater than', input: 'value', kinds: ['number'] },
+    { id: 'less', label: 'is less than', input: 'value', kinds: ['number'] },
+    { id: 'before', label: 'is before', input: 'value', kinds: ['date'] },
+    { id: 'after', label: 'is after', input: 'value', kinds: ['date'] },
+    { id: 'between', label: 'is between', input: 'range', kinds: ['number', 'date'] },
+    { id: 'in_list', label: 'is one of', input: 'list', kinds: ['text', 'number'] },
+    { id: 'is_true', label: 'is true', input: 'none', kinds: ['boolean'] },
+    { id: 'is_false', label: 'is false', input: 'none', kinds: ['boolean'] },
+    { id: 'is_empty', label: 'is empty', input: 'none', kinds: ['text', 'number', 'date', 'boolean'] }
+];
@@ -0,0 +1,81 @@
+// Storage backend on the ParseFlow server: one workspace's records and
+// metadata through the REST API, so ParseFlowDB works the same as with the
+// browser backends. The server checks the user's permissions on every call.
+// Metadata carries a revision number; writing records or metadata over a
+// newer revision than the one loaded fails with a ConflictError instead of
+// undoing someone else's changes, and the page has to be reloaded. View
+// state (see BaseDatabase.splitViewState) is saved for this user alone and
+// only when it changed, and never conflicts.
+
+class RemoteDatabase extends BaseDatabase {
+    constructor(api, workspaceId) {
+        super();
+        this.api = api;
+        this.path = `workspaces/${ServerApi.path(workspaceId)}`;
+        this.revision = 0;
+        // JSON of the shared metadata and view state as last loaded or saved
+        this.saved = { metadata: null, view: null };
+    }
+
+    async load() {
+        const { records, metadata, revision } = await this.api.request('GET', `${this.path}/data`);
+        this.revision = revision;
+        this.remember(metadata);
+        return { records, metadata };
+    }
+
+    remember(metadata) {
+        const { metadata: shared, view } = BaseDatabase.splitViewState(metadata);
+        this.saved = { metadata: JSON.stringify(shared), view: JSON.stringify(view) };
+    }
+
+    async putRecords(records, { rollback = null } = {}) {
+        // Big imports arrive in batches already; this keeps each request small
+        for (let i = 0; i < records.length; i += RemoteDatabase.BATCH_SIZE) {
+            await this.api.request('PUT', `${this.path}/records`, {
+                body: records.slice(i, i + RemoteDatabase.BATCH_SIZE),
+                query: { revision: this.revision, rollback }
+            });
+        }
+    }
+
+    async getRecordsWhere(field, value) {
+        return (await this.api.request('GET', `${this.path}/records`, { query: { field, value } })).records;
+    }
+
+    async deleteRecordsWhere(field, value) {
+        await this.api.request('DELETE', `${this.path}/records`, { query: { field, value, revision: this.revision } });
+    }
+
+    async deleteRecords(ids) {
+        for (let i = 0; i < ids.length; i += RemoteDatabase.BATCH_SIZE) {
+            await this.api.request('DELETE', `${this.path}/records`, {
+                body: { ids: ids.slice(i, i + RemoteDatabase.BATCH_SIZE) },
+                query: { revision: this.revision }
+            });
+        }
+    }
+
+    async saveMetadata(metadata) {
+        const { metadata: shared, view } = BaseDatabase.splitViewState(metadata);
+        const sharedJson = JSON.stringify(shared);
+        if (sharedJson !== this.saved.metadata) {
+            const result = await this.api.request('PUT', `${this.path}/metadata`, { body: { metadata: shared, revision: this.revision } });
+            this.revision = result.revision;
+            this.saved.metadata = sharedJson;
+        }
+        const viewJson = JSON.stringify(view);
+        if (viewJson !== this.saved.view) {
+            await this.api.request('PUT', `${this.path}/view`, { body: { view } });
+            this.saved.view = viewJson;
+        }
+    }
+
+    async clear() {
+        const result = await this.api.request('DELETE', `${this.path}/data`);
+        this.revision = result.revision;
+        this.saved = { metadata: null, view: null };
+    }
+}
+
+RemoteDatabase.BATCH_SIZE = 5000;
@@ -0,0 +1,308 @@
+// Column type inference and value coercion
+// A schema maps each column to one of SchemaInference.TYPES. Types are
+// inferred from a sample of rows: every non-empty value is classified, and a
+// column takes the type that (almost) all of its values agree on. Numbers,
+// booleans and dates are then coerced on import so sorting, charts and
+// statistics work with real values instead of strings.
+// Date columns holding slash dates like 01/02/2024 also record dayFirst: the
+// order is chosen once from all of the column's values, so every value is
+// read the same way.
+
+class SchemaInference {
+    constructor(options = {}) {
+        this.sampleSize = options.sampleSize || 1000;
+        // Share of non-empty values that must agree on a type
+        this.threshold = options.threshold || 0.95;
+        this.maxCategories = options.maxCategories || 50;
+    }
+
+    static isEmpty(value) {
+        return value === null || value === undefined || String(value).trim() === '';
+    }
+
+    // Most specific type for a single value
+    static detectValueType(value) {
+        if (typeof value === 'boolean') return 'boolean';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'decimal';
+        if (typeof value === 'object') return 'text';
+
+        const text = String(value).trim();
+        const patterns = SchemaInference.PATTERNS;
+
+        if (patterns.boolean.test(text)) return 'boolean';
+        // 50% is 0.5
+        if (patterns.integer.test(text)) return text.endsWith('%') ? 'decimal' : 'integer';
+        if (patterns.decimal.test(text)) return 'decimal';
+        if (patterns.date.test(text) || patterns.localDate.test(text)) {
+            return SchemaInference.parseDate(text) ? 'date' : 'text';
+        }
+        if (patterns.datetime.test(text)) {
+            return SchemaInference.parseDate(text) ? 'datetime' : 'text';
+        }
+        if (patterns.email.test(text)) return 'email';
+        if (patterns.url.test(text)) return 'url';
+        if (patterns.phone.test(text) && text.replace(/\D/g, '').length >= 7) return 'phone';
+        return 'text';
+    }
+
+    // Infers { column: { type, inferred, dayFirst? } } from the first
+    // sampleSize records; the date order looks at all of them
+    infer(records, columns = null) {
+        const sample = records.slice(0, this.sampleSize);
+        const names = columns || SchemaInference.columnsOf(sample);
+        const schema = {};
+
+        names.forEach(column => {
+            const values = sample.map(record => record[column]).filter(value => !SchemaInference.isEmpty(value));
+            const type = this.inferColumn(values);
+            schema[column] = SchemaInference.withDateOrder({ type, inferred: type }, records.map(record => record[column]));
+        });
+
+        return schema;
+    }
+
+    // Whether slash dates among the values are day first: true when more of
+    // them can only be read that way, false when they can only be read month
+    // first or all could be either, undefined when there are none
+    static dayFirst(values) {
+        let local = 0;
+        let dayFirst = 0;
+        let monthFirst = 0;
+        values.forEach(value => {
+            const match = typeof value === 'string' && value.trim().match(SchemaInference.PATTERNS.localDate);
+            if (!match) return;
+            local++;
+            if (Number(match[1]) > 12) dayFirst++;
+            else if (Number(match[2]) > 12) monthFirst++;
+        });
+        return local ? dayFirst > monthFirst : undefined;
+    }
+
+    // The schema entry with dayFirst set from the column's original values
+    // when it is a date column holding slash dates, and left out otherwise
+    static withDateOrder(entry, values) {
+        const result = { ...entry };
+        const dayFirst = SchemaInference.isTemporal(entry.type) ? SchemaInference.dayFirst(values) : undefined;
+        if (dayFirst === undefined) {
+            delete result.dayFirst;
+        } else {
+            result.dayFirst = dayFirst;
+        }
+        return result;
+    }
+
+    inferColumn(values) {
+        if (values.length === 0) return 'text';
+
+        const counts = {};
+        values.forEach(value => {
+            const type = SchemaInference.detectValueType(value);
+            counts[type] = (counts[type] || 0) + 1;
+        });
+
+        const share = (...types) => types.reduce((sum, type) => sum + (counts[type] || 0), 0) / values.length;
+
+        if (share('boolean') >= this.threshold) return 'boolean';
+        if (share('integer') >= this.threshold) return 'integer';
+        if (share('integer', 'decimal') >= this.threshold) return 'decimal';
+        if (share('date') >= this.threshold) return 'date';
+        if (share('date', 'datetime') >= this.threshold) return 'datetime';
+        for (const type of ['email', 'url', 'phone']) {
+            if (share(type) >= this.threshold) return type;
+        }
+
+        // Short strings that repeat a lot are categories
+        const unique = new Set(values.map(value => String(value).trim()));
+        const averageLength = values.reduce((sum, value) => sum + String(value).length, 0) / values.length;
+        if (unique.size <= this.maxCategories && unique.size <= values.length / 2 && averageLength <= 40) {
+            return 'category';
+        }
+        return 'text';
+    }
+
+    static columnsOf(records) {
+        const columns = new Set();
+        records.forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!key.startsWith('_')) columns.add(key);
+            });
+        });
+        return Array.from(columns);
+    }
+
+    // Converts a value to its column type. Empty values and values that don't
+    // fit the type are returned unchanged. dayFirst is the column's date
+    // order, see parseDate().
+    static coerce(value, type, dayFirst = null) {
+        if (SchemaInference.isEmpty(value)) return value;
+
+        switch (type) {
+            case 'integer':
+            case 'decimal': {
+                const number = SchemaInference.toNumber(value);
+                if (number === null) return value;
+                return type === 'integer' && !Number.isInteger(number) ? value : number;
+            }
+            case 'boolean': {
+                if (typeof value === 'boolean') return value;
+                const text = String(value).trim().toLowerCase();
+                if (SchemaInference.TRUE_VALUES.includes(text)) return true;
+                if (SchemaInference.FALSE_VALUES.includes(text)) return false;
+                return value;
+            }
+            case 'date': {
+                const date = SchemaInference.parseDate(value, dayFirst);
+                return date ? SchemaInference.formatDate(date) : value;
+            }
+            case 'datetime': {
+                // Times without a zone stay as written, see parseDate()
+                const date = SchemaInference.parseDate(value, dayFirst);
+                if (!date) return value;
+                const zoned = value instanceof Date || SchemaInference.PATTERNS.zone.test(String(value).trim());
+                return zoned ? date.toISOString() : date.toISOString().slice(0, -1);
+            }
+            case 'email':
+            case 'url':
+            case 'phone':
+            case 'category':
+            case 'text':
+                return typeof value === 'string' ? value.trim() : String(value);
+            default:
+                return value;
+        }
+    }
+
+    // Whether a non-empty value fits the type
+    static isValid(value, type, dayFirst = null) {
+        if (SchemaInference.isEmpty(value)) return true;
+        const coerced = SchemaInference.coerce(value, type, dayFirst);
+
+        switch (type) {
+            case 'integer':
+            case 'decimal':
+                return typeof coerced === 'number';
+            case 'boolean':
+                return typeof coerced === 'boolean';
+            case 'date':
+            case 'datetime':
+                return SchemaInference.parseDate(coerced, dayFirst) !== null;
+            case 'email':
+            case 'url':
+                return SchemaInference.PATTERNS[type].test(coerced);
+            case 'phone':
+                return SchemaInference.PATTERNS.phone.test(coerced) && coerced.replace(/\D/g, '').length >= 7;
+            default:
+                return true;
+        }
+    }
+
+    // Numbers with optional thousands separators, currency symbol or percent
+    // sign; percentages are divided by 100
+    static toNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value === 'boolean' || SchemaInference.isEmpty(value)) return null;
+
+        const text = String(value).trim();
+        if (!SchemaInference.PATTERNS.integer.test(text) && !SchemaInference.PATTERNS.decimal.test(text)) {
+            return null;
+        }
+        const number = Number(text.replace(/[,\s$€£¥%]/g, '')) / (text.endsWith('%') ? 100 : 1);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // Accepts ISO dates and datetimes and day/month/year style dates. Slash
+    // dates are read day first or month first as dayFirst says; without it,
+    // month first unless the first part can only be a day. Datetimes without
+    // Z or an offset are read as UTC, so the time written in the file is the
+    // time kept whatever the machine's time zone.
+    static parseDate(value, dayFirst = null) {
+        if (value instanceof Date) return isNaN(value) ? null : value;
+        if (typeof value !== 'string') return null;
+
+        const text = value.trim();
+        const local = text.match(SchemaInference.PATTERNS.localDate);
+        if (local) {
+            let [, first, second, year] = local.map(Number);
+            if (year < 100) year += year < 70 ? 2000 : 1900;
+            const swap = dayFirst === null || dayFirst === undefined ? first > 12 : dayFirst;
+            const [month, day] = swap ? [second, first] : [first, second];
+            const date = new Date(Date.UTC(year, month - 1, day));
+            return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+        }
+
+        if (SchemaInference.PATTERNS.date.test(text)) {
+            const [year, month, day] = text.split('-').map(Number);
+            const date = new Date(Date.UTC(year, month - 1, day));
+            return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+        }
+
+        if (SchemaInference.PATTERNS.datetime.test(text)) {
+            const iso = text.replace(' ', 'T');
+            const date = new Date(SchemaInference.PATTERNS.zone.test(text) ? iso : `${iso}Z`);
+            return isNaN(date) ? null : date;
+        }
+        return null;
+    }
+
+    static formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    static isNumeric(type) {
+        return type === 'integer' || type === 'decimal';
+    }
+
+    static isTemporal(type) {
+        return type === 'date' || type === 'datetime';
+    }
+
+    // Sort comparator for two values of the given type; empty values sort last
+    static compare(a, b, type) {
+        const emptyA = SchemaInference.isEmpty(a);
+        const emptyB = SchemaInference.isEmpty(b);
+        if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+
+        if (SchemaInference.isNumeric(type)) {
+            const numberA = SchemaInference.toNumber(a);
+            const numberB = SchemaInference.toNumber(b);
+            if (numberA !== null && numberB !== null) return numberA - numberB;
+        } else if (SchemaInference.isTemporal(type)) {
+            const dateA = SchemaInference.parseDate(a);
+            const dateB = SchemaInference.parseDate(b);
+            if (dateA && dateB) return dateA - dateB;
+        } else if (type === 'boolean') {
+            return Number(SchemaInference.coerce(a, type) === true) - Number(SchemaInference.coerce(b, type) === true);
+        }
+        return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+    }
+}
+
+SchemaInference.TYPES = [
+    { id: 'integer', label: 'Integer', icon: 'fa-hashtag' },
+    { id: 'decimal', label: 'Decimal', icon: 'fa-percentage' },
+    { id: 'boolean', label: 'Boolean', icon: 'fa-toggle-on' },
+    { id: 'date', label: 'Date', icon: 'fa-calendar' },
+    { id: 'datetime', label: 'Date & time', icon: 'fa-clock' },
+    { id: 'email', label: 'Email', icon: 'fa-envelope' },
+    { id: 'url', label: 'URL', icon: 'fa-link' },
+    { id: 'phone', label: 'Phone', icon: 'fa-phone' },
+    { id: 'category', label: 'Category', icon: 'fa-tags' },
+    { id: 'text', label: 'Text', icon: 'fa-font' }
+];
+
+SchemaInference.TRUE_VALUES = ['true', 'yes', 'y'];
+SchemaInference.FALSE_VALUES = ['false', 'no', 'n'];
+
+SchemaInference.PATTERNS = {
+    boolean: /^(true|false|yes|no|y|n)$/i,
+    // Leading zeros (zip codes, IDs like 007) stay text
+    integer: /^[-+]?[$€£¥]?(0|[1-9]\d{0,14}|[1-9]\d{0,2}(,\d{3})+)%?$/,
+    decimal: /^[-+]?[$€£¥]?(0|[1-9]\d*|[1-9]\d{0,2}(,\d{3})+)?\.\d+([eE][-+]?\d+)?%?$/,
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    localDate: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/,
+    datetime: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/,
+    zone: /(Z|[+-]\d{2}:?\d{2})$/i,
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    url: /^(https?:\/\/|www\.)[^\s]+$/i,
+    phone: /^\+?[\d\s().-]*[\s().-][\d\s().-]*$|^\+\d+$/
+};
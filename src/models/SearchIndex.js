@@ -0,0 +1,205 @@
+// Inverted index over the records of one dataset: each word maps to the ids
+// of the records that contain it, so a search looks words up instead of
+// scanning every value. Words are the runs of letters and digits in a value,
+// lowercased. add() and remove() keep the index in step as records change;
+// the words each record was indexed under are kept so it can be taken out
+// again after its values have been changed in place.
+// search() runs a SearchQuery: a word matches the indexed words that start
+// with it, or when none do (or the term ends in ~) the words within one typo
+// of it (two for words of eight letters or more). Field and phrase terms are
+// checked against the record's values once the index has narrowed the
+// candidates down.
+
+class SearchIndex {
+    constructor(records = []) {
+        this.records = new Map();
+        this.postings = new Map();
+        this.recordWords = new Map();
+        records.forEach(record => this.add(record));
+    }
+
+    // Indexes a record, replacing what was indexed under its id before
+    add(record) {
+        const id = record._metadata?.id;
+        if (!id) return;
+        this.remove(id);
+
+        const words = new Set();
+        Object.keys(record).forEach(key => {
+            if (!key.startsWith('_')) SearchIndex.wordsOf(record[key]).forEach(word => words.add(word));
+        });
+        words.forEach(word => {
+            if (!this.postings.has(word)) this.postings.set(word, new Set());
+            this.postings.get(word).add(id);
+        });
+        this.records.set(id, record);
+        this.recordWords.set(id, words);
+    }
+
+    remove(id) {
+        const words = this.recordWords.get(id);
+        if (!words) return;
+        words.forEach(word => {
+            const ids = this.postings.get(word);
+            ids.delete(id);
+            if (ids.size === 0) this.postings.delete(word);
+        });
+        this.records.delete(id);
+        this.recordWords.delete(id);
+    }
+
+    // Resolves a query against the given columns: { ids, terms } where ids
+    // is a Set of matching record ids and terms, [{ column, words }], lists
+    // the indexed words each positive term matched (column null for any
+    // column), for highlighting
+    search(query, columns = []) {
+        const clauses = SearchQuery.parse(query);
+        const byName = new Map(columns.map(column => [SearchIndex.fieldKey(column), column]));
+        const expansions = new Map();
+        let ids = null;
+        const terms = [];
+
+        clauses.forEach(clause => {
+            let column = null;
+            let { words, phrase } = clause;
+            if (clause.field) {
+                column = byName.get(SearchIndex.fieldKey(clause.field)) || null;
+                if (!column) {
+                    // Not a column: search for the whole term as text
+                    words = SearchQuery.words(clause.raw.replace(/~$/, ''));
+                    phrase = words.length > 1;
+                }
+            }
+            const sets = words.map((word, index) => {
+                const key = `${word}\u0000${clause.fuzzy}\u0000${phrase && index < words.length - 1}`;
+                if (!expansions.has(key)) expansions.set(key, this.expand(word, clause.fuzzy, !phrase || index === words.length - 1));
+                return expansions.get(key);
+            });
+            const matched = this.match(sets, column, phrase);
+
+            if (clause.negate) {
+                const base = ids || new Set(this.records.keys());
+                ids = new Set([...base].filter(id => !matched.has(id)));
+            } else {
+                ids = ids ? new Set([...ids].filter(id => matched.has(id))) : matched;
+                terms.push({ column, words: new Set(sets.flatMap(set => [...set])) });
+            }
+        });
+
+        return { ids: ids || new Set(this.records.keys()), terms };
+    }
+
+    // Ids of the records where the words are found, in order when phrase
+    // is set; sets holds the indexed words each query word may match
+    match(sets, column, phrase) {
+        if (sets.some(set => set.size === 0)) return new Set();
+
+        let candidates = null;
+        sets.forEach(set => {
+            const ids = new Set();
+            set.forEach(word => this.postings.get(word).forEach(id => ids.add(id)));
+            candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+        });
+        if (!column && !phrase) return candidates;
+
+        return new Set([...candidates].filter(id => {
+            const record = this.records.get(id);
+            const values = column ? [record[column]] : Object.keys(record).filter(key => !key.startsWith('_')).map(key => record[key]);
+            return values.some(value => SearchIndex.contains(SearchIndex.wordsOf(value), sets, phrase));
+        }));
+    }
+
+    // Indexed words a query word matches: those starting with it (or equal
+    // to it, for words inside a phrase), else those within a typo or two
+    expand(word, fuzzy, prefix) {
+        const found = new Set();
+        if (prefix) {
+            this.postings.forEach((ids, indexed) => {
+                if (indexed.startsWith(word)) found.add(indexed);
+            });
+        } else if (this.postings.has(word)) {
+            found.add(word);
+        }
+        if (found.size > 0 && !fuzzy) return found;
+
+        const distance = SearchIndex.typosAllowed(word);
+        if (distance === 0) return found;
+        this.postings.forEach((ids, indexed) => {
+            if (Math.abs(indexed.length - word.length) <= distance && SearchIndex.editDistance(word, indexed, distance) <= distance) {
+                found.add(indexed);
+            }
+        });
+        return found;
+    }
+
+    static typosAllowed(word) {
+        if (word.length >= 8) return 2;
+        return word.length >= 4 ? 1 : 0;
+    }
+
+    // Edit distance counting a swap of neighbouring letters as one typo
+    // (optimal string alignment), giving up with max + 1 once it is exceeded
+    static editDistance(a, b, max) {
+        let before = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (before && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], before[j - 2] + 1);
+                }
+                best = Math.min(best, current[j]);
+            }
+            if (best > max) return max + 1;
+            before = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Whether words (of one value) has a word from each set, consecutively
+    // when phrase is set
+    static contains(words, sets, phrase) {
+        if (!phrase) return sets.every(set => words.some(word => set.has(word)));
+        for (let start = 0; start + sets.length <= words.length; start++) {
+            if (sets.every((set, offset) => set.has(words[start + offset]))) return true;
+        }
+        return false;
+    }
+
+    static wordsOf(value) {
+        if (value === null || value === undefined) return [];
+        return SearchQuery.words(typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+
+    // Column names match ignoring case, spaces and punctuation, so
+    // first_name:ann and firstname:ann both work
+    static fieldKey(name) {
+        return String(name).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    }
+
+    // Escaped HTML for a value shown in a column, with the words the search
+    // matched there wrapped in <mark>
+    static highlight(text, column, terms) {
+        const esc = BaseView.escapeHtml;
+        const source = String(text === null || text === undefined ? '' : text);
+        const words = new Set();
+        (terms || []).forEach(term => {
+            if (term.column === null || term.column === column) term.words.forEach(word => words.add(word));
+        });
+        if (words.size === 0) return esc(source);
+
+        let html = '';
+        let last = 0;
+        source.replace(SearchQuery.WORD, (word, offset) => {
+            if (words.has(word.toLowerCase())) {
+                html += `${esc(source.slice(last, offset))}<mark class="search-hit">${esc(word)}</mark>`;
+                last = offset + word.length;
+            }
+            return word;
+        });
+        return html + esc(source.slice(last));
+    }
+}
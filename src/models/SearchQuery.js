@@ -0,0 +1,95 @@
+// Search box queries, for example:
+//   acme                  any column has a word starting with "acme"
+//   company:acme          only the company column
+//   "new york"            the words next to each other
+//   city:"new york"       a phrase in one column
+//   -inactive             records without the word (NOT inactive works too)
+//   jonh~                 words spelled like it, even when "jonh" matches
+// Terms are ANDed together. A column name with spaces is quoted
+// ("first name":ann), and a name that isn't a column leaves the term as
+// plain text, so a URL like http://example.com still searches as written.
+// parse() never fails: an unclosed quote runs to the end of the text.
+
+class SearchQuery {
+    // [{ negate, field, phrase, fuzzy, words }] where field is the name as
+    // typed (or null) and words are the term's lowercase words
+    static parse(text) {
+        const clauses = [];
+        const source = String(text || '');
+        let i = 0;
+        let negateNext = false;
+
+        while (i < source.length) {
+            if (/\s/.test(source[i])) {
+                i++;
+                continue;
+            }
+
+            let negate = negateNext;
+            negateNext = false;
+            if (source[i] === '-' && i + 1 < source.length && !/\s/.test(source[i + 1])) {
+                negate = true;
+                i++;
+            }
+
+            const start = i;
+            let field = null;
+            let value;
+            let phrase = false;
+
+            const first = SearchQuery.readPart(source, i);
+            i = first.end;
+            if (source[i] === ':' && first.text && i + 1 < source.length && !/\s/.test(source[i + 1])) {
+                field = first.text;
+                const second = SearchQuery.readPart(source, i + 1);
+                i = second.end;
+                if (!second.quoted) {
+                    while (i < source.length && !/\s/.test(source[i])) i++;
+                }
+                value = second.quoted ? second.text : source.slice(second.end - second.text.length, i);
+                phrase = second.quoted;
+            } else {
+                // A colon that isn't a field separator stays part of the word
+                while (i < source.length && !/\s/.test(source[i])) i++;
+                value = first.quoted && i === first.end ? first.text : source.slice(start, i);
+                phrase = first.quoted && i === first.end;
+            }
+
+            if (!negate && !phrase && !field && value === 'NOT') {
+                negateNext = true;
+                continue;
+            }
+
+            let fuzzy = false;
+            if (!phrase && value.endsWith('~')) {
+                fuzzy = true;
+                value = value.slice(0, -1);
+            }
+
+            const words = SearchQuery.words(value);
+            if (words.length > 0) {
+                clauses.push({ negate, field, phrase: phrase || words.length > 1, fuzzy, words, raw: source.slice(start, i) });
+            }
+        }
+        return clauses;
+    }
+
+    // A quoted string or a run up to whitespace or a colon: { text, quoted, end }
+    static readPart(source, i) {
+        if (source[i] === '"') {
+            const close = source.indexOf('"', i + 1);
+            const end = close === -1 ? source.length : close;
+            return { text: source.slice(i + 1, end), quoted: true, end: close === -1 ? end : end + 1 };
+        }
+        let end = i;
+        while (end < source.length && !/[\s:]/.test(source[end])) end++;
+        return { text: source.slice(i, end), quoted: false, end };
+    }
+
+    // Lowercase runs of letters and digits; the index splits values the same way
+    static words(text) {
+        return String(text).toLowerCase().match(SearchQuery.WORD) || [];
+    }
+}
+
+SearchQuery.WORD = /[\p{L}\p{N}]+/gu;
@@ -0,0 +1,63 @@
+// Client for the ParseFlow server's REST API (server/server.js)
+// Only used when parseflow-config.js names a server. Requests carry the
+// session token from ServerSession; failures reject with the server's message
+// and an error name pages can check: AuthError (401, signed out),
+// PermissionError (403), NotFoundError (404) and ConflictError (409).
+
+class ServerApi {
+    constructor(url) {
+        this.url = url.replace(/\/+$/, '');
+        this.token = () => null;
+    }
+
+    // The configured server, or null when data stays in the browser
+    static fromConfig() {
+        const config = typeof window !== 'undefined' ? window.PARSEFLOW_SERVER : null;
+        return config && config.api ? new ServerApi(config.api) : null;
+    }
+
+    // body is sent as JSON unless it is a Blob, File or ArrayBuffer; query
+    // values that are null or undefined are left out
+    async request(method, path, { body, query, keepalive = false } = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query || {}).forEach(([key, value]) => {
+            if (value !== null && value !== undefined) params.set(key, value);
+        });
+        const headers = {};
+        const token = this.token();
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        let payload = body;
+        if (body !== undefined && !(body instanceof Blob) && !(body instanceof ArrayBuffer)) {
+            headers['Content-Type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+
+        const response = await fetch(`${this.url}/${path}${params.toString() ? `?${params}` : ''}`, {
+            method,
+            headers,
+            body: payload,
+            keepalive
+        });
+        const result = response.status === 204 ? null : await response.json().catch(() => null);
+        if (!response.ok) {
+            const error = new Error(result?.error || `The server answered ${response.status} ${response.statusText}`);
+            error.name = ServerApi.ERROR_NAMES[response.status] || 'ServerError';
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    }
+
+    // Path segment for an id
+    static path(...parts) {
+        return parts.map(part => encodeURIComponent(part)).join('/');
+    }
+}
+
+ServerApi.ERROR_NAMES = {
+    401: 'AuthError',
+    403: 'PermissionError',
+    404: 'NotFoundError',
+    409: 'ConflictError'
+};
@@ -0,0 +1,111 @@
+// Sign-in against the ParseFlow server, with the same methods as AuthSession
+// The server keeps the session and its expiry; this tab keeps the token and
+// the user as the server last described them, in sessionStorage, or in
+// localStorage when "Remember me" was ticked:
+//   { token, user }
+// current() answers from that copy so pages can check it straight away;
+// refresh() and watch() ask the server whether the session is still live.
+// Those checks don't keep the session alive; touch() tells the server the
+// page is actually in use.
+
+class ServerSession {
+    constructor(api) {
+        this.api = api;
+        this.api.token = () => this.token();
+        this.users = new ServerUserStore(api);
+        this.key = ServerSession.KEY;
+        this.touched = 0;
+    }
+
+    load() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.key) || localStorage.getItem(this.key) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    save(session, remember) {
+        this.forget();
+        (remember ? localStorage : sessionStorage).setItem(this.key, JSON.stringify(session));
+    }
+
+    forget() {
+        sessionStorage.removeItem(this.key);
+        localStorage.removeItem(this.key);
+    }
+
+    token() {
+        return this.load()?.token || null;
+    }
+
+    current() {
+        return this.load()?.user || null;
+    }
+
+    // Resolves with the user, or null once the server has ended the session
+    async refresh() {
+        const saved = this.load();
+        if (!saved) return null;
+        try {
+            const { user } = await this.api.request('GET', 'auth/me');
+            this.save({ ...saved, user }, Boolean(localStorage.getItem(this.key)));
+            return user;
+        } catch (error) {
+            if (error.name !== 'AuthError') throw error;
+            this.forget();
+            return null;
+        }
+    }
+
+    async signIn(login, password, remember = false) {
+        const session = await this.api.request('POST', 'auth/login', { body: { login, password, remember } });
+        this.save(session, remember);
+        return session.user;
+    }
+
+    async setUp(details) {
+        const session = await this.api.request('POST', 'auth/setup', { body: details });
+        this.save(session, false);
+        return session.user;
+    }
+
+    end() {
+        this.api.request('POST', 'auth/logout', { keepalive: true }).catch(() => {});
+        this.forget();
+    }
+
+    // The server signs users out itself when an admin suspends, deletes or
+    // resets them
+    endSessionsFor() {}
+
+    // Called on user activity; reports it at most once a minute
+    touch() {
+        const now = Date.now();
+        if (!this.token() || now - this.touched < 60 * 1000) return;
+        this.touched = now;
+        this.api.request('POST', 'auth/activity').catch(() => {});
+    }
+
+    watch(onEnd) {
+        let ended = false;
+        const check = async () => {
+            if (ended) return;
+            // Network trouble isn't a reason to sign out
+            const user = this.load() ? await this.refresh().catch(() => true) : null;
+            if (user) return;
+            ended = true;
+            onEnd();
+        };
+
+        ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(type => {
+            window.addEventListener(type, () => this.touch(), { passive: true, capture: true });
+        });
+        window.addEventListener('storage', event => {
+            if (event.key === this.key || event.key === null) check();
+        });
+        setInterval(check, 60 * 1000);
+    }
+}
+
+ServerSession.KEY = 'parseflow_server_session';
@@ -0,0 +1,59 @@
+// Accounts on the ParseFlow server, for the login, register and Users pages
+// Mirrors the UserStore methods those pages use, but every one of them
+// returns a promise. Signing in and first-time setup go through ServerSession.
+
+class ServerUserStore {
+    constructor(api) {
+        this.api = api;
+        // No localStorage key to watch; changes arrive from the server
+        this.key = null;
+    }
+
+    // Old browser accounts stay in the browser
+    async migrateLegacy() {}
+
+    async hasUsers() {
+        const { setupNeeded } = await this.api.request('GET', 'auth/setup');
+        return !setupNeeded;
+    }
+
+    async register(details) {
+        return (await this.api.request('POST', 'auth/register', { body: details })).user;
+    }
+
+    async getUsers() {
+        return (await this.api.request('GET', 'users')).users;
+    }
+
+    approveUser(id, role) {
+        return this.act(id, 'approve', { role });
+    }
+
+    rejectUser(id) {
+        return this.act(id, 'reject');
+    }
+
+    setRole(id, role) {
+        return this.act(id, 'role', { role });
+    }
+
+    suspendUser(id) {
+        return this.act(id, 'suspend');
+    }
+
+    reactivateUser(id) {
+        return this.act(id, 'reactivate');
+    }
+
+    setPassword(id, password) {
+        return this.act(id, 'password', { password });
+    }
+
+    async deleteUser(id) {
+        await this.api.request('DELETE', `users/${ServerApi.path(id)}`);
+    }
+
+    async act(id, action, body = {}) {
+        return (await this.api.request('POST', `users/${ServerApi.path(id, action)}`, { body })).user;
+    }
+}
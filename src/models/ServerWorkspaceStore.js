@@ -0,0 +1,50 @@
+// Workspaces on the ParseFlow server, with the WorkspaceStore methods the
+// dashboard uses; each returns a promise. Workspaces have the same shape as
+// local ones, so WorkspaceStore's static permission checks apply to them.
+// The server keeps which workspace each user has open.
+
+class ServerWorkspaceStore {
+    constructor(api) {
+        this.api = api;
+        this.key = null;
+    }
+
+    list() {
+        return this.api.request('GET', 'workspaces');
+    }
+
+    async getWorkspace(id) {
+        return (await this.list()).workspaces.find(workspace => workspace.id === id) || null;
+    }
+
+    // The server only lists the workspaces the signed-in user can open
+    async forUser() {
+        return (await this.list()).workspaces;
+    }
+
+    async getActive() {
+        const { workspaces, activeId } = await this.list();
+        return workspaces.find(workspace => workspace.id === activeId);
+    }
+
+    async setActive(user, id) {
+        await this.api.request('PUT', 'workspaces/active', { body: { id } });
+    }
+
+    async createTeam(name) {
+        return (await this.api.request('POST', 'workspaces', { body: { name } })).workspace;
+    }
+
+    async updateWorkspace(id, changes) {
+        return (await this.api.request('PATCH', `workspaces/${ServerApi.path(id)}`, { body: changes })).workspace;
+    }
+
+    async deleteWorkspace(id) {
+        await this.api.request('DELETE', `workspaces/${ServerApi.path(id)}`);
+    }
+
+    // The server tidies workspaces up when it deletes a user
+    async removeUser() {}
+
+    async adoptLegacyData() {}
+}
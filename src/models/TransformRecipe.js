@@ -0,0 +1,402 @@
+// Transform recipes: cleanup steps recorded against a dataset, replayed on it
+// and on later uploads of files with the same columns. A saved recipe is a
+// plain object kept in the workspace metadata:
+//   { id, name, columns: [input column], schema: { column: { type } },
+//     steps: [step], autoApply: true, createdAt, updatedAt }
+// columns and schema describe the data the steps were recorded on; an upload
+// with exactly those columns is typed the same way and then transformed.
+// A step is { type, ...options } with type one of TransformRecipe.STEPS.
+//
+// run() works on copies, so previews never touch stored records. Values a
+// step changes lose their _metadata.raw original; renamed columns keep it.
+
+class TransformRecipe {
+    constructor(steps = []) {
+        this.steps = steps;
+        // Last non-empty value per fill-down step and column, so a recipe
+        // run batch by batch fills across batch boundaries
+        this.previous = {};
+        // Types of the columns steps create, and date orders of the columns
+        // they cast, from the first batch they see
+        this.inferred = {};
+    }
+
+    // Returns { records, columns, schema } after every step. columns
+    // defaults to the columns found in the records. Throws an Error naming
+    // the step when one can't run, e.g. because its column is gone.
+    run(records, schema = {}, columns = SchemaInference.columnsOf(records)) {
+        const state = this.attempt(records, schema, columns);
+        if (state.error) throw state.error;
+        return state;
+    }
+
+    // Like run(), but stops at the first step that fails and returns the
+    // state before it with error and failedStep (its index) set
+    attempt(records, schema = {}, columns = SchemaInference.columnsOf(records)) {
+        let state = {
+            records: records.map(record => TransformRecipe.copy(record)),
+            columns: columns.slice(),
+            schema: JSON.parse(JSON.stringify(schema)),
+            error: null,
+            failedStep: -1
+        };
+
+        for (let index = 0; index < this.steps.length; index++) {
+            const step = this.steps[index];
+            try {
+                state = { ...state, ...this.runStep(step, index, state) };
+            } catch (error) {
+                state.error = new Error(`Step ${index + 1} (${TransformRecipe.describe(step)}): ${error.message}`);
+                state.failedStep = index;
+                break;
+            }
+        }
+        return state;
+    }
+
+    runStep(step, index, { records, columns, schema }) {
+        const has = column => columns.includes(column);
+        const requireColumns = list => {
+            if (!list || list.length === 0) throw new Error('Choose at least one column');
+            const missing = list.filter(column => !has(column));
+            if (missing.length) throw new Error(`No column named ${missing.map(column => `"${column}"`).join(', ')}`);
+        };
+        const requireName = (name, replaces = []) => {
+            if (!String(name || '').trim()) throw new Error('Enter a name for the new column');
+            if (has(name) && !replaces.includes(name)) throw new Error(`There is already a column named "${name}"`);
+        };
+
+        switch (step.type) {
+            case 'rename': {
+                requireColumns([step.column]);
+                requireName(step.name, [step.column]);
+                records = records.map(record => {
+                    const renamed = TransformRecipe.renameKey(record, step.column, step.name);
+                    if (renamed._metadata?.raw) {
+                        renamed._metadata.raw = TransformRecipe.renameKey(renamed._metadata.raw, step.column, step.name);
+                    }
+                    return renamed;
+                });
+                schema = TransformRecipe.renameKey(schema, step.column, step.name);
+                columns = columns.map(column => column === step.column ? step.name : column);
+                break;
+            }
+
+            case 'drop':
+                requireColumns(step.columns);
+                records.forEach(record => step.columns.forEach(column => TransformRecipe.remove(record, column)));
+                step.columns.forEach(column => delete schema[column]);
+                columns = columns.filter(column => !step.columns.includes(column));
+                break;
+
+            case 'reorder': {
+                const order = (step.columns || []).filter(has);
+                columns = order.concat(columns.filter(column => !order.includes(column)));
+                records = records.map(record => {
+                    const others = Object.keys(record).filter(key => !columns.includes(key));
+                    return TransformRecipe.pick(record, columns.filter(column => column in record).concat(others));
+                });
+                break;
+            }
+
+            case 'trim':
+                requireColumns(step.columns);
+                this.mapText(records, step.columns, text => step.collapse ? text.replace(/\s+/g, ' ').trim() : text.trim());
+                break;
+
+            case 'case': {
+                requireColumns(step.columns);
+                const convert = {
+                    upper: text => text.toUpperCase(),
+                    lower: text => text.toLowerCase(),
+                    title: text => text.toLowerCase().replace(/(^|[\s\-/(])(\S)/g, (match, before, letter) => before + letter.toUpperCase())
+                }[step.mode];
+                if (!convert) throw new Error(`Unknown case "${step.mode}"`);
+                this.mapText(records, step.columns, convert);
+                break;
+            }
+
+            case 'replace': {
+                requireColumns(step.columns);
+                const pattern = TransformRecipe.pattern(step);
+                records.forEach(record => step.columns.forEach(column => {
+                    const value = record[column];
+                    if (value === null || value === undefined || typeof value === 'object') return;
+                    const text = String(value);
+                    const replaced = text.replace(pattern, step.regex ? step.replace || '' : () => step.replace || '');
+                    if (replaced !== text) {
+                        // A number column with "1,000" -> "1000" should stay a number
+                        TransformRecipe.set(record, column, typeof value === 'string' ? replaced : SchemaInference.coerce(replaced, schema[column]?.type, schema[column]?.dayFirst));
+                    }
+                }));
+                break;
+            }
+
+            case 'split': {
+                requireColumns([step.column]);
+                if (!step.separator) throw new Error('Enter the text to split on');
+                const names = (step.names || []).map(name => String(name).trim());
+                if (names.length < 2) throw new Error('Name at least two new columns');
+                if (new Set(names).size !== names.length) throw new Error('The new columns need different names');
+                names.forEach(name => requireName(name, step.keep ? [] : [step.column]));
+
+                records = records.map(record => {
+                    const value = record[step.column];
+                    const parts = Expression.empty(value) ? [] : String(value).split(step.separator);
+                    // Anything past the last new column stays together in it
+                    const values = names.map((name, i) => {
+                        const part = i === names.length - 1 ? parts.slice(i).join(step.separator) : parts[i];
+                        return part === undefined ? '' : part.trim();
+                    });
+                    return TransformRecipe.insert(record, step.column, names, values, step.keep);
+                });
+                columns = TransformRecipe.insertColumns(columns, step.column, names, step.keep);
+                if (!step.keep) delete schema[step.column];
+                schema = this.typeNewColumns(index, records, schema, names);
+                break;
+            }
+
+            case 'merge': {
+                requireColumns(step.columns);
+                if (step.columns.length < 2) throw new Error('Choose at least two columns to merge');
+                requireName(step.name, step.keep ? [] : step.columns);
+                const separator = step.separator ?? ' ';
+
+                records = records.map(record => {
+                    const value = step.columns
+                        .map(column => record[column])
+                        .filter(part => !Expression.empty(part))
+                        .join(separator);
+                    const merged = TransformRecipe.insert(record, step.columns[0], [step.name], [value], true);
+                    if (!step.keep) {
+                        step.columns.filter(column => column !== step.name).forEach(column => TransformRecipe.remove(merged, column));
+                    }
+                    return merged;
+                });
+                columns = TransformRecipe.insertColumns(columns, step.columns[0], [step.name], true);
+                if (!step.keep) {
+                    columns = columns.filter(column => column === step.name || !step.columns.includes(column));
+                    step.columns.forEach(column => delete schema[column]);
+                }
+                schema = this.typeNewColumns(index, records, schema, [step.name]);
+                break;
+            }
+
+            case 'fill':
+                requireColumns(step.columns);
+                if (step.mode === 'value' && Expression.empty(step.value)) throw new Error('Enter the value to fill in');
+                records.forEach(record => step.columns.forEach(column => {
+                    const key = `${index}:${column}`;
+                    if (!Expression.empty(record[column])) {
+                        this.previous[key] = record[column];
+                        return;
+                    }
+                    const value = step.mode === 'previous' ? this.previous[key] : SchemaInference.coerce(step.value, schema[column]?.type, schema[column]?.dayFirst);
+                    if (value !== undefined) TransformRecipe.set(record, column, value);
+                }));
+                break;
+
+            case 'cast': {
+                requireColumns([step.column]);
+                if (!SchemaInference.TYPES.some(type => type.id === step.to)) throw new Error(`Unknown type "${step.to}"`);
+                const key = `${index}:${step.column}`;
+                if (!this.inferred[key]) {
+                    const values = records.map(record => record._metadata?.raw?.[step.column] ?? record[step.column]);
+                    this.inferred[key] = SchemaInference.withDateOrder({ type: step.to }, values);
+                }
+                const { dayFirst } = this.inferred[key];
+                records.forEach(record => TransformRecipe.convert(record, step.column, step.to, dayFirst));
+                schema[step.column] = { ...this.inferred[key], inferred: schema[step.column]?.inferred || step.to };
+                break;
+            }
+
+            case 'compute': {
+                const expression = new Expression(step.expression);
+                const missing = expression.columns.filter(column => !has(column));
+                if (missing.length) throw new Error(`No column named ${missing.map(column => `"${column}"`).join(', ')}`);
+                if (!String(step.name || '').trim()) throw new Error('Enter a name for the new column');
+
+                records.forEach(record => TransformRecipe.set(record, step.name, expression.evaluate(record)));
+                if (!has(step.name)) columns = columns.concat(step.name);
+                delete schema[step.name];
+                schema = this.typeNewColumns(index, records, schema, [step.name]);
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown step "${step.type}"`);
+        }
+        return { records, columns, schema };
+    }
+
+    // Columns a step created get a type inferred from their values
+    typeNewColumns(index, records, schema, columns) {
+        const key = column => `${index}:${column}`;
+        const unknown = columns.filter(column => !this.inferred[key(column)]);
+        if (unknown.length) {
+            const inferred = new SchemaInference().infer(records, unknown);
+            unknown.forEach(column => { this.inferred[key(column)] = inferred[column]; });
+        }
+
+        const types = {};
+        columns.forEach(column => { types[column] = { ...this.inferred[key(column)] }; });
+        records.forEach(record => columns.forEach(column => TransformRecipe.convert(record, column, types[column].type, types[column].dayFirst)));
+        return { ...schema, ...types };
+    }
+
+    // Applies fn to the string values of the columns; other values are left alone
+    mapText(records, columns, fn) {
+        records.forEach(record => columns.forEach(column => {
+            const value = record[column];
+            if (typeof value !== 'string') return;
+            const text = fn(value);
+            if (text !== value) TransformRecipe.set(record, column, text);
+        }));
+    }
+
+    static copy(record) {
+        const copy = { ...record };
+        if (record._metadata) {
+            copy._metadata = { ...record._metadata };
+            if (record._metadata.raw) copy._metadata.raw = { ...record._metadata.raw };
+        }
+        return copy;
+    }
+
+    // Sets a value the recipe computed; the import original no longer applies
+    static set(record, column, value) {
+        record[column] = value;
+        TransformRecipe.forgetRaw(record, column);
+    }
+
+    static remove(record, column) {
+        delete record[column];
+        TransformRecipe.forgetRaw(record, column);
+    }
+
+    static forgetRaw(record, column) {
+        const raw = record._metadata?.raw;
+        if (!raw || !(column in raw)) return;
+        delete raw[column];
+        if (Object.keys(raw).length === 0) delete record._metadata.raw;
+    }
+
+    // Converts a value to a type the way ParseFlowDB.coerceRecord does,
+    // starting from the original text when there is one
+    static convert(record, column, type, dayFirst = null) {
+        if (!(column in record)) return;
+        const raw = record._metadata?.raw || {};
+        const original = column in raw ? raw[column] : record[column];
+        const value = SchemaInference.coerce(original, type, dayFirst);
+        record[column] = value;
+
+        if (String(value) !== String(original)) {
+            record._metadata = { ...record._metadata, raw: { ...raw, [column]: original } };
+        } else {
+            TransformRecipe.forgetRaw(record, column);
+        }
+    }
+
+    // A copy of object with one key renamed, in the same position
+    static renameKey(object, from, to) {
+        const result = {};
+        Object.keys(object).forEach(key => {
+            result[key === from ? to : key] = object[key];
+        });
+        return result;
+    }
+
+    // A copy of object with its keys in the given order
+    static pick(object, keys) {
+        const result = {};
+        keys.forEach(key => {
+            result[key] = object[key];
+        });
+        return result;
+    }
+
+    // Record with new columns placed right after column (which is removed
+    // unless keep)
+    static insert(record, column, names, values, keep) {
+        const result = {};
+        let placed = false;
+        Object.keys(record).forEach(key => {
+            if (key === column) {
+                if (keep) result[key] = record[key];
+                names.forEach((name, i) => { result[name] = values[i]; });
+                placed = true;
+            } else if (!names.includes(key)) {
+                result[key] = record[key];
+            }
+        });
+        if (!placed) names.forEach((name, i) => { result[name] = values[i]; });
+        if (!keep) TransformRecipe.forgetRaw(result, column);
+        return result;
+    }
+
+    static insertColumns(columns, column, names, keep) {
+        const result = [];
+        columns.forEach(existing => {
+            if (existing === column) {
+                if (keep) result.push(existing);
+                result.push(...names.filter(name => !result.includes(name)));
+            } else if (!names.includes(existing)) {
+                result.push(existing);
+            }
+        });
+        return result;
+    }
+
+    static pattern(step) {
+        if (!step.find) throw new Error('Enter the text to find');
+        const flags = step.matchCase ? 'g' : 'gi';
+        if (!step.regex) {
+            return new RegExp(step.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+        }
+        // An invalid pattern throws a SyntaxError that says what is wrong
+        return new RegExp(step.find, flags);
+    }
+
+    // Whether a file with these columns has the shape the recipe was recorded on
+    static matches(recipe, columns) {
+        const expected = recipe.columns || [];
+        return expected.length === columns.length && expected.every(column => columns.includes(column));
+    }
+
+    static getStep(type) {
+        return TransformRecipe.STEPS.find(step => step.id === type) || null;
+    }
+
+    // One line for the step list
+    static describe(step) {
+        const list = columns => (columns || []).map(column => `"${column}"`).join(', ');
+        switch (step.type) {
+            case 'rename': return `Rename "${step.column}" to "${step.name}"`;
+            case 'drop': return `Drop ${list(step.columns)}`;
+            case 'reorder': return `Reorder columns: ${list(step.columns)}`;
+            case 'trim': return `Trim ${step.collapse ? 'and collapse spaces' : 'spaces'} in ${list(step.columns)}`;
+            case 'case': return `${{ upper: 'Upper case', lower: 'Lower case', title: 'Title Case' }[step.mode] || 'Change case of'} ${list(step.columns)}`;
+            case 'replace': return `Replace ${step.regex ? `/${step.find}/` : `"${step.find}"`} with "${step.replace || ''}" in ${list(step.columns)}`;
+            case 'split': return `Split "${step.column}" on "${step.separator}" into ${list(step.names)}`;
+            case 'merge': return `Merge ${list(step.columns)} into "${step.name}"`;
+            case 'fill': return `Fill empty ${list(step.columns)} ${step.mode === 'previous' ? 'from the row above' : `with "${step.value}"`}`;
+            case 'cast': return `Convert "${step.column}" to ${(SchemaInference.TYPES.find(type => type.id === step.to) || {}).label || step.to}`;
+            case 'compute': return `Compute "${step.name}" = ${step.expression}`;
+            default: return step.type;
+        }
+    }
+}
+
+TransformRecipe.STEPS = [
+    { id: 'rename', label: 'Rename column', icon: 'fa-i-cursor' },
+    { id: 'drop', label: 'Drop columns', icon: 'fa-minus-circle' },
+    { id: 'reorder', label: 'Reorder columns', icon: 'fa-sort' },
+    { id: 'trim', label: 'Trim spaces', icon: 'fa-cut' },
+    { id: 'case', label: 'Change case', icon: 'fa-font' },
+    { id: 'replace', label: 'Find and replace', icon: 'fa-exchange-alt' },
+    { id: 'split', label: 'Split column', icon: 'fa-columns' },
+    { id: 'merge', label: 'Merge columns', icon: 'fa-object-group' },
+    { id: 'fill', label: 'Fill empty values', icon: 'fa-fill-drip' },
+    { id: 'cast', label: 'Convert type', icon: 'fa-exchange-alt' },
+    { id: 'compute', label: 'Computed column', icon: 'fa-calculator' }
+];
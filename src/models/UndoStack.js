@@ -0,0 +1,58 @@
+// Undo/redo for the session: each entry is { label, undo, redo } where undo
+// and redo are functions that may return a promise. Nothing is saved, so the
+// history ends when the page is left. An entry whose undo or redo fails is
+// dropped, since the data no longer matches what it would put back.
+
+class UndoStack {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.done = [];
+        this.undone = [];
+    }
+
+    // A new change clears what could be redone
+    push(entry) {
+        this.done.push(entry);
+        if (this.done.length > this.limit) this.done.shift();
+        this.undone = [];
+    }
+
+    canUndo() {
+        return this.done.length > 0;
+    }
+
+    canRedo() {
+        return this.undone.length > 0;
+    }
+
+    // Labels of the changes undo() and redo() would act on, or null
+    undoLabel() {
+        return this.canUndo() ? this.done[this.done.length - 1].label : null;
+    }
+
+    redoLabel() {
+        return this.canRedo() ? this.undone[this.undone.length - 1].label : null;
+    }
+
+    // Resolves with the entry undone, or null when there is none
+    async undo() {
+        const entry = this.done.pop();
+        if (!entry) return null;
+        await entry.undo();
+        this.undone.push(entry);
+        return entry;
+    }
+
+    async redo() {
+        const entry = this.undone.pop();
+        if (!entry) return null;
+        await entry.redo();
+        this.done.push(entry);
+        return entry;
+    }
+
+    clear() {
+        this.done = [];
+        this.undone = [];
+    }
+}
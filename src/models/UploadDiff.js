@@ -0,0 +1,93 @@
+// Row-level differences between two uploads, matched on a key column.
+// compare() returns:
+//   { key, columns, added: [record], removed: [record],
+//     modified: [{ key, before, after, changes: [column] }], unchanged,
+//     skipped: { before, after } }
+// added are rows only the later upload has, removed rows only the earlier
+// one has, and modified rows both have with different values. Values are
+// compared as text, so 7 and "7" are the same and an empty cell equals a
+// missing one. Rows without a key, and rows repeating a key already seen in
+// the same upload, can't be matched and are counted in skipped.
+
+class UploadDiff {
+    static compare(before, after, key, columns = null) {
+        const columnList = columns || UploadDiff.columnsOf(before.concat(after));
+        const skipped = { before: 0, after: 0 };
+        const earlier = UploadDiff.byKey(before, key, count => { skipped.before = count; });
+        const later = UploadDiff.byKey(after, key, count => { skipped.after = count; });
+
+        const diff = { key, columns: columnList, added: [], removed: [], modified: [], unchanged: 0, skipped };
+        later.forEach((record, value) => {
+            const previous = earlier.get(value);
+            if (!previous) {
+                diff.added.push(record);
+                return;
+            }
+            const changes = columnList.filter(column => UploadDiff.text(previous[column]) !== UploadDiff.text(record[column]));
+            if (changes.length) {
+                diff.modified.push({ key: value, before: previous, after: record, changes });
+            } else {
+                diff.unchanged++;
+            }
+        });
+        earlier.forEach((record, value) => {
+            if (!later.has(value)) diff.removed.push(record);
+        });
+        return diff;
+    }
+
+    // The first record for each key; onSkipped gets how many were left out
+    static byKey(records, key, onSkipped) {
+        const map = new Map();
+        let skipped = 0;
+        records.forEach(record => {
+            const value = UploadDiff.text(record[key]).trim();
+            if (!value || map.has(value)) {
+                skipped++;
+            } else {
+                map.set(value, record);
+            }
+        });
+        onSkipped(skipped);
+        return map;
+    }
+
+    static columnsOf(records) {
+        const columns = new Set();
+        records.forEach(record => Object.keys(record).forEach(column => {
+            if (!column.startsWith('_')) columns.add(column);
+        }));
+        return Array.from(columns);
+    }
+
+    static text(value) {
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    // Flat rows for a change report, one per added, removed or modified
+    // row, starting with what changed; a changed cell reads "old → new".
+    // Returns { rows, columns, headers } for DataExporter.export().
+    static toReport(diff) {
+        const rows = [];
+        const values = record => Object.fromEntries(diff.columns.map(column => [column, record[column] === undefined ? null : record[column]]));
+
+        diff.added.forEach(record => rows.push({ ...values(record), [UploadDiff.CHANGE]: 'Added', [UploadDiff.CHANGED]: '' }));
+        diff.removed.forEach(record => rows.push({ ...values(record), [UploadDiff.CHANGE]: 'Removed', [UploadDiff.CHANGED]: '' }));
+        diff.modified.forEach(({ before, after, changes }) => {
+            const row = { ...values(after), [UploadDiff.CHANGE]: 'Modified', [UploadDiff.CHANGED]: changes.join(', ') };
+            changes.forEach(column => {
+                row[column] = `${UploadDiff.text(before[column])} → ${UploadDiff.text(after[column])}`;
+            });
+            rows.push(row);
+        });
+
+        const headers = { [UploadDiff.CHANGE]: 'Change', [UploadDiff.CHANGED]: 'Changed columns' };
+        diff.columns.forEach(column => { headers[column] = column; });
+        return { rows, columns: [UploadDiff.CHANGE, UploadDiff.CHANGED].concat(diff.columns), headers };
+    }
+}
+
+// Report columns, named so they can't clash with the data's own
+UploadDiff.CHANGE = '_change';
+UploadDiff.CHANGED = '_changedColumns';
@@ -0,0 +1,266 @@
+// User accounts, kept in one localStorage key
+// Passwords are never stored: each user has a random salt and a PBKDF2-SHA-256
+// hash made with WebCrypto. The iteration count is saved per user so it can
+// be raised later without breaking existing passwords. A user looks like:
+//   { id, username, email, fullName, company, role, status, salt, hash,
+//     iterations, createdAt, approvedAt, lastLoginAt }
+// status is 'pending' until an admin approves the account, and 'suspended'
+// accounts can't sign in. role is one of ROLES. When the store is empty the
+// login page runs first-time setup, which creates the first admin. Changes
+// that would leave no approved admin are refused.
+
+class UserStore {
+    constructor(key = 'parseflow_user_store') {
+        this.key = key;
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.key) || 'null');
+            return saved && Array.isArray(saved.users) ? saved : { version: 1, users: [] };
+        } catch (error) {
+            console.error('Error loading users:', error);
+            return { version: 1, users: [] };
+        }
+    }
+
+    save(data) {
+        localStorage.setItem(this.key, JSON.stringify(data));
+    }
+
+    getUsers() {
+        return this.load().users;
+    }
+
+    hasUsers() {
+        return this.getUsers().length > 0;
+    }
+
+    getUser(id) {
+        return this.getUsers().find(user => user.id === id) || null;
+    }
+
+    // By username or email, ignoring case
+    findUser(login) {
+        const name = String(login || '').trim().toLowerCase();
+        if (!name) return null;
+        return this.getUsers().find(user =>
+            user.username.toLowerCase() === name || (user.email && user.email.toLowerCase() === name)) || null;
+    }
+
+    // Creates a pending account, or an approved admin during first-time setup
+    async register(details, options = {}) {
+        UserStore.validatePassword(details.password);
+        if (!/^[\w.-]{3,32}$/.test(String(details.username || '').trim())) {
+            throw new Error('Usernames are 3 to 32 letters, numbers, dots, dashes or underscores');
+        }
+        return this.addUser(details, options);
+    }
+
+    // register() without the username and password rules, for old accounts
+    async addUser({ username, email, fullName, company = '', password }, { role = 'editor', status = 'pending' } = {}) {
+        username = String(username || '').trim();
+        email = String(email || '').trim();
+        if (!username || !password) throw new Error('A username and password are required');
+        if (this.findUser(username) || (email && this.findUser(email))) {
+            throw new Error('That username or email is already registered');
+        }
+
+        const credentials = await UserStore.hashPassword(password);
+        const now = new Date().toISOString();
+        const user = {
+            id: UserStore.randomId(),
+            username,
+            email,
+            fullName: String(fullName || '').trim(),
+            company: String(company || '').trim(),
+            role,
+            status,
+            ...credentials,
+            createdAt: now,
+            approvedAt: status === 'approved' ? now : null,
+            lastLoginAt: null
+        };
+
+        const data = this.load();
+        data.users.push(user);
+        this.save(data);
+        return UserStore.publicUser(user);
+    }
+
+    // Only the first account can be created this way
+    async createInitialAdmin(details) {
+        if (this.hasUsers()) throw new Error('Setup has already been completed');
+        return this.register(details, { role: 'admin', status: 'approved' });
+    }
+
+    // Resolves with the user when the password matches and the account is
+    // approved; throws a message fit to show on the login page otherwise
+    async authenticate(login, password) {
+        const user = this.findUser(login);
+        // Hash anyway so unknown usernames take as long as wrong passwords
+        const valid = await UserStore.verifyPassword(password, user || UserStore.DUMMY);
+        if (!user || !valid) throw new Error('Invalid username or password');
+        if (user.status === 'pending') throw new Error('Your account is waiting for an administrator to approve it');
+        if (user.status !== 'approved') throw new Error('Your account has been suspended');
+
+        return this.updateUser(user.id, { lastLoginAt: new Date().toISOString() });
+    }
+
+    updateUser(id, changes) {
+        const data = this.load();
+        const user = data.users.find(entry => entry.id === id);
+        if (!user) throw new Error('User not found');
+        Object.assign(user, changes);
+        this.save(data);
+        return UserStore.publicUser(user);
+    }
+
+    approveUser(id, role = 'editor') {
+        return this.changeUser(id, { status: 'approved', role: UserStore.getRole(role).id, approvedAt: new Date().toISOString() });
+    }
+
+    setRole(id, role) {
+        return this.changeUser(id, { role: UserStore.getRole(role).id });
+    }
+
+    suspendUser(id) {
+        return this.changeUser(id, { status: 'suspended' });
+    }
+
+    reactivateUser(id) {
+        return this.changeUser(id, { status: 'approved' });
+    }
+
+    deleteUser(id) {
+        const data = this.load();
+        const users = data.users.filter(user => user.id !== id);
+        UserStore.ensureAdmin(users);
+        data.users = users;
+        this.save(data);
+    }
+
+    // Rejecting a registration removes it, so the name can be registered again
+    rejectUser(id) {
+        const user = this.getUser(id);
+        if (!user || user.status !== 'pending') throw new Error('Only pending registrations can be rejected');
+        this.deleteUser(id);
+    }
+
+    // updateUser() for admin actions: checks an approved admin would remain
+    changeUser(id, changes) {
+        const users = this.getUsers().map(user => user.id === id ? { ...user, ...changes } : user);
+        UserStore.ensureAdmin(users);
+        return this.updateUser(id, changes);
+    }
+
+    static ensureAdmin(users) {
+        if (!users.some(user => user.role === 'admin' && user.status === 'approved')) {
+            throw new Error('At least one approved admin is needed');
+        }
+    }
+
+    static getRole(id) {
+        const role = UserStore.ROLES.find(entry => entry.id === id);
+        if (!role) throw new Error(`Unknown role: ${id}`);
+        return role;
+    }
+
+    async setPassword(id, password) {
+        UserStore.validatePassword(password);
+        return this.updateUser(id, await UserStore.hashPassword(password));
+    }
+
+    // A user without the password fields, safe to hand to the pages
+    static publicUser(user) {
+        const { salt, hash, iterations, ...rest } = user;
+        return rest;
+    }
+
+    static validatePassword(password) {
+        if (typeof password !== 'string' || password.length < UserStore.MIN_PASSWORD_LENGTH) {
+            throw new Error(`Passwords must be at least ${UserStore.MIN_PASSWORD_LENGTH} characters long`);
+        }
+    }
+
+    static async hashPassword(password, salt = null, iterations = UserStore.ITERATIONS) {
+        const saltBytes = salt ? UserStore.fromHex(salt) : crypto.getRandomValues(new Uint8Array(16));
+        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+            key,
+            256
+        );
+        return { salt: UserStore.toHex(saltBytes), hash: UserStore.toHex(new Uint8Array(bits)), iterations };
+    }
+
+    static async verifyPassword(password, user) {
+        const { hash } = await UserStore.hashPassword(String(password || ''), user.salt, user.iterations);
+        // Compare every character so the time taken doesn't depend on where they differ
+        let difference = hash.length ^ user.hash.length;
+        for (let i = 0; i < hash.length; i++) {
+            difference |= hash.charCodeAt(i) ^ user.hash.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    // Moves accounts from the old stores into this one, hashing their plain
+    // text passwords. Admins from 'approvedUsers' are left behind: they were
+    // seeded with passwords that shipped in the source.
+    async migrateLegacy() {
+        const read = key => {
+            try {
+                return JSON.parse(localStorage.getItem(key) || 'null');
+            } catch (error) {
+                return null;
+            }
+        };
+        const approved = read('approvedUsers') || [];
+        const passwords = read('parseflow_users') || {};
+        const profiles = read('parseflow_user_profiles') || {};
+
+        const legacy = approved
+            .filter(user => user.role !== 'admin' && user.email && user.password)
+            .map(user => ({
+                details: { username: user.username || user.email.split('@')[0], email: user.email, fullName: user.fullName, password: user.password },
+                status: user.status === 'approved' ? 'approved' : 'pending'
+            }))
+            .concat(Object.keys(passwords).map(username => ({
+                details: { username, password: passwords[username], ...profiles[username] },
+                status: profiles[username]?.status === 'approved' ? 'approved' : 'pending'
+            })));
+
+        for (const { details, status } of legacy) {
+            try {
+                await this.addUser(details, { status });
+            } catch (error) {
+                console.warn(`Skipped old account ${details.username}: ${error.message}`);
+            }
+        }
+        ['approvedUsers', 'parseflow_users', 'parseflow_user_profiles', 'currentUser'].forEach(key => localStorage.removeItem(key));
+    }
+
+    static randomId() {
+        return UserStore.toHex(crypto.getRandomValues(new Uint8Array(16)));
+    }
+
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static fromHex(hex) {
+        return new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+    }
+}
+
+UserStore.ROLES = [
+    { id: 'admin', label: 'Admin', description: 'Everything, including managing users' },
+    { id: 'editor', label: 'Editor', description: 'Import and edit data, and create team workspaces' },
+    { id: 'viewer', label: 'Viewer', description: 'Browse, chart and export data' }
+];
+
+UserStore.ITERATIONS = 600000;
+UserStore.MIN_PASSWORD_LENGTH = 8;
+
+// Checked against when the username is unknown; no password matches it
+UserStore.DUMMY = { salt: '00000000000000000000000000000000', hash: '-'.repeat(64), iterations: UserStore.ITERATIONS };
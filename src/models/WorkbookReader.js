@@ -0,0 +1,244 @@
+// Reads tables out of a SheetJS workbook
+// Real workbooks have cover sheets, title rows above the header and several
+// tables per sheet, so the header row and data range are chosen explicitly
+// instead of assuming row 1. Merged cells can be filled across their whole
+// area or left in the top-left cell only, and formula cells can give either
+// Excel's cached result or the formula text.
+
+class WorkbookReader {
+    constructor(workbook) {
+        this.workbook = workbook;
+        this.date1904 = !!workbook.Workbook?.WBProps?.date1904;
+    }
+
+    // content is an ArrayBuffer; formulas are always read so either mode works
+    // later. Dates are left as serial numbers with their number format, since
+    // SheetJS turns them into Dates in the local time zone.
+    static read(content) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('Excel support is not loaded');
+        }
+        return new WorkbookReader(XLSX.read(new Uint8Array(content), {
+            type: 'array',
+            cellFormula: true,
+            cellNF: true
+        }));
+    }
+
+    getSheetNames() {
+        return this.workbook.SheetNames.slice();
+    }
+
+    getSheet(name) {
+        const sheet = this.workbook.Sheets[name];
+        if (!sheet) {
+            throw new Error(`Sheet "${name}" not found`);
+        }
+        return sheet;
+    }
+
+    // Used range, size and what needs attention for the import dialog
+    getSheetInfo(name) {
+        const sheet = this.getSheet(name);
+        const info = { name, ref: sheet['!ref'] || '', rows: 0, columns: 0, merges: (sheet['!merges'] || []).length, formulas: 0, uncached: 0 };
+        if (!sheet['!ref']) return info;
+
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        info.rows = range.e.r - range.s.r + 1;
+        info.columns = range.e.c - range.s.c + 1;
+
+        Object.keys(sheet).forEach(address => {
+            const cell = sheet[address];
+            if (address[0] === '!' || !cell.f) return;
+            info.formulas++;
+            if (cell.v === undefined) info.uncached++;
+        });
+        return info;
+    }
+
+    // Map of "r:c" -> top-left cell address for every cell covered by a merge
+    static mergeMap(sheet) {
+        const map = new Map();
+        (sheet['!merges'] || []).forEach(merge => {
+            const origin = XLSX.utils.encode_cell(merge.s);
+            for (let r = merge.s.r; r <= merge.e.r; r++) {
+                for (let c = merge.s.c; c <= merge.e.c; c++) {
+                    map.set(`${r}:${c}`, origin);
+                }
+            }
+        });
+        return map;
+    }
+
+    // Value of one cell according to the merged/values options
+    static cellValue(sheet, r, c, options, merges) {
+        const origin = merges.get(`${r}:${c}`);
+        let address = XLSX.utils.encode_cell({ r, c });
+        if (origin && origin !== address) {
+            if (options.merged === 'first') return options.defaultValue;
+            address = origin;
+        }
+
+        const cell = sheet[address];
+        if (!cell) return options.defaultValue;
+        if (options.values === 'formulas' && cell.f) return `=${cell.f}`;
+        if (cell.t === 'e') return cell.w || '#ERROR';
+        if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) return WorkbookReader.formatSerial(cell.v, options.date1904);
+        if (cell.v instanceof Date) return WorkbookReader.formatDate(cell.v);
+        if (cell.v === undefined || cell.v === null) return options.defaultValue;
+        return cell.v;
+    }
+
+    // Date cells without a time part become YYYY-MM-DD, others
+    // YYYY-MM-DDTHH:MM:SS and times alone HH:MM:SS, as the sheet shows them
+    // whatever the time zone
+    static formatSerial(serial, date1904 = false) {
+        const parts = XLSX.SSF.parse_date_code(serial, { date1904 });
+        if (!parts) return serial;
+        if (serial >= 0 && serial < 1) return [parts.H, parts.M, parts.S].map(number => String(number).padStart(2, '0')).join(':');
+        return WorkbookReader.formatParts(parts.y, parts.m, parts.d, parts.H, parts.M, parts.S);
+    }
+
+    // Dates some formats still hold, made in the local time zone
+    static formatDate(date) {
+        if (isNaN(date)) return '';
+        return WorkbookReader.formatParts(date.getFullYear(), date.getMonth() + 1, date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds());
+    }
+
+    static formatParts(year, month, day, hours, minutes, seconds) {
+        const pad = (number, length = 2) => String(number).padStart(length, '0');
+        const date = `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+        return hours || minutes || seconds ? `${date}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}` : date;
+    }
+
+    // Range to read: options.range (A1 notation) clipped to the used range
+    getRange(sheet, rangeText = '') {
+        if (!sheet['!ref']) return null;
+        const used = XLSX.utils.decode_range(sheet['!ref']);
+        if (!rangeText || !String(rangeText).trim()) return used;
+
+        const text = String(rangeText).trim().toUpperCase();
+        if (!/^[A-Z]+\d+(:[A-Z]+\d+)?$/.test(text)) {
+            throw new Error(`Invalid range "${rangeText}"; use A1 notation such as B3:F200`);
+        }
+        const range = XLSX.utils.decode_range(text.includes(':') ? text : `${text}:${text}`);
+        return {
+            s: { r: Math.max(range.s.r, used.s.r), c: range.s.c },
+            e: { r: Math.min(range.e.r, used.e.r), c: range.e.c }
+        };
+    }
+
+    // Cell grid for previews: rows of display values with sheet row numbers
+    preview(name, options = {}, maxRows = 30, maxColumns = 30) {
+        const sheet = this.getSheet(name);
+        const used = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null;
+        if (!used) return { columns: [], rows: [] };
+
+        const merges = WorkbookReader.mergeMap(sheet);
+        const settings = { merged: 'fill', values: 'cached', defaultValue: '', ...options, date1904: this.date1904 };
+        const lastColumn = Math.min(used.e.c, used.s.c + maxColumns - 1);
+        const columns = [];
+        for (let c = used.s.c; c <= lastColumn; c++) {
+            columns.push({ index: c, letter: XLSX.utils.encode_col(c) });
+        }
+
+        const rows = [];
+        for (let r = used.s.r; r <= Math.min(used.e.r, used.s.r + maxRows - 1); r++) {
+            rows.push({
+                number: r + 1,
+                cells: columns.map(column => WorkbookReader.cellValue(sheet, r, column.index, settings, merges))
+            });
+        }
+        return { columns, rows };
+    }
+
+    // Likely header row (1-based) among the first rows: the first row that is
+    // nearly as wide as the widest one and holds only text, skipping title rows
+    guessHeaderRow(name, scanRows = 20) {
+        const { rows } = this.preview(name, {}, scanRows, 100);
+        const filled = rows.map(row => row.cells.filter(value => value !== '' && value !== null && value !== undefined));
+        const widest = Math.max(0, ...filled.map(cells => cells.length));
+        if (widest === 0) return 1;
+
+        const index = filled.findIndex(cells =>
+            cells.length >= Math.max(1, widest * 0.8) && cells.every(value => typeof value === 'string')
+        );
+        return index >= 0 ? rows[index].number : rows[0].number;
+    }
+
+    // 1-based header row from options; row 1 unless set, 0 for none
+    static headerRowOf(options) {
+        if (options.headerRow === undefined || options.headerRow === null || options.headerRow === '') return 1;
+        return Math.max(0, parseInt(options.headerRow, 10) || 0);
+    }
+
+    // Column names from the header row; headerRow 0 means no header (use letters)
+    headers(name, options = {}) {
+        const sheet = this.getSheet(name);
+        const range = this.getRange(sheet, options.range);
+        if (!range) return [];
+
+        const merges = WorkbookReader.mergeMap(sheet);
+        const settings = { merged: 'fill', values: 'cached', ...options, defaultValue: '', date1904: this.date1904 };
+        const headerRow = WorkbookReader.headerRowOf(options);
+        const seen = new Map();
+        const headers = [];
+
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            let header = headerRow > 0
+                ? String(WorkbookReader.cellValue(sheet, headerRow - 1, c, settings, merges)).trim()
+                : '';
+            if (!header) header = `Column ${XLSX.utils.encode_col(c)}`;
+
+            const count = (seen.get(header) || 0) + 1;
+            seen.set(header, count);
+            headers.push({ index: c, name: count > 1 ? `${header}_${count}` : header });
+        }
+        return headers;
+    }
+
+    // Records for one sheet. Rows that are entirely empty are skipped. warn,
+    // when given, receives { cell, message } for error values (#DIV/0!, #N/A)
+    // and formulas whose result was never cached.
+    toRecords(name, options = {}, warn = null) {
+        const sheet = this.getSheet(name);
+        const range = this.getRange(sheet, options.range);
+        if (!range) return [];
+
+        const settings = { merged: 'fill', values: 'cached', defaultValue: '', ...options, date1904: this.date1904 };
+        const merges = WorkbookReader.mergeMap(sheet);
+        const headers = this.headers(name, settings);
+        const headerRow = WorkbookReader.headerRowOf(settings);
+        const firstRow = Math.max(range.s.r, headerRow);
+        const records = [];
+
+        for (let r = firstRow; r <= range.e.r; r++) {
+            const record = {};
+            let empty = true;
+            headers.forEach(header => {
+                const value = WorkbookReader.cellValue(sheet, r, header.index, settings, merges);
+                if (warn) WorkbookReader.checkCell(sheet, name, r, header, settings, warn);
+                if (value !== settings.defaultValue && value !== '' && value !== null && value !== undefined) {
+                    empty = false;
+                }
+                record[header.name] = value;
+            });
+            if (!empty) records.push(record);
+        }
+        return records;
+    }
+
+    static checkCell(sheet, name, r, header, options, warn) {
+        const address = XLSX.utils.encode_cell({ r, c: header.index });
+        const cell = sheet[address];
+        if (!cell) return;
+
+        const reference = `${name}!${address}`;
+        if (cell.t === 'e') {
+            warn({ cell: reference, column: header.name, message: `Cell holds the error value ${cell.w || '#ERROR'}` });
+        } else if (cell.f && options.values !== 'formulas' && (cell.v === undefined || cell.v === null)) {
+            warn({ cell: reference, column: header.name, message: `Formula =${cell.f} has no cached result` });
+        }
+    }
+}
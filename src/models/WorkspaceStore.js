@@ -0,0 +1,223 @@
+// Workspaces: every user's personal space plus team spaces shared with members
+// Each workspace has storage of its own (an IndexedDB database, or a
+// localStorage key where IndexedDB is missing), so a user only ever loads
+// data they are allowed to see. A workspace looks like:
+//   { id, name, type: 'personal' | 'team', ownerId, memberIds: [], createdAt,
+//     storage: { indexedDB, localStorage } }
+// permissions() turns the user's role and their relation to a workspace into
+// the actions ParseFlowDB allows: viewers browse and export, editors also
+// import and edit, and only the owner or an admin deletes and clears.
+
+class WorkspaceStore {
+    constructor(key = 'parseflow_workspaces') {
+        this.key = key;
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.key) || 'null');
+            return saved && Array.isArray(saved.workspaces) ? saved : { workspaces: [], active: {}, legacyChecked: false };
+        } catch (error) {
+            console.error('Error loading workspaces:', error);
+            return { workspaces: [], active: {}, legacyChecked: false };
+        }
+    }
+
+    save(data) {
+        localStorage.setItem(this.key, JSON.stringify(data));
+    }
+
+    getWorkspace(id) {
+        return this.load().workspaces.find(workspace => workspace.id === id) || null;
+    }
+
+    // The user's personal workspace first, then team workspaces by name
+    forUser(user) {
+        return this.load().workspaces
+            .filter(workspace => WorkspaceStore.canAccess(user, workspace))
+            .sort((a, b) => (a.type === 'personal' ? 0 : 1) - (b.type === 'personal' ? 0 : 1) || a.name.localeCompare(b.name));
+    }
+
+    static canAccess(user, workspace) {
+        if (!user || !workspace) return false;
+        if (workspace.type === 'personal') return workspace.ownerId === user.id;
+        return user.role === 'admin' || workspace.memberIds.includes(user.id);
+    }
+
+    static canManage(user, workspace) {
+        return WorkspaceStore.canAccess(user, workspace) && (user.role === 'admin' || workspace.ownerId === user.id);
+    }
+
+    static canCreateTeam(user) {
+        return user?.role === 'admin' || user?.role === 'editor';
+    }
+
+    static permissions(user, workspace) {
+        if (!WorkspaceStore.canAccess(user, workspace)) return new Set();
+        const actions = ['view', 'export'];
+        if (user.role === 'admin' || user.role === 'editor') actions.push('import', 'edit');
+        if (user.role === 'admin' || workspace.ownerId === user.id) actions.push('delete', 'clear');
+        return new Set(actions);
+    }
+
+    static storageFor(id) {
+        return { indexedDB: `parseflow-${id}`, localStorage: `parseflow_database_${id}` };
+    }
+
+    ensurePersonal(user) {
+        const data = this.load();
+        let workspace = data.workspaces.find(entry => entry.type === 'personal' && entry.ownerId === user.id);
+        if (!workspace) {
+            const id = BaseDatabase.generateId();
+            workspace = {
+                id,
+                name: 'My workspace',
+                type: 'personal',
+                ownerId: user.id,
+                memberIds: [user.id],
+                createdAt: new Date().toISOString(),
+                storage: WorkspaceStore.storageFor(id)
+            };
+            data.workspaces.push(workspace);
+            this.save(data);
+        }
+        return workspace;
+    }
+
+    createTeam(name, owner) {
+        if (!WorkspaceStore.canCreateTeam(owner)) throw WorkspaceStore.permissionError('create team workspaces');
+        const data = this.load();
+        const id = BaseDatabase.generateId();
+        const workspace = {
+            id,
+            name: WorkspaceStore.cleanName(name),
+            type: 'team',
+            ownerId: owner.id,
+            memberIds: [owner.id],
+            createdAt: new Date().toISOString(),
+            storage: WorkspaceStore.storageFor(id)
+        };
+        data.workspaces.push(workspace);
+        this.save(data);
+        return workspace;
+    }
+
+    // name and, for team workspaces, memberIds; the owner always stays a member
+    updateWorkspace(id, changes, user) {
+        const data = this.load();
+        const workspace = data.workspaces.find(entry => entry.id === id);
+        if (!WorkspaceStore.canManage(user, workspace)) throw WorkspaceStore.permissionError('manage this workspace');
+
+        if (changes.name !== undefined) workspace.name = WorkspaceStore.cleanName(changes.name);
+        if (changes.memberIds && workspace.type === 'team') {
+            workspace.memberIds = Array.from(new Set([workspace.ownerId].concat(changes.memberIds)));
+        }
+        this.save(data);
+        return workspace;
+    }
+
+    async deleteWorkspace(id, user) {
+        const workspace = this.getWorkspace(id);
+        if (!WorkspaceStore.canManage(user, workspace)) throw WorkspaceStore.permissionError('delete this workspace');
+        if (workspace.type === 'personal') throw new Error('Personal workspaces cannot be deleted');
+        await this.remove([workspace]);
+    }
+
+    // A deleted user's personal workspace goes with them, and they leave every team
+    async removeUser(userId) {
+        const data = this.load();
+        const personal = data.workspaces.filter(workspace => workspace.type === 'personal' && workspace.ownerId === userId);
+        data.workspaces.forEach(workspace => {
+            workspace.memberIds = workspace.memberIds.filter(memberId => memberId !== userId);
+        });
+        delete data.active[userId];
+        this.save(data);
+        await this.remove(personal);
+    }
+
+    async remove(workspaces) {
+        const ids = new Set(workspaces.map(workspace => workspace.id));
+        const data = this.load();
+        data.workspaces = data.workspaces.filter(workspace => !ids.has(workspace.id));
+        this.save(data);
+
+        for (const workspace of workspaces) {
+            localStorage.removeItem(workspace.storage.localStorage);
+            if (IndexedDBDatabase.isSupported()) {
+                await IndexedDBDatabase.drop(workspace.storage.indexedDB).catch(error => {
+                    console.error(`Error deleting storage for ${workspace.name}:`, error);
+                });
+            }
+        }
+    }
+
+    // The workspace the user last opened, if they can still see it, else
+    // their personal one
+    getActive(user) {
+        const data = this.load();
+        const workspace = data.workspaces.find(entry => entry.id === data.active[user.id]);
+        return WorkspaceStore.canAccess(user, workspace) ? workspace : this.ensurePersonal(user);
+    }
+
+    setActive(user, id) {
+        const data = this.load();
+        data.active[user.id] = id;
+        this.save(data);
+    }
+
+    // Data saved before workspaces existed was shared by everyone on the
+    // browser, so it becomes a team workspace with every current user in it.
+    // Runs once; skipped when there is no old data to keep.
+    async adoptLegacyData(users) {
+        const data = this.load();
+        if (data.legacyChecked) return;
+
+        if (await WorkspaceStore.hasLegacyData()) {
+            const admin = users.find(user => user.role === 'admin' && user.status === 'approved') || users[0];
+            data.workspaces.push({
+                id: 'shared',
+                name: 'Shared workspace',
+                type: 'team',
+                ownerId: admin ? admin.id : null,
+                memberIds: users.filter(user => user.status === 'approved').map(user => user.id),
+                createdAt: new Date().toISOString(),
+                storage: WorkspaceStore.LEGACY_STORAGE
+            });
+        }
+        data.legacyChecked = true;
+        this.save(data);
+    }
+
+    static async hasLegacyData() {
+        if (localStorage.getItem(WorkspaceStore.LEGACY_STORAGE.localStorage)) return true;
+        if (!IndexedDBDatabase.isSupported()) return false;
+        // Browsers that can't list databases are assumed to have one
+        if (!indexedDB.databases) return true;
+        const databases = await indexedDB.databases();
+        return databases.some(database => database.name === WorkspaceStore.LEGACY_STORAGE.indexedDB);
+    }
+
+    static cleanName(name) {
+        const clean = String(name || '').trim();
+        if (!clean) throw new Error('Workspaces need a name');
+        return clean.slice(0, 80);
+    }
+
+    static permissionError(action) {
+        const error = new Error(`Your role doesn't allow you to ${action}`);
+        error.name = 'PermissionError';
+        return error;
+    }
+}
+
+// Where everything was stored before workspaces
+WorkspaceStore.LEGACY_STORAGE = { indexedDB: 'parseflow', localStorage: 'parseflow_database' };
+
+WorkspaceStore.ACTIONS = {
+    view: 'view data',
+    export: 'export data',
+    import: 'import data',
+    edit: 'edit data',
+    delete: 'delete datasets or uploads',
+    clear: 'clear this workspace'
+};
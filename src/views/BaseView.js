@@ -0,0 +1,40 @@
+// Base class for dashboard views rendered into a container element
+
+class BaseView {
+    constructor(container) {
+        this.container = typeof container === 'string'
+            ? document.querySelector(container)
+            : container;
+    }
+
+    render() {
+        throw new Error(`${this.constructor.name} must implement render()`);
+    }
+
+    setHTML(html) {
+        if (this.container) {
+            this.container.innerHTML = html;
+        }
+    }
+
+    // Saves content as a file through a temporary link
+    static download(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    static escapeHtml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
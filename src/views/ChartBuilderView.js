@@ -0,0 +1,270 @@
+// Chart builder controls: chart type, X axis, any number of aggregated
+// series, a field to split series by, stacking, date buckets and top-N.
+// Every change is handed to onChange so the chart redraws; saving, deleting
+// and exporting go through the other callbacks.
+
+class ChartBuilderView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.formatName = options.formatName || (name => name);
+        this.onChange = options.onChange || (() => {});
+        this.onSave = options.onSave || (() => Promise.resolve([]));
+        this.onDelete = options.onDelete || (() => Promise.resolve([]));
+        this.onExport = options.onExport || (() => {});
+
+        this.columns = [];
+        this.schema = {};
+        this.config = ChartBuilder.createConfig();
+        this.savedCharts = [];
+        this.savedId = null;
+        this.message = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleChange(e));
+        }
+    }
+
+    // Fields no longer in the dataset are dropped from the config
+    setData(columns, schema, config, savedCharts, savedId = null) {
+        const known = new Set(columns);
+        const current = { ...ChartBuilder.createConfig(), ...(config || {}) };
+
+        this.columns = columns;
+        this.schema = schema;
+        this.savedCharts = savedCharts;
+        this.savedId = savedId;
+        this.config = {
+            ...current,
+            x: known.has(current.x) ? current.x : '',
+            groupBy: known.has(current.groupBy) ? current.groupBy : '',
+            size: known.has(current.size) ? current.size : '',
+            series: current.series.filter(series => known.has(series.column))
+        };
+        this.render();
+    }
+
+    // A note or error under the controls, e.g. why the chart can't be drawn
+    setMessage(message, isError = false) {
+        this.message = message ? { text: message, isError } : null;
+        const element = this.container.querySelector('.chart-builder-message');
+        if (element) {
+            element.textContent = message || '';
+            element.classList.toggle('error', isError);
+        }
+    }
+
+    typeOf(column) {
+        return this.schema[column]?.type || 'text';
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const { config } = this;
+        const points = ChartBuilder.isPointChart(config.type);
+        const temporalX = SchemaInference.isTemporal(this.typeOf(config.x));
+        const numeric = this.columns.filter(column => SchemaInference.isNumeric(this.typeOf(column)));
+        const options = (columns, selected, empty) => `
+            ${empty !== undefined ? `<option value="">${esc(empty)}</option>` : ''}
+            ${columns.map(column => `<option value="${esc(column)}" ${column === selected ? 'selected' : ''}>${esc(this.formatName(column))}</option>`).join('')}
+        `;
+        const xColumns = points
+            ? this.columns.filter(column => SchemaInference.isNumeric(this.typeOf(column)) || SchemaInference.isTemporal(this.typeOf(column)))
+            : this.columns;
+
+        this.setHTML(`
+            <div class="chart-builder">
+                <div class="chart-builder-row">
+                    <label class="chart-field">
+                        <span>Chart</span>
+                        <select data-setting="type">
+                            ${ChartBuilder.TYPES.map(type => `<option value="${type.id}" ${type.id === config.type ? 'selected' : ''}>${esc(type.label)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="chart-field">
+                        <span>X axis</span>
+                        <select data-setting="x">${options(xColumns, config.x, 'Choose a field')}</select>
+                    </label>
+                    ${temporalX && !points ? `
+                        <label class="chart-field">
+                            <span>Group dates by</span>
+                            <select data-setting="bucket">
+                                ${ChartBuilder.BUCKETS.map(bucket => `<option value="${bucket.id}" ${bucket.id === config.bucket ? 'selected' : ''}>${esc(bucket.label)}</option>`).join('')}
+                            </select>
+                        </label>
+                    ` : ''}
+                    <label class="chart-field">
+                        <span>Split by</span>
+                        <select data-setting="groupBy">${options(this.columns.filter(column => column !== config.x), config.groupBy, 'Nothing')}</select>
+                    </label>
+                    ${ChartBuilder.canStack(config.type) ? `
+                        <label class="chart-field">
+                            <span>Series</span>
+                            <select data-setting="stacked">
+                                <option value="" ${config.stacked ? '' : 'selected'}>Side by side</option>
+                                <option value="1" ${config.stacked ? 'selected' : ''}>Stacked</option>
+                            </select>
+                        </label>
+                    ` : ''}
+                    ${!points && !temporalX ? `
+                        <label class="chart-field chart-field-small">
+                            <span>Top</span>
+                            <input type="number" min="0" step="1" data-setting="topN" value="${config.topN || ''}" placeholder="All">
+                        </label>
+                        <label class="checkbox-option">
+                            <input type="checkbox" data-setting="other" ${config.other ? 'checked' : ''}> Group the rest as Other
+                        </label>
+                    ` : ''}
+                    ${config.type === 'bubble' ? `
+                        <label class="chart-field">
+                            <span>Bubble size</span>
+                            <select data-setting="size">${options(numeric, config.size, 'Same size')}</select>
+                        </label>
+                    ` : ''}
+                </div>
+                <div class="chart-series">
+                    <span class="chart-series-title">${points ? 'Y axis' : 'Values'}</span>
+                    ${config.series.map((series, index) => this.renderSeries(series, index, points ? numeric : this.columns)).join('')}
+                    ${config.series.length === 0 && !points ? '<span class="chart-series-hint">Counting records</span>' : ''}
+                    <button type="button" class="filter-add-btn" data-action="add-series"><i class="fas fa-plus"></i> Series</button>
+                </div>
+                <div class="chart-builder-actions">
+                    <select data-saved>
+                        <option value="">Saved charts…</option>
+                        ${this.savedCharts.map(chart => `<option value="${esc(chart.id)}" ${chart.id === this.savedId ? 'selected' : ''}>${esc(chart.name)}</option>`).join('')}
+                    </select>
+                    ${this.savedId ? `
+                        <button type="button" class="dataset-action-btn danger" data-action="delete-saved" title="Delete saved chart"><i class="fas fa-trash"></i></button>
+                    ` : ''}
+                    <input type="text" class="form-input" data-save-name placeholder="Chart name" value="${esc(this.savedCharts.find(chart => chart.id === this.savedId)?.name || '')}">
+                    <button type="button" class="grid-toolbar-btn" data-action="save"><i class="fas fa-save"></i> Save</button>
+                    <span class="pivot-toolbar-spacer"></span>
+                    <button type="button" class="grid-toolbar-btn" data-action="export-png"><i class="fas fa-image"></i> PNG</button>
+                    <button type="button" class="grid-toolbar-btn" data-action="export-svg"><i class="fas fa-bezier-curve"></i> SVG</button>
+                </div>
+                <p class="chart-builder-message ${this.message?.isError ? 'error' : ''}">${esc(this.message?.text || '')}</p>
+            </div>
+        `);
+    }
+
+    renderSeries(series, index, columns) {
+        const esc = BaseView.escapeHtml;
+        const points = ChartBuilder.isPointChart(this.config.type);
+        return `
+            <span class="chart-series-item" style="border-color: ${ChartBuilder.color(index)};">
+                ${points ? '' : `
+                    <select data-series-aggregation="${index}">
+                        ${ChartBuilder.aggregationsFor(this.typeOf(series.column)).map(option => `
+                            <option value="${option.id}" ${option.id === series.aggregation ? 'selected' : ''}>${esc(option.label)}</option>
+                        `).join('')}
+                    </select>
+                `}
+                <select data-series-column="${index}">
+                    ${columns.map(column => `<option value="${esc(column)}" ${column === series.column ? 'selected' : ''}>${esc(this.formatName(column))}</option>`).join('')}
+                </select>
+                <button type="button" class="pivot-chip-remove" data-remove-series="${index}" title="Remove series"><i class="fas fa-times"></i></button>
+            </span>
+        `;
+    }
+
+    // Picks the first numeric field not plotted yet
+    newSeries() {
+        const used = this.config.series.map(series => series.column);
+        const numeric = this.columns.filter(column => SchemaInference.isNumeric(this.typeOf(column)));
+        const column = numeric.find(candidate => !used.includes(candidate)) || numeric[0] || this.columns[0];
+        return { column, aggregation: PivotTable.defaultAggregation(this.typeOf(column)) };
+    }
+
+    update() {
+        this.savedId = null;
+        this.render();
+        this.onChange(this.config, this.savedId);
+    }
+
+    async handleClick(e) {
+        const remove = e.target.closest('[data-remove-series]');
+        if (remove) {
+            this.config.series.splice(Number(remove.getAttribute('data-remove-series')), 1);
+            this.update();
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.getAttribute('data-action')) {
+            case 'add-series':
+                if (this.columns.length) {
+                    this.config.series.push(this.newSeries());
+                    this.update();
+                }
+                break;
+            case 'save': {
+                const name = this.container.querySelector('[data-save-name]').value.trim();
+                if (!name) {
+                    this.setMessage('Give the chart a name to save it', true);
+                    return;
+                }
+                const saved = await this.onSave(name, this.config);
+                this.savedCharts = saved.charts;
+                this.savedId = saved.id;
+                this.render();
+                this.onChange(this.config, this.savedId);
+                break;
+            }
+            case 'delete-saved':
+                if (!confirm('Delete this saved chart?')) return;
+                this.savedCharts = await this.onDelete(this.savedId);
+                this.savedId = null;
+                this.render();
+                this.onChange(this.config, this.savedId);
+                break;
+            case 'export-png':
+                this.onExport('png');
+                break;
+            case 'export-svg':
+                this.onExport('svg');
+                break;
+        }
+    }
+
+    handleChange(e) {
+        const target = e.target;
+
+        if (target.matches('[data-saved]')) {
+            const saved = this.savedCharts.find(chart => chart.id === target.value);
+            if (!saved) return;
+            this.config = { ...ChartBuilder.createConfig(), ...JSON.parse(JSON.stringify(saved.config)) };
+            this.savedId = saved.id;
+            this.render();
+            this.onChange(this.config, this.savedId);
+            return;
+        }
+
+        if (target.matches('[data-series-column]')) {
+            const series = this.config.series[Number(target.getAttribute('data-series-column'))];
+            series.column = target.value;
+            // Keep the aggregation if the new field supports it
+            const allowed = ChartBuilder.aggregationsFor(this.typeOf(series.column));
+            if (!allowed.some(option => option.id === series.aggregation)) {
+                series.aggregation = PivotTable.defaultAggregation(this.typeOf(series.column));
+            }
+            this.update();
+            return;
+        }
+
+        if (target.matches('[data-series-aggregation]')) {
+            this.config.series[Number(target.getAttribute('data-series-aggregation'))].aggregation = target.value;
+            this.update();
+            return;
+        }
+
+        const setting = target.getAttribute('data-setting');
+        if (!setting) return;
+        if (setting === 'other') this.config.other = target.checked;
+        else if (setting === 'stacked') this.config.stacked = Boolean(target.value);
+        else if (setting === 'topN') this.config.topN = Math.max(0, parseInt(target.value, 10) || 0);
+        else this.config[setting] = target.value;
+        this.update();
+    }
+}
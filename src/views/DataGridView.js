@@ -0,0 +1,664 @@
+// Virtualized data grid
+// Only the rows in view (plus a few either side) are in the DOM, so datasets
+// with hundreds of thousands of rows scroll smoothly. Columns are the union of
+// every record's keys. Clicking a header sorts by it (shift-click adds it to
+// a multi-column sort); columns can be resized by dragging their right edge,
+// reordered by dragging their header, hidden and pinned to the left. Rows are
+// selected with the checkboxes on the left (shift-click selects a range) and
+// are kept by record id while the data changes underneath. With
+// setEditable(true) the toolbar offers an edit mode in which clicking a cell
+// edits it: Enter or Tab saves through onCellEdit(record, column, text),
+// whose rejection is shown on the cell, and Escape cancels. highlight(column,
+// text) returns the HTML shown in a cell, e.g. with search matches marked. The
+// layout is a plain object handed to onLayoutChange so it can be saved with
+// the dataset:
+//   { order: [], hidden: [], pinned: [], widths: { column: px }, sort: [{ column, direction }] }
+
+class DataGridView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.rowHeight = options.rowHeight || 40;
+        this.headerHeight = options.headerHeight || 48;
+        this.overscan = options.overscan || 10;
+        this.defaultWidth = options.defaultWidth || 180;
+        this.minWidth = options.minWidth || 60;
+        this.formatName = options.formatName || (name => name);
+        this.formatValue = options.formatValue || (value => value === null || value === undefined ? '' : String(value));
+        this.highlight = options.highlight || ((column, text) => BaseView.escapeHtml(text));
+        this.onRowClick = options.onRowClick || (() => {});
+        this.onLayoutChange = options.onLayoutChange || (() => {});
+        this.onSelectionChange = options.onSelectionChange || (() => {});
+        this.onCellEdit = options.onCellEdit || (async () => {});
+        this.selectWidth = 40;
+
+        this.records = [];
+        this.sorted = [];
+        this.columns = [];
+        this.schema = {};
+        this.layout = DataGridView.emptyLayout();
+        this.renderedRange = null;
+        this.frame = null;
+        this.showColumnsPanel = false;
+        this.selected = new Set();
+        this.lastSelected = null;
+        this.editable = false;
+        this.editMode = false;
+        // Cell being edited: { id, column, value, original, error }
+        this.editing = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleChange(e));
+            this.container.addEventListener('input', e => this.handleInput(e));
+            this.container.addEventListener('keydown', e => this.handleKeyDown(e));
+            this.container.addEventListener('mousedown', e => this.handleResizeStart(e));
+            this.container.addEventListener('dragstart', e => this.handleDragStart(e));
+            this.container.addEventListener('dragover', e => this.handleDragOver(e));
+            this.container.addEventListener('drop', e => this.handleDrop(e));
+            this.container.addEventListener('scroll', () => this.scheduleRows(), true);
+            window.addEventListener('resize', () => this.scheduleRows());
+        }
+    }
+
+    static emptyLayout() {
+        return { order: [], hidden: [], pinned: [], widths: {}, sort: [] };
+    }
+
+    // Returns a sorted copy; sort is [{ column, direction }] applied in order.
+    // '_uploadedAt' sorts by when the record was imported. Sort keys are worked
+    // out once per record rather than on every comparison.
+    static sortRecords(records, sort = [], schema = {}) {
+        if (!sort || sort.length === 0) return records.slice();
+
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+        const keys = sort.map(({ column, direction }) => ({
+            column,
+            direction: direction === 'desc' ? -1 : 1,
+            type: column === '_uploadedAt' ? 'datetime' : schema[column]?.type
+        }));
+
+        const entries = records.map((record, index) => ({
+            record,
+            index,
+            values: keys.map(key => DataGridView.sortKey(
+                key.column === '_uploadedAt' ? record._metadata?.uploadedAt : record[key.column],
+                key.type
+            ))
+        }));
+
+        entries.sort((a, b) => {
+            for (let i = 0; i < keys.length; i++) {
+                const valueA = a.values[i];
+                const valueB = b.values[i];
+                // Empty values stay last whichever way the column is sorted
+                if (valueA === null || valueB === null) {
+                    if (valueA !== valueB) return valueA === null ? 1 : -1;
+                    continue;
+                }
+                const result = typeof valueA === 'number' && typeof valueB === 'number'
+                    ? valueA - valueB
+                    : collator.compare(String(valueA), String(valueB));
+                if (result !== 0) return result * keys[i].direction;
+            }
+            return a.index - b.index;
+        });
+        return entries.map(entry => entry.record);
+    }
+
+    // Comparable form of a value: numbers for numeric, date and boolean
+    // columns, text otherwise, null when empty
+    static sortKey(value, type) {
+        if (SchemaInference.isEmpty(value)) return null;
+        if (SchemaInference.isNumeric(type)) {
+            const number = SchemaInference.toNumber(value);
+            if (number !== null) return number;
+        } else if (SchemaInference.isTemporal(type)) {
+            const date = SchemaInference.parseDate(value);
+            if (date) return date.getTime();
+        } else if (type === 'boolean') {
+            return Number(SchemaInference.coerce(value, type) === true);
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    // columns: known column order (e.g. the dataset's); keys that only some
+    // records have are added after them
+    setData(records, columns, schema, layout) {
+        const known = new Set(columns);
+        const extra = SchemaInference.columnsOf(records).filter(column => !known.has(column));
+
+        this.records = records;
+        this.columns = columns.concat(extra);
+        this.schema = schema;
+        this.layout = { ...DataGridView.emptyLayout(), ...(layout || {}) };
+        this.sorted = DataGridView.sortRecords(records, this.layout.sort, schema);
+
+        // Drop selected records that are no longer in the data
+        const ids = new Set(records.map(DataGridView.idOf));
+        const before = this.selected.size;
+        this.selected = new Set(Array.from(this.selected).filter(id => ids.has(id)));
+        if (this.editing && !ids.has(this.editing.id)) this.editing = null;
+        this.lastSelected = null;
+        this.render();
+        if (this.selected.size !== before) this.onSelectionChange(this.selected.size);
+    }
+
+    static idOf(record) {
+        return record._metadata?.id;
+    }
+
+    // Selected records in the order they are shown
+    getSelectedRecords() {
+        return this.sorted.filter(record => this.selected.has(DataGridView.idOf(record)));
+    }
+
+    clearSelection() {
+        this.setSelection([]);
+    }
+
+    setSelection(ids) {
+        this.selected = new Set(ids);
+        this.lastSelected = null;
+        this.updateSelection();
+    }
+
+    // Whether the user may edit cells; turning it off leaves edit mode
+    setEditable(editable) {
+        this.editable = editable;
+        if (!editable) {
+            this.editMode = false;
+            this.editing = null;
+        }
+    }
+
+    // Redraws the rows in view after their records changed in place
+    refreshRows() {
+        this.renderedRange = null;
+        this.renderRows();
+    }
+
+    // Visible columns in display order: pinned first, then the saved order,
+    // then columns the layout hasn't seen yet
+    visibleColumns() {
+        const { order, hidden, pinned } = this.layout;
+        const ordered = order.filter(column => this.columns.includes(column))
+            .concat(this.columns.filter(column => !order.includes(column)));
+        const shown = ordered.filter(column => !hidden.includes(column));
+        return shown.filter(column => pinned.includes(column))
+            .concat(shown.filter(column => !pinned.includes(column)));
+    }
+
+    widthOf(column) {
+        return this.layout.widths[column] || this.defaultWidth;
+    }
+
+    // Left offset of each pinned column, for position: sticky
+    pinnedOffsets(columns) {
+        const offsets = {};
+        let left = this.selectWidth;
+        columns.forEach(column => {
+            if (!this.layout.pinned.includes(column)) return;
+            offsets[column] = left;
+            left += this.widthOf(column);
+        });
+        return offsets;
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const columns = this.visibleColumns();
+        const totalWidth = columns.reduce((sum, column) => sum + this.widthOf(column), this.selectWidth);
+        const hiddenCount = this.layout.hidden.filter(column => this.columns.includes(column)).length;
+        this.renderedRange = null;
+
+        this.setHTML(`
+            <div class="grid-toolbar">
+                <button type="button" class="grid-toolbar-btn" data-action="columns">
+                    <i class="fas fa-columns"></i> Columns${hiddenCount ? ` (${hiddenCount} hidden)` : ''}
+                </button>
+                ${this.layout.sort.length ? `
+                    <button type="button" class="grid-toolbar-btn" data-action="clear-sort"><i class="fas fa-sort"></i> Clear sort</button>
+                ` : ''}
+                <button type="button" class="grid-toolbar-btn" data-action="reset"><i class="fas fa-undo"></i> Reset layout</button>
+                ${this.editable ? `
+                    <button type="button" class="grid-toolbar-btn ${this.editMode ? 'active' : ''}" data-action="edit-mode">
+                        <i class="fas fa-pen"></i> ${this.editMode ? 'Done editing' : 'Edit cells'}
+                    </button>
+                ` : ''}
+                <span class="grid-hint">${this.editMode
+                    ? 'Click a cell to edit it. Enter saves, Tab saves and moves right, Esc cancels'
+                    : 'Shift-click headers to sort by several columns'}</span>
+                <span class="grid-selection">${this.renderSelectionStatus()}</span>
+            </div>
+            ${this.showColumnsPanel ? `
+                <div class="grid-columns-panel">
+                    ${this.columns.map(column => `
+                        <label class="checkbox-option">
+                            <input type="checkbox" data-toggle-column="${esc(column)}" ${this.layout.hidden.includes(column) ? '' : 'checked'}>
+                            ${esc(this.formatName(column))}
+                        </label>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <div class="grid-viewport">
+                <div class="grid-inner" style="width: ${totalWidth}px; height: ${this.headerHeight + this.rowsHeight()}px;">
+                    <div class="grid-header" style="height: ${this.headerHeight}px;">${this.renderHeader(columns)}</div>
+                    <div class="grid-rows"></div>
+                </div>
+            </div>
+        `);
+        this.renderRows();
+    }
+
+    renderSelectionStatus() {
+        if (this.selected.size === 0) return '';
+        return `
+            ${this.selected.size.toLocaleString()} selected
+            <button type="button" class="grid-toolbar-btn" data-action="clear-selection"><i class="fas fa-times"></i> Clear selection</button>
+        `;
+    }
+
+    renderHeader(columns) {
+        const esc = BaseView.escapeHtml;
+        const offsets = this.pinnedOffsets(columns);
+        const all = this.sorted.length > 0 && this.selected.size >= this.sorted.length;
+
+        return `
+            <div class="grid-cell grid-header-cell grid-select-cell pinned" style="width: ${this.selectWidth}px; left: 0;">
+                <input type="checkbox" data-select-all title="Select all rows" ${all ? 'checked' : ''}>
+            </div>
+        ` + columns.map(column => {
+            const type = SchemaInference.TYPES.find(t => t.id === (this.schema[column]?.type || 'text'));
+            const sortIndex = this.layout.sort.findIndex(entry => entry.column === column);
+            const sort = this.layout.sort[sortIndex];
+            const pinned = column in offsets;
+
+            return `
+                <div class="grid-cell grid-header-cell ${pinned ? 'pinned' : ''}" draggable="true" data-column="${esc(column)}"
+                    style="width: ${this.widthOf(column)}px; ${pinned ? `left: ${offsets[column]}px;` : ''}" title="${esc(column)} (${type.label})">
+                    <span class="grid-header-label" data-sort="${esc(column)}">
+                        <i class="fas ${type.icon} column-type-icon"></i> ${esc(this.formatName(column))}
+                        ${sort ? `<i class="fas fa-sort-${sort.direction === 'desc' ? 'down' : 'up'} grid-sort-icon"></i>${this.layout.sort.length > 1 ? `<sup>${sortIndex + 1}</sup>` : ''}` : ''}
+                    </span>
+                    <button type="button" class="grid-header-btn ${pinned ? 'active' : ''}" data-pin="${esc(column)}" title="${pinned ? 'Unpin' : 'Pin to the left'}">
+                        <i class="fas fa-thumbtack"></i>
+                    </button>
+                    <button type="button" class="grid-header-btn" data-hide="${esc(column)}" title="Hide column">
+                        <i class="fas fa-eye-slash"></i>
+                    </button>
+                    <span class="grid-resizer" data-resize="${esc(column)}"></span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    scheduleRows() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.renderRows();
+        });
+    }
+
+    // Browsers cap how tall an element can be (Chrome at about 33.5M px), so
+    // past MAX_HEIGHT the rows get less height than they need and the scroll
+    // position is mapped to a row proportionally
+    rowsHeight() {
+        return Math.min(this.sorted.length * this.rowHeight, DataGridView.MAX_HEIGHT);
+    }
+
+    // The viewport's scrollTop as it would be if the rows had their full height
+    fullScrollTop(viewport) {
+        const full = this.sorted.length * this.rowHeight;
+        const shown = this.rowsHeight();
+        if (full === shown) return viewport.scrollTop;
+        const height = viewport.clientHeight || 600;
+        const max = this.headerHeight + shown - height;
+        return max > 0 ? viewport.scrollTop * (this.headerHeight + full - height) / max : 0;
+    }
+
+    // Renders the rows in view; skipped when the range hasn't changed
+    renderRows() {
+        const viewport = this.container && this.container.querySelector('.grid-viewport');
+        const body = viewport && viewport.querySelector('.grid-rows');
+        if (!body) return;
+
+        const fullTop = this.fullScrollTop(viewport);
+        const scrollTop = Math.max(0, fullTop - this.headerHeight);
+        const visibleCount = Math.ceil((viewport.clientHeight || 600) / this.rowHeight);
+        const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+        const end = Math.min(this.sorted.length, start + visibleCount + this.overscan * 2);
+        // Rows sit where they would with full height, shifted into view
+        body.style.top = `${this.headerHeight + start * this.rowHeight + viewport.scrollTop - fullTop}px`;
+        if (this.renderedRange && this.renderedRange.start === start && this.renderedRange.end === end) return;
+        this.renderedRange = { start, end };
+
+        const esc = BaseView.escapeHtml;
+        const columns = this.visibleColumns();
+        const offsets = this.pinnedOffsets(columns);
+        const cellStyle = columns.map(column => column in offsets
+            ? `width: ${this.widthOf(column)}px; left: ${offsets[column]}px;`
+            : `width: ${this.widthOf(column)}px;`);
+
+        body.innerHTML = this.sorted.slice(start, end).map((record, offset) => {
+            const selected = this.selected.has(DataGridView.idOf(record));
+            return `
+            <div class="grid-row ${(start + offset) % 2 ? 'odd' : ''} ${selected ? 'selected' : ''}" data-row="${start + offset}" style="height: ${this.rowHeight}px;">
+                <div class="grid-cell grid-select-cell pinned" style="width: ${this.selectWidth}px; left: 0;">
+                    <input type="checkbox" data-select-row="${start + offset}" ${selected ? 'checked' : ''}>
+                </div>
+                ${columns.map((column, index) => {
+                    const editing = this.editing && this.editing.id === DataGridView.idOf(record) && this.editing.column === column;
+                    if (editing) {
+                        return `
+                            <div class="grid-cell editing ${this.editing.error ? 'invalid' : ''} ${column in offsets ? 'pinned' : ''}" style="${cellStyle[index]}">
+                                <input type="text" class="grid-cell-input" data-editor value="${esc(this.editing.value)}" title="${esc(this.editing.error || '')}">
+                            </div>
+                        `;
+                    }
+                    const text = this.formatValue(record[column]);
+                    return `<div class="grid-cell ${column in offsets ? 'pinned' : ''}" data-cell="${esc(column)}" style="${cellStyle[index]}" title="${esc(text)}">${this.highlight(column, text)}</div>`;
+                }).join('')}
+            </div>
+        `;
+        }).join('');
+
+        const editor = body.querySelector('[data-editor]');
+        if (editor && document.activeElement !== editor) {
+            editor.focus();
+            editor.setSelectionRange(editor.value.length, editor.value.length);
+        }
+    }
+
+    // Nested values (objects and arrays) are shown as text and not editable
+    startEdit(record, column) {
+        const value = record[column];
+        if (value !== null && typeof value === 'object') return;
+        const text = value === null || value === undefined ? '' : String(value);
+        this.editing = { id: DataGridView.idOf(record), column, value: text, original: text, error: null };
+        this.refreshRows();
+    }
+
+    cancelEdit() {
+        this.editing = null;
+        this.refreshRows();
+    }
+
+    // Saves the cell being edited; with move set, Tab-style, goes on to the
+    // next visible column of the row. Resolves false when the value was
+    // refused.
+    async commitEdit(move = false) {
+        const editing = this.editing;
+        if (!editing) return true;
+        const record = this.records.find(entry => DataGridView.idOf(entry) === editing.id);
+        if (!record) {
+            this.cancelEdit();
+            return true;
+        }
+
+        if (editing.value !== editing.original) {
+            try {
+                await this.onCellEdit(record, editing.column, editing.value);
+            } catch (error) {
+                // Another cell may have been opened while this one was saving
+                if (this.editing === editing) {
+                    editing.error = error.message;
+                    this.refreshRows();
+                }
+                return false;
+            }
+        }
+        if (this.editing !== editing) return true;
+
+        const columns = this.visibleColumns();
+        const next = columns[columns.indexOf(editing.column) + 1];
+        this.editing = null;
+        if (move && next) {
+            this.startEdit(record, next);
+        } else {
+            this.refreshRows();
+        }
+        return true;
+    }
+
+    // Refreshes the checkboxes, row highlight and toolbar count in place
+    updateSelection() {
+        const status = this.container.querySelector('.grid-selection');
+        if (status) status.innerHTML = this.renderSelectionStatus();
+        const all = this.container.querySelector('[data-select-all]');
+        if (all) {
+            all.checked = this.sorted.length > 0 && this.selected.size >= this.sorted.length;
+            all.indeterminate = this.selected.size > 0 && !all.checked;
+        }
+        this.renderedRange = null;
+        this.renderRows();
+        this.onSelectionChange(this.selected.size);
+    }
+
+    // Shift-click sets every row between the last clicked one and this one
+    toggleRow(index, checked, range) {
+        const from = range && this.lastSelected !== null ? Math.min(this.lastSelected, index) : index;
+        const to = range && this.lastSelected !== null ? Math.max(this.lastSelected, index) : index;
+        for (let i = from; i <= to; i++) {
+            const id = DataGridView.idOf(this.sorted[i]);
+            if (checked) this.selected.add(id);
+            else this.selected.delete(id);
+        }
+        this.lastSelected = index;
+        this.updateSelection();
+    }
+
+    changeLayout(resort = false) {
+        if (resort) {
+            this.sorted = DataGridView.sortRecords(this.records, this.layout.sort, this.schema);
+        }
+        // Keep the horizontal position so the column just changed stays in view
+        const scrollLeft = this.container.querySelector('.grid-viewport')?.scrollLeft || 0;
+        this.render();
+        this.container.querySelector('.grid-viewport').scrollLeft = scrollLeft;
+        this.onLayoutChange(this.layout);
+    }
+
+    toggleSort(column, addToSort) {
+        const sort = this.layout.sort;
+        const current = sort.find(entry => entry.column === column);
+
+        if (addToSort) {
+            // asc -> desc -> removed, keeping the other sort columns
+            if (!current) sort.push({ column, direction: 'asc' });
+            else if (current.direction === 'asc') current.direction = 'desc';
+            else sort.splice(sort.indexOf(current), 1);
+        } else {
+            const direction = current && sort.length === 1 && current.direction === 'asc' ? 'desc' : 'asc';
+            this.layout.sort = current && sort.length === 1 && current.direction === 'desc'
+                ? []
+                : [{ column, direction }];
+        }
+        this.changeLayout(true);
+    }
+
+    handleClick(e) {
+        const selectRow = e.target.closest('[data-select-row]');
+        if (selectRow) {
+            this.toggleRow(Number(selectRow.getAttribute('data-select-row')), selectRow.checked, e.shiftKey);
+            return;
+        }
+
+        if (e.target.closest('[data-select-all]')) {
+            this.setSelection(e.target.checked ? this.sorted.map(DataGridView.idOf) : []);
+            return;
+        }
+
+        // Clicks around the checkbox shouldn't open the record
+        if (e.target.closest('.grid-select-cell')) return;
+
+        const pin = e.target.closest('[data-pin]');
+        if (pin) {
+            const column = pin.getAttribute('data-pin');
+            const pinned = this.layout.pinned;
+            this.layout.pinned = pinned.includes(column) ? pinned.filter(c => c !== column) : pinned.concat(column);
+            this.changeLayout();
+            return;
+        }
+
+        const hide = e.target.closest('[data-hide]');
+        if (hide) {
+            this.layout.hidden = this.layout.hidden.concat(hide.getAttribute('data-hide'));
+            this.changeLayout();
+            return;
+        }
+
+        const sort = e.target.closest('[data-sort]');
+        if (sort) {
+            this.toggleSort(sort.getAttribute('data-sort'), e.shiftKey);
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (button) {
+            switch (button.getAttribute('data-action')) {
+                case 'edit-mode':
+                    this.editMode = !this.editMode;
+                    this.editing = null;
+                    this.render();
+                    break;
+                case 'columns':
+                    this.showColumnsPanel = !this.showColumnsPanel;
+                    this.render();
+                    break;
+                case 'clear-sort':
+                    this.layout.sort = [];
+                    this.changeLayout(true);
+                    break;
+                case 'reset':
+                    this.layout = DataGridView.emptyLayout();
+                    this.changeLayout(true);
+                    break;
+                case 'clear-selection':
+                    this.clearSelection();
+                    break;
+            }
+            return;
+        }
+
+        if (e.target.closest('[data-editor]')) return;
+
+        const row = e.target.closest('[data-row]');
+        if (!row) return;
+        const record = this.sorted[Number(row.getAttribute('data-row'))];
+        if (!record) return;
+
+        const cell = e.target.closest('[data-cell]');
+        if (this.editMode && cell) {
+            // Clicking another cell saves the one being edited first
+            this.commitEdit().then(saved => {
+                if (saved) this.startEdit(record, cell.getAttribute('data-cell'));
+            });
+            return;
+        }
+        if (!this.editMode) this.onRowClick(record);
+    }
+
+    handleInput(e) {
+        if (this.editing && e.target.closest('[data-editor]')) {
+            this.editing.value = e.target.value;
+        }
+    }
+
+    handleKeyDown(e) {
+        if (!this.editing || !e.target.closest('[data-editor]')) return;
+        if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            this.commitEdit(e.key === 'Tab');
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            // Keep Escape from closing anything else on the page
+            e.stopPropagation();
+            this.cancelEdit();
+        }
+    }
+
+    handleChange(e) {
+        const toggle = e.target.closest('[data-toggle-column]');
+        if (!toggle) return;
+
+        const column = toggle.getAttribute('data-toggle-column');
+        this.layout.hidden = toggle.checked
+            ? this.layout.hidden.filter(c => c !== column)
+            : this.layout.hidden.concat(column);
+        this.changeLayout();
+    }
+
+    // Dragging a header's right edge; the width is saved on release
+    handleResizeStart(e) {
+        const handle = e.target.closest('[data-resize]');
+        if (!handle) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const column = handle.getAttribute('data-resize');
+        const startX = e.clientX;
+        const startWidth = this.widthOf(column);
+
+        const onMove = event => {
+            this.layout.widths[column] = Math.max(this.minWidth, Math.round(startWidth + event.clientX - startX));
+            this.updateWidths();
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            this.onLayoutChange(this.layout);
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    // Re-sizes the header and rendered rows in place while dragging
+    updateWidths() {
+        const viewport = this.container.querySelector('.grid-viewport');
+        const scroll = { top: viewport.scrollTop, left: viewport.scrollLeft };
+        const columns = this.visibleColumns();
+        const totalWidth = columns.reduce((sum, column) => sum + this.widthOf(column), this.selectWidth);
+
+        this.container.querySelector('.grid-inner').style.width = `${totalWidth}px`;
+        this.container.querySelector('.grid-header').innerHTML = this.renderHeader(columns);
+        this.renderedRange = null;
+        this.renderRows();
+        viewport.scrollTop = scroll.top;
+        viewport.scrollLeft = scroll.left;
+    }
+
+    handleDragStart(e) {
+        const header = e.target.closest('.grid-header-cell');
+        if (!header || e.target.closest('[data-resize]')) return;
+        this.dragColumn = header.getAttribute('data-column');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', this.dragColumn);
+    }
+
+    handleDragOver(e) {
+        if (this.dragColumn && e.target.closest('.grid-header-cell[data-column]')) {
+            e.preventDefault();
+        }
+    }
+
+    // Dropping a header moves its column in front of the one it lands on
+    handleDrop(e) {
+        const target = e.target.closest('.grid-header-cell[data-column]');
+        const column = this.dragColumn;
+        this.dragColumn = null;
+        if (!target || !column) return;
+        e.preventDefault();
+
+        const before = target.getAttribute('data-column');
+        if (before === column) return;
+
+        const order = this.visibleColumns().concat(this.layout.hidden).filter(c => c !== column);
+        order.splice(order.indexOf(before), 0, column);
+        this.layout.order = order;
+        this.changeLayout();
+    }
+}
+
+// Tallest the rows get, well below what browsers allow
+DataGridView.MAX_HEIGHT = 10000000;
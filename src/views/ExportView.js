@@ -0,0 +1,200 @@
+// Export modal: output format, which rows (the current view, the selected
+// rows or the whole dataset), which columns and how their headers are named.
+// CSV adds a delimiter and a text encoding.
+
+class ExportView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.formatName = options.formatName || (name => name);
+        this.state = null;
+        this.resolve = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleChange(e));
+        }
+    }
+
+    // counts: { view, selected, all } rows in each scope; settings: the last
+    // { format, scope, headers, delimiter, encoding } used. Resolves with those
+    // settings plus the chosen columns, or null when cancelled.
+    show({ datasetName, columns, counts, settings = {} }) {
+        const scope = settings.scope === 'selected' && !counts.selected ? 'view' : settings.scope;
+        this.datasetName = datasetName;
+        this.columns = columns;
+        this.counts = counts;
+        this.state = {
+            format: 'csv',
+            headers: 'original',
+            delimiter: ',',
+            encoding: 'utf-8',
+            ...settings,
+            scope: scope || (counts.selected ? 'selected' : 'view'),
+            columns: columns.slice()
+        };
+        this.render();
+        this.container.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close(result) {
+        this.container.style.display = 'none';
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const { state, counts } = this;
+        const scopes = [
+            { id: 'view', label: 'Current view', hint: 'filtered and sorted as shown', count: counts.view },
+            { id: 'selected', label: 'Selected rows', hint: 'ticked in the table', count: counts.selected },
+            { id: 'all', label: 'Whole dataset', hint: 'every row, original order', count: counts.all }
+        ];
+        const rowCount = counts[state.scope] || 0;
+        const canExport = rowCount > 0 && state.columns.length > 0;
+        // Re-rendering after every change shouldn't jump the lists back to the top
+        const scroll = Array.from(this.container.querySelectorAll('.modal-body, .export-columns')).map(element => element.scrollTop);
+
+        this.setHTML(`
+            <div class="modal-content export-dialog">
+                <div class="modal-header">
+                    <h3><i class="fas fa-file-export"></i> Export: ${esc(this.datasetName)}</h3>
+                    <button class="modal-close" data-action="cancel"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body">
+                    <div class="export-section">
+                        <h4>Format</h4>
+                        <div class="export-formats">
+                            ${DataExporter.FORMATS.map(format => `
+                                <label class="export-choice ${format.id === state.format ? 'active' : ''}">
+                                    <input type="radio" name="exportFormat" data-setting="format" value="${format.id}" ${format.id === state.format ? 'checked' : ''}>
+                                    ${esc(format.label)}
+                                </label>
+                            `).join('')}
+                        </div>
+                        ${state.format === 'csv' ? `
+                            <div class="export-options">
+                                <label>
+                                    <span>Delimiter</span>
+                                    <select class="form-select" data-setting="delimiter">
+                                        ${DataExporter.DELIMITERS.map(option => `
+                                            <option value="${esc(option.value)}" ${option.value === state.delimiter ? 'selected' : ''}>${esc(option.label)}</option>
+                                        `).join('')}
+                                    </select>
+                                </label>
+                                <label>
+                                    <span>Encoding</span>
+                                    <select class="form-select" data-setting="encoding">
+                                        ${DataExporter.ENCODINGS.map(option => `
+                                            <option value="${option.value}" ${option.value === state.encoding ? 'selected' : ''}>${esc(option.label)}</option>
+                                        `).join('')}
+                                    </select>
+                                </label>
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="export-section">
+                        <h4>Rows</h4>
+                        <div class="export-scopes">
+                            ${scopes.map(scope => `
+                                <label class="export-choice ${scope.id === state.scope ? 'active' : ''} ${scope.count ? '' : 'disabled'}">
+                                    <input type="radio" name="exportScope" data-setting="scope" value="${scope.id}"
+                                        ${scope.id === state.scope ? 'checked' : ''} ${scope.count ? '' : 'disabled'}>
+                                    <span>
+                                        <strong>${scope.label}</strong> (${scope.count.toLocaleString()})
+                                        <small>${scope.hint}</small>
+                                    </span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="export-section">
+                        <h4>
+                            Columns (${state.columns.length} of ${this.columns.length})
+                            <button type="button" class="export-link" data-action="all-columns">All</button>
+                            <button type="button" class="export-link" data-action="no-columns">None</button>
+                        </h4>
+                        <div class="export-columns">
+                            ${this.columns.map(column => `
+                                <label class="checkbox-option">
+                                    <input type="checkbox" data-column="${esc(column)}" ${state.columns.includes(column) ? 'checked' : ''}>
+                                    ${esc(this.headerOf(column))}
+                                </label>
+                            `).join('')}
+                        </div>
+                        <div class="export-options">
+                            <label>
+                                <span>Header names</span>
+                                <select class="form-select" data-setting="headers">
+                                    <option value="original" ${state.headers === 'original' ? 'selected' : ''}>Original (${esc(this.columns[0] || 'first_name')})</option>
+                                    <option value="formatted" ${state.headers === 'formatted' ? 'selected' : ''}>Formatted (${esc(this.formatName(this.columns[0] || 'first_name'))})</option>
+                                </select>
+                            </label>
+                        </div>
+                    </div>
+                </div>
+                <div class="modal-footer export-actions">
+                    <button class="btn btn-secondary" data-action="cancel"><i class="fas fa-times"></i> Cancel</button>
+                    <button class="btn btn-primary" data-action="export" ${canExport ? '' : 'disabled'}>
+                        <i class="fas fa-download"></i> Export ${rowCount.toLocaleString()} rows
+                    </button>
+                </div>
+            </div>
+        `);
+        this.container.querySelectorAll('.modal-body, .export-columns').forEach((element, index) => {
+            element.scrollTop = scroll[index] || 0;
+        });
+    }
+
+    headerOf(column) {
+        return this.state.headers === 'formatted' ? this.formatName(column) : column;
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.getAttribute('data-action')) {
+            case 'cancel':
+                this.close(null);
+                break;
+            case 'all-columns':
+                this.state.columns = this.columns.slice();
+                this.render();
+                break;
+            case 'no-columns':
+                this.state.columns = [];
+                this.render();
+                break;
+            case 'export':
+                this.close({ ...this.state });
+                break;
+        }
+    }
+
+    handleChange(e) {
+        const target = e.target;
+
+        if (target.matches('[data-column]')) {
+            // Keep the dataset's column order whatever order they're ticked in
+            const column = target.getAttribute('data-column');
+            const chosen = new Set(this.state.columns);
+            if (target.checked) chosen.add(column);
+            else chosen.delete(column);
+            this.state.columns = this.columns.filter(c => chosen.has(c));
+            this.render();
+            return;
+        }
+
+        const setting = target.getAttribute('data-setting');
+        if (!setting) return;
+        this.state[setting] = target.value;
+        this.render();
+    }
+}
@@ -0,0 +1,268 @@
+// Filter builder modal: conditions on any column, nested AND/OR groups and
+// negation, with a live count of matching records and saved filters
+
+class FilterBuilderView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.onDelete = options.onDelete || (() => Promise.resolve());
+        this.formatName = options.formatName || (name => name);
+        this.root = null;
+        this.resolve = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleChange(e));
+            this.container.addEventListener('input', e => this.handleInput(e));
+        }
+    }
+
+    // Resolves with { root, name } (name set when it should be saved) or null
+    // when cancelled
+    show({ datasetName, columns, schema, records, root, savedFilters, savedName = '' }) {
+        this.datasetName = datasetName;
+        this.columns = columns;
+        this.schema = schema;
+        this.records = records;
+        this.savedFilters = savedFilters;
+        this.savedName = savedName;
+        this.root = root ? JSON.parse(JSON.stringify(root)) : RecordFilter.createGroup();
+        if (this.root.children.length === 0) {
+            this.root.children.push(this.newCondition());
+        }
+
+        this.render();
+        this.container.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close(result) {
+        this.container.style.display = 'none';
+        this.records = null;
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    newCondition() {
+        const column = this.columns[0] || '';
+        return RecordFilter.createCondition(column, this.typeOf(column));
+    }
+
+    typeOf(column) {
+        return this.schema[column]?.type || 'text';
+    }
+
+    // Nodes are addressed by their child indexes from the root, e.g. "0.2"
+    nodeAt(path) {
+        if (path === '') return this.root;
+        return path.split('.').reduce((node, index) => node.children[Number(index)], this.root);
+    }
+
+    parentOf(path) {
+        const parts = path.split('.');
+        const index = Number(parts.pop());
+        return { parent: this.nodeAt(parts.join('.')), index };
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+
+        this.setHTML(`
+            <div class="modal-content filter-builder">
+                <div class="modal-header">
+                    <h3><i class="fas fa-filter"></i> Filter ${esc(this.datasetName)}</h3>
+                    <button class="modal-close" data-action="cancel"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body filter-builder-layout">
+                    <div class="filter-tree">${this.renderGroup(this.root, '')}</div>
+                    <div class="filter-saved">
+                        <h4>Saved filters</h4>
+                        ${this.savedFilters.length ? this.savedFilters.map(filter => `
+                            <div class="filter-saved-item">
+                                <button type="button" class="filter-saved-load" data-load="${esc(filter.id)}" title="${esc(RecordFilter.describe(filter.root, this.formatName))}">
+                                    ${esc(filter.name)}
+                                </button>
+                                <button type="button" class="dataset-action-btn danger" data-delete="${esc(filter.id)}" title="Delete saved filter">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                        `).join('') : '<p class="filter-saved-empty">None yet</p>'}
+                    </div>
+                </div>
+                <div class="modal-footer filter-builder-actions">
+                    <span class="filter-match-count" id="filterMatchCount">${this.renderCount()}</span>
+                    <input type="text" class="form-input" data-save-name value="${esc(this.savedName)}" placeholder="Save as… (optional)">
+                    <button class="btn btn-secondary" data-action="clear"><i class="fas fa-eraser"></i> Clear</button>
+                    <button class="btn btn-secondary" data-action="cancel"><i class="fas fa-times"></i> Cancel</button>
+                    <button class="btn btn-primary" data-action="apply"><i class="fas fa-check"></i> Apply</button>
+                </div>
+            </div>
+        `);
+    }
+
+    renderGroup(group, path) {
+        return `
+            <div class="filter-group ${group.negate ? 'negated' : ''}">
+                <div class="filter-group-header">
+                    <label class="checkbox-option"><input type="checkbox" data-field="negate" data-path="${path}" ${group.negate ? 'checked' : ''}> Not</label>
+                    <select class="form-select" data-field="match" data-path="${path}">
+                        <option value="all" ${group.match === 'all' ? 'selected' : ''}>All of (AND)</option>
+                        <option value="any" ${group.match === 'any' ? 'selected' : ''}>Any of (OR)</option>
+                    </select>
+                    <button type="button" class="filter-add-btn" data-action="add-condition" data-path="${path}"><i class="fas fa-plus"></i> Condition</button>
+                    <button type="button" class="filter-add-btn" data-action="add-group" data-path="${path}"><i class="fas fa-folder-plus"></i> Group</button>
+                    ${path !== '' ? `<button type="button" class="dataset-action-btn danger" data-action="remove" data-path="${path}" title="Remove group"><i class="fas fa-times"></i></button>` : ''}
+                </div>
+                <div class="filter-children">
+                    ${group.children.map((child, index) => {
+                        const childPath = path === '' ? String(index) : `${path}.${index}`;
+                        return child.type === 'group' ? this.renderGroup(child, childPath) : this.renderCondition(child, childPath);
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderCondition(condition, path) {
+        const esc = BaseView.escapeHtml;
+        const operators = RecordFilter.operatorsFor(this.typeOf(condition.column));
+        const operator = RecordFilter.getOperator(condition.operator) || operators[0];
+        const placeholder = RecordFilter.kindOf(this.typeOf(condition.column)) === 'date' ? 'YYYY-MM-DD' : 'Value';
+        const input = (field, value, text = placeholder) =>
+            `<input type="text" class="form-input" data-field="${field}" data-path="${path}" value="${esc(value)}" placeholder="${text}">`;
+
+        let values = '';
+        if (operator.input === 'value') values = input('value', condition.value);
+        if (operator.input === 'list') values = input('value', condition.value, 'Values, separated by commas');
+        if (operator.input === 'range') values = `${input('value', condition.value, 'From')} <span>and</span> ${input('value2', condition.value2, 'To')}`;
+
+        return `
+            <div class="filter-condition ${condition.negate ? 'negated' : ''}">
+                <label class="checkbox-option"><input type="checkbox" data-field="negate" data-path="${path}" ${condition.negate ? 'checked' : ''}> Not</label>
+                <select class="form-select" data-field="column" data-path="${path}">
+                    ${this.columns.map(column => `
+                        <option value="${esc(column)}" ${column === condition.column ? 'selected' : ''}>${esc(this.formatName(column))}</option>
+                    `).join('')}
+                </select>
+                <select class="form-select" data-field="operator" data-path="${path}">
+                    ${operators.map(option => `
+                        <option value="${option.id}" ${option.id === operator.id ? 'selected' : ''}>${esc(option.label)}</option>
+                    `).join('')}
+                </select>
+                ${values}
+                <button type="button" class="dataset-action-btn danger" data-action="remove" data-path="${path}" title="Remove condition"><i class="fas fa-times"></i></button>
+            </div>
+        `;
+    }
+
+    renderCount() {
+        const esc = BaseView.escapeHtml;
+        try {
+            const test = RecordFilter.compile(this.root, this.schema);
+            const count = this.records.filter(test).length;
+            return `${count.toLocaleString()} of ${this.records.length.toLocaleString()} records match`;
+        } catch (error) {
+            return `<span class="filter-error"><i class="fas fa-exclamation-circle"></i> ${esc(error.message)}</span>`;
+        }
+    }
+
+    updateCount() {
+        const count = this.container.querySelector('#filterMatchCount');
+        if (count) count.innerHTML = this.renderCount();
+    }
+
+    async handleClick(e) {
+        const load = e.target.closest('[data-load]');
+        if (load) {
+            const saved = this.savedFilters.find(filter => filter.id === load.getAttribute('data-load'));
+            this.root = JSON.parse(JSON.stringify(saved.root));
+            this.savedName = saved.name;
+            this.render();
+            return;
+        }
+
+        const remove = e.target.closest('[data-delete]');
+        if (remove) {
+            const id = remove.getAttribute('data-delete');
+            if (!confirm('Delete this saved filter?')) return;
+            this.savedFilters = await this.onDelete(id);
+            this.render();
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const path = button.getAttribute('data-path');
+
+        switch (button.getAttribute('data-action')) {
+            case 'add-condition':
+                this.nodeAt(path).children.push(this.newCondition());
+                break;
+            case 'add-group': {
+                const group = RecordFilter.createGroup(this.nodeAt(path).match === 'all' ? 'any' : 'all');
+                group.children.push(this.newCondition());
+                this.nodeAt(path).children.push(group);
+                break;
+            }
+            case 'remove': {
+                const { parent, index } = this.parentOf(path);
+                parent.children.splice(index, 1);
+                break;
+            }
+            case 'clear':
+                this.root = RecordFilter.createGroup();
+                this.root.children.push(this.newCondition());
+                this.savedName = '';
+                break;
+            case 'apply':
+                this.apply();
+                return;
+            default:
+                this.close(null);
+                return;
+        }
+        this.render();
+    }
+
+    apply() {
+        try {
+            RecordFilter.compile(this.root, this.schema);
+        } catch (error) {
+            this.updateCount();
+            return;
+        }
+        const name = this.container.querySelector('[data-save-name]').value.trim();
+        this.close({ root: this.root, name: name || null });
+    }
+
+    handleChange(e) {
+        const field = e.target.closest('[data-field]');
+        if (!field || field.type === 'text') return;
+
+        const node = this.nodeAt(field.getAttribute('data-path'));
+        const key = field.getAttribute('data-field');
+        node[key] = field.type === 'checkbox' ? field.checked : field.value;
+
+        // A new column may need other operators
+        if (key === 'column') {
+            const operators = RecordFilter.operatorsFor(this.typeOf(node.column));
+            if (!operators.some(operator => operator.id === node.operator)) {
+                node.operator = operators[0].id;
+            }
+        }
+        this.render();
+    }
+
+    // Text values update the count without re-rendering, so typing keeps focus
+    handleInput(e) {
+        const field = e.target.closest('[data-field]');
+        if (!field || field.type !== 'text') return;
+
+        this.nodeAt(field.getAttribute('data-path'))[field.getAttribute('data-field')] = field.value;
+        this.updateCount();
+    }
+}
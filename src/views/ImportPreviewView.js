@@ -0,0 +1,250 @@
+// Import preview modal: the first parsed rows, the detected columns and types,
+// and every problem found, before anything is written. The user can import,
+// re-parse with other parser options, or cancel.
+
+class ImportPreviewView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.previewRows = options.previewRows || 50;
+        this.maxWarningsShown = options.maxWarningsShown || 200;
+        this.preview = null;
+        this.resolve = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+        }
+    }
+
+    // preview: { fileName, parser, options, records, rowCount, partial, schema,
+    // warnings, warningCount, error, recipe }, where partial says only the
+    // first rows of a longer file were parsed and recipe is the transform
+    // recipe that will be replayed on the records (they are shown as parsed). Resolves with { action: 'confirm' },
+    // { action: 'reparse', options, remember } or null when cancelled.
+    show(preview) {
+        this.preview = preview;
+        this.render();
+        this.container.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close(result) {
+        this.container.style.display = 'none';
+        this.preview = null;
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const { fileName, parser, rowCount, partial, schema, warningCount, error, recipe } = this.preview;
+        const columns = Object.keys(schema);
+        const canImport = !error && rowCount > 0;
+
+        this.setHTML(`
+            <div class="modal-content import-preview">
+                <div class="modal-header">
+                    <h3><i class="fas fa-eye"></i> Preview import: ${esc(fileName)}</h3>
+                    <button class="modal-close" data-action="cancel"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body">
+                    <div class="import-preview-counts">
+                        <span><i class="fas ${esc(parser.icon)}"></i> ${esc(parser.name)}</span>
+                        <span><i class="fas fa-list"></i> ${partial ? `First ${rowCount.toLocaleString()} rows checked` : `${rowCount.toLocaleString()} rows`}</span>
+                        <span><i class="fas fa-columns"></i> ${columns.length} columns</span>
+                        <span class="${warningCount ? 'warning' : ''}">
+                            <i class="fas fa-exclamation-triangle"></i> ${warningCount.toLocaleString()} problems${partial ? ' so far' : ''}
+                        </span>
+                    </div>
+                    ${error ? `
+                        <p class="import-preview-error">
+                            <i class="fas fa-exclamation-circle"></i> The file could not be parsed: ${esc(error.message)}
+                        </p>
+                    ` : ''}
+                    ${recipe && !error ? `
+                        <p class="import-preview-recipe">
+                            <i class="fas fa-magic"></i> The recipe "${esc(recipe.name)}" will clean these records as they are imported
+                            (${recipe.steps.length} step${recipe.steps.length === 1 ? '' : 's'})
+                        </p>
+                    ` : ''}
+                    ${columns.length ? `
+                        <div class="import-preview-columns">
+                            ${columns.map(column => `
+                                <span class="import-preview-column">
+                                    ${esc(column)} <small>${esc(schema[column].type)}</small>
+                                </span>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                    ${this.renderRows()}
+                    ${this.renderWarnings()}
+                    ${this.renderOptions()}
+                </div>
+                <div class="modal-footer import-preview-actions">
+                    ${warningCount || error ? `
+                        <button class="btn btn-secondary" data-action="report"><i class="fas fa-download"></i> Download report</button>
+                    ` : ''}
+                    <button class="btn btn-secondary" data-action="cancel"><i class="fas fa-times"></i> Cancel import</button>
+                    <button class="btn btn-primary" data-action="confirm" ${canImport ? '' : 'disabled'}>
+                        <i class="fas fa-check"></i> ${partial ? 'Import all rows' : `Import ${rowCount.toLocaleString()} rows`}
+                    </button>
+                </div>
+            </div>
+        `);
+    }
+
+    renderRows() {
+        const esc = BaseView.escapeHtml;
+        const { records, schema } = this.preview;
+        const rows = records.slice(0, this.previewRows);
+        if (rows.length === 0) return '';
+
+        const columns = Object.keys(schema);
+        const format = value => value === null || value === undefined ? '' : String(value);
+        return `
+            <h4 class="import-preview-heading">First ${rows.length.toLocaleString()} rows</h4>
+            <div class="import-preview-table">
+                <table>
+                    <thead><tr><th>#</th>${columns.map(column => `<th>${esc(column)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${rows.map((record, index) => `
+                            <tr>
+                                <th>${index + 1}</th>
+                                ${columns.map(column => {
+                                    const invalid = !SchemaInference.isValid(record[column], schema[column].type, schema[column].dayFirst);
+                                    return `<td class="${invalid ? 'invalid' : ''}">${esc(format(record[column]))}</td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderWarnings() {
+        const esc = BaseView.escapeHtml;
+        const { warnings, warningCount } = this.preview;
+        if (warningCount === 0) return '';
+
+        const shown = warnings.slice(0, this.maxWarningsShown);
+        return `
+            <h4 class="import-preview-heading">Problems</h4>
+            <div class="import-preview-warnings">
+                <table>
+                    <thead><tr><th>Location</th><th>Column</th><th>Problem</th></tr></thead>
+                    <tbody>
+                        ${shown.map(warning => `
+                            <tr>
+                                <td>${esc(ImportReport.location(warning))}</td>
+                                <td>${esc(warning.column || '')}</td>
+                                <td>${esc(warning.message)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${warningCount > shown.length ? `
+                <p class="import-preview-note">
+                    Showing ${shown.length.toLocaleString()} of ${warningCount.toLocaleString()} problems; download the report for ${warnings.length < warningCount ? `the first ${warnings.length.toLocaleString()}` : 'all of them'}.
+                </p>
+            ` : ''}
+        `;
+    }
+
+    // The parser's own options, so a wrong delimiter or header row can be fixed here
+    renderOptions() {
+        const esc = BaseView.escapeHtml;
+        const { parser, options, error } = this.preview;
+        const adjustable = parser.options.filter(option => option.adjustable !== false);
+        if (adjustable.length === 0) return '';
+
+        const fields = adjustable.map(option => {
+            const value = options[option.key];
+            if (option.type === 'boolean') {
+                return `
+                    <label class="parser-option checkbox-option">
+                        <input type="checkbox" data-option="${esc(option.key)}" ${value ? 'checked' : ''}>
+                        ${esc(option.label)}
+                    </label>
+                `;
+            }
+            if (option.type === 'select') {
+                return `
+                    <label class="parser-option">
+                        <span>${esc(option.label)}</span>
+                        <select data-option="${esc(option.key)}">
+                            ${option.choices.map(choice => `
+                                <option value="${esc(choice.value)}" ${choice.value === value ? 'selected' : ''}>${esc(choice.label)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `;
+            }
+            return `
+                <label class="parser-option">
+                    <span>${esc(option.label)}</span>
+                    <input type="${option.type === 'number' ? 'number' : 'text'}" data-option="${esc(option.key)}" value="${esc(value)}">
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <details class="import-preview-options" ${error ? 'open' : ''}>
+                <summary><i class="fas fa-sliders-h"></i> Adjust parser options</summary>
+                <div class="parser-options-form">${fields}</div>
+                <div class="import-preview-reparse">
+                    <label class="checkbox-option">
+                        <input type="checkbox" data-remember> Use these options for future imports
+                    </label>
+                    <button class="btn btn-secondary" data-action="reparse"><i class="fas fa-redo"></i> Parse again</button>
+                </div>
+            </details>
+        `;
+    }
+
+    readOptions() {
+        const options = {};
+        this.preview.parser.options.forEach(option => {
+            const field = this.container.querySelector(`[data-option="${option.key}"]`);
+            if (!field) return;
+            if (option.type === 'boolean') {
+                options[option.key] = field.checked;
+            } else if (option.type === 'number') {
+                options[option.key] = field.value === '' ? option.default : Number(field.value);
+            } else {
+                options[option.key] = field.value;
+            }
+        });
+        return options;
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button || button.disabled) return;
+
+        switch (button.getAttribute('data-action')) {
+            case 'confirm':
+                this.close({ action: 'confirm' });
+                break;
+            case 'reparse':
+                this.close({
+                    action: 'reparse',
+                    options: this.readOptions(),
+                    remember: this.container.querySelector('[data-remember]').checked
+                });
+                break;
+            case 'report': {
+                const { fileName, warnings, error } = this.preview;
+                BaseView.download(ImportReport.fileName(fileName), ImportReport.toCsv(fileName, warnings, error), 'text/csv');
+                break;
+            }
+            default:
+                this.close(null);
+        }
+    }
+}
@@ -0,0 +1,169 @@
+// Import summary modal: row counts per outcome and field-by-field conflict resolution
+
+class ImportSummaryView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.maxConflictsShown = options.maxConflictsShown || 200;
+        this.plan = null;
+        this.resolve = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleChoice(e));
+        }
+    }
+
+    // Shows the plan and resolves true to import or false to cancel
+    show(plan, fileName) {
+        this.plan = plan;
+        this.fileName = fileName;
+        this.render();
+        this.container.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close(confirmed) {
+        this.container.style.display = 'none';
+        if (this.resolve) {
+            this.resolve(confirmed);
+            this.resolve = null;
+        }
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const summary = ImportPlanner.summarize(this.plan);
+        const counts = [
+            { key: 'new', label: 'New', icon: 'fa-plus-circle' },
+            { key: 'updated', label: 'Updated', icon: 'fa-pen' },
+            { key: 'identical', label: 'Identical', icon: 'fa-equals' },
+            { key: 'conflicting', label: 'Conflicting', icon: 'fa-exclamation-triangle' }
+        ];
+        if (this.plan.mode === 'skip') {
+            counts.push({ key: 'skipped', label: 'Skipped duplicates', icon: 'fa-forward' });
+        }
+
+        this.setHTML(`
+            <div class="modal-content import-summary">
+                <div class="modal-header">
+                    <h3><i class="fas fa-clipboard-check"></i> Review import: ${esc(this.fileName)}</h3>
+                    <button class="modal-close" data-action="cancel"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body">
+                    <div class="import-summary-counts">
+                        ${counts.map(count => `
+                            <div class="import-count ${count.key}">
+                                <i class="fas ${count.icon}"></i>
+                                <div class="import-count-value">${summary[count.key].toLocaleString()}</div>
+                                <div class="import-count-label">${count.label}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${this.renderConflicts()}
+                </div>
+                <div class="modal-footer import-summary-actions">
+                    <button class="btn btn-secondary" data-action="cancel"><i class="fas fa-times"></i> Cancel import</button>
+                    <button class="btn btn-primary" data-action="confirm"><i class="fas fa-check"></i> Import</button>
+                </div>
+            </div>
+        `);
+    }
+
+    renderConflicts() {
+        const esc = BaseView.escapeHtml;
+        const conflicts = this.plan.conflicts;
+        if (conflicts.length === 0) return '';
+
+        const shown = conflicts.slice(0, this.maxConflictsShown);
+        return `
+            <div class="import-conflicts">
+                <div class="import-conflicts-header">
+                    <h4>Resolve conflicts</h4>
+                    <div>
+                        <button class="btn btn-secondary" data-action="all-existing">Keep all existing</button>
+                        <button class="btn btn-secondary" data-action="all-incoming">Use all incoming</button>
+                    </div>
+                </div>
+                ${shown.map((conflict, index) => `
+                    <div class="import-conflict">
+                        <div class="import-conflict-title">Row ${index + 1}: ${esc(this.describe(conflict.existing))}</div>
+                        <table class="import-conflict-table">
+                            <thead>
+                                <tr><th>Field</th><th>Existing value</th><th>Incoming value</th></tr>
+                            </thead>
+                            <tbody>
+                                ${conflict.fields.map((field, fieldIndex) => `
+                                    <tr>
+                                        <td>${esc(field.field)}</td>
+                                        <td>
+                                            <label>
+                                                <input type="radio" name="conflict-${index}-${fieldIndex}" value="existing"
+                                                    data-conflict="${index}" data-field="${fieldIndex}" ${field.choice === 'existing' ? 'checked' : ''}>
+                                                ${esc(field.existingValue)}
+                                            </label>
+                                        </td>
+                                        <td>
+                                            <label>
+                                                <input type="radio" name="conflict-${index}-${fieldIndex}" value="incoming"
+                                                    data-conflict="${index}" data-field="${fieldIndex}" ${field.choice === 'incoming' ? 'checked' : ''}>
+                                                ${esc(field.incomingValue)}
+                                            </label>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `).join('')}
+                ${conflicts.length > shown.length ? `
+                    <p class="import-conflicts-more">
+                        ${(conflicts.length - shown.length).toLocaleString()} more conflicting rows follow the bulk choice above (incoming values by default).
+                    </p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Short label for a row: its key values, else its first few values
+    describe(record) {
+        const columns = this.plan.keyColumns.length ? this.plan.keyColumns : ImportPlanner.columnsOf(record);
+        const values = columns
+            .map(column => record[column])
+            .filter(value => !ImportPlanner.isEmpty(value))
+            .slice(0, 3);
+        return values.join(' · ') || 'record';
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.getAttribute('data-action')) {
+            case 'cancel':
+                this.close(false);
+                break;
+            case 'confirm':
+                this.close(true);
+                break;
+            case 'all-existing':
+                ImportPlanner.resolveAll(this.plan, 'existing');
+                this.render();
+                break;
+            case 'all-incoming':
+                ImportPlanner.resolveAll(this.plan, 'incoming');
+                this.render();
+                break;
+        }
+    }
+
+    handleChoice(e) {
+        const input = e.target.closest('[data-conflict]');
+        if (!input) return;
+
+        const conflict = this.plan.conflicts[Number(input.getAttribute('data-conflict'))];
+        conflict.fields[Number(input.getAttribute('data-field'))].choice = input.value;
+    }
+}
@@ -0,0 +1,289 @@
+// Join panel: the left and right datasets, the join type and the key
+// columns are chosen on the left; the right shows how many rows of each
+// side find a match and the first rows of the result. onSave({ name,
+// records, columns, schema }) stores the result as a new dataset and may
+// return a promise; recordsOf(datasetId) and schemaOf(datasetId) supply
+// the datasets.
+
+class JoinView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.formatName = options.formatName || (name => name);
+        this.recordsOf = options.recordsOf || (() => []);
+        this.schemaOf = options.schemaOf || (() => ({}));
+        this.onSave = options.onSave || (() => {});
+        this.previewRows = options.previewRows || 20;
+
+        this.datasets = [];
+        this.leftId = null;
+        this.rightId = null;
+        this.type = 'left';
+        this.keys = [];
+        this.ignoreCase = false;
+        this.trim = false;
+        this.name = '';
+        this.error = null;
+        this.saving = false;
+
+        if (this.container) {
+            this.container.addEventListener('change', e => this.handleChange(e));
+            this.container.addEventListener('input', e => this.handleInput(e));
+            this.container.addEventListener('click', e => this.handleClick(e));
+        }
+    }
+
+    // Choices are kept while their datasets exist; the active dataset
+    // starts on the left
+    setData({ datasets, activeId }) {
+        this.datasets = datasets;
+        const exists = id => datasets.some(dataset => dataset.id === id);
+        if (!exists(this.leftId)) this.leftId = exists(activeId) ? activeId : datasets[0]?.id || null;
+        if (!exists(this.rightId)) this.rightId = (datasets.find(dataset => dataset.id !== this.leftId) || datasets[0])?.id || null;
+        this.keys = this.keys.filter(key => this.columnsOf(this.leftId).includes(key.left) && this.columnsOf(this.rightId).includes(key.right));
+        if (this.keys.length === 0) this.keys = [this.guessKey()];
+        this.render();
+    }
+
+    columnsOf(datasetId) {
+        return this.datasets.find(dataset => dataset.id === datasetId)?.columns || [];
+    }
+
+    datasetName(datasetId) {
+        return this.datasets.find(dataset => dataset.id === datasetId)?.name || '';
+    }
+
+    // A column name both sides share, preferring id-like ones
+    guessKey() {
+        const right = this.columnsOf(this.rightId);
+        const byName = new Map(right.map(column => [SearchIndex.fieldKey(column), column]));
+        const shared = this.columnsOf(this.leftId).filter(column => byName.has(SearchIndex.fieldKey(column)));
+        const idLike = column => /(^|_|\b)(id|key|code|email|sku)$/i.test(column);
+        const leftColumn = shared.find(idLike) || shared[0] || this.columnsOf(this.leftId)[0] || '';
+        return { left: leftColumn, right: byName.get(SearchIndex.fieldKey(leftColumn)) || right[0] || '' };
+    }
+
+    options() {
+        return {
+            type: this.type,
+            keys: this.keys.filter(key => key.left && key.right),
+            ignoreCase: this.ignoreCase,
+            trim: this.trim,
+            leftColumns: this.columnsOf(this.leftId),
+            rightColumns: this.columnsOf(this.rightId),
+            suffix: ` (${this.datasetName(this.rightId)})`
+        };
+    }
+
+    // { records, columns, schema } for the current choices
+    result() {
+        const options = this.options();
+        const joined = DatasetJoin.join(this.recordsOf(this.leftId), this.recordsOf(this.rightId), options);
+        const leftSchema = this.schemaOf(this.leftId);
+        const rightSchema = this.schemaOf(this.rightId);
+        const schema = {};
+        options.leftColumns.forEach(column => {
+            if (leftSchema[column]) schema[column] = { ...leftSchema[column] };
+        });
+        Object.keys(joined.renamed).forEach(column => {
+            if (rightSchema[column] && joined.columns.includes(joined.renamed[column])) schema[joined.renamed[column]] = { ...rightSchema[column] };
+        });
+        return { records: joined.records, columns: joined.columns, schema };
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        if (this.datasets.length === 0) {
+            this.setHTML('<p class="no-data-message">Upload some data to get started</p>');
+            return;
+        }
+
+        const datasetOptions = selected => this.datasets.map(dataset => `
+            <option value="${esc(dataset.id)}" ${dataset.id === selected ? 'selected' : ''}>${esc(dataset.name)}</option>
+        `).join('');
+        const columnOptions = (columns, selected) => columns.map(column => `
+            <option value="${esc(column)}" ${column === selected ? 'selected' : ''}>${esc(this.formatName(column))}</option>
+        `).join('');
+        const ready = this.options().keys.length > 0;
+
+        this.setHTML(`
+            <div class="join-layout">
+                <div class="join-sidebar">
+                    <h4>Datasets</h4>
+                    <label class="join-field">
+                        <span>Left</span>
+                        <select class="form-select" data-field="left">${datasetOptions(this.leftId)}</select>
+                    </label>
+                    <label class="join-field">
+                        <span>Right</span>
+                        <select class="form-select" data-field="right">${datasetOptions(this.rightId)}</select>
+                    </label>
+
+                    <h4>Join type</h4>
+                    <div class="join-types">
+                        ${DatasetJoin.TYPES.map(type => `
+                            <label class="join-type ${type.id === this.type ? 'active' : ''}">
+                                <input type="radio" name="joinType" value="${type.id}" data-field="type" ${type.id === this.type ? 'checked' : ''}>
+                                <span><strong>${esc(type.label)}</strong>${esc(type.description)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+
+                    <h4>Match on</h4>
+                    <div class="join-keys">
+                        ${this.keys.map((key, index) => `
+                            <div class="join-key">
+                                <select class="form-select" data-field="keyLeft" data-index="${index}">${columnOptions(this.columnsOf(this.leftId), key.left)}</select>
+                                <span>=</span>
+                                <select class="form-select" data-field="keyRight" data-index="${index}">${columnOptions(this.columnsOf(this.rightId), key.right)}</select>
+                                ${this.keys.length > 1 ? `
+                                    <button type="button" class="join-key-remove" data-action="remove-key" data-index="${index}" title="Remove this key">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                    <button type="button" class="btn btn-secondary join-add-key" data-action="add-key">
+                        <i class="fas fa-plus"></i> Add key column
+                    </button>
+                    <label class="join-option">
+                        <input type="checkbox" data-field="ignoreCase" ${this.ignoreCase ? 'checked' : ''}> Ignore case
+                    </label>
+                    <label class="join-option">
+                        <input type="checkbox" data-field="trim" ${this.trim ? 'checked' : ''}> Ignore spaces around values
+                    </label>
+
+                    <h4>Save</h4>
+                    <input type="text" class="form-input" data-field="name" placeholder="${esc(this.defaultName())}" value="${esc(this.name)}">
+                    <button type="button" class="btn btn-primary join-save" data-action="save" ${ready && !this.saving ? '' : 'disabled'}>
+                        <i class="fas fa-save"></i> ${this.saving ? 'Saving...' : 'Save as new dataset'}
+                    </button>
+                    ${this.error ? `<p class="join-error">${esc(this.error)}</p>` : ''}
+                </div>
+                <div class="join-main">
+                    ${ready ? this.renderPreview() : '<p class="no-data-message">Choose the columns to match on</p>'}
+                </div>
+            </div>
+        `);
+    }
+
+    renderPreview() {
+        const esc = BaseView.escapeHtml;
+        const left = this.recordsOf(this.leftId);
+        const right = this.recordsOf(this.rightId);
+        const stats = DatasetJoin.preview(left, right, this.options());
+        const { records, columns } = this.result();
+        const rate = ({ matched, total }) => total ? matched / total : 0;
+        const bar = (label, side) => `
+            <div class="join-rate">
+                <div class="join-rate-label">
+                    <span>${esc(label)}</span>
+                    <span>${side.matched.toLocaleString()} of ${side.total.toLocaleString()} rows match (${Math.round(rate(side) * 100)}%)</span>
+                </div>
+                <div class="join-rate-bar"><span style="width: ${(rate(side) * 100).toFixed(1)}%"></span></div>
+            </div>
+        `;
+
+        return `
+            <div class="join-stats">
+                ${bar(this.datasetName(this.leftId), stats.left)}
+                ${bar(this.datasetName(this.rightId), stats.right)}
+                ${stats.repeated ? `
+                    <p class="join-note"><i class="fas fa-info-circle"></i>
+                        ${stats.repeated.toLocaleString()} left row${stats.repeated === 1 ? '' : 's'} match more than one right row and appear once per match
+                    </p>
+                ` : ''}
+                <p class="join-count">
+                    ${DatasetJoin.TYPES.map(type => `
+                        <span class="${type.id === this.type ? 'active' : ''}">${esc(type.label)}: ${stats.rows[type.id].toLocaleString()} rows</span>
+                    `).join('')}
+                </p>
+            </div>
+            ${records.length ? `
+                <div class="import-preview-table join-preview">
+                    <table>
+                        <thead>
+                            <tr>${columns.map(column => `<th>${esc(this.formatName(column))}</th>`).join('')}</tr>
+                        </thead>
+                        <tbody>
+                            ${records.slice(0, this.previewRows).map(record => `
+                                <tr>${columns.map(column => {
+                                    const value = record[column];
+                                    const text = value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+                                    return `<td class="${value === null ? 'join-empty' : ''}" title="${esc(text)}">${esc(text)}</td>`;
+                                }).join('')}</tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${records.length > this.previewRows ? `<p class="join-note">First ${this.previewRows} of ${records.length.toLocaleString()} rows</p>` : ''}
+            ` : '<p class="no-data-message">The join has no rows</p>'}
+        `;
+    }
+
+    defaultName() {
+        return `${this.datasetName(this.leftId)} + ${this.datasetName(this.rightId)}`;
+    }
+
+    handleChange(e) {
+        const { field, index } = e.target.dataset;
+        switch (field) {
+            case 'left':
+            case 'right':
+                this[`${field}Id`] = e.target.value;
+                this.keys = [this.guessKey()];
+                break;
+            case 'type':
+                this.type = e.target.value;
+                break;
+            case 'keyLeft':
+                this.keys[Number(index)].left = e.target.value;
+                break;
+            case 'keyRight':
+                this.keys[Number(index)].right = e.target.value;
+                break;
+            case 'ignoreCase':
+            case 'trim':
+                this[field] = e.target.checked;
+                break;
+            default:
+                return;
+        }
+        this.error = null;
+        this.render();
+    }
+
+    handleInput(e) {
+        if (e.target.dataset.field === 'name') this.name = e.target.value;
+    }
+
+    async handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'add-key':
+                this.keys.push({ left: this.columnsOf(this.leftId)[0] || '', right: this.columnsOf(this.rightId)[0] || '' });
+                this.render();
+                break;
+            case 'remove-key':
+                this.keys.splice(Number(button.dataset.index), 1);
+                this.render();
+                break;
+            case 'save': {
+                this.saving = true;
+                this.error = null;
+                this.render();
+                try {
+                    await this.onSave({ name: this.name.trim() || this.defaultName(), ...this.result() });
+                    this.name = '';
+                } catch (error) {
+                    this.error = error.message;
+                }
+                this.saving = false;
+                this.render();
+                break;
+            }
+        }
+    }
+}
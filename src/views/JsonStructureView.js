@@ -0,0 +1,252 @@
+// JSON structure modal: browse the document tree, pick the records with a
+// JSONPath expression and choose how nested arrays are flattened, and which
+// one is exploded into rows
+
+class JsonStructureView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.previewRows = options.previewRows || 10;
+        this.maxTreeNodes = options.maxTreeNodes || 500;
+        this.data = null;
+        this.settings = null;
+        this.resolve = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('input', e => this.handleInput(e));
+            this.container.addEventListener('change', e => this.handleInput(e));
+        }
+    }
+
+    // Resolves with { recordPath, arrays, explodePath, remember } or null when cancelled
+    show(data, fileName, options) {
+        this.data = data;
+        this.fileName = fileName;
+        this.settings = {
+            recordPath: options.recordPath || this.defaultPath(data, options),
+            arrays: options.arrays || 'join',
+            explodePath: options.explodePath || '',
+            remember: false
+        };
+        this.render();
+        this.container.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close(result) {
+        this.container.style.display = 'none';
+        this.data = null;
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    // The path automatic selection would use, written out so it can be edited
+    defaultPath(data, options) {
+        if (Array.isArray(data)) return '$';
+        if (options.unwrapArrays && JsonFlattener.isPlainObject(data)) {
+            const arrayKey = Object.keys(data).find(key => Array.isArray(data[key]));
+            if (arrayKey) return JsonFlattener.childPath('$', arrayKey);
+        }
+        return '$';
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const candidates = JsonFlattener.findRecordArrays(this.data).slice(0, 8);
+        this.nodeCount = 0;
+
+        this.setHTML(`
+            <div class="modal-content json-structure">
+                <div class="modal-header">
+                    <h3><i class="fas fa-sitemap"></i> Choose records: ${esc(this.fileName)}</h3>
+                    <button class="modal-close" data-action="cancel"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body json-structure-layout">
+                    <div class="json-tree">${this.renderNode(this.data, '$', '$', 0)}</div>
+                    <div class="json-structure-settings">
+                        <label for="jsonRecordPath">Record path</label>
+                        <input type="text" id="jsonRecordPath" class="form-input json-path-input" data-setting="recordPath"
+                            value="${esc(this.settings.recordPath)}" placeholder="$.data.items" spellcheck="false">
+                        ${candidates.length ? `
+                            <div class="json-path-suggestions">
+                                ${candidates.map(candidate => `
+                                    <button type="button" class="key-chip" data-path="${esc(candidate.path)}">
+                                        ${esc(candidate.path)} (${candidate.count.toLocaleString()})
+                                    </button>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+
+                        <label for="jsonArrays">Nested arrays</label>
+                        <select id="jsonArrays" class="form-select" data-setting="arrays">
+                            ${JsonFlattener.ARRAY_MODES.map(mode => `
+                                <option value="${mode.value}" ${mode.value === this.settings.arrays ? 'selected' : ''}>${mode.label}</option>
+                            `).join('')}
+                        </select>
+                        <div id="jsonExplode">${this.renderExplodePath()}</div>
+
+                        <label class="checkbox-option">
+                            <input type="checkbox" data-setting="remember" ${this.settings.remember ? 'checked' : ''}>
+                            Use these settings for future JSON imports
+                        </label>
+
+                        <div class="json-preview" id="jsonPreview">${this.renderPreview()}</div>
+                    </div>
+                </div>
+                <div class="modal-footer json-structure-actions">
+                    <button class="btn btn-secondary" data-action="cancel"><i class="fas fa-times"></i> Cancel import</button>
+                    <button class="btn btn-primary" data-action="confirm"><i class="fas fa-check"></i> Import</button>
+                </div>
+            </div>
+        `);
+    }
+
+    renderNode(value, key, path, depth) {
+        const esc = BaseView.escapeHtml;
+        if (++this.nodeCount > this.maxTreeNodes) {
+            return this.nodeCount === this.maxTreeNodes + 1 ? '<div class="json-leaf json-more">Tree truncated</div>' : '';
+        }
+
+        if (value === null || typeof value !== 'object') {
+            const text = typeof value === 'string' ? `"${value}"` : String(value);
+            return `
+                <div class="json-leaf">
+                    <span class="json-key">${esc(key)}</span>:
+                    <span class="json-value json-${value === null ? 'null' : typeof value}">${esc(text.length > 80 ? text.slice(0, 80) + '…' : text)}</span>
+                </div>
+            `;
+        }
+
+        const isArray = Array.isArray(value);
+        const keys = isArray ? value.slice(0, 3).map((item, index) => index) : Object.keys(value);
+        const children = keys
+            .map(childKey => this.renderNode(value[childKey], isArray ? `[${childKey}]` : childKey, JsonFlattener.childPath(path, childKey), depth + 1))
+            .join('');
+        const more = isArray && value.length > keys.length
+            ? `<div class="json-leaf json-more">… ${(value.length - keys.length).toLocaleString()} more items</div>`
+            : '';
+
+        return `
+            <details class="json-node" ${depth < 2 ? 'open' : ''}>
+                <summary>
+                    <span class="json-key">${esc(key)}</span>
+                    <span class="json-type">${isArray ? `[${value.length.toLocaleString()}]` : `{${keys.length}}`}</span>
+                    ${isArray ? `<button type="button" class="json-use-btn" data-path="${esc(path)}">Use as records</button>` : ''}
+                </summary>
+                <div class="json-children">${children}${more}</div>
+            </details>
+        `;
+    }
+
+    // The array to explode, from those the selected records have; the
+    // others are joined
+    renderExplodePath() {
+        const esc = BaseView.escapeHtml;
+        if (this.settings.arrays !== 'explode') return '';
+
+        let paths;
+        try {
+            paths = JsonFlattener.arrayPaths(JsonFlattener.selectRecords(this.data, this.settings.recordPath, false));
+        } catch (error) {
+            paths = [];
+        }
+        if (this.settings.explodePath && !paths.some(entry => entry.path === this.settings.explodePath)) {
+            this.settings.explodePath = '';
+        }
+        if (!this.settings.explodePath && paths.length) this.settings.explodePath = paths[0].path;
+
+        return `
+            <label for="jsonExplodePath">Array to explode</label>
+            <select id="jsonExplodePath" class="form-select" data-setting="explodePath" ${paths.length ? '' : 'disabled'}>
+                ${paths.length ? paths.map(entry => `
+                    <option value="${esc(entry.path)}" ${entry.path === this.settings.explodePath ? 'selected' : ''}>${esc(entry.path)}</option>
+                `).join('') : '<option>No arrays in these records</option>'}
+            </select>
+        `;
+    }
+
+    renderPreview() {
+        const esc = BaseView.escapeHtml;
+        let records;
+        let rows;
+        try {
+            records = JsonFlattener.selectRecords(this.data, this.settings.recordPath, false);
+            rows = new JsonFlattener({ arrays: this.settings.arrays, explodePath: this.settings.explodePath })
+                .flattenRecords(records.slice(0, this.previewRows));
+        } catch (error) {
+            return `<p class="json-preview-error"><i class="fas fa-exclamation-circle"></i> ${esc(error.message)}</p>`;
+        }
+
+        if (records.length === 0) {
+            return '<p class="json-preview-error"><i class="fas fa-exclamation-circle"></i> The path matches nothing</p>';
+        }
+
+        const columns = SchemaInference.columnsOf(rows);
+        const format = value => value === null || value === undefined ? '' : String(value);
+        return `
+            <p class="json-preview-summary">
+                ${records.length.toLocaleString()} records selected · ${columns.length} columns
+                ${rows.length > Math.min(records.length, this.previewRows) ? ` · first ${Math.min(records.length, this.previewRows)} records make ${rows.length} rows` : ''}
+            </p>
+            <div class="json-preview-table">
+                <table>
+                    <thead><tr>${columns.map(column => `<th>${esc(column)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${rows.map(row => `<tr>${columns.map(column => `<td>${esc(format(row[column]))}</td>`).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    updatePreview() {
+        const explode = this.container.querySelector('#jsonExplode');
+        if (explode) explode.innerHTML = this.renderExplodePath();
+        const preview = this.container.querySelector('#jsonPreview');
+        if (preview) preview.innerHTML = this.renderPreview();
+    }
+
+    handleClick(e) {
+        const pathButton = e.target.closest('[data-path]');
+        if (pathButton) {
+            e.preventDefault();
+            this.settings.recordPath = pathButton.getAttribute('data-path');
+            this.container.querySelector('#jsonRecordPath').value = this.settings.recordPath;
+            this.updatePreview();
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        if (button.getAttribute('data-action') === 'confirm') {
+            try {
+                JsonFlattener.parsePath(this.settings.recordPath);
+            } catch (error) {
+                this.updatePreview();
+                return;
+            }
+            this.close({ ...this.settings });
+        } else {
+            this.close(null);
+        }
+    }
+
+    handleInput(e) {
+        const input = e.target.closest('[data-setting]');
+        if (!input) return;
+
+        const setting = input.getAttribute('data-setting');
+        this.settings[setting] = input.type === 'checkbox' ? input.checked : input.value;
+        if (setting === 'explodePath') {
+            this.container.querySelector('#jsonPreview').innerHTML = this.renderPreview();
+        } else if (setting !== 'remember') {
+            this.updatePreview();
+        }
+    }
+}
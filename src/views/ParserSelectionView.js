@@ -0,0 +1,162 @@
+// Parser cards and option forms generated from the ParserManager registry
+
+class ParserSelectionView extends BaseView {
+    constructor(container, parserManager, onChange = () => {}) {
+        super(container);
+        this.parserManager = parserManager;
+        this.onChange = onChange;
+        this.configuring = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleOptionChange(e));
+        }
+    }
+
+    render() {
+        const activeId = this.parserManager.getActiveParserId();
+        const parsers = this.parserManager.getParsers();
+        if (!this.configuring || !this.parserManager.getParser(this.configuring)) {
+            this.configuring = activeId !== 'auto' ? activeId : (parsers[0] && parsers[0].id);
+        }
+
+        const autoCard = {
+            id: 'auto',
+            name: 'Auto Parser',
+            description: 'Detects the file format from its content, then its extension',
+            icon: 'fa-magic'
+        };
+
+        this.setHTML(`
+            <div class="parser-grid">
+                ${[autoCard, ...parsers].map(parser => this.renderCard(parser, activeId)).join('')}
+            </div>
+            <div class="parser-options" id="parserOptions">
+                ${this.renderOptions(this.parserManager.getParser(this.configuring))}
+            </div>
+        `);
+    }
+
+    renderCard(parser, activeId) {
+        const esc = BaseView.escapeHtml;
+        const isActive = parser.id === activeId;
+        const extensions = parser.extensions && parser.extensions.length
+            ? `<p class="parser-extensions">${parser.extensions.map(esc).join(' ')}</p>`
+            : '';
+
+        return `
+            <div class="parser-card ${isActive ? 'active' : ''}" data-parser-id="${esc(parser.id)}">
+                <div class="parser-icon">
+                    <i class="fas ${esc(parser.icon)}"></i>
+                </div>
+                <h3>${esc(parser.name)}</h3>
+                <p>${esc(parser.description)}</p>
+                ${extensions}
+                <div class="parser-status">
+                    <span class="status-badge ${isActive ? 'active' : 'available'}">${isActive ? 'Active' : 'Available'}</span>
+                    ${parser.options && parser.options.length ? `
+                        <button class="parser-configure-btn" data-configure="${esc(parser.id)}" title="Parser options">
+                            <i class="fas fa-sliders-h"></i> Options
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderOptions(parser) {
+        const esc = BaseView.escapeHtml;
+        if (!parser || parser.options.length === 0) {
+            return '';
+        }
+
+        const values = this.parserManager.getOptions(parser.id);
+        const fields = parser.options.map(option => {
+            const value = values[option.key];
+            const name = `${esc(parser.id)}:${esc(option.key)}`;
+
+            if (option.type === 'boolean') {
+                return `
+                    <label class="parser-option checkbox-option">
+                        <input type="checkbox" data-option="${name}" ${value ? 'checked' : ''}>
+                        ${esc(option.label)}
+                    </label>
+                `;
+            }
+
+            if (option.type === 'select') {
+                return `
+                    <label class="parser-option">
+                        <span>${esc(option.label)}</span>
+                        <select data-option="${name}">
+                            ${option.choices.map(choice => `
+                                <option value="${esc(choice.value)}" ${choice.value === value ? 'selected' : ''}>${esc(choice.label)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `;
+            }
+
+            return `
+                <label class="parser-option">
+                    <span>${esc(option.label)}</span>
+                    <input type="${option.type === 'number' ? 'number' : 'text'}" data-option="${name}" value="${esc(value)}">
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <div class="parser-options-header">
+                <h3><i class="fas fa-sliders-h"></i> ${esc(parser.name)} Options</h3>
+                <button class="parser-reset-btn" data-reset="${esc(parser.id)}">
+                    <i class="fas fa-undo"></i> Reset to defaults
+                </button>
+            </div>
+            <div class="parser-options-form">${fields}</div>
+        `;
+    }
+
+    handleClick(e) {
+        const resetBtn = e.target.closest('[data-reset]');
+        if (resetBtn) {
+            this.parserManager.resetOptions(resetBtn.getAttribute('data-reset'));
+            this.render();
+            this.onChange();
+            return;
+        }
+
+        const configureBtn = e.target.closest('[data-configure]');
+        if (configureBtn) {
+            e.stopPropagation();
+            this.configuring = configureBtn.getAttribute('data-configure');
+            this.render();
+            return;
+        }
+
+        const card = e.target.closest('.parser-card');
+        if (card) {
+            const parserId = card.getAttribute('data-parser-id');
+            this.parserManager.setActiveParser(parserId);
+            if (parserId !== 'auto') {
+                this.configuring = parserId;
+            }
+            this.render();
+            this.onChange();
+        }
+    }
+
+    handleOptionChange(e) {
+        const field = e.target.closest('[data-option]');
+        if (!field) return;
+
+        const [parserId, key] = field.getAttribute('data-option').split(':');
+        const option = this.parserManager.getParser(parserId).options.find(o => o.key === key);
+        let value = field.type === 'checkbox' ? field.checked : field.value;
+        if (option.type === 'number') {
+            value = Number(value);
+        }
+
+        this.parserManager.setOption(parserId, key, value);
+        this.onChange();
+    }
+}
@@ -0,0 +1,426 @@
+// Pivot table view: fields are dragged from the field list into the Rows,
+// Columns and Values areas (or added from each area's menu), and the table
+// below shows the aggregates with subtotals and grand totals. Group rows can
+// be collapsed, and clicking a cell hands its records to onDrillDown.
+
+class PivotView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.maxRows = options.maxRows || 1000;
+        this.maxColumns = options.maxColumns || 100;
+        this.formatName = options.formatName || (name => name);
+        this.onChange = options.onChange || (() => {});
+        this.onDrillDown = options.onDrillDown || (() => {});
+        this.onSendToChart = options.onSendToChart || (() => {});
+
+        this.records = [];
+        this.columns = [];
+        this.schema = {};
+        this.config = PivotTable.createConfig();
+        this.table = null;
+        this.collapsed = new Set();
+        this.fileName = 'pivot';
+        this.drag = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleChange(e));
+            this.container.addEventListener('dragstart', e => this.handleDragStart(e));
+            this.container.addEventListener('dragover', e => this.handleDragOver(e));
+            this.container.addEventListener('dragleave', e => this.handleDragLeave(e));
+            this.container.addEventListener('drop', e => this.handleDrop(e));
+        }
+    }
+
+    // Fields no longer in the dataset are dropped from the saved config
+    setData(records, columns, schema, config, fileName = 'pivot') {
+        const known = new Set(columns);
+        const saved = { ...PivotTable.createConfig(), ...(config || {}) };
+
+        this.records = records;
+        this.columns = columns;
+        this.schema = schema;
+        this.fileName = fileName;
+        this.config = {
+            ...saved,
+            rows: saved.rows.filter(field => known.has(field)),
+            columns: saved.columns.filter(field => known.has(field)),
+            values: saved.values.filter(value => known.has(value.column))
+        };
+        this.update(false);
+    }
+
+    update(changed = true) {
+        this.table = PivotTable.compute(this.records, this.config, this.schema);
+        this.render();
+        if (changed) this.onChange(this.config);
+    }
+
+    typeOf(column) {
+        return this.schema[column]?.type || 'text';
+    }
+
+    render() {
+        const { config } = this;
+
+        this.setHTML(`
+            <div class="pivot-layout">
+                <div class="pivot-fields">
+                    <h4>Fields</h4>
+                    <div class="pivot-zone pivot-field-list" data-zone="fields">
+                        ${this.columns.map(column => this.renderChip(column, 'fields')).join('')}
+                    </div>
+                </div>
+                <div class="pivot-main">
+                    <div class="pivot-zones">
+                        ${this.renderZone('rows', 'Rows', 'fa-grip-lines')}
+                        ${this.renderZone('columns', 'Columns', 'fa-grip-lines-vertical')}
+                        ${this.renderZone('values', 'Values', 'fa-calculator')}
+                    </div>
+                    <div class="pivot-toolbar">
+                        <label class="checkbox-option"><input type="checkbox" data-setting="subtotals" ${config.subtotals ? 'checked' : ''}> Subtotals</label>
+                        <label class="checkbox-option"><input type="checkbox" data-setting="totals" ${config.totals ? 'checked' : ''}> Grand totals</label>
+                        <span class="pivot-toolbar-spacer"></span>
+                        <button type="button" class="grid-toolbar-btn" data-action="swap"><i class="fas fa-exchange-alt"></i> Swap rows and columns</button>
+                        <button type="button" class="grid-toolbar-btn" data-action="chart"><i class="fas fa-chart-bar"></i> Send to chart</button>
+                        <button type="button" class="grid-toolbar-btn" data-action="export-csv"><i class="fas fa-file-csv"></i> CSV</button>
+                        <button type="button" class="grid-toolbar-btn" data-action="export-xlsx"><i class="fas fa-file-excel"></i> Excel</button>
+                        <button type="button" class="grid-toolbar-btn" data-action="clear"><i class="fas fa-eraser"></i> Clear</button>
+                    </div>
+                    <div class="pivot-table-wrap">${this.renderTable()}</div>
+                </div>
+            </div>
+        `);
+    }
+
+    renderZone(zone, title, icon) {
+        const esc = BaseView.escapeHtml;
+        const items = zone === 'values' ? this.config.values : this.config[zone];
+        const used = zone === 'values' ? [] : this.config.rows.concat(this.config.columns);
+        const available = this.columns.filter(column => !used.includes(column));
+
+        return `
+            <div class="pivot-zone-box">
+                <div class="pivot-zone-title">
+                    <span><i class="fas ${icon}"></i> ${title}</span>
+                    <select class="pivot-add" data-add="${zone}">
+                        <option value="">+ Add</option>
+                        ${available.map(column => `<option value="${esc(column)}">${esc(this.formatName(column))}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="pivot-zone" data-zone="${zone}">
+                    ${items.length
+                        ? items.map((item, index) => this.renderChip(zone === 'values' ? item.column : item, zone, index)).join('')
+                        : '<span class="pivot-zone-empty">Drop fields here</span>'}
+                </div>
+            </div>
+        `;
+    }
+
+    renderChip(column, zone, index = 0) {
+        const esc = BaseView.escapeHtml;
+        const type = SchemaInference.TYPES.find(t => t.id === this.typeOf(column)) || SchemaInference.TYPES[SchemaInference.TYPES.length - 1];
+        let aggregation = '';
+        if (zone === 'values') {
+            const value = this.config.values[index];
+            aggregation = `
+                <select class="pivot-aggregation" data-aggregation="${index}">
+                    ${PivotTable.aggregationsFor(this.typeOf(column)).map(option => `
+                        <option value="${option.id}" ${option.id === value.aggregation ? 'selected' : ''}>${esc(option.label)}</option>
+                    `).join('')}
+                </select>
+            `;
+        }
+
+        return `
+            <span class="pivot-chip" draggable="true" data-field="${esc(column)}" data-from="${zone}" data-index="${index}" title="${esc(column)} (${type.label})">
+                <i class="fas ${type.icon} column-type-icon"></i>
+                ${aggregation}
+                <span class="pivot-chip-name">${esc(this.formatName(column))}</span>
+                ${zone !== 'fields' ? `<button type="button" class="pivot-chip-remove" data-remove="${zone}" data-index="${index}" title="Remove"><i class="fas fa-times"></i></button>` : ''}
+            </span>
+        `;
+    }
+
+    // Row indexes, skipping rows inside a collapsed group
+    visibleRows() {
+        const collapsed = Array.from(this.collapsed).map(key => JSON.parse(key));
+        const indexes = [];
+        this.table.rows.forEach((row, index) => {
+            const hidden = collapsed.some(path =>
+                row.path.length > path.length && path.every((key, level) => row.path[level] === key));
+            if (!hidden) indexes.push(index);
+        });
+        return indexes;
+    }
+
+    renderTable() {
+        const esc = BaseView.escapeHtml;
+        const { config, values } = this.table;
+        if (this.records.length === 0) {
+            return '<p class="no-data-message">No records to summarize</p>';
+        }
+
+        const rows = this.visibleRows();
+        const shownRows = rows.slice(0, this.maxRows);
+        const columns = this.table.columns.slice(0, this.maxColumns);
+        const levels = config.columns.length;
+        const valueRow = values.length > 1 || levels === 0;
+        const headerRows = Math.max(levels, 1) + (valueRow && levels > 0 ? 1 : 0);
+
+        // One header row per column field, with cells spanning their children
+        const header = [];
+        for (let level = 0; level < levels; level++) {
+            const cells = [];
+            columns.forEach(column => {
+                const span = values.length;
+                const top = column.kind === 'total' ? 0 : column.kind === 'subtotal' ? column.path.length : levels;
+                if (level > top) return;
+                if (level === top) {
+                    const label = column.kind === 'total' ? 'Total' : `${PivotTable.label(column.path[level - 1])} total`;
+                    cells.push({ key: `end:${JSON.stringify(column.path)}`, label, span, rows: levels - level, total: true });
+                    return;
+                }
+                const key = JSON.stringify(column.path.slice(0, level + 1));
+                const last = cells[cells.length - 1];
+                if (last && last.key === key) last.span += span;
+                else cells.push({ key, label: PivotTable.label(column.path[level]), span, rows: 1 });
+            });
+            header.push(cells);
+        }
+
+        const rowLabel = config.rows.map(this.formatName).join(' / ');
+        const headerHtml = [];
+        if (levels === 0) {
+            headerHtml.push(`
+                <tr>
+                    <th class="pivot-row-label">${esc(rowLabel)}</th>
+                    ${values.map(value => `<th>${esc(PivotTable.valueLabel(value, this.formatName))}</th>`).join('')}
+                </tr>
+            `);
+        } else {
+            header.forEach((cells, level) => {
+                headerHtml.push(`
+                    <tr>
+                        ${level === 0 ? `<th class="pivot-row-label" rowspan="${headerRows}">${esc(rowLabel)}<small>${esc(config.columns.map(this.formatName).join(' / '))}</small></th>` : ''}
+                        ${cells.map(cell => `<th colspan="${cell.span}" rowspan="${cell.rows}" class="${cell.total ? 'pivot-total' : ''}">${esc(cell.label)}</th>`).join('')}
+                    </tr>
+                `);
+            });
+            if (valueRow) {
+                headerHtml.push(`
+                    <tr>
+                        ${columns.map(column => values.map(value => `
+                            <th class="pivot-value-label ${column.kind !== 'item' ? 'pivot-total' : ''}">${esc(PivotTable.valueLabel(value, this.formatName))}</th>
+                        `).join('')).join('')}
+                    </tr>
+                `);
+            }
+        }
+
+        const body = shownRows.map(index => {
+            const row = this.table.rows[index];
+            const depth = Math.max(row.path.length - 1, 0);
+            const key = JSON.stringify(row.path);
+            const showValues = row.kind !== 'group' || config.subtotals || this.collapsed.has(key);
+            let label;
+            if (row.kind === 'total') {
+                label = config.rows.length ? 'Grand total' : 'Total';
+            } else if (row.kind === 'group') {
+                const open = !this.collapsed.has(key);
+                label = `
+                    <button type="button" class="pivot-toggle" data-toggle="${esc(key)}" title="${open ? 'Collapse' : 'Expand'}">
+                        <i class="fas fa-${open ? 'minus' : 'plus'}-square"></i>
+                    </button>
+                    ${esc(PivotTable.label(row.path[row.path.length - 1]))}
+                `;
+            } else {
+                label = esc(PivotTable.label(row.path[row.path.length - 1]));
+            }
+
+            return `
+                <tr class="pivot-${row.kind}">
+                    <th class="pivot-row-label" style="padding-left: ${0.75 + depth * 1.25}rem;">${label}</th>
+                    ${columns.map((column, columnIndex) => {
+                        const results = showValues ? this.table.cell(row.path, column.path) : null;
+                        const classes = [levels > 0 && column.kind !== 'item' ? 'pivot-total' : '', results ? 'pivot-cell' : ''].join(' ').trim();
+                        return values.map((value, valueIndex) => `
+                            <td class="${classes}"
+                                ${results ? `data-row="${index}" data-column="${columnIndex}" title="Show the records behind this value"` : ''}>${esc(this.formatResult(results ? results[valueIndex] : null))}</td>
+                        `).join('');
+                    }).join('')}
+                </tr>
+            `;
+        }).join('');
+
+        const notes = [];
+        if (rows.length > shownRows.length) notes.push(`first ${shownRows.length.toLocaleString()} of ${rows.length.toLocaleString()} rows`);
+        if (this.table.columns.length > columns.length) notes.push(`first ${columns.length.toLocaleString()} of ${this.table.columns.length.toLocaleString()} columns`);
+
+        return `
+            <table class="pivot-table">
+                ${levels > 0 && !valueRow ? `<caption>${esc(PivotTable.valueLabel(values[0], this.formatName))}</caption>` : ''}
+                <thead>${headerHtml.join('')}</thead>
+                <tbody>${body}</tbody>
+            </table>
+            ${notes.length ? `<p class="pivot-note">Showing the ${notes.join(' and the ')}; export the pivot to see all of it.</p>` : ''}
+        `;
+    }
+
+    formatResult(result) {
+        if (result === null || result === undefined) return '';
+        if (typeof result !== 'number') return result;
+        return result.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+
+    // Adds a field to an area; rows and columns hold each field once
+    addField(zone, column, index = null) {
+        const { config } = this;
+        if (zone === 'values') {
+            const value = { column, aggregation: PivotTable.defaultAggregation(this.typeOf(column)) };
+            config.values.splice(index === null ? config.values.length : index, 0, value);
+            return;
+        }
+        config.rows = config.rows.filter(field => field !== column);
+        config.columns = config.columns.filter(field => field !== column);
+        config[zone].splice(index === null ? config[zone].length : Math.min(index, config[zone].length), 0, column);
+    }
+
+    removeField(zone, index) {
+        return this.config[zone].splice(index, 1)[0];
+    }
+
+    handleClick(e) {
+        const toggle = e.target.closest('[data-toggle]');
+        if (toggle) {
+            const key = toggle.getAttribute('data-toggle');
+            if (this.collapsed.has(key)) this.collapsed.delete(key);
+            else this.collapsed.add(key);
+            this.render();
+            return;
+        }
+
+        const remove = e.target.closest('[data-remove]');
+        if (remove) {
+            this.removeField(remove.getAttribute('data-remove'), Number(remove.getAttribute('data-index')));
+            this.update();
+            return;
+        }
+
+        const cell = e.target.closest('.pivot-cell');
+        if (cell) {
+            const row = this.table.rows[Number(cell.getAttribute('data-row'))];
+            const column = this.table.columns[Number(cell.getAttribute('data-column'))];
+            this.onDrillDown(PivotTable.recordsFor(this.records, this.config, row.path, column.path));
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.getAttribute('data-action')) {
+            case 'swap': {
+                const { rows, columns } = this.config;
+                this.config.rows = columns;
+                this.config.columns = rows;
+                this.collapsed.clear();
+                this.update();
+                break;
+            }
+            case 'chart':
+                this.onSendToChart(this.config);
+                break;
+            case 'export-csv':
+                BaseView.download(`${this.fileName}-pivot.csv`, PivotTable.toCsv(PivotTable.toMatrix(this.table, this.formatName)), 'text/csv');
+                break;
+            case 'export-xlsx': {
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(PivotTable.toMatrix(this.table, this.formatName)), 'Pivot');
+                XLSX.writeFile(workbook, `${this.fileName}-pivot.xlsx`);
+                break;
+            }
+            case 'clear':
+                this.config = PivotTable.createConfig();
+                this.collapsed.clear();
+                this.update();
+                break;
+        }
+    }
+
+    handleChange(e) {
+        const add = e.target.closest('[data-add]');
+        if (add) {
+            if (add.value) {
+                this.addField(add.getAttribute('data-add'), add.value);
+                this.update();
+            }
+            return;
+        }
+
+        const aggregation = e.target.closest('[data-aggregation]');
+        if (aggregation) {
+            this.config.values[Number(aggregation.getAttribute('data-aggregation'))].aggregation = aggregation.value;
+            this.update();
+            return;
+        }
+
+        const setting = e.target.closest('[data-setting]');
+        if (setting) {
+            this.config[setting.getAttribute('data-setting')] = setting.checked;
+            this.update();
+        }
+    }
+
+    handleDragStart(e) {
+        const chip = e.target.closest('.pivot-chip');
+        if (!chip) return;
+        this.drag = {
+            column: chip.getAttribute('data-field'),
+            from: chip.getAttribute('data-from'),
+            index: Number(chip.getAttribute('data-index'))
+        };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', this.drag.column);
+    }
+
+    handleDragOver(e) {
+        const zone = e.target.closest('[data-zone]');
+        if (!this.drag || !zone) return;
+        e.preventDefault();
+        zone.classList.add('drag-over');
+    }
+
+    handleDragLeave(e) {
+        const zone = e.target.closest('[data-zone]');
+        if (zone && !zone.contains(e.relatedTarget)) zone.classList.remove('drag-over');
+    }
+
+    // Dropping on a chip inserts in front of it; dropping back on the field
+    // list removes the field from its area
+    handleDrop(e) {
+        const zone = e.target.closest('[data-zone]');
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || !zone) return;
+        e.preventDefault();
+
+        const target = zone.getAttribute('data-zone');
+        const chip = e.target.closest('.pivot-chip');
+        let index = chip ? Number(chip.getAttribute('data-index')) : null;
+
+        if (target === 'fields') {
+            if (drag.from !== 'fields') this.removeField(drag.from, drag.index);
+        } else if (drag.from === target) {
+            const item = this.removeField(target, drag.index);
+            if (index !== null && index > drag.index) index--;
+            this.config[target].splice(index === null ? this.config[target].length : index, 0, item);
+        } else if (target === 'values' || drag.from === 'values') {
+            // Values keep their aggregation only while they stay in Values
+            if (drag.from === 'values') this.removeField('values', drag.index);
+            this.addField(target, drag.column, index);
+        } else {
+            this.addField(target, drag.column, index);
+        }
+        this.update();
+    }
+}
@@ -0,0 +1,206 @@
+// Data quality panel for the Statistics view: summary cards, the issues
+// DataProfiler found and a card per column with its fill rate, top values,
+// number summary and histogram, date range and common patterns. Clicking
+// an issue or a top value calls onShowRecords(ids, title) with the ids of
+// the records behind it.
+
+class ProfileView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.formatName = options.formatName || (name => name);
+        this.onShowRecords = options.onShowRecords || (() => {});
+        this.profile = null;
+        this.records = [];
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+        }
+    }
+
+    setData(profile, records) {
+        this.profile = profile;
+        this.records = records;
+        this.render();
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const { profile } = this;
+
+        if (!profile || profile.recordCount === 0) {
+            this.setHTML('<div class="stats-grid"><div class="stat-card"><h3>No Data</h3><div class="stat-value">0</div><p>Upload data to see statistics</p></div></div>');
+            return;
+        }
+
+        const flagged = new Set(profile.issues.flatMap(issue => issue.ids)).size;
+        const summary = [
+            { title: 'Total Records', value: profile.recordCount.toLocaleString(), description: 'Total number of records' },
+            { title: 'Total Fields', value: profile.columnCount.toLocaleString(), description: 'Unique data fields' },
+            { title: 'Filled Cells', value: ProfileView.percent(profile.fillRate), description: 'Cells that have a value' },
+            { title: 'Records With Issues', value: flagged.toLocaleString(), description: `${profile.issues.length.toLocaleString()} issue${profile.issues.length === 1 ? '' : 's'} found` }
+        ];
+
+        this.setHTML(`
+            <div class="stats-grid">
+                ${summary.map(stat => `
+                    <div class="stat-card">
+                        <h3>${esc(stat.title)}</h3>
+                        <div class="stat-value">${esc(stat.value)}</div>
+                        <p>${esc(stat.description)}</p>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="profile-issues">
+                <h3><i class="fas fa-triangle-exclamation"></i> Data Quality Issues</h3>
+                ${profile.issues.length ? `
+                    <ul>
+                        ${profile.issues.map(issue => this.renderIssue(issue)).join('')}
+                    </ul>
+                ` : '<p class="profile-none"><i class="fas fa-check-circle"></i> No issues found</p>'}
+            </div>
+            <div class="profile-columns">
+                ${profile.columns.map(column => this.renderColumn(column)).join('')}
+            </div>
+        `);
+    }
+
+    renderIssue(issue) {
+        const esc = BaseView.escapeHtml;
+        return `
+            <li>
+                <button type="button" class="profile-issue ${esc(issue.kind)}" data-action="issue" data-issue="${esc(issue.id)}"
+                        title="Show the ${issue.ids.length.toLocaleString()} record${issue.ids.length === 1 ? '' : 's'}">
+                    <span class="profile-issue-column">${esc(this.formatName(issue.column))}</span>
+                    <strong>${esc(issue.label)}</strong>
+                    <span>${esc(issue.description)}</span>
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+            </li>
+        `;
+    }
+
+    renderColumn(column) {
+        const esc = BaseView.escapeHtml;
+        const type = SchemaInference.TYPES.find(t => t.id === column.type) || SchemaInference.TYPES[0];
+        const format = ProfileView.formatNumber;
+        const details = [
+            ['Filled', `${column.filled.toLocaleString()} (${ProfileView.percent(column.fillRate)})`],
+            ['Empty', column.empty.toLocaleString()],
+            ['Distinct', column.distinct.toLocaleString()]
+        ];
+
+        if (column.numbers) {
+            details.push(
+                ['Min', format(column.numbers.min)],
+                ['Max', format(column.numbers.max)],
+                ['Mean', format(column.numbers.mean)],
+                ['Median', format(column.numbers.median)],
+                ['Std dev', format(column.numbers.stdDev)]
+            );
+        }
+        if (column.dates) {
+            const date = value => column.type === 'date' ? SchemaInference.formatDate(value) : value.toLocaleString();
+            details.push(
+                ['Earliest', date(column.dates.min)],
+                ['Latest', date(column.dates.max)],
+                ['Span', `${column.dates.days.toLocaleString()} day${column.dates.days === 1 ? '' : 's'}`]
+            );
+        }
+        if (column.lengths) {
+            details.push(['Length', column.lengths.min === column.lengths.max
+                ? column.lengths.min.toLocaleString()
+                : `${column.lengths.min.toLocaleString()} to ${column.lengths.max.toLocaleString()}`]);
+        }
+
+        return `
+            <div class="profile-column${column.issues.length ? ' has-issues' : ''}">
+                <div class="profile-column-header">
+                    <h3>${esc(this.formatName(column.column))}</h3>
+                    <span class="stat-type" title="${esc(type.label)}"><i class="fas ${esc(type.icon)}"></i> ${esc(type.label)}</span>
+                </div>
+                <div class="profile-fill" title="${esc(ProfileView.percent(column.fillRate))} filled">
+                    <span style="width: ${(column.fillRate * 100).toFixed(1)}%"></span>
+                </div>
+                <dl class="profile-details">
+                    ${details.map(([label, value]) => `<dt>${esc(label)}</dt><dd>${esc(value)}</dd>`).join('')}
+                </dl>
+                ${column.numbers ? this.renderHistogram(column.numbers.histogram) : ''}
+                ${column.top.length ? `
+                    <h4>Top values</h4>
+                    <ul class="profile-top">
+                        ${column.top.map((top, index) => `
+                            <li>
+                                <button type="button" data-action="value" data-column="${esc(column.column)}" data-index="${index}" title="Show these records">
+                                    <span class="profile-top-value">${esc(top.value)}</span>
+                                    <span class="profile-top-bar"><span style="width: ${(top.count / column.filled * 100).toFixed(1)}%"></span></span>
+                                    <span class="profile-top-count">${top.count.toLocaleString()}</span>
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${column.patterns.length ? `
+                    <h4>Patterns</h4>
+                    <ul class="profile-patterns">
+                        ${column.patterns.map(pattern => `<li><code>${esc(pattern.pattern)}</code> ${pattern.count.toLocaleString()}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                ${column.issues.length ? `
+                    <ul class="profile-column-issues">
+                        ${column.issues.map(issue => `
+                            <li>
+                                <button type="button" class="profile-issue-link ${esc(issue.kind)}" data-action="issue" data-issue="${esc(issue.id)}">
+                                    <i class="fas fa-triangle-exclamation"></i> ${esc(issue.label)}: ${issue.ids.length.toLocaleString()}
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderHistogram(bins) {
+        const esc = BaseView.escapeHtml;
+        const format = ProfileView.formatNumber;
+        const most = Math.max(...bins.map(bin => bin.count));
+        return `
+            <div class="profile-histogram">
+                ${bins.map(bin => `
+                    <span title="${esc(`${format(bin.from)} to ${format(bin.to)}: ${bin.count.toLocaleString()}`)}"
+                          style="height: ${most ? (bin.count / most * 100).toFixed(1) : 0}%"></span>
+                `).join('')}
+            </div>
+            <div class="profile-histogram-axis">
+                <span>${esc(format(bins[0].from))}</span>
+                <span>${esc(format(bins[bins.length - 1].to))}</span>
+            </div>
+        `;
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button || !this.profile) return;
+
+        if (button.dataset.action === 'issue') {
+            const issue = this.profile.issues.find(candidate => candidate.id === button.dataset.issue);
+            if (issue) this.onShowRecords(issue.ids, `${this.formatName(issue.column)}: ${issue.label}`);
+        } else if (button.dataset.action === 'value') {
+            const column = button.dataset.column;
+            const top = this.profile.columns.find(candidate => candidate.column === column)?.top[Number(button.dataset.index)];
+            if (!top) return;
+            const ids = this.records
+                .filter(record => !SchemaInference.isEmpty(record[column]) && DataProfiler.key(record[column]) === top.value)
+                .map(record => record._metadata?.id);
+            this.onShowRecords(ids, `${this.formatName(column)} = ${top.value}`);
+        }
+    }
+
+    static percent(rate) {
+        return `${(rate * 100).toLocaleString(undefined, { maximumFractionDigits: 1 })}%`;
+    }
+
+    static formatNumber(number) {
+        return DataProfiler.format(number);
+    }
+}
@@ -0,0 +1,152 @@
+// Schema editor modal: review inferred column types and override them
+
+class SchemaEditorView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.sampleSize = options.sampleSize || 1000;
+        this.schema = null;
+        this.records = [];
+        this.resolve = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleChange(e));
+        }
+    }
+
+    // Resolves with the edited schema, or null when cancelled
+    show(datasetName, schema, records) {
+        this.datasetName = datasetName;
+        this.schema = JSON.parse(JSON.stringify(schema));
+        this.allRecords = records;
+        this.records = records.slice(0, this.sampleSize);
+        this.render();
+        this.container.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close(schema) {
+        this.container.style.display = 'none';
+        if (this.resolve) {
+            this.resolve(schema);
+            this.resolve = null;
+        }
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+
+        this.setHTML(`
+            <div class="modal-content schema-editor">
+                <div class="modal-header">
+                    <h3><i class="fas fa-table-columns"></i> Column types: ${esc(this.datasetName)}</h3>
+                    <button class="modal-close" data-action="cancel"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body">
+                    <p class="schema-editor-hint">
+                        Types were inferred from the first ${this.records.length.toLocaleString()} rows.
+                        Changing a type converts the stored values; values that don't fit are kept as they are.
+                    </p>
+                    <table class="schema-table">
+                        <thead>
+                            <tr><th>Column</th><th>Type</th><th>Sample values</th><th>Fit</th></tr>
+                        </thead>
+                        <tbody>
+                            ${Object.keys(this.schema).map(column => this.renderRow(column)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="modal-footer schema-editor-actions">
+                    <button class="btn btn-secondary" data-action="reset"><i class="fas fa-undo"></i> Reset to inferred</button>
+                    <button class="btn btn-secondary" data-action="cancel"><i class="fas fa-times"></i> Cancel</button>
+                    <button class="btn btn-primary" data-action="save"><i class="fas fa-check"></i> Apply types</button>
+                </div>
+            </div>
+        `);
+    }
+
+    renderRow(column) {
+        const esc = BaseView.escapeHtml;
+        const entry = this.schema[column];
+        const values = this.records
+            .map(record => record._metadata?.raw?.[column] ?? record[column])
+            .filter(value => !SchemaInference.isEmpty(value));
+        const samples = Array.from(new Set(values.map(String))).slice(0, 3);
+        const invalid = values.filter(value => !SchemaInference.isValid(value, entry.type, entry.dayFirst)).length;
+
+        return `
+            <tr data-column="${esc(column)}">
+                <td>
+                    <div class="schema-column-name">${esc(column)}</div>
+                    ${entry.type !== entry.inferred ? `<div class="schema-inferred">Inferred: ${esc(SchemaEditorView.label(entry.inferred))}</div>` : ''}
+                </td>
+                <td>
+                    <select class="form-select schema-type" data-column="${esc(column)}">
+                        ${SchemaInference.TYPES.map(type => `
+                            <option value="${type.id}" ${type.id === entry.type ? 'selected' : ''}>${type.label}</option>
+                        `).join('')}
+                    </select>
+                    ${entry.dayFirst === undefined ? '' : `
+                        <select class="form-select schema-date-order" data-column="${esc(column)}" title="How dates like 01/02/2024 are read">
+                            <option value="month" ${entry.dayFirst ? '' : 'selected'}>Month first (MM/DD)</option>
+                            <option value="day" ${entry.dayFirst ? 'selected' : ''}>Day first (DD/MM)</option>
+                        </select>
+                    `}
+                </td>
+                <td class="schema-samples">${samples.map(sample => `<span>${esc(sample)}</span>`).join('') || '<em>empty</em>'}</td>
+                <td class="schema-fit ${invalid ? 'warning' : ''}">
+                    ${invalid
+                        ? `<i class="fas fa-exclamation-triangle"></i> ${invalid.toLocaleString()} of ${values.length.toLocaleString()} don't fit`
+                        : '<i class="fas fa-check"></i> All fit'}
+                </td>
+            </tr>
+        `;
+    }
+
+    static label(typeId) {
+        const type = SchemaInference.TYPES.find(t => t.id === typeId);
+        return type ? type.label : typeId;
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.getAttribute('data-action')) {
+            case 'cancel':
+                this.close(null);
+                break;
+            case 'save':
+                this.close(this.schema);
+                break;
+            case 'reset':
+                Object.keys(this.schema).forEach(column => {
+                    this.schema[column] = this.withDateOrder(column, { ...this.schema[column], type: this.schema[column].inferred });
+                });
+                this.render();
+                break;
+        }
+    }
+
+    // The date order is read from all of the column's original values
+    withDateOrder(column, entry) {
+        const values = this.allRecords.map(record => record._metadata?.raw?.[column] ?? record[column]);
+        return SchemaInference.withDateOrder(entry, values);
+    }
+
+    handleChange(e) {
+        const select = e.target.closest('.schema-type, .schema-date-order');
+        if (!select) return;
+
+        const column = select.getAttribute('data-column');
+        if (select.classList.contains('schema-type')) {
+            this.schema[column] = this.withDateOrder(column, { ...this.schema[column], type: select.value });
+        } else {
+            this.schema[column].dayFirst = select.value === 'day';
+        }
+        select.closest('tr').outerHTML = this.renderRow(column);
+    }
+}
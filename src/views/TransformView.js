@@ -0,0 +1,396 @@
+// Transform panel: steps are added from the form on the left and listed in
+// order, and the table on the right previews them on the first records of
+// the dataset, highlighting the cells they change. The steps make up a
+// recipe that can be saved by name (onSave), applied to the whole dataset
+// (onApply) and, until the page is left, undone (onUndo). Callbacks get the
+// draft { id, name, steps, autoApply } and may return a promise.
+
+class TransformView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.previewRows = options.previewRows || 20;
+        this.onSave = options.onSave || (() => {});
+        this.onApply = options.onApply || (() => {});
+        this.onDelete = options.onDelete || (() => {});
+        this.onUndo = options.onUndo || (() => {});
+
+        this.datasetId = null;
+        this.records = [];
+        this.columns = [];
+        this.schema = {};
+        this.recipes = [];
+        this.canUndo = false;
+        this.draft = TransformView.emptyDraft();
+        this.stepType = TransformRecipe.STEPS[0].id;
+        // Column order being edited for a reorder step
+        this.order = null;
+        this.error = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleChange(e));
+            this.container.addEventListener('input', e => this.handleInput(e));
+            this.container.addEventListener('submit', e => this.handleSubmit(e));
+        }
+    }
+
+    static emptyDraft() {
+        return { id: null, name: '', steps: [], autoApply: true };
+    }
+
+    // The draft is kept while the same dataset is shown
+    setData({ datasetId, records, columns, schema, recipes, canUndo }) {
+        if (datasetId !== this.datasetId) {
+            this.draft = TransformView.emptyDraft();
+            this.order = null;
+            this.error = null;
+        }
+        this.datasetId = datasetId;
+        this.records = records;
+        this.columns = columns;
+        this.schema = schema;
+        this.recipes = recipes;
+        this.canUndo = canUndo;
+        this.render();
+    }
+
+    // Starts a new draft, e.g. once the last one has been applied
+    reset() {
+        this.draft = TransformView.emptyDraft();
+        this.order = null;
+        this.error = null;
+        this.render();
+    }
+
+    preview(steps = this.draft.steps) {
+        return new TransformRecipe(steps).attempt(this.records.slice(0, this.previewRows), this.schema, this.columns);
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const state = this.preview();
+        const { draft } = this;
+        const ready = draft.steps.length > 0 && !state.error;
+
+        if (!this.order || this.order.length !== state.columns.length || this.order.some(column => !state.columns.includes(column))) {
+            this.order = state.columns.slice();
+        }
+
+        this.setHTML(`
+            <div class="transform-layout">
+                <div class="transform-sidebar">
+                    <div class="transform-recipe">
+                        <h4><i class="fas fa-scroll"></i> Recipe</h4>
+                        <select class="form-select" data-setting="recipe">
+                            <option value="">New recipe</option>
+                            ${this.recipes.map(recipe => `
+                                <option value="${esc(recipe.id)}" ${recipe.id === draft.id ? 'selected' : ''}>
+                                    ${esc(recipe.name)}${TransformRecipe.matches(recipe, this.columns) ? ' (fits this dataset)' : ''}
+                                </option>
+                            `).join('')}
+                        </select>
+                        <input type="text" class="form-input" data-setting="name" value="${esc(draft.name)}" maxlength="80" placeholder="Recipe name">
+                        <label class="checkbox-option">
+                            <input type="checkbox" data-setting="autoApply" ${draft.autoApply ? 'checked' : ''}>
+                            Replay on uploads with the same columns
+                        </label>
+                    </div>
+
+                    <h4>Steps</h4>
+                    ${draft.steps.length ? `
+                        <ol class="transform-steps">
+                            ${draft.steps.map((step, index) => `
+                                <li class="transform-step ${index === state.failedStep ? 'failed' : index > state.failedStep && state.failedStep >= 0 ? 'skipped' : ''}">
+                                    <i class="fas ${(TransformRecipe.getStep(step.type) || {}).icon || 'fa-cog'}"></i>
+                                    <span>${esc(TransformRecipe.describe(step))}</span>
+                                    <button type="button" class="pivot-chip-remove" data-action="remove-step" data-index="${index}" title="Remove step">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                </li>
+                            `).join('')}
+                        </ol>
+                    ` : '<p class="transform-empty">No steps yet. Add one below.</p>'}
+
+                    <form class="transform-add" data-form="step">
+                        <h4>Add a step</h4>
+                        <select class="form-select" name="type" data-setting="stepType">
+                            ${TransformRecipe.STEPS.map(step => `
+                                <option value="${step.id}" ${step.id === this.stepType ? 'selected' : ''}>${esc(step.label)}</option>
+                            `).join('')}
+                        </select>
+                        <div class="transform-fields">${this.renderFields(state.columns)}</div>
+                        ${this.error ? `<p class="transform-error"><i class="fas fa-exclamation-circle"></i> ${esc(this.error)}</p>` : ''}
+                        <button type="submit" class="btn btn-secondary"><i class="fas fa-plus"></i> Add step</button>
+                    </form>
+                </div>
+
+                <div class="transform-main">
+                    <div class="pivot-toolbar">
+                        <span>Preview of the first ${Math.min(this.previewRows, this.records.length).toLocaleString()} of ${this.records.length.toLocaleString()} records</span>
+                        <span class="pivot-toolbar-spacer"></span>
+                        <button type="button" class="grid-toolbar-btn" data-action="undo-step" ${draft.steps.length ? '' : 'disabled'}>
+                            <i class="fas fa-undo"></i> Undo step
+                        </button>
+                        <button type="button" class="grid-toolbar-btn" data-action="clear-steps" ${draft.steps.length ? '' : 'disabled'}>
+                            <i class="fas fa-eraser"></i> Clear steps
+                        </button>
+                        ${this.canUndo ? `
+                            <button type="button" class="grid-toolbar-btn" data-action="undo-apply">
+                                <i class="fas fa-history"></i> Undo last apply
+                            </button>
+                        ` : ''}
+                    </div>
+                    ${state.error ? `<p class="transform-error"><i class="fas fa-exclamation-circle"></i> ${esc(state.error.message)}</p>` : ''}
+                    ${this.renderPreview(state)}
+                    <div class="transform-actions">
+                        ${draft.id ? '<button type="button" class="btn btn-danger" data-action="delete"><i class="fas fa-trash"></i> Delete recipe</button>' : ''}
+                        <button type="button" class="btn btn-secondary" data-action="save" ${ready ? '' : 'disabled'}>
+                            <i class="fas fa-save"></i> Save recipe
+                        </button>
+                        <button type="button" class="btn btn-primary" data-action="apply" ${ready ? '' : 'disabled'}>
+                            <i class="fas fa-magic"></i> Apply to ${this.records.length.toLocaleString()} records
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+    }
+
+    renderPreview(state) {
+        const esc = BaseView.escapeHtml;
+        if (state.records.length === 0) return '';
+        const format = value => value === null || value === undefined ? '' : String(value);
+        const isNew = column => !this.columns.includes(column);
+
+        return `
+            <div class="import-preview-table transform-preview">
+                <table>
+                    <thead>
+                        <tr>
+                            ${state.columns.map(column => `
+                                <th class="${isNew(column) ? 'new' : ''}" title="${esc(state.schema[column]?.type || '')}">${esc(column)}</th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${state.records.map((record, index) => {
+                            const original = this.records[index];
+                            return `
+                                <tr>
+                                    ${state.columns.map(column => {
+                                        const changed = isNew(column) ? !Expression.empty(record[column]) : format(original[column]) !== format(record[column]);
+                                        return `<td class="${changed ? 'changed' : ''}" title="${changed && !isNew(column) ? esc(`Was: ${format(original[column])}`) : ''}">${esc(format(record[column]))}</td>`;
+                                    }).join('')}
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Inputs for the chosen step type, against the columns left after the
+    // steps so far
+    renderFields(columns) {
+        const esc = BaseView.escapeHtml;
+        const field = (label, input) => `<label class="transform-field"><span>${label}</span>${input}</label>`;
+        const text = (name, placeholder = '', value = '') =>
+            `<input type="text" class="form-input" name="${name}" value="${esc(value)}" placeholder="${esc(placeholder)}">`;
+        const check = (name, label, checked = false) =>
+            `<label class="checkbox-option"><input type="checkbox" name="${name}" ${checked ? 'checked' : ''}> ${label}</label>`;
+        const column = () => field('Column', `
+            <select class="form-select" name="column">
+                ${columns.map(name => `<option value="${esc(name)}">${esc(name)}</option>`).join('')}
+            </select>
+        `);
+        const columnList = (label = 'Columns') => field(label, `
+            <div class="export-columns transform-columns">
+                ${columns.map(name => `
+                    <label class="checkbox-option"><input type="checkbox" name="columns" value="${esc(name)}"> ${esc(name)}</label>
+                `).join('')}
+            </div>
+        `);
+
+        switch (this.stepType) {
+            case 'rename':
+                return column() + field('New name', text('name'));
+            case 'drop':
+                return columnList('Columns to drop');
+            case 'reorder':
+                return field('Order', `
+                    <ol class="transform-order">
+                        ${this.order.map((name, index) => `
+                            <li>
+                                <span>${esc(name)}</span>
+                                <button type="button" class="export-link" data-action="order-up" data-index="${index}" ${index === 0 ? 'disabled' : ''} title="Move up"><i class="fas fa-arrow-up"></i></button>
+                                <button type="button" class="export-link" data-action="order-down" data-index="${index}" ${index === this.order.length - 1 ? 'disabled' : ''} title="Move down"><i class="fas fa-arrow-down"></i></button>
+                            </li>
+                        `).join('')}
+                    </ol>
+                `);
+            case 'trim':
+                return columnList() + check('collapse', 'Also collapse repeated spaces inside values', true);
+            case 'case':
+                return columnList() + field('Case', `
+                    <select class="form-select" name="mode">
+                        <option value="upper">UPPER CASE</option>
+                        <option value="lower">lower case</option>
+                        <option value="title">Title Case</option>
+                    </select>
+                `);
+            case 'replace':
+                return columnList() + field('Find', text('find')) + field('Replace with', text('replace')) +
+                    check('regex', 'Regular expression ($1 in the replacement inserts a group)') + check('matchCase', 'Match case');
+            case 'split':
+                return column() + field('Split on', text('separator', 'e.g. , or a space', ',')) +
+                    field('New columns', text('names', 'e.g. first_name, last_name')) + check('keep', 'Keep the original column');
+            case 'merge':
+                return columnList('Columns to merge, in column order') + field('New column', text('name')) +
+                    field('Separator', text('separator', '', ' ')) + check('keep', 'Keep the original columns');
+            case 'fill':
+                return columnList() + field('Fill with', `
+                    <select class="form-select" name="mode">
+                        <option value="value">A fixed value</option>
+                        <option value="previous">The value in the row above</option>
+                    </select>
+                `) + field('Value', text('value'));
+            case 'cast':
+                return column() + field('Type', `
+                    <select class="form-select" name="to">
+                        ${SchemaInference.TYPES.map(type => `<option value="${type.id}">${esc(type.label)}</option>`).join('')}
+                    </select>
+                `);
+            case 'compute':
+                return field('New column', text('name')) +
+                    field('Expression', `<textarea class="form-input" name="expression" rows="3" placeholder="e.g. price * quantity"></textarea>`) +
+                    `<p class="transform-help">
+                        Use column names, or [Column name] when they have spaces. Operators: + - * / % & (joins text),
+                        = != &lt; &gt; and or not. Functions: ${Object.values(Expression.FUNCTIONS).map(fn => esc(fn.usage)).join(', ')}.
+                    </p>`;
+            default:
+                return '';
+        }
+    }
+
+    // Reads the step form into a step object
+    readStep(form) {
+        const value = name => form.elements[name] ? form.elements[name].value : '';
+        const checked = name => Boolean(form.elements[name] && form.elements[name].checked);
+        const selected = Array.from(form.querySelectorAll('[name="columns"]:checked'), input => input.value);
+
+        switch (this.stepType) {
+            case 'rename': return { type: 'rename', column: value('column'), name: value('name').trim() };
+            case 'drop': return { type: 'drop', columns: selected };
+            case 'reorder': return { type: 'reorder', columns: this.order.slice() };
+            case 'trim': return { type: 'trim', columns: selected, collapse: checked('collapse') };
+            case 'case': return { type: 'case', columns: selected, mode: value('mode') };
+            case 'replace': return { type: 'replace', columns: selected, find: value('find'), replace: value('replace'), regex: checked('regex'), matchCase: checked('matchCase') };
+            case 'split': return { type: 'split', column: value('column'), separator: value('separator'), names: value('names').split(',').map(name => name.trim()).filter(Boolean), keep: checked('keep') };
+            case 'merge': return { type: 'merge', columns: selected, name: value('name').trim(), separator: value('separator'), keep: checked('keep') };
+            case 'fill': return { type: 'fill', columns: selected, mode: value('mode'), value: value('value') };
+            case 'cast': return { type: 'cast', column: value('column'), to: value('to') };
+            case 'compute': return { type: 'compute', name: value('name').trim(), expression: value('expression') };
+            default: return null;
+        }
+    }
+
+    handleSubmit(e) {
+        const form = e.target.closest('[data-form="step"]');
+        if (!form) return;
+        e.preventDefault();
+
+        const step = this.readStep(form);
+        const steps = this.draft.steps.concat(step);
+        const state = this.preview(steps);
+        // Earlier broken steps are reported in the preview; only this one blocks adding it
+        if (state.failedStep === steps.length - 1) {
+            this.error = state.error.message.replace(/^Step \d+ \([^)]*\): /, '');
+            this.render();
+            return;
+        }
+        this.draft.steps = steps;
+        this.error = null;
+        this.order = null;
+        this.render();
+    }
+
+    handleChange(e) {
+        const setting = e.target.getAttribute('data-setting');
+        switch (setting) {
+            case 'stepType':
+                this.stepType = e.target.value;
+                this.error = null;
+                this.render();
+                break;
+            case 'autoApply':
+                this.draft.autoApply = e.target.checked;
+                break;
+            case 'recipe': {
+                const recipe = this.recipes.find(entry => entry.id === e.target.value);
+                this.draft = recipe
+                    ? { id: recipe.id, name: recipe.name, steps: JSON.parse(JSON.stringify(recipe.steps)), autoApply: recipe.autoApply }
+                    : TransformView.emptyDraft();
+                this.error = null;
+                this.order = null;
+                this.render();
+                break;
+            }
+        }
+    }
+
+    handleInput(e) {
+        if (e.target.getAttribute('data-setting') === 'name') {
+            this.draft.name = e.target.value;
+        }
+    }
+
+    async handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button || button.disabled) return;
+        const index = parseInt(button.getAttribute('data-index'), 10);
+        const draft = { ...this.draft, steps: this.draft.steps.slice() };
+
+        switch (button.getAttribute('data-action')) {
+            case 'remove-step':
+                this.draft.steps.splice(index, 1);
+                this.render();
+                break;
+            case 'undo-step':
+                this.draft.steps.pop();
+                this.render();
+                break;
+            case 'clear-steps':
+                this.draft.steps = [];
+                this.render();
+                break;
+            case 'order-up':
+            case 'order-down': {
+                const target = button.getAttribute('data-action') === 'order-up' ? index - 1 : index + 1;
+                [this.order[index], this.order[target]] = [this.order[target], this.order[index]];
+                this.render();
+                break;
+            }
+            case 'save': {
+                const recipe = await this.onSave(draft);
+                if (recipe) {
+                    this.draft.id = recipe.id;
+                    this.draft.name = recipe.name;
+                    this.render();
+                }
+                break;
+            }
+            case 'apply':
+                await this.onApply(draft);
+                break;
+            case 'delete':
+                if (confirm(`Delete the recipe "${this.draft.name}"? Data it has already cleaned stays as it is.`)) {
+                    await this.onDelete(this.draft.id);
+                }
+                break;
+            case 'undo-apply':
+                await this.onUndo();
+                break;
+        }
+    }
+}
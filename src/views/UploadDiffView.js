@@ -0,0 +1,270 @@
+// Compare panel: pick an earlier and a later upload and the key column that
+// identifies a row, and the differences are listed as added, removed and
+// modified rows, with the changed cells of modified rows showing the old
+// and new value. Changing a choice compares again. recordsOf(uploadId)
+// supplies an upload's records; onExport(diff, format, { before, after })
+// saves the change report of the two uploads as 'csv' or 'xlsx'.
+
+class UploadDiffView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.formatName = options.formatName || (name => name);
+        this.recordsOf = options.recordsOf || (() => []);
+        this.onExport = options.onExport || (() => {});
+        // Rows listed at most; the export has them all
+        this.maxRows = options.maxRows || 500;
+
+        this.uploads = [];
+        this.datasets = [];
+        this.beforeId = null;
+        this.afterId = null;
+        this.key = null;
+        this.columns = [];
+        this.filter = 'all';
+        this.diff = null;
+
+        if (this.container) {
+            this.container.addEventListener('change', e => this.handleChange(e));
+            this.container.addEventListener('click', e => this.handleClick(e));
+        }
+    }
+
+    // Makes an upload the later one for the next setData(), which pairs it
+    // with the upload before it
+    select(uploadId) {
+        this.afterId = uploadId;
+        this.beforeId = null;
+    }
+
+    // uploads: metadata.uploadHistory. The choices are kept while the
+    // uploads exist; by default the latest upload is compared with the one
+    // before it in the same dataset.
+    setData({ uploads, datasets }) {
+        this.uploads = uploads.slice().sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+        this.datasets = datasets;
+
+        const exists = id => this.uploads.some(upload => upload.id === id);
+        if (!exists(this.afterId)) {
+            this.afterId = this.uploads[0]?.id || null;
+            this.beforeId = this.afterId ? this.previousUpload(this.afterId)?.id || null : null;
+        } else if (!exists(this.beforeId)) {
+            this.beforeId = this.previousUpload(this.afterId)?.id || null;
+        }
+        this.compare();
+    }
+
+    // The latest upload before this one, preferring the same dataset
+    previousUpload(uploadId) {
+        const upload = this.uploads.find(entry => entry.id === uploadId);
+        const older = this.uploads.filter(entry => entry.id !== uploadId && String(entry.uploadedAt) <= String(upload.uploadedAt));
+        return older.find(entry => entry.datasetId === upload.datasetId) || older[0] || null;
+    }
+
+    compare() {
+        this.diff = null;
+        if (this.beforeId && this.afterId && this.beforeId !== this.afterId) {
+            const before = this.recordsOf(this.beforeId);
+            const after = this.recordsOf(this.afterId);
+            const columns = UploadDiff.columnsOf(before.concat(after));
+            if (!columns.includes(this.key)) this.key = UploadDiffView.guessKey(before, after, columns);
+            if (this.key) this.diff = UploadDiff.compare(before, after, this.key, columns);
+            this.columns = columns;
+        } else {
+            this.columns = [];
+        }
+        this.render();
+    }
+
+    // A column both uploads have whose values are unique, preferring id-like names
+    static guessKey(before, after, columns) {
+        const shared = columns.filter(column => before.some(record => column in record) && after.some(record => column in record));
+        const unique = shared.filter(column => [before, after].every(records => {
+            const values = records.map(record => UploadDiff.text(record[column]).trim()).filter(Boolean);
+            return values.length === records.length && new Set(values).size === values.length;
+        }));
+        const idLike = column => /(^|_|\b)(id|key|code|email|sku)$/i.test(column);
+        return unique.find(idLike) || unique[0] || shared.find(idLike) || shared[0] || null;
+    }
+
+    uploadLabel(upload) {
+        const dataset = this.datasets.find(entry => entry.id === upload.datasetId);
+        return `${upload.fileName} · ${new Date(upload.uploadedAt).toLocaleString()}${dataset ? ` · ${dataset.name}` : ''}`;
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        if (this.uploads.length < 2) {
+            this.setHTML('<p class="no-data-message">Upload at least two files to compare them</p>');
+            return;
+        }
+
+        const options = selected => this.uploads.map(upload => `
+            <option value="${esc(upload.id)}" ${upload.id === selected ? 'selected' : ''}>${esc(this.uploadLabel(upload))}</option>
+        `).join('');
+
+        this.setHTML(`
+            <div class="diff-controls">
+                <label>
+                    <span>Earlier upload</span>
+                    <select class="form-select" data-field="before">
+                        ${this.beforeId ? '' : '<option value="" selected>Choose an upload</option>'}
+                        ${options(this.beforeId)}
+                    </select>
+                </label>
+                <button type="button" class="btn btn-secondary diff-swap" data-action="swap" title="Swap the uploads">
+                    <i class="fas fa-exchange-alt"></i>
+                </button>
+                <label>
+                    <span>Later upload</span>
+                    <select class="form-select" data-field="after">${options(this.afterId)}</select>
+                </label>
+                <label>
+                    <span>Key column</span>
+                    <select class="form-select" data-field="key" ${this.columns.length ? '' : 'disabled'}>
+                        ${this.columns.map(column => `
+                            <option value="${esc(column)}" ${column === this.key ? 'selected' : ''}>${esc(this.formatName(column))}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+            ${this.renderDiff()}
+        `);
+    }
+
+    renderDiff() {
+        const esc = BaseView.escapeHtml;
+        const { diff } = this;
+        if (this.beforeId && this.beforeId === this.afterId) return '<p class="no-data-message">Choose two different uploads</p>';
+        if (!diff) return '<p class="no-data-message">Choose the uploads to compare</p>';
+
+        const counts = { added: diff.added.length, removed: diff.removed.length, modified: diff.modified.length };
+        const total = counts.added + counts.removed + counts.modified;
+        const skipped = diff.skipped.before + diff.skipped.after;
+        const rows = this.rows();
+        const shown = rows.slice(0, this.maxRows);
+
+        return `
+            <div class="diff-summary">
+                ${[
+                    ['added', 'Added', 'fa-plus'],
+                    ['removed', 'Removed', 'fa-minus'],
+                    ['modified', 'Modified', 'fa-pen']
+                ].map(([id, label, icon]) => `
+                    <button type="button" class="diff-count ${id} ${this.filter === id ? 'active' : ''}" data-action="filter" data-filter="${id}">
+                        <i class="fas ${icon}"></i>
+                        <strong>${counts[id].toLocaleString()}</strong>
+                        <span>${label}</span>
+                    </button>
+                `).join('')}
+                <div class="diff-count unchanged">
+                    <i class="fas fa-equals"></i>
+                    <strong>${diff.unchanged.toLocaleString()}</strong>
+                    <span>Unchanged</span>
+                </div>
+            </div>
+            ${skipped ? `
+                <p class="diff-note">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    ${skipped.toLocaleString()} row${skipped === 1 ? '' : 's'} without a ${esc(this.formatName(diff.key))} or repeating one already seen were left out
+                    (${diff.skipped.before.toLocaleString()} earlier, ${diff.skipped.after.toLocaleString()} later)
+                </p>
+            ` : ''}
+            <div class="diff-toolbar">
+                <div class="diff-filters">
+                    <button type="button" class="${this.filter === 'all' ? 'active' : ''}" data-action="filter" data-filter="all">All changes (${total.toLocaleString()})</button>
+                </div>
+                <button type="button" class="btn btn-secondary" data-action="export" data-format="csv" ${total ? '' : 'disabled'}>
+                    <i class="fas fa-file-csv"></i> Export CSV
+                </button>
+                <button type="button" class="btn btn-secondary" data-action="export" data-format="xlsx" ${total ? '' : 'disabled'}>
+                    <i class="fas fa-file-excel"></i> Export XLSX
+                </button>
+            </div>
+            ${rows.length ? `
+                <div class="diff-table-wrapper">
+                    <table class="diff-table">
+                        <thead>
+                            <tr>
+                                <th>Change</th>
+                                ${diff.columns.map(column => `<th class="${column === diff.key ? 'diff-key' : ''}">${esc(this.formatName(column))}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${shown.map(row => this.renderRow(row)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${rows.length > shown.length ? `<p class="diff-note">Showing the first ${shown.length.toLocaleString()} of ${rows.length.toLocaleString()} rows; export the report to see them all.</p>` : ''}
+            ` : `<p class="no-data-message">${total ? 'No rows of this kind' : 'The uploads have the same rows'}</p>`}
+        `;
+    }
+
+    // [{ kind, record, before, changes }] for the chosen filter
+    rows() {
+        const { diff } = this;
+        const rows = [];
+        if (this.filter === 'all' || this.filter === 'added') {
+            diff.added.forEach(record => rows.push({ kind: 'added', record }));
+        }
+        if (this.filter === 'all' || this.filter === 'removed') {
+            diff.removed.forEach(record => rows.push({ kind: 'removed', record }));
+        }
+        if (this.filter === 'all' || this.filter === 'modified') {
+            diff.modified.forEach(change => rows.push({ kind: 'modified', record: change.after, before: change.before, changes: change.changes }));
+        }
+        return rows;
+    }
+
+    renderRow(row) {
+        const esc = BaseView.escapeHtml;
+        const label = { added: 'Added', removed: 'Removed', modified: 'Modified' }[row.kind];
+        return `
+            <tr class="diff-row ${row.kind}">
+                <td class="diff-kind">${label}</td>
+                ${this.diff.columns.map(column => {
+                    const text = UploadDiff.text(row.record[column]);
+                    if (row.kind === 'modified' && row.changes.includes(column)) {
+                        const old = UploadDiff.text(row.before[column]);
+                        return `
+                            <td class="diff-changed" title="${esc(`${old} → ${text}`)}">
+                                ${old ? `<del>${esc(old)}</del>` : ''}${text ? `<ins>${esc(text)}</ins>` : ''}
+                            </td>
+                        `;
+                    }
+                    return `<td title="${esc(text)}">${esc(text)}</td>`;
+                }).join('')}
+            </tr>
+        `;
+    }
+
+    handleChange(e) {
+        const field = e.target.dataset.field;
+        if (!field) return;
+        if (field === 'before') this.beforeId = e.target.value || null;
+        if (field === 'after') this.afterId = e.target.value;
+        if (field === 'key') this.key = e.target.value;
+        this.compare();
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'swap':
+                [this.beforeId, this.afterId] = [this.afterId, this.beforeId || this.afterId];
+                this.compare();
+                break;
+            case 'filter':
+                this.filter = this.filter === button.dataset.filter ? 'all' : button.dataset.filter;
+                this.render();
+                break;
+            case 'export':
+                if (this.diff) {
+                    const upload = id => this.uploads.find(entry => entry.id === id);
+                    this.onExport(this.diff, button.dataset.format, { before: upload(this.beforeId), after: upload(this.afterId) });
+                }
+                break;
+        }
+    }
+}
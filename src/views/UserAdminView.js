@@ -0,0 +1,209 @@
+// Admin panel: pending, approved and suspended accounts
+// Every button goes through onAction(action, userId, value), which resolves
+// with the updated user list or rejects with a message to show; actions are
+// approve, reject, role, reset-password, suspend, reactivate and delete.
+
+class UserAdminView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.onAction = options.onAction || (() => Promise.resolve([]));
+
+        this.users = [];
+        this.currentUserId = null;
+        this.tab = 'pending';
+        this.resetting = null;
+        this.message = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleChange(e));
+            this.container.addEventListener('submit', e => this.handleSubmit(e));
+        }
+    }
+
+    setData(users, currentUserId) {
+        this.users = users;
+        this.currentUserId = currentUserId;
+        if (this.resetting && !users.some(user => user.id === this.resetting)) this.resetting = null;
+        this.render();
+    }
+
+    static formatTime(value) {
+        return value ? new Date(value).toLocaleString() : 'Never';
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const tabs = [
+            { id: 'pending', label: 'Pending', icon: 'fa-user-clock' },
+            { id: 'approved', label: 'Approved', icon: 'fa-user-check' },
+            { id: 'suspended', label: 'Suspended', icon: 'fa-user-slash' }
+        ];
+        const users = this.users
+            .filter(user => user.status === this.tab)
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+        const empty = {
+            pending: 'No registrations are waiting for approval.',
+            approved: 'No approved users.',
+            suspended: 'No suspended users.'
+        };
+
+        this.setHTML(`
+            <div class="admin-tabs">
+                ${tabs.map(tab => `
+                    <button type="button" class="admin-tab-btn ${tab.id === this.tab ? 'active' : ''}" data-tab="${tab.id}">
+                        <i class="fas ${tab.icon}"></i> ${tab.label}
+                        (${this.users.filter(user => user.status === tab.id).length})
+                    </button>
+                `).join('')}
+            </div>
+            ${this.message ? `
+                <p class="user-admin-message ${this.message.isError ? 'error' : ''}">${esc(this.message.text)}</p>
+            ` : ''}
+            <div class="admin-section">
+                <div class="user-list">
+                    ${users.map(user => this.renderUser(user)).join('') || `<p class="no-data-message">${empty[this.tab]}</p>`}
+                </div>
+            </div>
+        `);
+    }
+
+    renderUser(user) {
+        const esc = BaseView.escapeHtml;
+        const self = user.id === this.currentUserId;
+        const roleSelect = (attribute, disabled = false) => `
+            <select class="form-select" ${attribute}="${esc(user.id)}" ${disabled ? 'disabled' : ''} title="Role">
+                ${UserStore.ROLES.map(role => `
+                    <option value="${role.id}" ${role.id === user.role ? 'selected' : ''} title="${esc(role.description)}">${esc(role.label)}</option>
+                `).join('')}
+            </select>
+        `;
+        const button = (action, icon, label, style = 'btn-secondary') => `
+            <button type="button" class="btn ${style}" data-action="${action}" data-user="${esc(user.id)}"><i class="fas ${icon}"></i> ${label}</button>
+        `;
+
+        let actions;
+        if (user.status === 'pending') {
+            actions = roleSelect('data-approve-role')
+                + button('approve', 'fa-check', 'Approve', 'btn-success')
+                + button('reject', 'fa-times', 'Reject', 'btn-danger');
+        } else if (user.status === 'approved') {
+            actions = roleSelect('data-role', self)
+                + button('show-reset', 'fa-key', 'Reset password')
+                + (self ? '' : button('suspend', 'fa-ban', 'Suspend') + button('delete', 'fa-trash', 'Delete', 'btn-danger'));
+        } else {
+            actions = button('reactivate', 'fa-undo', 'Reactivate', 'btn-success')
+                + button('delete', 'fa-trash', 'Delete', 'btn-danger');
+        }
+
+        return `
+            <div class="user-item">
+                <div class="user-info">
+                    <h4>
+                        ${esc(user.fullName || user.username)}
+                        <span class="user-admin-username">@${esc(user.username)}</span>
+                        ${self ? '<span class="user-admin-self">You</span>' : ''}
+                    </h4>
+                    <p>${[user.email, user.company].filter(Boolean).map(esc).join(' · ') || '&nbsp;'}</p>
+                    <p>
+                        Registered ${esc(UserAdminView.formatTime(user.createdAt))}
+                        · Last login: ${esc(UserAdminView.formatTime(user.lastLoginAt))}
+                    </p>
+                    ${this.resetting === user.id ? `
+                        <form class="user-admin-reset" data-reset="${esc(user.id)}">
+                            <input type="password" class="form-input" name="password" required minlength="${UserStore.MIN_PASSWORD_LENGTH}"
+                                autocomplete="new-password" placeholder="New password (at least ${UserStore.MIN_PASSWORD_LENGTH} characters)">
+                            <button type="submit" class="btn btn-primary"><i class="fas fa-save"></i> Set password</button>
+                            <button type="button" class="btn btn-secondary" data-action="cancel-reset"><i class="fas fa-times"></i> Cancel</button>
+                        </form>
+                    ` : ''}
+                </div>
+                <div class="user-actions">${actions}</div>
+            </div>
+        `;
+    }
+
+    setMessage(text, isError = false) {
+        this.message = text ? { text, isError } : null;
+    }
+
+    async run(action, userId, value, success) {
+        try {
+            this.users = await this.onAction(action, userId, value);
+            this.setMessage(success);
+        } catch (error) {
+            this.setMessage(error.message, true);
+        }
+        this.render();
+    }
+
+    nameOf(userId) {
+        const user = this.users.find(entry => entry.id === userId);
+        return user ? user.fullName || user.username : '';
+    }
+
+    handleClick(e) {
+        const tab = e.target.closest('[data-tab]');
+        if (tab) {
+            this.tab = tab.getAttribute('data-tab');
+            this.resetting = null;
+            this.setMessage(null);
+            this.render();
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const userId = button.getAttribute('data-user');
+        const name = this.nameOf(userId);
+
+        switch (button.getAttribute('data-action')) {
+            case 'approve': {
+                const role = this.container.querySelector(`[data-approve-role="${CSS.escape(userId)}"]`).value;
+                this.run('approve', userId, role, `${name} can now sign in`);
+                break;
+            }
+            case 'reject':
+                if (confirm(`Reject the registration from ${name}?`)) this.run('reject', userId, null, `Rejected ${name}`);
+                break;
+            case 'suspend':
+                if (confirm(`Suspend ${name}? They are signed out and can't sign in until reactivated.`)) {
+                    this.run('suspend', userId, null, `Suspended ${name}`);
+                }
+                break;
+            case 'reactivate':
+                this.run('reactivate', userId, null, `${name} can sign in again`);
+                break;
+            case 'delete':
+                if (confirm(`Delete ${name}'s account? This can't be undone.`)) this.run('delete', userId, null, `Deleted ${name}`);
+                break;
+            case 'show-reset':
+                this.resetting = userId;
+                this.render();
+                this.container.querySelector('.user-admin-reset input')?.focus();
+                break;
+            case 'cancel-reset':
+                this.resetting = null;
+                this.render();
+                break;
+        }
+    }
+
+    handleChange(e) {
+        const select = e.target.closest('[data-role]');
+        if (!select) return;
+        const userId = select.getAttribute('data-role');
+        const role = UserStore.getRole(select.value);
+        this.run('role', userId, role.id, `${this.nameOf(userId)} is now ${role.label === 'Admin' ? 'an' : 'a'} ${role.label.toLowerCase()}`);
+    }
+
+    handleSubmit(e) {
+        const form = e.target.closest('[data-reset]');
+        if (!form) return;
+        e.preventDefault();
+        const userId = form.getAttribute('data-reset');
+        this.resetting = null;
+        this.run('reset-password', userId, form.elements.password.value,
+            `Password changed for ${this.nameOf(userId)}. Their other sessions have been signed out.`);
+    }
+}
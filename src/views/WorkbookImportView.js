@@ -0,0 +1,245 @@
+// Excel import modal: preview each sheet, pick the sheets to import, and set
+// the header row and data range per sheet
+
+class WorkbookImportView extends BaseView {
+    constructor(container, options = {}) {
+        super(container);
+        this.previewRows = options.previewRows || 30;
+        this.countLimit = options.countLimit || 20000;
+        this.reader = null;
+        this.resolve = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('change', e => this.handleChange(e));
+        }
+    }
+
+    // Resolves with { sheets: [{ sheet, headerRow, range }], merged, values, remember }
+    // or null when cancelled
+    show(reader, fileName, options) {
+        this.reader = reader;
+        this.fileName = fileName;
+        this.settings = { merged: options.merged || 'fill', values: options.values || 'cached', remember: false };
+
+        const names = reader.getSheetNames();
+        this.infos = names.map(name => reader.getSheetInfo(name));
+        const preferred = names.includes(options.sheet)
+            ? options.sheet
+            : (this.infos.find(info => info.rows > 1) || this.infos[0]).name;
+
+        this.sheets = names.map(name => ({
+            sheet: name,
+            selected: name === preferred,
+            headerRow: name === options.sheet ? WorkbookReader.headerRowOf(options) : reader.guessHeaderRow(name),
+            range: name === options.sheet ? options.range || '' : ''
+        }));
+        this.focused = preferred;
+
+        this.render();
+        this.container.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close(result) {
+        this.container.style.display = 'none';
+        this.reader = null;
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    sheetState(name) {
+        return this.sheets.find(sheet => sheet.sheet === name);
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const selectedCount = this.sheets.filter(sheet => sheet.selected).length;
+
+        this.setHTML(`
+            <div class="modal-content workbook-import">
+                <div class="modal-header">
+                    <h3><i class="fas fa-file-excel"></i> Import sheets: ${esc(this.fileName)}</h3>
+                    <button class="modal-close" data-action="cancel"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body workbook-layout">
+                    <div class="workbook-sheets">
+                        ${this.infos.map(info => `
+                            <div class="workbook-sheet ${info.name === this.focused ? 'active' : ''}" data-focus="${esc(info.name)}">
+                                <input type="checkbox" data-select="${esc(info.name)}" ${this.sheetState(info.name).selected ? 'checked' : ''}>
+                                <div class="workbook-sheet-info">
+                                    <div class="workbook-sheet-name">${esc(info.name)}</div>
+                                    <div class="workbook-sheet-meta">
+                                        ${info.rows ? `${info.rows.toLocaleString()} × ${info.columns} cells` : 'Empty'}
+                                    </div>
+                                </div>
+                            </div>
+                        `).join('')}
+                        <div class="workbook-global">
+                            <label for="workbookMerged">Merged cells</label>
+                            <select id="workbookMerged" class="form-select" data-setting="merged">
+                                <option value="fill" ${this.settings.merged === 'fill' ? 'selected' : ''}>Repeat value in every cell</option>
+                                <option value="first" ${this.settings.merged === 'first' ? 'selected' : ''}>First cell only</option>
+                            </select>
+                            <label for="workbookValues">Formula cells</label>
+                            <select id="workbookValues" class="form-select" data-setting="values">
+                                <option value="cached" ${this.settings.values === 'cached' ? 'selected' : ''}>Cached result</option>
+                                <option value="formulas" ${this.settings.values === 'formulas' ? 'selected' : ''}>Formula text</option>
+                            </select>
+                            <label class="checkbox-option">
+                                <input type="checkbox" data-setting="remember" ${this.settings.remember ? 'checked' : ''}>
+                                Remember these choices
+                            </label>
+                        </div>
+                    </div>
+                    <div class="workbook-preview">${this.renderSheet()}</div>
+                </div>
+                <div class="modal-footer workbook-actions">
+                    <span class="workbook-note">
+                        ${selectedCount > 1 ? 'Each sheet is imported as its own dataset.' : ''}
+                    </span>
+                    <button class="btn btn-secondary" data-action="cancel"><i class="fas fa-times"></i> Cancel import</button>
+                    <button class="btn btn-primary" data-action="confirm" ${selectedCount === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-check"></i> Import ${selectedCount === 1 ? 'sheet' : `${selectedCount} sheets`}
+                    </button>
+                </div>
+            </div>
+        `);
+    }
+
+    renderSheet() {
+        const esc = BaseView.escapeHtml;
+        const state = this.sheetState(this.focused);
+        const info = this.infos.find(i => i.name === this.focused);
+        const options = { ...this.settings, headerRow: state.headerRow, range: state.range };
+
+        let range = null;
+        let headers = [];
+        let error = '';
+        try {
+            range = this.reader.getRange(this.reader.getSheet(this.focused), state.range);
+            headers = this.reader.headers(this.focused, options);
+        } catch (e) {
+            error = e.message;
+        }
+
+        const grid = this.reader.preview(this.focused, this.settings, this.previewRows);
+        const rowCount = !error && info.rows <= this.countLimit
+            ? this.reader.toRecords(this.focused, options).length.toLocaleString()
+            : null;
+
+        const rowClass = number => {
+            if (number === state.headerRow) return 'header-row';
+            if (!range || number <= state.headerRow || number - 1 < range.s.r || number - 1 > range.e.r) return 'outside';
+            return '';
+        };
+        const cellClass = column => range && (column.index < range.s.c || column.index > range.e.c) ? 'outside' : '';
+        const format = value => String(value === null || value === undefined ? '' : value);
+
+        return `
+            <div class="workbook-sheet-settings">
+                <label>Header row
+                    <input type="number" min="0" class="form-input" data-sheet-setting="headerRow" value="${state.headerRow}">
+                </label>
+                <label>Data range
+                    <input type="text" class="form-input" data-sheet-setting="range" value="${esc(state.range)}" placeholder="${esc(info.ref || 'A1:Z100')}">
+                </label>
+            </div>
+            <div class="workbook-flags">
+                ${info.merges ? `<span><i class="fas fa-object-group"></i> ${info.merges} merged ranges</span>` : ''}
+                ${info.formulas ? `<span><i class="fas fa-calculator"></i> ${info.formulas.toLocaleString()} formula cells</span>` : ''}
+                ${info.uncached ? `<span class="warning"><i class="fas fa-exclamation-triangle"></i> ${info.uncached.toLocaleString()} formulas have no cached result; open and save the file in Excel or import formula text</span>` : ''}
+            </div>
+            ${error
+                ? `<p class="json-preview-error"><i class="fas fa-exclamation-circle"></i> ${esc(error)}</p>`
+                : `<p class="workbook-summary">
+                        ${rowCount !== null ? `${rowCount} rows` : 'Large sheet'} ·
+                        ${headers.length} columns: ${esc(headers.slice(0, 8).map(header => header.name).join(', '))}${headers.length > 8 ? '…' : ''}
+                   </p>`}
+            <p class="workbook-hint">Click a row number to use it as the header row.</p>
+            <div class="workbook-grid">
+                <table>
+                    <thead>
+                        <tr><th></th>${grid.columns.map(column => `<th class="${cellClass(column)}">${column.letter}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${grid.rows.map(row => `
+                            <tr class="${rowClass(row.number)}">
+                                <th><button type="button" class="workbook-row-btn" data-header-row="${row.number}">${row.number}</button></th>
+                                ${row.cells.map((cell, index) => `<td class="${cellClass(grid.columns[index])}">${esc(format(cell))}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    updateSheet() {
+        const preview = this.container.querySelector('.workbook-preview');
+        if (preview) preview.innerHTML = this.renderSheet();
+    }
+
+    handleClick(e) {
+        const headerButton = e.target.closest('[data-header-row]');
+        if (headerButton) {
+            this.sheetState(this.focused).headerRow = Number(headerButton.getAttribute('data-header-row'));
+            this.updateSheet();
+            return;
+        }
+
+        const sheet = e.target.closest('[data-focus]');
+        if (sheet && !e.target.matches('[data-select]')) {
+            this.focused = sheet.getAttribute('data-focus');
+            this.render();
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        if (button.getAttribute('data-action') === 'confirm') {
+            this.close({
+                sheets: this.sheets
+                    .filter(state => state.selected)
+                    .map(({ sheet, headerRow, range }) => ({ sheet, headerRow, range })),
+                merged: this.settings.merged,
+                values: this.settings.values,
+                remember: this.settings.remember
+            });
+        } else {
+            this.close(null);
+        }
+    }
+
+    handleChange(e) {
+        const select = e.target.closest('[data-select]');
+        if (select) {
+            this.sheetState(select.getAttribute('data-select')).selected = select.checked;
+            this.focused = select.getAttribute('data-select');
+            this.render();
+            return;
+        }
+
+        const sheetSetting = e.target.closest('[data-sheet-setting]');
+        if (sheetSetting) {
+            const key = sheetSetting.getAttribute('data-sheet-setting');
+            this.sheetState(this.focused)[key] = key === 'headerRow'
+                ? WorkbookReader.headerRowOf({ headerRow: sheetSetting.value })
+                : sheetSetting.value.trim();
+            this.updateSheet();
+            return;
+        }
+
+        const setting = e.target.closest('[data-setting]');
+        if (setting) {
+            this.settings[setting.getAttribute('data-setting')] = setting.type === 'checkbox' ? setting.checked : setting.value;
+            if (setting.type !== 'checkbox') this.updateSheet();
+        }
+    }
+}
@@ -0,0 +1,130 @@
+// Workspace modal: what the user may do in the open workspace, its name and
+// members for the owner or an admin, and a form for a new team workspace.
+// Resolves with { action: 'save', name, memberIds }, { action: 'delete' },
+// { action: 'create', name } or null when closed.
+
+class WorkspaceView extends BaseView {
+    constructor(container) {
+        super(container);
+        this.resolve = null;
+
+        if (this.container) {
+            this.container.addEventListener('click', e => this.handleClick(e));
+            this.container.addEventListener('submit', e => this.handleSubmit(e));
+        }
+    }
+
+    // users: accounts that can be made members (approved or suspended)
+    show({ workspace, user, users }) {
+        this.workspace = workspace;
+        this.user = user;
+        this.users = users;
+        this.render();
+        this.container.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close(result) {
+        this.container.style.display = 'none';
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+
+    render() {
+        const esc = BaseView.escapeHtml;
+        const { workspace, user } = this;
+        const canManage = WorkspaceStore.canManage(user, workspace);
+        const isTeam = workspace.type === 'team';
+        const owner = this.users.find(entry => entry.id === workspace.ownerId);
+        const actions = WorkspaceStore.permissions(user, workspace);
+        const nameOf = entry => entry.fullName || entry.username;
+
+        this.setHTML(`
+            <div class="modal-content workspace-dialog">
+                <div class="modal-header">
+                    <h3><i class="fas fa-briefcase"></i> Workspaces</h3>
+                    <button class="modal-close" data-action="cancel"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body">
+                    <form class="export-section" data-form="save">
+                        <h4>${esc(workspace.name)}</h4>
+                        <p class="workspace-summary">
+                            ${isTeam ? `Team workspace owned by ${esc(owner ? nameOf(owner) : 'nobody')}` : 'Your personal workspace; only you can see it'}
+                        </p>
+                        <p class="workspace-summary">
+                            You can ${Object.keys(WorkspaceStore.ACTIONS).filter(action => actions.has(action)).map(action => esc(WorkspaceStore.ACTIONS[action])).join(', ')}.
+                        </p>
+                        ${canManage ? `
+                            <div class="export-options">
+                                <label>
+                                    <span>Name</span>
+                                    <input type="text" class="form-input" name="name" value="${esc(workspace.name)}" required maxlength="80">
+                                </label>
+                            </div>
+                            ${isTeam ? `
+                                <h4>Members</h4>
+                                <div class="export-columns">
+                                    ${this.users.map(entry => `
+                                        <label class="checkbox-option">
+                                            <input type="checkbox" name="member" value="${esc(entry.id)}"
+                                                ${workspace.memberIds.includes(entry.id) ? 'checked' : ''} ${entry.id === workspace.ownerId ? 'disabled' : ''}>
+                                            ${esc(nameOf(entry))} <small>(${esc(UserStore.getRole(entry.role).label)})</small>
+                                        </label>
+                                    `).join('')}
+                                </div>
+                            ` : ''}
+                            <div class="workspace-actions">
+                                ${isTeam ? '<button type="button" class="btn btn-danger" data-action="delete"><i class="fas fa-trash"></i> Delete workspace</button>' : ''}
+                                <button type="submit" class="btn btn-primary"><i class="fas fa-save"></i> Save</button>
+                            </div>
+                        ` : ''}
+                    </form>
+                    ${WorkspaceStore.canCreateTeam(user) ? `
+                        <form class="export-section" data-form="create">
+                            <h4>New team workspace</h4>
+                            <div class="workspace-actions">
+                                <input type="text" class="form-input" name="name" required maxlength="80" placeholder="Workspace name">
+                                <button type="submit" class="btn btn-secondary"><i class="fas fa-plus"></i> Create</button>
+                            </div>
+                        </form>
+                    ` : ''}
+                </div>
+            </div>
+        `);
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.getAttribute('data-action')) {
+            case 'cancel':
+                this.close(null);
+                break;
+            case 'delete':
+                if (confirm(`Delete "${this.workspace.name}" and all of its data for every member? This can't be undone.`)) {
+                    this.close({ action: 'delete' });
+                }
+                break;
+        }
+    }
+
+    handleSubmit(e) {
+        const form = e.target.closest('[data-form]');
+        if (!form) return;
+        e.preventDefault();
+
+        const name = form.elements.name.value;
+        if (form.getAttribute('data-form') === 'create') {
+            this.close({ action: 'create', name });
+            return;
+        }
+        const memberIds = Array.from(form.querySelectorAll('[name="member"]:checked'), input => input.value);
+        this.close({ action: 'save', name, memberIds });
+    }
+}
@@ -0,0 +1,38 @@
+// Parse worker
+// Runs registry parsers off the main thread and streams progress, record
+// batches and row warnings back to ParserController.
+
+importScripts('../models/JsonFlattener.js', '../models/WorkbookReader.js', '../models/CsvReader.js', '../models/ParserManager.js');
+
+const parserManager = ParserManager.createDefault();
+const loadedScripts = new Set();
+
+self.onmessage = async function(e) {
+    const { file, parserId, options, batchSize, maxRows } = e.data;
+
+    try {
+        const parser = parserManager.getParser(parserId);
+        if (!parser || !parser.worker) {
+            throw new Error(`Parser ${parserId} cannot run in a worker`);
+        }
+
+        parser.workerScripts.forEach(url => {
+            if (!loadedScripts.has(url)) {
+                importScripts(url);
+                loadedScripts.add(url);
+            }
+        });
+
+        const rows = await parserManager.parseInChunks(file, parser, options, {
+            batchSize,
+            maxRows: maxRows || Infinity,
+            onProgress: progress => self.postMessage({ type: 'progress', progress }),
+            onBatch: records => self.postMessage({ type: 'batch', records }),
+            onWarnings: warnings => self.postMessage({ type: 'warnings', warnings })
+        });
+
+        self.postMessage({ type: 'done', rows });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
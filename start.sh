@@ -2,6 +2,17 @@
 
 # ParseFlow Start Script
 # This script starts the ParseFlow application server
+#
+# Usage: ./start.sh [--server]
+#   --server (or PARSEFLOW_SERVER=1) runs the bundled ParseFlow server, which
+#   keeps accounts and data in .parseflow/data, instead of a static file server
+
+use_parseflow_server=${PARSEFLOW_SERVER:-0}
+for arg in "$@"; do
+    if [[ "$arg" == "--server" ]]; then
+        use_parseflow_server=1
+    fi
+done
 
 echo "🚀 Starting ParseFlow..."
 
@@ -24,7 +35,11 @@ start_server() {
     mkdir -p .parseflow
     
     # Start the server in background and save PID
-    npx http-server . -p $port -o --cors > .parseflow/server.log 2>&1 &
+    if [[ "$use_parseflow_server" == "1" ]]; then
+        node server/server.js --port $port > .parseflow/server.log 2>&1 &
+    else
+        npx http-server . -p $port -o --cors > .parseflow/server.log 2>&1 &
+    fi
     local server_pid=$!
     
     # Save PID to file
@@ -39,6 +54,9 @@ start_server() {
         echo "🌐 Server running on: http://localhost:$port"
         echo "📄 PID: $server_pid (saved to .parseflow/server.pid)"
         echo "📝 Logs: .parseflow/server.log"
+        if [[ "$use_parseflow_server" == "1" ]]; then
+            echo "🗄️  Data: .parseflow/data"
+        fi
         echo ""
         echo "💡 To stop the server, run: ./stop.sh or npm run stop"
         
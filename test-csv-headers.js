@@ -0,0 +1,24 @@
+// Checks CsvReader.headerNames(): node test-csv-headers.js
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, 'src/models/CsvReader.js'), 'utf8'));
+const headerNames = fields => vm.runInThisContext('CsvReader').headerNames(fields);
+
+const cases = [
+    [['a', 'b', 'c'], ['a', 'b', 'c']],
+    [['a', 'a', 'a'], ['a', 'a_2', 'a_3']],
+    [['a', 'a', 'a_2'], ['a', 'a_3', 'a_2']],
+    [['a_2', 'a', 'a'], ['a_2', 'a', 'a_3']],
+    [[' ', 'Column 1', ''], ['Column 1_2', 'Column 1', 'Column 3']]
+];
+
+cases.forEach(([fields, expected]) => {
+    const names = headerNames(fields);
+    assert.deepStrictEqual(names, expected);
+    assert.strictEqual(new Set(names).size, names.length);
+    console.log(`${JSON.stringify(fields)} → ${JSON.stringify(names)}`);
+});
+console.log('All header name checks passed');